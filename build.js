@@ -23,15 +23,26 @@ const jsFiles = [
   'client/core/operation-schemas.js',
   'client/core/help.js',
   'client/core/mode-manager.js',
+  'client/core/history.js',
+  'client/core/persistence.js',
+  'client/core/share-link.js',
   'client/core/color-utils.js',
   'client/core/theme-service.js',
+  'client/core/number-format.js',
   'client/core/results-panel.js',
+  'client/core/results-history.js',
+  'client/core/math-render.js',
   'client/core/format-utils.js',
   'client/core/vector.js',
+  'client/core/vector-n.js',
   'client/core/animator.js',
   'client/core/coordinate-system.js',
+  'client/core/view-controller.js',
   'client/app.js',
   'client/entities/matrix.js',
+  'client/entities/tensor.js',
+  'client/entities/fraction.js',
+  'client/entities/radical.js',
   'client/modes/vector-sidebar.js',
   'client/modes/vector-canvas.js',
   'client/modes/vector-operations.js',
@@ -39,7 +50,10 @@ const jsFiles = [
   'client/modes/matrix-operations.js',
   'client/modes/matrix-mode.js',
   'client/modes/tensor-canvas-3d.js',
+  'client/modes/tensor-operations.js',
   'client/modes/tensor-mode.js',
+  'client/modes/vector3d-operations.js',
+  'client/modes/vector3d-mode.js',
   'client/linear-algebra.js'
 ];
 
@@ -60,7 +74,8 @@ const cssFiles = [
   'client/layout.css',
   'client/vector-mode.css',
   'client/matrix-mode.css',
-  'client/tensor-mode.css'
+  'client/tensor-mode.css',
+  'client/vector3d-mode.css'
 ];
 
 // Minify content using esbuild transform API (no temp files needed)
@@ -217,6 +232,10 @@ async function build() {
       path.join(DIST_CLIENT_DIR, 'help-content-tensor.html'),
       fs.readFileSync(path.join(__dirname, 'client', 'help-content-tensor.html'), 'utf8')
     );
+    fs.writeFileSync(
+      path.join(DIST_CLIENT_DIR, 'help-content-vector3d.html'),
+      fs.readFileSync(path.join(__dirname, 'client', 'help-content-vector3d.html'), 'utf8')
+    );
     console.log('✓ Static files copied');
 
     // Copy Design System fonts
@@ -113,4 +113,32 @@ class Animator {
       end.lineWidth
     );
   }
+
+  /**
+   * Interpolate a transformation from the identity to a matrix
+   * Rotation/uniform-scaling matrices [a −b; b a] blend angle and scale, so the
+   * grid turns instead of collapsing through the origin; all others blend entrywise.
+   * @param {Matrix} matrix - Target 2×2 matrix
+   * @param {number} progress - Progress from 0 (identity) to 1 (matrix)
+   * @returns {Matrix} - Intermediate matrix
+   */
+  static interpolateFromIdentity(matrix, progress) {
+    const [[a, b], [c, d]] = matrix.data;
+    const scale = Math.hypot(a, c);
+    const isRotation = Math.abs(a - d) < 1e-10 && Math.abs(b + c) < 1e-10 && scale > 1e-10;
+
+    if (isRotation) {
+      const angle = Math.atan2(c, a) * progress;
+      const k = Animator.lerp(1, scale, progress);
+      return new Matrix(2, 2, [
+        [k * Math.cos(angle), -k * Math.sin(angle)],
+        [k * Math.sin(angle), k * Math.cos(angle)]
+      ]);
+    }
+
+    return new Matrix(2, 2, [
+      [Animator.lerp(1, a, progress), Animator.lerp(0, b, progress)],
+      [Animator.lerp(0, c, progress), Animator.lerp(1, d, progress)]
+    ]);
+  }
 }
@@ -1,6 +1,7 @@
 /**
  * Color Utilities
- * Provides functions to extract colors from CSS custom properties
+ * Provides functions to extract colors from CSS custom properties and to
+ * map values onto color scales
  */
 
 (function() {
@@ -25,8 +26,49 @@
     };
   }
 
+  /**
+   * Parse a '#rrggbb' color
+   * @param {string} hex - Hex color
+   * @returns {{r: number, g: number, b: number}}
+   */
+  function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+  }
+
+  /**
+   * Blend two hex colors
+   * @param {string} from - Color at t = 0
+   * @param {string} to - Color at t = 1
+   * @param {number} t - Blend amount (0-1)
+   * @returns {string} 'rgb(r, g, b)'
+   */
+  function mixColors(from, to, t) {
+    const a = hexToRgb(from);
+    const b = hexToRgb(to);
+    const mix = (x, y) => Math.round(x + (y - x) * t);
+    return `rgb(${mix(a.r, b.r)}, ${mix(a.g, b.g)}, ${mix(a.b, b.b)})`;
+  }
+
+  /**
+   * Color of a value on a diverging scale centered on zero
+   * @param {number} value - Value to color
+   * @param {number} maxAbs - Magnitude that maps to the ends of the scale
+   * @param {Object} palette - { negative, zero, positive } hex colors
+   * @returns {string} 'rgb(r, g, b)'
+   */
+  function divergingColor(value, maxAbs, palette) {
+    const t = maxAbs > 1e-10 ? Math.max(-1, Math.min(1, value / maxAbs)) : 0;
+    return t < 0
+      ? mixColors(palette.zero, palette.negative, -t)
+      : mixColors(palette.zero, palette.positive, t);
+  }
+
   // Export to global scope
   window.ColorUtils = {
-    getColorsFromCSS
+    getColorsFromCSS,
+    hexToRgb,
+    mixColors,
+    divergingColor
   };
 })();
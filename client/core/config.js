@@ -10,7 +10,7 @@
   // Default configuration
   const DEFAULT_CONFIG = {
     defaultMode: 'vector',
-    enabledModes: ['vector', 'matrix', 'tensor'],
+    enabledModes: ['vector', 'matrix', 'tensor', 'vector3d'],
     vectorMode: {
       maxVectors: 2,
       operationGroups: {
@@ -27,6 +27,7 @@
     matrixMode: {
       maxMatrices: 2,
       includeVector: false,
+      showWarpedGrid: false,
       operationGroups: {
         determinant: true
       }
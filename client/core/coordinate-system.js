@@ -16,6 +16,12 @@ class CoordinateSystem {
     this.centerX = 0;
     this.centerY = 0;
 
+    // View state: zoom in pixels per unit and pan offset of the origin from the canvas center
+    this.scale = styleConstants.gridSize;
+    this.panX = 0;
+    this.panY = 0;
+    this.viewChangeCallbacks = [];
+
     if (!skipAutoSetup) {
       this.setupCanvas();
     }
@@ -76,8 +82,8 @@ class CoordinateSystem {
    * @returns {object} - {x, y} in mathematical coordinates
    */
   screenToMath(screenX, screenY) {
-    const mathX = (screenX - this.centerX) / this.styleConstants.gridSize;
-    const mathY = -(screenY - this.centerY) / this.styleConstants.gridSize;
+    const mathX = (screenX - this.originX) / this.scale;
+    const mathY = -(screenY - this.originY) / this.scale;
     return { x: mathX, y: mathY };
   }
 
@@ -88,11 +94,27 @@ class CoordinateSystem {
    * @returns {object} - {x, y} in screen coordinates
    */
   mathToScreen(mathX, mathY) {
-    const screenX = this.centerX + mathX * this.styleConstants.gridSize;
-    const screenY = this.centerY - mathY * this.styleConstants.gridSize;
+    const screenX = this.originX + mathX * this.scale;
+    const screenY = this.originY - mathY * this.scale;
     return { x: screenX, y: screenY };
   }
 
+  /**
+   * Screen X of the mathematical origin
+   * @returns {number}
+   */
+  get originX() {
+    return this.centerX + this.panX;
+  }
+
+  /**
+   * Screen Y of the mathematical origin
+   * @returns {number}
+   */
+  get originY() {
+    return this.centerY + this.panY;
+  }
+
   /**
    * Snap a value to the nearest 0.5 increment
    * @param {number} value - Value to snap
@@ -102,6 +124,178 @@ class CoordinateSystem {
     return Math.round(value * 2) / 2; // Snap to 0.5 increments
   }
 
+  // ============================================================================
+  // VIEW (ZOOM AND PAN)
+  // ============================================================================
+
+  /**
+   * Register callback to be called when the view is zoomed or panned
+   * @param {function} callback - Function to call after a view change
+   * @returns {function} - Unsubscribe function
+   */
+  onViewChange(callback) {
+    this.viewChangeCallbacks.push(callback);
+    return () => {
+      this.viewChangeCallbacks = this.viewChangeCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify view change listeners
+   * @private
+   */
+  notifyViewChange() {
+    this.viewChangeCallbacks.forEach(callback => callback());
+  }
+
+  /**
+   * Zoom by a factor while keeping the math point under a screen position fixed
+   * @param {number} screenX - Zoom anchor X in screen space
+   * @param {number} screenY - Zoom anchor Y in screen space
+   * @param {number} factor - Scale multiplier (> 1 zooms in)
+   */
+  zoomAt(screenX, screenY, factor) {
+    const { minScale, maxScale } = this.styleConstants.view;
+    const newScale = Math.min(maxScale, Math.max(minScale, this.scale * factor));
+    if (Math.abs(newScale - this.scale) < 1e-10) return;
+
+    const anchor = this.screenToMath(screenX, screenY);
+    this.scale = newScale;
+    this.panX = screenX - this.centerX - anchor.x * newScale;
+    this.panY = screenY - this.centerY + anchor.y * newScale;
+    this.notifyViewChange();
+  }
+
+  /**
+   * Zoom about the canvas center
+   * @param {number} factor - Scale multiplier (> 1 zooms in)
+   */
+  zoomBy(factor) {
+    this.zoomAt(this.centerX, this.centerY, factor);
+  }
+
+  /**
+   * Move the view by a screen-space offset
+   * @param {number} dx - Horizontal offset in pixels
+   * @param {number} dy - Vertical offset in pixels
+   */
+  panBy(dx, dy) {
+    if (dx === 0 && dy === 0) return;
+    this.panX += dx;
+    this.panY += dy;
+    this.notifyViewChange();
+  }
+
+  /**
+   * Restore the default view: origin centered at the default grid size
+   */
+  resetView() {
+    this.scale = this.styleConstants.gridSize;
+    this.panX = 0;
+    this.panY = 0;
+    this.notifyViewChange();
+  }
+
+  /**
+   * Zoom and pan so every point (and the origin) is visible
+   * @param {Array<{x: number, y: number}>} points - Points in math coordinates
+   * @param {number} [padding] - Screen margin in pixels (default: view.fitPadding)
+   */
+  fitBounds(points, padding = this.styleConstants.view.fitPadding) {
+    // Always include the origin, since vectors are drawn from it
+    let minX = 0, maxX = 0, minY = 0, maxY = 0;
+    points.forEach(({ x, y }) => {
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    });
+
+    // Keep at least one unit around the origin so a single short vector doesn't fill the screen
+    const spanX = Math.max(maxX - minX, 1);
+    const spanY = Math.max(maxY - minY, 1);
+    const availableWidth = Math.max(this.width - 2 * padding, 1);
+    const availableHeight = Math.max(this.height - 2 * padding, 1);
+
+    const { minScale, maxScale } = this.styleConstants.view;
+    const fitScale = Math.min(availableWidth / spanX, availableHeight / spanY);
+    this.scale = Math.min(maxScale, Math.max(minScale, fitScale));
+
+    // Center the bounding box
+    this.panX = -((minX + maxX) / 2) * this.scale;
+    this.panY = ((minY + maxY) / 2) * this.scale;
+    this.notifyViewChange();
+  }
+
+  /**
+   * Smallest 1-2-5 step (in units) whose on-screen spacing is at least minPixels
+   * @param {number} minPixels - Minimum spacing between lines in pixels
+   * @returns {number} - Step in math units
+   * @private
+   */
+  niceStep(minPixels) {
+    const raw = minPixels / this.scale;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const multiplier = [1, 2, 5, 10].find(m => m * magnitude >= raw - 1e-10);
+    return multiplier * magnitude;
+  }
+
+  /**
+   * Spacing of grid lines in math units for the current zoom level
+   * @returns {number}
+   */
+  gridStep() {
+    return this.niceStep(this.styleConstants.view.minGridSpacing);
+  }
+
+  /**
+   * Spacing of axis tick labels in math units, always a multiple of the grid step
+   * @returns {number}
+   */
+  labelStep() {
+    const gridStep = this.gridStep();
+    let step = gridStep;
+    while (step * this.scale < this.styleConstants.view.minLabelSpacing) {
+      step += gridStep;
+    }
+    return step;
+  }
+
+  /**
+   * Visible math-space rectangle
+   * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+   */
+  visibleBounds() {
+    const topLeft = this.screenToMath(0, 0);
+    const bottomRight = this.screenToMath(this.width, this.height);
+    return { minX: topLeft.x, maxX: bottomRight.x, minY: bottomRight.y, maxY: topLeft.y };
+  }
+
+  /**
+   * Distance in math units from the origin to the farthest canvas corner
+   * Lines through the origin this long always cross the whole canvas.
+   * @returns {number}
+   */
+  visibleRadius() {
+    const dx = Math.max(this.originX, this.width - this.originX);
+    const dy = Math.max(this.originY, this.height - this.originY);
+    return Math.hypot(dx, dy) / this.scale;
+  }
+
+  /**
+   * Format a tick value without floating point noise (0.30000000000000004 → 0.3)
+   * @param {number} value - Tick value
+   * @param {number} step - Tick step, which determines the number of decimals
+   * @returns {string}
+   * @private
+   */
+  formatTick(value, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-10));
+    const text = value.toFixed(decimals);
+    return Number(text) === 0 ? '0' : text;
+  }
+
   // ============================================================================
   // RENDERING
   // ============================================================================
@@ -120,8 +314,12 @@ class CoordinateSystem {
     this.ctx.strokeStyle = this.colors.grid;
     this.ctx.lineWidth = this.styleConstants.gridLineWidth;
 
+    const step = this.gridStep();
+    const bounds = this.visibleBounds();
+
     // Vertical lines
-    for (let x = this.centerX % this.styleConstants.gridSize; x < this.width; x += this.styleConstants.gridSize) {
+    for (let i = Math.ceil(bounds.minX / step); i * step <= bounds.maxX; i++) {
+      const x = this.mathToScreen(i * step, 0).x;
       this.ctx.beginPath();
       this.ctx.moveTo(x, 0);
       this.ctx.lineTo(x, this.height);
@@ -129,7 +327,8 @@ class CoordinateSystem {
     }
 
     // Horizontal lines
-    for (let y = this.centerY % this.styleConstants.gridSize; y < this.height; y += this.styleConstants.gridSize) {
+    for (let i = Math.ceil(bounds.minY / step); i * step <= bounds.maxY; i++) {
+      const y = this.mathToScreen(0, i * step).y;
       this.ctx.beginPath();
       this.ctx.moveTo(0, y);
       this.ctx.lineTo(this.width, y);
@@ -137,8 +336,97 @@ class CoordinateSystem {
     }
   }
 
+  /**
+   * Draw the image of the grid lines under a 2×2 matrix (at the current grid step)
+   * Linear maps send lines to lines, so each grid line is drawn as one segment.
+   * @param {Matrix} matrix - Transformation applied to the grid
+   * @param {object} [options] - Drawing options
+   * @param {string} [options.color] - Line color (default: axis color)
+   * @param {number} [options.opacity=1] - Line opacity
+   * @param {number} [options.lineWidth] - Line width (default: grid line width)
+   * @param {boolean} [options.highlightAxes=false] - Draw the images of the x and y axes at axis width
+   */
+  drawTransformedGrid(matrix, options = {}) {
+    const {
+      color = this.colors.axis,
+      opacity = 1,
+      lineWidth = this.styleConstants.gridLineWidth,
+      highlightAxes = false
+    } = options;
+
+    const [[a, b], [c, d]] = matrix.data;
+    const extent = this.transformedGridExtent(matrix);
+    const step = this.gridStep();
+    const lines = Math.ceil(extent / step);
+    const toScreen = (x, y) => this.mathToScreen(a * x + b * y, c * x + d * y);
+
+    this.ctx.save();
+    this.ctx.strokeStyle = color;
+    this.ctx.globalAlpha = opacity;
+    this.ctx.lineWidth = lineWidth;
+    this.ctx.beginPath();
+
+    for (let i = -lines; i <= lines; i++) {
+      const k = i * step;
+
+      // Image of the vertical line x = k
+      const v1 = toScreen(k, -extent);
+      const v2 = toScreen(k, extent);
+      this.ctx.moveTo(v1.x, v1.y);
+      this.ctx.lineTo(v2.x, v2.y);
+
+      // Image of the horizontal line y = k
+      const h1 = toScreen(-extent, k);
+      const h2 = toScreen(extent, k);
+      this.ctx.moveTo(h1.x, h1.y);
+      this.ctx.lineTo(h2.x, h2.y);
+    }
+
+    this.ctx.stroke();
+
+    if (highlightAxes) {
+      // Images of the axes run along the transformed basis vectors
+      const xStart = toScreen(-extent, 0);
+      const xEnd = toScreen(extent, 0);
+      const yStart = toScreen(0, -extent);
+      const yEnd = toScreen(0, extent);
+      this.ctx.lineWidth = this.styleConstants.axisLineWidth;
+      this.ctx.beginPath();
+      this.ctx.moveTo(xStart.x, xStart.y);
+      this.ctx.lineTo(xEnd.x, xEnd.y);
+      this.ctx.moveTo(yStart.x, yStart.y);
+      this.ctx.lineTo(yEnd.x, yEnd.y);
+      this.ctx.stroke();
+    }
+
+    this.ctx.restore();
+  }
+
+  /**
+   * How far the source lattice must span so its image covers the canvas
+   * The visible radius is divided by the matrix's smallest singular value, capped so
+   * near-singular matrices don't produce thousands of overlapping lines.
+   * @param {Matrix} matrix - 2×2 transformation
+   * @returns {number} - Half-width of the source lattice in math units
+   */
+  transformedGridExtent(matrix) {
+    const visibleRadius = this.visibleRadius();
+
+    // Singular values of a 2×2 matrix from the eigenvalues of AᵀA
+    const [[a, b], [c, d]] = matrix.data;
+    const p = a * a + c * c;
+    const q = b * b + d * d;
+    const r = a * b + c * d;
+    const smallest = Math.sqrt(Math.max(0, (p + q) / 2 - Math.sqrt(((p - q) / 2) ** 2 + r * r)));
+
+    const stretch = Math.min(1 / Math.max(smallest, 1e-10), 4);
+    return visibleRadius * Math.max(stretch, 1);
+  }
+
   /**
    * Draw the X and Y axes with labels
+   * Tick labels thin out as the view zooms out; when an axis is panned off-screen
+   * its labels stay pinned to the nearest canvas edge.
    */
   drawAxes() {
     this.ctx.strokeStyle = this.colors.axis;
@@ -148,53 +436,60 @@ class CoordinateSystem {
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
 
+    const originX = this.originX;
+    const originY = this.originY;
+
     // X-axis
     this.ctx.beginPath();
-    this.ctx.moveTo(0, this.centerY);
-    this.ctx.lineTo(this.width, this.centerY);
+    this.ctx.moveTo(0, originY);
+    this.ctx.lineTo(this.width, originY);
     this.ctx.stroke();
 
     // Y-axis
     this.ctx.beginPath();
-    this.ctx.moveTo(this.centerX, 0);
-    this.ctx.lineTo(this.centerX, this.height);
+    this.ctx.moveTo(originX, 0);
+    this.ctx.lineTo(originX, this.height);
     this.ctx.stroke();
 
+    // Where tick labels go, clamped so they stay readable when the axes leave the canvas
+    const xLabelY = Math.min(Math.max(originY + 15, 10), this.height - 10);
+    const yLabelX = Math.min(Math.max(originX - 15, 15), this.width - 15);
+
     // Draw tick marks and labels
-    const maxUnits = Math.ceil(Math.max(this.width, this.height) / this.styleConstants.gridSize / 2);
+    const step = this.labelStep();
+    const bounds = this.visibleBounds();
 
-    for (let i = -maxUnits; i <= maxUnits; i++) {
+    for (let i = Math.ceil(bounds.minX / step); i * step <= bounds.maxX; i++) {
       if (i === 0) continue;
+      const value = i * step;
+      const screenX = this.mathToScreen(value, 0).x;
 
-      const screenX = this.centerX + i * this.styleConstants.gridSize;
-      const screenY = this.centerY - i * this.styleConstants.gridSize;
+      this.ctx.beginPath();
+      this.ctx.moveTo(screenX, originY - 5);
+      this.ctx.lineTo(screenX, originY + 5);
+      this.ctx.stroke();
+      this.ctx.fillText(this.formatTick(value, step), screenX, xLabelY);
+    }
 
-      // X-axis ticks
-      if (screenX >= 0 && screenX <= this.width) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(screenX, this.centerY - 5);
-        this.ctx.lineTo(screenX, this.centerY + 5);
-        this.ctx.stroke();
-        this.ctx.fillText(i.toString(), screenX, this.centerY + 15);
-      }
+    for (let i = Math.ceil(bounds.minY / step); i * step <= bounds.maxY; i++) {
+      if (i === 0) continue;
+      const value = i * step;
+      const screenY = this.mathToScreen(0, value).y;
 
-      // Y-axis ticks
-      if (screenY >= 0 && screenY <= this.height) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.centerX - 5, screenY);
-        this.ctx.lineTo(this.centerX + 5, screenY);
-        this.ctx.stroke();
-        this.ctx.fillText(i.toString(), this.centerX - 15, screenY);
-      }
+      this.ctx.beginPath();
+      this.ctx.moveTo(originX - 5, screenY);
+      this.ctx.lineTo(originX + 5, screenY);
+      this.ctx.stroke();
+      this.ctx.fillText(this.formatTick(value, step), yLabelX, screenY);
     }
 
     // Draw origin label
-    this.ctx.fillText('0', this.centerX - 15, this.centerY + 15);
+    this.ctx.fillText('0', originX - 15, originY + 15);
 
     // Draw axis labels
     this.ctx.font = 'bold 14px Arial';
-    this.ctx.fillText('x', this.width - 20, this.centerY + 20);
-    this.ctx.fillText('y', this.centerX + 20, 20);
+    this.ctx.fillText('x', this.width - 20, Math.min(Math.max(originY + 20, 20), this.height - 20));
+    this.ctx.fillText('y', Math.min(Math.max(originX + 20, 20), this.width - 20), 20);
   }
 
   /**
@@ -2,83 +2,126 @@
  * Format Utilities
  * Shared formatting functions for matrices and vectors
  * Used by both VectorMode and MatrixMode for consistent result display
+ * Matrices and vectors are written as MathML through MathRender (core/math-render.js)
  */
 
 (function() {
+  // ============================================================================
+  // MATH NODES (for building whole formulas with MathRender)
+  // ============================================================================
+
+  /**
+   * Math node for a matrix in square brackets
+   * @param {Matrix} matrix - Matrix instance
+   * @param {number} [precision=1] - Decimal places
+   * @returns {{mathml: string, latex: string}} - MathRender node
+   */
+  function matrixNode(matrix, precision = 1) {
+    const rows = [];
+    for (let i = 0; i < matrix.rows; i++) {
+      const entries = [];
+      for (let j = 0; j < matrix.cols; j++) {
+        entries.push(MathRender.num(matrix.get(i, j), precision));
+      }
+      rows.push(entries);
+    }
+    return MathRender.matrix(rows);
+  }
+
+  /**
+   * Math node for a column vector in square brackets
+   * @param {Vector|VectorN} vector - Vector instance (any number of components)
+   * @param {number} [precision=1] - Decimal places
+   * @returns {{mathml: string, latex: string}} - MathRender node
+   */
+  function vectorNode(vector, precision = 1) {
+    return MathRender.column(getComponents(vector).map(component => MathRender.num(component, precision)));
+  }
+
+  // ============================================================================
+  // RENDERED HTML
+  // ============================================================================
+
   /**
-   * Format a matrix as an HTML grid element
+   * Format a matrix as inline MathML
    * @param {Matrix} matrix - Matrix instance to format
    * @param {number} [precision=1] - Decimal places
-   * @returns {string} - HTML string with matrix grid
+   * @returns {string} - HTML string with a <math> element
    */
   function formatMatrixAsGrid(matrix, precision = 1) {
     if (!matrix) return '';
-
-    const rows = matrix.rows;
-    const cols = matrix.cols;
-    // Create inline grid without padding/background for results display
-    let html = '<span style="display: inline-flex; flex-direction: column; gap: 0.125rem; margin: 0 0.25rem; vertical-align: middle;">';
-
-    for (let i = 0; i < rows; i++) {
-      html += '<span style="display: flex; gap: 0.25rem; justify-content: center;">';
-      for (let j = 0; j < cols; j++) {
-        const value = matrix.get(i, j).toFixed(precision);
-        html += `<span style="display: inline-block; min-width: 2.5em; text-align: center; font-family: monospace;">${value}</span>`;
-      }
-      html += '</span>';
-    }
-    html += '</span>';
-    return html;
+    return MathRender.render(matrixNode(matrix, precision));
   }
 
   /**
    * Format a vector as a string
-   * @param {Vector} vector - Vector instance to format
+   * @param {Vector|VectorN} vector - Vector instance to format
    * @param {number} [precision=1] - Decimal places
    * @returns {string} - Formatted vector string like [x, y]
    */
   function formatVector(vector, precision = 1) {
     if (!vector) return '';
-    return `[${vector.x.toFixed(precision)}, ${vector.y.toFixed(precision)}]`;
+    return `[${getComponents(vector).map(c => c.toFixed(precision)).join(', ')}]`;
   }
 
   /**
-   * Format a vector as an HTML column vector (vertical display)
-   * @param {Vector} vector - Vector instance to format
+   * Format a vector as an inline MathML column vector
+   * @param {Vector|VectorN} vector - Vector instance to format (any number of components)
    * @param {number} [precision=1] - Decimal places
-   * @returns {string} - HTML string with column vector
+   * @returns {string} - HTML string with a <math> element
    */
   function formatVectorAsColumn(vector, precision = 1) {
     if (!vector) return '';
-    // Create inline column display similar to formatMatrixAsGrid but for a single column
-    let html = '<span style="display: inline-flex; flex-direction: column; gap: 0.125rem; margin: 0 0.25rem; vertical-align: middle;">';
-    html += '<span style="display: flex; gap: 0.25rem; justify-content: center;">';
-    html += `<span style="display: inline-block; min-width: 2.5em; text-align: center; font-family: monospace;">${vector.x.toFixed(precision)}</span>`;
-    html += '</span>';
-    html += '<span style="display: flex; gap: 0.25rem; justify-content: center;">';
-    html += `<span style="display: inline-block; min-width: 2.5em; text-align: center; font-family: monospace;">${vector.y.toFixed(precision)}</span>`;
-    html += '</span>';
-    html += '</span>';
-    return html;
+    return MathRender.render(vectorNode(vector, precision));
+  }
+
+  /**
+   * Read the component list of a 2D Vector or a VectorN
+   * @param {Vector|VectorN} vector - Vector instance
+   * @returns {number[]} - Components in order
+   * @private
+   */
+  function getComponents(vector) {
+    return Array.isArray(vector.components) ? vector.components : [vector.x, vector.y];
   }
 
   /**
    * Format intermediate calculation values as a column vector
    * @param {number} top - Top component value
    * @param {number} bottom - Bottom component value
-   * @param {number} [precision=2] - Decimal places
-   * @returns {string} - HTML string with column vector
+   * @param {number} [precision=1] - Decimal places
+   * @returns {string} - HTML string with a <math> element
    */
   function formatIntermediateAsColumn(top, bottom, precision = 1) {
-    let html = '<span style="display: inline-flex; flex-direction: column; gap: 0.125rem; margin: 0 0.25rem; vertical-align: middle;">';
-    html += '<span style="display: flex; gap: 0.25rem; justify-content: center;">';
-    html += `<span style="display: inline-block; min-width: 2.5em; text-align: center; font-family: monospace;">${top.toFixed(precision)}</span>`;
-    html += '</span>';
-    html += '<span style="display: flex; gap: 0.25rem; justify-content: center;">';
-    html += `<span style="display: inline-block; min-width: 2.5em; text-align: center; font-family: monospace;">${bottom.toFixed(precision)}</span>`;
-    html += '</span>';
-    html += '</span>';
-    return html;
+    return MathRender.render(MathRender.column([
+      MathRender.num(top, precision),
+      MathRender.num(bottom, precision)
+    ]));
+  }
+
+  /**
+   * Math node for the entries of Ax written out (e.g. "a·x + b·y" over "c·x + d·y")
+   * @param {number} a - Matrix element a (row 0, col 0)
+   * @param {number} b - Matrix element b (row 0, col 1)
+   * @param {number} c - Matrix element c (row 1, col 0)
+   * @param {number} d - Matrix element d (row 1, col 1)
+   * @param {number} x - Vector x component
+   * @param {number} y - Vector y component
+   * @param {number} [precision=0] - Decimal places
+   * @returns {{mathml: string, latex: string}} - MathRender node
+   */
+  function intermediateFormulaNode(a, b, c, d, x, y, precision = 0) {
+    // Negative factors are bracketed so "2·(−3)" never reads as a subtraction
+    const factor = (value) => {
+      const node = MathRender.num(value, precision);
+      return value < 0 && node.mathml.includes('<mo>−</mo>') ? MathRender.row('(', node, ')') : node;
+    };
+    const term = (m, v) => MathRender.row(factor(m), '·', factor(v));
+
+    return MathRender.column([
+      MathRender.row(term(a, x), '+', term(b, y)),
+      MathRender.row(term(c, x), '+', term(d, y))
+    ]);
   }
 
   /**
@@ -90,45 +133,43 @@
    * @param {number} x - Vector x component
    * @param {number} y - Vector y component
    * @param {number} [precision=0] - Decimal places
-   * @returns {string} - HTML string with column vector showing calculation formula
+   * @returns {string} - HTML string with a <math> element
    */
   function formatIntermediateFormulaAsColumn(a, b, c, d, x, y, precision = 0) {
-    // Round values to specified precision
-    const roundValue = (val) => {
-      const factor = Math.pow(10, precision);
-      return Math.round(val * factor) / factor;
-    };
+    return MathRender.render(intermediateFormulaNode(a, b, c, d, x, y, precision));
+  }
 
-    const aVal = roundValue(a);
-    const bVal = roundValue(b);
-    const cVal = roundValue(c);
-    const dVal = roundValue(d);
-    const xVal = roundValue(x);
-    const yVal = roundValue(y);
-
-    // Format top: a·x + b·y
-    const topFormula = `${aVal.toFixed(precision)}·${xVal.toFixed(precision)} + ${bVal.toFixed(precision)}·${yVal.toFixed(precision)}`;
-    // Format bottom: c·x + d·y
-    const bottomFormula = `${cVal.toFixed(precision)}·${xVal.toFixed(precision)} + ${dVal.toFixed(precision)}·${yVal.toFixed(precision)}`;
-
-    let html = '<span style="display: inline-flex; flex-direction: column; gap: 0.125rem; margin: 0 0.25rem; vertical-align: middle;">';
-    html += '<span style="display: flex; gap: 0.25rem; justify-content: center;">';
-    html += `<span style="display: inline-block; text-align: center; font-family: monospace;">${topFormula}</span>`;
-    html += '</span>';
-    html += '<span style="display: flex; gap: 0.25rem; justify-content: center;">';
-    html += `<span style="display: inline-block; text-align: center; font-family: monospace;">${bottomFormula}</span>`;
-    html += '</span>';
-    html += '</span>';
-    return html;
+  /**
+   * Format formula strings (e.g. per-component formulas) as a MathML column
+   * @param {string[]} entries - One formula per row, like '(1.0)(2.0) − (3.0)(4.0)'
+   * @returns {string} - HTML string with a <math> element
+   */
+  function formatTextAsColumn(entries) {
+    return MathRender.render(MathRender.column(entries));
+  }
+
+  /**
+   * Format a non-negative integer with Unicode subscript digits
+   * @param {number} n - Integer to format
+   * @returns {string} - Subscript string (e.g. 12 → '₁₂')
+   */
+  function subscript(n) {
+    const digits = '₀₁₂₃₄₅₆₇₈₉';
+    return String(n).replace(/[0-9]/g, d => digits[Number(d)]);
   }
 
   // Export to global scope
   window.FormatUtils = {
+    matrixNode,
+    vectorNode,
+    intermediateFormulaNode,
     formatMatrixAsGrid,
     formatVector,
     formatVectorAsColumn,
     formatIntermediateAsColumn,
-    formatIntermediateFormulaAsColumn
+    formatIntermediateFormulaAsColumn,
+    formatTextAsColumn,
+    subscript
   };
 })();
 
@@ -10,7 +10,7 @@
 
   /**
    * Load help content from template file
-   * @param {string} mode - Mode name ('vector', 'matrix', or 'tensor')
+   * @param {string} mode - Mode name ('vector', 'matrix', 'tensor' or 'vector3d')
    * @returns {Promise<string>} Promise that resolves to help content HTML
    */
   async function loadHelpContent(mode = 'vector') {
@@ -20,6 +20,8 @@
       filename = 'help-content-matrix.html';
     } else if (mode === 'tensor') {
       filename = 'help-content-tensor.html';
+    } else if (mode === 'vector3d') {
+      filename = 'help-content-vector3d.html';
     }
 
     // Return cached promise if it exists
@@ -49,7 +51,7 @@
    * Modes can append additional content using appendHelpContent()
    * @param {Object} options - Initialization options
    * @param {string} options.triggerSelector - CSS selector for help button
-   * @param {string} [options.mode] - Mode name ('vector', 'matrix', or 'tensor'), defaults to 'vector'
+   * @param {string} [options.mode] - Mode name ('vector', 'matrix', 'tensor' or 'vector3d'), defaults to 'vector'
    * @param {string} [options.additionalContent] - Additional HTML content to append
    * @param {string} [options.theme] - Theme mode ('auto', 'light', 'dark')
    * @returns {Promise<void>}
@@ -104,7 +106,7 @@
    * Append additional content to the help modal
    * Useful for mode-specific help sections
    * @param {string} content - HTML content to append
-   * @param {string} [mode] - Mode name ('vector', 'matrix', or 'tensor'), defaults to 'vector'
+   * @param {string} [mode] - Mode name ('vector', 'matrix', 'tensor' or 'vector3d'), defaults to 'vector'
    * @returns {Promise<void>}
    */
   async function appendHelpContent(content, mode = 'vector') {
@@ -130,7 +132,7 @@
   /**
    * Update help content for a new mode
    * Loads content for the specified mode and updates the existing HelpModal instance
-   * @param {string} mode - Mode name ('vector', 'matrix', or 'tensor')
+   * @param {string} mode - Mode name ('vector', 'matrix', 'tensor' or 'vector3d')
    * @returns {Promise<void>}
    */
   async function updateHelpContent(mode = 'vector') {
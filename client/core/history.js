@@ -0,0 +1,217 @@
+/**
+ * History Service
+ * Shared undo/redo command history for all modes
+ * Each entry stores before/after state snapshots tagged with the mode that produced them,
+ * so history survives mode switches (undoing an entry switches back to its mode first)
+ */
+
+(function() {
+  const MAX_ENTRIES = 100;
+  const MERGE_WINDOW_MS = 1000; // Consecutive edits with the same mergeKey inside this window become one entry
+
+  class HistoryService {
+    constructor() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.isApplying = false; // True while a snapshot is being applied (suppresses recording)
+      this.subscribers = [];
+      this.keydownHandler = null;
+    }
+
+    /**
+     * Install the Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) keyboard shortcuts
+     * Safe to call more than once
+     */
+    init() {
+      if (this.keydownHandler) return;
+
+      this.keydownHandler = (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Leave editable fields (number inputs included) with the browser's own undo
+        const target = e.target;
+        if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) {
+          return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          this.redo();
+        }
+      };
+
+      document.addEventListener('keydown', this.keydownHandler);
+    }
+
+    /**
+     * Record a state change
+     * @param {Object} entry - History entry
+     * @param {string} entry.mode - Mode that owns the state ('vector', 'matrix', 'tensor' or 'vector3d')
+     * @param {string} entry.label - Human-readable description (e.g. 'Edit matrix A')
+     * @param {Object} entry.before - Mode state before the change (from mode.getState())
+     * @param {Object} entry.after - Mode state after the change
+     * @param {string} [entry.mergeKey] - Entries with the same key recorded in quick succession are merged
+     */
+    record({ mode, label, before, after, mergeKey = null }) {
+      if (this.isApplying) return;
+
+      const beforeJson = JSON.stringify(before);
+      const afterJson = JSON.stringify(after);
+      if (beforeJson === afterJson) return;
+
+      const now = Date.now();
+      const last = this.undoStack[this.undoStack.length - 1];
+
+      if (mergeKey && last && last.mergeKey === mergeKey && last.mode === mode &&
+          now - last.timestamp < MERGE_WINDOW_MS) {
+        // Typing "1.5" into a cell is one edit, not three
+        last.after = JSON.parse(afterJson);
+        last.timestamp = now;
+      } else {
+        this.undoStack.push({
+          mode,
+          label,
+          before: JSON.parse(beforeJson),
+          after: JSON.parse(afterJson),
+          mergeKey,
+          timestamp: now
+        });
+        if (this.undoStack.length > MAX_ENTRIES) {
+          this.undoStack.shift();
+        }
+      }
+
+      this.redoStack = [];
+      this.notifySubscribers();
+    }
+
+    /**
+     * Undo the most recent entry
+     * @returns {boolean} - True if an entry was undone
+     */
+    undo() {
+      const entry = this.undoStack.pop();
+      if (!entry) return false;
+
+      if (!this.applySnapshot(entry.mode, entry.before)) {
+        this.undoStack.push(entry);
+        return false;
+      }
+
+      this.redoStack.push(entry);
+      logAction(`Undo: ${entry.label}`);
+      if (window.StatusService) {
+        window.StatusService.setStatus(`Undid: ${entry.label}`);
+      }
+      this.notifySubscribers();
+      return true;
+    }
+
+    /**
+     * Redo the most recently undone entry
+     * @returns {boolean} - True if an entry was redone
+     */
+    redo() {
+      const entry = this.redoStack.pop();
+      if (!entry) return false;
+
+      if (!this.applySnapshot(entry.mode, entry.after)) {
+        this.redoStack.push(entry);
+        return false;
+      }
+
+      this.undoStack.push(entry);
+      logAction(`Redo: ${entry.label}`);
+      if (window.StatusService) {
+        window.StatusService.setStatus(`Redid: ${entry.label}`);
+      }
+      this.notifySubscribers();
+      return true;
+    }
+
+    /**
+     * Activate the entry's mode if needed and hand it the snapshot
+     * @param {string} mode - Mode name
+     * @param {Object} state - State snapshot
+     * @returns {boolean} - True if the snapshot was applied
+     * @private
+     */
+    applySnapshot(mode, state) {
+      const manager = window.ModeManager;
+      if (!manager) return false;
+
+      if (manager.getCurrentMode() !== mode) {
+        manager.setMode(mode);
+      }
+
+      const instance = manager.getCurrentModeInstance();
+      if (manager.getCurrentMode() !== mode || !instance || typeof instance.applyState !== 'function') {
+        console.warn(`HistoryService: cannot apply state to mode '${mode}'`);
+        return false;
+      }
+
+      this.isApplying = true;
+      try {
+        instance.applyState(JSON.parse(JSON.stringify(state)));
+      } finally {
+        this.isApplying = false;
+      }
+      return true;
+    }
+
+    canUndo() {
+      return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+      return this.redoStack.length > 0;
+    }
+
+    /**
+     * Drop all entries
+     */
+    clear() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.notifySubscribers();
+    }
+
+    /**
+     * Subscribe to history changes
+     * @param {Function} callback - Called with { canUndo, canRedo } after every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+      if (typeof callback !== 'function') {
+        console.warn('HistoryService.subscribe: callback must be a function');
+        return () => {};
+      }
+
+      this.subscribers.push(callback);
+      return () => {
+        this.subscribers = this.subscribers.filter(cb => cb !== callback);
+      };
+    }
+
+    /**
+     * @private
+     */
+    notifySubscribers() {
+      const status = { canUndo: this.canUndo(), canRedo: this.canRedo() };
+      this.subscribers.forEach(callback => {
+        try {
+          callback(status);
+        } catch (error) {
+          console.error('Error in history subscriber:', error);
+        }
+      });
+    }
+  }
+
+  // Export singleton instance
+  window.HistoryService = new HistoryService();
+})();
@@ -0,0 +1,537 @@
+/**
+ * Math Rendering
+ * Builds math notation once and emits it two ways: MathML for display (rendered
+ * natively by the browser, no fonts or scripts to download) and a LaTeX source string
+ * for copying results into notes or assignments
+ *
+ * Builders return nodes of the form { mathml, latex }. Wherever a builder takes a
+ * part, a plain string is also accepted and read as a formula, e.g. 'v₁ · v₂ = 3.5'
+ * (numbers, names with subscript digits, operators, ², ³).
+ *
+ * A number with an exact value (1/3, √2/2) is written in every number format at once
+ * (see NumberFormatService): each form is a MathML element the stylesheet shows or
+ * hides, and the LaTeX holds all forms between marker characters until render() picks
+ * them apart into one data-latex attribute per format.
+ */
+
+(function() {
+  // ============================================================================
+  // SYMBOL TABLES
+  // ============================================================================
+
+  // Operators and symbols whose LaTeX differs from the character itself
+  const LATEX_SYMBOLS = {
+    '·': '\\cdot',
+    '×': '\\times',
+    '−': '-',
+    '÷': '\\div',
+    '→': '\\to',
+    '↦': '\\mapsto',
+    '≈': '\\approx',
+    '≠': '\\neq',
+    '≤': '\\leq',
+    '≥': '\\geq',
+    '⊥': '\\perp',
+    '‖': '\\|',
+    '⊙': '\\odot',
+    '°': '^{\\circ}',
+    '{': '\\{',
+    '}': '\\}',
+    '%': '\\%',
+    '#': '\\#',
+    '&': '\\&',
+    '_': '\\_'
+  };
+
+  const LATEX_LETTERS = {
+    'α': '\\alpha',
+    'β': '\\beta',
+    'γ': '\\gamma',
+    'θ': '\\theta',
+    'λ': '\\lambda',
+    'μ': '\\mu',
+    'σ': '\\sigma',
+    'φ': '\\varphi',
+    'î': '\\hat{\\imath}',
+    'ĵ': '\\hat{\\jmath}',
+    'û': '\\hat{u}'
+  };
+
+  // Multi-letter names LaTeX already has a command for
+  const LATEX_FUNCTIONS = ['sin', 'cos', 'tan', 'arccos', 'arcsin', 'arctan', 'det', 'exp', 'log', 'ln'];
+
+  // Names read as one word; any other run of letters is a product (Ax is A times x)
+  const FUNCTION_NAMES = [...LATEX_FUNCTIONS, 'proj', 'tr', 'rank', 'rref'];
+
+  // Marks the LaTeX of a number written in every format: START decimal SEP fraction SEP both END
+  // (private-use characters, so they never clash with formula text)
+  const FORMAT_START = '\uE000';
+  const FORMAT_SEPARATOR = '\uE001';
+  const FORMAT_END = '\uE002';
+  const FORMAT_PATTERN = /\uE000([^\uE001]*)\uE001([^\uE001]*)\uE001([^\uE002]*)\uE002/g;
+  const NUMBER_FORMATS = ['decimal', 'fraction', 'both'];
+
+  const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+  const SUPERSCRIPT_DIGITS = { '²': '2', '³': '3', '⁻¹': '-1' };
+
+  // One token of a formula string: a number, a name (optionally followed by a combining
+  // circumflex, as in û₁, and subscript digits), a superscript (² ³ or the inverse ⁻¹), or any other
+  // single character
+  const TOKEN_PATTERN = /\s+|(\d+(?:\.\d+)?)|([A-Za-zα-ωîĵû]+)(̂?)([₀-₉]*)|(⁻¹|[²³])|([^])/gu;
+
+  // ============================================================================
+  // NODE BUILDERS
+  // ============================================================================
+
+  /**
+   * A number; negative values get a proper minus sign
+   * A number (not a preformatted string) whose exact value is known or can be recognized,
+   * like 1/3 or √2/2, also carries its fraction and "both" forms
+   * @param {number|string|Fraction|Radical} value - Number, exact value, or an already formatted number
+   * @param {number} [precision] - Decimal places of the decimal form (as given when omitted)
+   * @returns {{mathml: string, latex: string}}
+   */
+  function num(value, precision) {
+    const exact = typeof value === 'string' || typeof Radical !== 'function' ? null : Radical.from(value);
+    const decimal = decimalNode(typeof value === 'object' && exact ? exact.toNumber() : value, precision);
+    if (!exact) return decimal;
+
+    const exactForm = exactNode(exact);
+    if (exactForm.latex === decimal.latex) return decimal;
+
+    const variant = (node, formats) =>
+      `<mrow class="num-variant ${formats.map(format => `num-in-${format}`).join(' ')}">${node.mathml}</mrow>`;
+
+    if (exact.isRational() && exact.coefficient.isInteger()) {
+      // 2 instead of 2.0; "both" would only repeat it
+      return {
+        mathml: variant(exactForm, ['fraction', 'both']) + variant(decimal, ['decimal']),
+        latex: formatVariants(decimal.latex, exactForm.latex, exactForm.latex)
+      };
+    }
+
+    const separator = op(Number(decimal.latex) === exact.toNumber() ? '=' : '≈');
+    return {
+      mathml: variant(exactForm, ['fraction', 'both']) + variant(separator, ['both']) + variant(decimal, ['decimal', 'both']),
+      latex: formatVariants(decimal.latex, exactForm.latex, joinLatex([exactForm.latex, separator.latex, decimal.latex]))
+    };
+  }
+
+  /**
+   * A number written in decimal, as given or rounded to precision
+   * @private
+   */
+  function decimalNode(value, precision) {
+    let text = typeof value === 'number' && precision !== undefined ? value.toFixed(precision) : String(value);
+    // toFixed can give '-0.0'
+    if (/^-0(\.0*)?$/.test(text)) text = text.slice(1);
+
+    if (text.startsWith('-') || text.startsWith('−')) {
+      const digits = text.slice(1);
+      return {
+        mathml: `<mo>−</mo><mn>${escapeHtml(digits)}</mn>`,
+        latex: `-${digits}`
+      };
+    }
+    return { mathml: `<mn>${escapeHtml(text)}</mn>`, latex: text };
+  }
+
+  /**
+   * An exact value: an integer, a fraction, or a fraction with a root, e.g. 2√3/3
+   * @param {Radical} exact
+   * @returns {{mathml: string, latex: string}}
+   * @private
+   */
+  function exactNode(exact) {
+    const { numerator, denominator } = exact.coefficient;
+    const size = Math.abs(numerator);
+
+    let magnitude = decimalNode(String(size));
+    if (!exact.isRational()) {
+      const root = sqrt(decimalNode(String(exact.radicand)));
+      magnitude = size === 1 ? root : row(magnitude, root);
+    }
+    if (denominator !== 1) {
+      magnitude = frac(magnitude, decimalNode(String(denominator)));
+    }
+
+    return numerator < 0
+      ? { mathml: `<mo>−</mo>${magnitude.mathml}`, latex: `-${magnitude.latex}` }
+      : magnitude;
+  }
+
+  /**
+   * A variable or function name; 'v₁' becomes v with subscript 1 and 'û₂' a hatted u
+   * @param {string} name
+   * @returns {{mathml: string, latex: string}}
+   */
+  function ident(name) {
+    return expr(name);
+  }
+
+  /**
+   * An operator or symbol such as '+', '=', '×'
+   * @param {string} symbol
+   * @returns {{mathml: string, latex: string}}
+   */
+  function op(symbol) {
+    return { mathml: `<mo>${escapeHtml(symbol)}</mo>`, latex: latexSymbol(symbol) };
+  }
+
+  /**
+   * Words inside a formula, e.g. 'for all'
+   * @param {string} words
+   * @returns {{mathml: string, latex: string}}
+   */
+  function text(words) {
+    return {
+      mathml: `<mtext>${escapeHtml(words)}</mtext>`,
+      latex: `\\text{${words.replace(/[\\{}]/g, ch => `\\${ch}`)}}`
+    };
+  }
+
+  /**
+   * Parts written one after another
+   * @param {...(Object|string|number)} parts - Nodes, formula strings or numbers
+   * @returns {{mathml: string, latex: string}}
+   */
+  function row(...parts) {
+    const nodes = parts.map(toNode);
+    return {
+      mathml: `<mrow>${nodes.map(node => node.mathml).join('')}</mrow>`,
+      latex: joinLatex(nodes.map(node => node.latex))
+    };
+  }
+
+  /**
+   * numerator over denominator
+   * @param {Object|string|number} numerator
+   * @param {Object|string|number} denominator
+   * @returns {{mathml: string, latex: string}}
+   */
+  function frac(numerator, denominator) {
+    const top = toNode(numerator);
+    const bottom = toNode(denominator);
+    return {
+      mathml: `<mfrac><mrow>${top.mathml}</mrow><mrow>${bottom.mathml}</mrow></mfrac>`,
+      latex: `\\frac{${top.latex}}{${bottom.latex}}`
+    };
+  }
+
+  /**
+   * base with a subscript, e.g. sub('proj', 'v₂')
+   * @param {Object|string} base
+   * @param {Object|string|number} index
+   * @returns {{mathml: string, latex: string}}
+   */
+  function sub(base, index) {
+    const b = toNode(base);
+    const i = toNode(index);
+    return {
+      mathml: `<msub><mrow>${b.mathml}</mrow><mrow>${i.mathml}</mrow></msub>`,
+      latex: `${wrapLatex(b.latex)}_{${i.latex}}`
+    };
+  }
+
+  /**
+   * base with a superscript, e.g. sup('x', 2)
+   * @param {Object|string} base
+   * @param {Object|string|number} exponent
+   * @returns {{mathml: string, latex: string}}
+   */
+  function sup(base, exponent) {
+    const b = toNode(base);
+    const e = toNode(exponent);
+    return {
+      mathml: `<msup><mrow>${b.mathml}</mrow><mrow>${e.mathml}</mrow></msup>`,
+      latex: `${wrapLatex(b.latex)}^{${e.latex}}`
+    };
+  }
+
+  /**
+   * Square root
+   * @param {Object|string|number} radicand
+   * @returns {{mathml: string, latex: string}}
+   */
+  function sqrt(radicand) {
+    const r = toNode(radicand);
+    return { mathml: `<msqrt>${r.mathml}</msqrt>`, latex: `\\sqrt{${r.latex}}` };
+  }
+
+  /**
+   * Content between delimiters that grow with it, e.g. (…) around a fraction or ‖v‖
+   * @param {string} open - Opening delimiter: '(', '[', '|' or '‖'
+   * @param {Object|string|number} content
+   * @param {string} [close] - Closing delimiter (matches open by default)
+   * @returns {{mathml: string, latex: string}}
+   */
+  function fenced(open, content, close) {
+    const closing = close || { '(': ')', '[': ']' }[open] || open;
+    const inner = toNode(content);
+    return {
+      mathml: `<mrow><mo>${escapeHtml(open)}</mo>${inner.mathml}<mo>${escapeHtml(closing)}</mo></mrow>`,
+      latex: `\\left${latexDelimiter(open)} ${inner.latex} \\right${latexDelimiter(closing)}`
+    };
+  }
+
+  /**
+   * A matrix in square brackets
+   * @param {Array<Array<Object|string|number>>} rows - Entries row by row
+   * @returns {{mathml: string, latex: string}}
+   */
+  function matrix(rows) {
+    const cells = rows.map(entries => entries.map(toNode));
+    const mathmlRows = cells.map(entries =>
+      `<mtr>${entries.map(cell => `<mtd>${cell.mathml}</mtd>`).join('')}</mtr>`
+    ).join('');
+    const latexRows = cells.map(entries => entries.map(cell => cell.latex).join(' & ')).join(' \\\\ ');
+
+    return {
+      mathml: `<mrow><mo>[</mo><mtable>${mathmlRows}</mtable><mo>]</mo></mrow>`,
+      latex: `\\begin{bmatrix} ${latexRows} \\end{bmatrix}`
+    };
+  }
+
+  /**
+   * A column vector in square brackets
+   * @param {Array<Object|string|number>} entries - One entry per row
+   * @returns {{mathml: string, latex: string}}
+   */
+  function column(entries) {
+    return matrix(entries.map(entry => [entry]));
+  }
+
+  /**
+   * Read a formula string into a node, e.g. '(1.0)(2.5) − a₂b₃' or '‖v₁‖²'
+   * @param {string} formula
+   * @returns {{mathml: string, latex: string}}
+   */
+  function expr(formula) {
+    const nodes = [];
+    for (const match of String(formula).matchAll(TOKEN_PATTERN)) {
+      const [, number, name, hat, subscript, superscript, other] = match;
+      if (number) {
+        // A minus with nothing or an opening bracket, comma or operator before it is a sign
+        const last = nodes[nodes.length - 1];
+        const before = nodes[nodes.length - 2];
+        const isSign = last && last.mathml === '<mo>−</mo>' && (!before || /^<mo>[([,=+−×·]<\/mo>$/.test(before.mathml));
+        if (isSign) nodes.pop();
+        nodes.push(num(isSign ? `-${number}` : number));
+      } else if (name) {
+        nodes.push(...nameNodes(name, hat, subscript));
+      } else if (superscript) {
+        const base = nodes.pop() || { mathml: '<mrow></mrow>', latex: '{}' };
+        nodes.push(sup(base, SUPERSCRIPT_DIGITS[superscript]));
+      } else if (other) {
+        nodes.push(op(other === '-' ? '−' : other));
+      }
+    }
+
+    if (nodes.length === 1) return nodes[0];
+    return {
+      mathml: nodes.map(node => node.mathml).join(''),
+      latex: joinLatex(nodes.map(node => node.latex))
+    };
+  }
+
+  // ============================================================================
+  // OUTPUT
+  // ============================================================================
+
+  /**
+   * Render a node as a <math> element; the LaTeX source travels with it (as an
+   * annotation and in data-latex) so copying can recover it
+   * @param {Object|string} node - Node, or a formula string
+   * @param {Object} [options]
+   * @param {boolean} [options.block=false] - Display style on its own line
+   * @returns {string} - HTML string
+   */
+  function render(node, { block = false } = {}) {
+    const n = toNode(node);
+    const display = block ? 'block' : 'inline';
+    const latex = resolveFormat(n.latex, 'decimal');
+
+    // Formulas with exact values get the LaTeX of the other formats too
+    const formatAttributes = n.latex.includes(FORMAT_START)
+      ? NUMBER_FORMATS.slice(1).map(format => ` data-latex-${format}="${escapeHtml(resolveFormat(n.latex, format))}"`).join('')
+      : '';
+
+    return `<math class="math" display="${display}" data-latex="${escapeHtml(latex)}"${formatAttributes}>` +
+      `<semantics><mrow>${n.mathml}</mrow><annotation encoding="application/x-tex">${escapeHtml(latex)}</annotation></semantics>` +
+      '</math>';
+  }
+
+  /**
+   * Plain text of rendered content with each formula as $LaTeX$ (numbers in the current format)
+   * Paragraphs and list items go on their own lines
+   * @param {Node} root - Element or DocumentFragment holding rendered results
+   * @returns {string}
+   */
+  function toText(root) {
+    const format = window.NumberFormatService ? window.NumberFormatService.get() : 'decimal';
+    const lines = [];
+    let current = '';
+
+    const endLine = () => {
+      const line = current.replace(/\s+/g, ' ').trim();
+      if (line) lines.push(line);
+      current = '';
+    };
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        current += node.textContent;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return;
+
+      const tag = node.nodeName.toLowerCase();
+      if (tag === 'math') {
+        const latex = node.getAttribute(`data-latex-${format}`) || node.getAttribute('data-latex');
+        current += latex !== null ? `$${latex}$` : node.textContent;
+        return;
+      }
+
+      const isBlock = ['p', 'li', 'div', 'tr', 'ol', 'ul'].includes(tag);
+      if (isBlock) endLine();
+      node.childNodes.forEach(walk);
+      if (isBlock) endLine();
+    };
+
+    walk(root);
+    endLine();
+    return lines.join('\n');
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Accept a node, a formula string or a number wherever a part is expected
+   * @private
+   */
+  function toNode(part) {
+    if (part && typeof part === 'object' && 'mathml' in part) return part;
+    if (typeof part === 'number') return num(part);
+    return expr(part === undefined || part === null ? '' : String(part));
+  }
+
+  /**
+   * Nodes for a run of letters; the hat and subscript belong to the last letter
+   * @private
+   */
+  function nameNodes(name, hat, subscript) {
+    if (FUNCTION_NAMES.includes(name)) {
+      const latex = LATEX_FUNCTIONS.includes(name) ? `\\${name}` : `\\operatorname{${name}}`;
+      return [{ mathml: `<mi>${name}</mi>`, latex }];
+    }
+
+    const letters = [...name];
+    const last = letters.pop();
+    const nodes = letters.map(letter => letterNode(letter, ''));
+
+    const lastNode = letterNode(last, hat);
+    if (!subscript) return [...nodes, lastNode];
+    const digits = [...subscript].map(d => SUBSCRIPT_DIGITS.indexOf(d)).join('');
+    return [...nodes, sub(lastNode, num(digits))];
+  }
+
+  /**
+   * @private
+   */
+  function letterNode(letter, hat) {
+    const latex = LATEX_LETTERS[letter] || letter;
+    if (!hat) {
+      return { mathml: `<mi>${escapeHtml(letter)}</mi>`, latex };
+    }
+    return {
+      mathml: `<mover accent="true"><mi>${escapeHtml(letter)}</mi><mo>^</mo></mover>`,
+      latex: `\\hat{${latex}}`
+    };
+  }
+
+  /**
+   * LaTeX holding a number in every format (see FORMAT_PATTERN)
+   * @private
+   */
+  function formatVariants(decimal, fraction, both) {
+    return FORMAT_START + [decimal, fraction, both].join(FORMAT_SEPARATOR) + FORMAT_END;
+  }
+
+  /**
+   * Keep one format of every number in a LaTeX string
+   * @param {string} latex - LaTeX that may contain formatVariants() markers
+   * @param {string} format - 'decimal', 'fraction' or 'both'
+   * @private
+   */
+  function resolveFormat(latex, format) {
+    const index = NUMBER_FORMATS.indexOf(format);
+    return latex.replace(FORMAT_PATTERN, (match, ...forms) => forms[index]);
+  }
+
+  /**
+   * @private
+   */
+  function latexSymbol(symbol) {
+    return LATEX_SYMBOLS[symbol] || LATEX_LETTERS[symbol] || symbol;
+  }
+
+  /**
+   * @private
+   */
+  function latexDelimiter(symbol) {
+    if (symbol === '‖') return '\\|';
+    if (symbol === '{' || symbol === '}') return `\\${symbol}`;
+    return symbol;
+  }
+
+  /**
+   * Brace a LaTeX base that is more than one symbol so a sub/superscript applies to all of it
+   * @private
+   */
+  function wrapLatex(latex) {
+    return /^(\\[a-zA-Z]+|.|\\(hat|operatorname)\{\\?[a-zA-Z]+\})$/u.test(latex) ? latex : `{${latex}}`;
+  }
+
+  /**
+   * Join LaTeX pieces with spaces, except inside brackets and before scripts
+   * @private
+   */
+  function joinLatex(pieces) {
+    return pieces.filter(Boolean).reduce((joined, piece) => {
+      const tight = /[([]$/.test(joined) || /^[)\],^_]/.test(piece) || (/\)$/.test(joined) && /^\(/.test(piece));
+      return joined + (joined && !tight ? ' ' : '') + piece;
+    }, '');
+  }
+
+  /**
+   * @private
+   */
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Export to global scope
+  window.MathRender = {
+    num,
+    ident,
+    op,
+    text,
+    row,
+    frac,
+    sub,
+    sup,
+    sqrt,
+    fenced,
+    matrix,
+    column,
+    expr,
+    render,
+    toText
+  };
+})();
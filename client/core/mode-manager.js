@@ -10,6 +10,7 @@
       this.vectorContent = document.querySelector('.mode-content[data-mode="vector"]');
       this.matrixContent = document.querySelector('.mode-content[data-mode="matrix"]');
       this.tensorContent = document.querySelector('.mode-content[data-mode="tensor"]');
+      this.vector3dContent = document.querySelector('.mode-content[data-mode="vector3d"]');
       this.modeButtons = [];
       this.currentMode = null;
       this.currentModeInstance = null;
@@ -28,7 +29,7 @@
     renderModeButtons(enabledModes) {
       if (!Array.isArray(enabledModes) || enabledModes.length === 0) {
         console.warn('Invalid enabledModes, enabling all modes by default');
-        enabledModes = ['vector', 'matrix', 'tensor'];
+        enabledModes = ['vector', 'matrix', 'tensor', 'vector3d'];
       }
 
       // Store enabled modes for validation
@@ -47,7 +48,8 @@
       const modeLabels = {
         vector: 'Vector',
         matrix: 'Matrix',
-        tensor: 'Tensor'
+        tensor: 'Tensor',
+        vector3d: '3D'
       };
 
       // Create buttons for each enabled mode
@@ -155,7 +157,7 @@
     /**
      * Set the active mode
      * Handles teardown of current mode and instantiation of new mode
-     * @param {string} modeName - Mode name ('vector', 'matrix', or 'tensor')
+     * @param {string} modeName - Mode name ('vector', 'matrix', 'tensor' or 'vector3d')
      */
     setMode(modeName) {
       // Validate mode is enabled
@@ -228,7 +230,8 @@
       const contents = {
         vector: this.vectorContent,
         matrix: this.matrixContent,
-        tensor: this.tensorContent
+        tensor: this.tensorContent,
+        vector3d: this.vector3dContent
       };
 
       Object.entries(contents).forEach(([name, element]) => {
@@ -246,7 +249,9 @@
       // Update results overlay visibility
       const resultsOverlays = {
         vector: document.querySelector('#vector-results'),
-        matrix: document.querySelector('#matrix-results')
+        matrix: document.querySelector('#matrix-results'),
+        tensor: document.querySelector('#tensor-results'),
+        vector3d: document.querySelector('#vector3d-results')
       };
 
       Object.entries(resultsOverlays).forEach(([name, element]) => {
@@ -259,6 +264,16 @@
         }
       });
 
+      // The zoom/pan toolbar only applies to the 2D plane
+      const viewControls = document.querySelector('#view-controls');
+      if (viewControls) {
+        viewControls.style.display = (modeName === 'vector' || modeName === 'matrix') ? 'flex' : 'none';
+      }
+      const cameraControls = document.querySelector('#camera-controls');
+      if (cameraControls) {
+        cameraControls.style.display = (modeName === 'tensor' || modeName === 'vector3d') ? 'flex' : 'none';
+      }
+
       // Update switcher buttons
       this.modeButtons.forEach(btn => {
         if (btn.dataset.mode === modeName) {
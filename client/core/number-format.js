@@ -0,0 +1,118 @@
+/**
+ * Number Format Service
+ * Whether results show numbers as decimals (0.33), exact values (1/3, √2/2) or both
+ * (1/3 ≈ 0.33). MathRender writes every form into each formula; the choice is kept on
+ * <html data-number-format> so the stylesheet shows the right one everywhere at once,
+ * including results that are already on screen
+ */
+
+(function() {
+  const STORAGE_KEY = 'linear-algebra-playground.number-format';
+
+  const FORMATS = ['decimal', 'fraction', 'both'];
+
+  const FORMAT_LABELS = {
+    decimal: 'Decimal',
+    fraction: 'Fraction',
+    both: 'Both'
+  };
+
+  class NumberFormatService {
+    constructor() {
+      this.subscribers = [];
+      this.format = this.readStorage();
+      this.applyFormat();
+    }
+
+    /**
+     * @returns {string} - 'decimal', 'fraction' or 'both'
+     */
+    get() {
+      return this.format;
+    }
+
+    /**
+     * @param {string} format - 'decimal', 'fraction' or 'both'
+     */
+    set(format) {
+      if (!FORMATS.includes(format) || format === this.format) return;
+
+      this.format = format;
+      this.applyFormat();
+      this.save();
+      this.subscribers.forEach(callback => {
+        try {
+          callback(format);
+        } catch (error) {
+          console.warn('NumberFormatService: subscriber failed:', error);
+        }
+      });
+      logAction(`Number format set to ${FORMAT_LABELS[format].toLowerCase()}`);
+    }
+
+    /**
+     * Switch to the next format: decimal → fraction → both → decimal
+     */
+    cycle() {
+      this.set(FORMATS[(FORMATS.indexOf(this.format) + 1) % FORMATS.length]);
+    }
+
+    /**
+     * @param {string} [format] - Format (the current one by default)
+     * @returns {string} - Button label, e.g. 'Fraction'
+     */
+    getLabel(format = this.format) {
+      return FORMAT_LABELS[format];
+    }
+
+    /**
+     * Subscribe to format changes
+     * @param {Function} callback - Called with the new format
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+      this.subscribers.push(callback);
+      return () => {
+        this.subscribers = this.subscribers.filter(cb => cb !== callback);
+      };
+    }
+
+    // ============================================================================
+    // STORAGE
+    // ============================================================================
+
+    /**
+     * @private
+     */
+    applyFormat() {
+      document.documentElement.setAttribute('data-number-format', this.format);
+    }
+
+    /**
+     * @private
+     */
+    save() {
+      try {
+        localStorage.setItem(STORAGE_KEY, this.format);
+      } catch (error) {
+        console.warn('NumberFormatService: failed to save number format:', error);
+      }
+    }
+
+    /**
+     * @returns {string} - Saved format, or 'decimal' if missing/unreadable
+     * @private
+     */
+    readStorage() {
+      try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return FORMATS.includes(saved) ? saved : 'decimal';
+      } catch (error) {
+        return 'decimal';
+      }
+    }
+  }
+
+  // Export singleton instance
+  window.NumberFormatService = new NumberFormatService();
+})();
@@ -22,7 +22,12 @@ const MATRIX_OPERATION_GROUPS = {
   scalarMultiplication: 'scalarMultiplication',
   multiplication: 'multiplication',
   determinant: 'determinant',
-  linearTransformation: 'linearTransformation'
+  eigenvectors: 'eigenvectors',
+  rowReduction: 'rowReduction',
+  linearTransformation: 'linearTransformation',
+  solveSystem: 'solveSystem',
+  transformation: 'transformation',
+  warpedGrid: 'warpedGrid'
 };
 
 /**
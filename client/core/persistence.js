@@ -0,0 +1,296 @@
+/**
+ * Persistence Service
+ * Auto-saves each mode's state to localStorage, restores it on reload and on
+ * mode switches, and exports/imports the workspace as a versioned JSON file
+ *
+ * Modes take part by implementing getState()/applyState(state). Saves are
+ * triggered by HistoryService changes, so anything undoable is also saved.
+ */
+
+(function() {
+  const STORAGE_KEY = 'linear-algebra-playground.workspace';
+  const WORKSPACE_VERSION = 1;
+  const SAVE_DELAY_MS = 500;
+  const RETRY_DELAY_MS = 5000;
+
+  class PersistenceService {
+    constructor() {
+      this.modeStates = {}; // Latest known state per mode name
+      this.saveTimer = null;
+      this.isRestoring = false;
+      this.initialized = false;
+    }
+
+    /**
+     * Restore the saved workspace and start auto-saving
+     * Call once, after ModeManager has activated the starting mode
+     */
+    init() {
+      if (this.initialized) return;
+      this.initialized = true;
+
+      const saved = this.readStorage();
+      if (saved) {
+        this.loadWorkspace(saved);
+      }
+
+      // Every recorded change (including undo/redo) is a save point
+      if (window.HistoryService) {
+        window.HistoryService.subscribe(() => this.scheduleSave());
+      }
+
+      // Re-apply a mode's last state when the user switches back to it
+      if (window.ModeManager) {
+        window.ModeManager.onModeChange((modeName) => {
+          this.restoreMode(modeName);
+          this.scheduleSave();
+        });
+      }
+
+      if (window.StatusService) {
+        window.StatusService.setAutoSaveInitialized();
+      }
+    }
+
+    // ============================================================================
+    // AUTO-SAVE
+    // ============================================================================
+
+    /**
+     * Capture the active mode's state and save after a short delay
+     */
+    scheduleSave() {
+      if (this.isRestoring) return;
+
+      this.captureCurrentMode();
+
+      if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+      }
+      this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write the workspace to localStorage now
+     * @returns {boolean} - True if the write succeeded
+     */
+    save() {
+      this.saveTimer = null;
+
+      if (window.StatusService) {
+        window.StatusService.setSaving();
+      }
+
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.buildWorkspace()));
+        if (window.StatusService) {
+          window.StatusService.setChangesSaved();
+        }
+        return true;
+      } catch (error) {
+        console.warn('PersistenceService: failed to save workspace:', error);
+        if (window.StatusService) {
+          window.StatusService.setSaveFailed();
+        }
+        this.saveTimer = setTimeout(() => this.save(), RETRY_DELAY_MS);
+        return false;
+      }
+    }
+
+    /**
+     * Remove the saved workspace from localStorage
+     */
+    clearStorage() {
+      try {
+        localStorage.removeItem(STORAGE_KEY);
+      } catch (error) {
+        console.warn('PersistenceService: failed to clear saved workspace:', error);
+      }
+    }
+
+    /**
+     * @returns {Object|null} Saved workspace, or null if missing/unreadable
+     * @private
+     */
+    readStorage() {
+      try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? this.migrateWorkspace(JSON.parse(raw)) : null;
+      } catch (error) {
+        console.warn('PersistenceService: ignoring unreadable saved workspace:', error);
+        if (window.StatusService) {
+          window.StatusService.setLoadFailed();
+        }
+        return null;
+      }
+    }
+
+    // ============================================================================
+    // WORKSPACE SNAPSHOTS
+    // ============================================================================
+
+    /**
+     * Store the active mode's current state in the in-memory cache
+     */
+    captureCurrentMode() {
+      const manager = window.ModeManager;
+      if (!manager) return;
+
+      const modeName = manager.getCurrentMode();
+      const instance = manager.getCurrentModeInstance();
+      if (modeName && instance && typeof instance.getState === 'function') {
+        this.modeStates[modeName] = instance.getState();
+      }
+    }
+
+    /**
+     * Build the versioned workspace object (also the export file format)
+     * @returns {Object} Workspace
+     */
+    buildWorkspace() {
+      this.captureCurrentMode();
+      return {
+        version: WORKSPACE_VERSION,
+        savedAt: new Date().toISOString(),
+        currentMode: window.ModeManager ? window.ModeManager.getCurrentMode() : null,
+        modes: JSON.parse(JSON.stringify(this.modeStates))
+      };
+    }
+
+    /**
+     * Validate a workspace and upgrade older versions to the current format
+     * @param {Object} data - Parsed workspace
+     * @returns {Object} Workspace in the current format
+     * @throws {Error} If the data is not a workspace this version understands
+     */
+    migrateWorkspace(data) {
+      if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+        throw new Error('Not a playground workspace file');
+      }
+      if (data.version > WORKSPACE_VERSION) {
+        throw new Error(`Workspace version ${data.version} is newer than this app supports (${WORKSPACE_VERSION})`);
+      }
+      if (!data.modes || typeof data.modes !== 'object') {
+        throw new Error('Workspace has no mode data');
+      }
+
+      return data;
+    }
+
+    /**
+     * Replace all cached mode states and activate the workspace's mode
+     * @param {Object} workspace - Migrated workspace
+     */
+    loadWorkspace(workspace) {
+      this.modeStates = JSON.parse(JSON.stringify(workspace.modes));
+
+      const manager = window.ModeManager;
+      if (!manager) return;
+
+      const targetMode = workspace.currentMode;
+      const canSwitch = targetMode && manager.enabledModes.includes(targetMode);
+
+      if (canSwitch && manager.getCurrentMode() !== targetMode) {
+        manager.setMode(targetMode);
+      }
+
+      // Explicit restore: during init() the onModeChange listener isn't installed yet
+      this.restoreMode(manager.getCurrentMode());
+    }
+
+    /**
+     * Apply the cached state of a mode if it's active
+     * @param {string} modeName - Mode name
+     * @private
+     */
+    restoreMode(modeName) {
+      const state = this.modeStates[modeName];
+      const manager = window.ModeManager;
+      if (!state || !manager || manager.getCurrentMode() !== modeName) return;
+
+      const instance = manager.getCurrentModeInstance();
+      if (!instance || typeof instance.applyState !== 'function') return;
+
+      this.isRestoring = true;
+      try {
+        instance.applyState(JSON.parse(JSON.stringify(state)));
+      } catch (error) {
+        console.warn(`PersistenceService: failed to restore '${modeName}' state:`, error);
+      } finally {
+        this.isRestoring = false;
+      }
+    }
+
+    // ============================================================================
+    // EXPORT / IMPORT
+    // ============================================================================
+
+    /**
+     * Download the workspace as a JSON file
+     */
+    exportToFile() {
+      const workspace = this.buildWorkspace();
+      const blob = new Blob([JSON.stringify(workspace, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `linear-algebra-workspace-${workspace.savedAt.slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      // Revoking synchronously can cancel the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+
+      logAction(`Workspace exported (mode: ${workspace.currentMode})`);
+    }
+
+    /**
+     * Load a workspace from a JSON file chosen by the user
+     * @param {File} file - File from an <input type="file">
+     * @returns {Promise<boolean>} - Resolves true on success
+     */
+    async importFromFile(file) {
+      if (!file) return false;
+
+      if (window.StatusService) {
+        window.StatusService.setLoading();
+      }
+
+      try {
+        const workspace = this.migrateWorkspace(JSON.parse(await file.text()));
+        this.loadWorkspace(workspace);
+        this.save();
+        logAction(`Workspace imported from ${file.name} (mode: ${workspace.currentMode})`);
+        return true;
+      } catch (error) {
+        console.warn('PersistenceService: import failed:', error);
+        if (window.StatusService) {
+          window.StatusService.setStatus(`Import failed: ${error.message}`);
+        }
+        return false;
+      }
+    }
+
+    /**
+     * Wire header Export/Import buttons and the hidden file input
+     * @param {Object} elements - { exportButton, importButton, fileInput }
+     */
+    bindControls({ exportButton, importButton, fileInput }) {
+      if (exportButton) {
+        exportButton.addEventListener('click', () => this.exportToFile());
+      }
+
+      if (importButton && fileInput) {
+        importButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+          await this.importFromFile(fileInput.files[0]);
+          fileInput.value = ''; // Allow re-importing the same file
+        });
+      }
+    }
+  }
+
+  // Export singleton instance
+  window.PersistenceService = new PersistenceService();
+})();
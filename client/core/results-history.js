@@ -0,0 +1,265 @@
+/**
+ * Results History Service
+ * Timestamped log of the operations each mode has run, kept per mode in localStorage
+ * Every entry stores the mode state its result was computed from, so the Results
+ * panel can put those operands back on the canvas, and the log can be exported as
+ * Markdown or CSV
+ */
+
+(function() {
+  const STORAGE_KEY = 'linear-algebra-playground.results-history';
+  const MAX_ENTRIES_PER_MODE = 40;
+  const MERGE_WINDOW_MS = 1000; // Same-mergeKey results inside this window replace each other
+
+  const MODE_TITLES = {
+    vector: 'Vector',
+    matrix: 'Matrix',
+    tensor: 'Tensor',
+    vector3d: '3D Vector'
+  };
+
+  class ResultsHistoryService {
+    constructor() {
+      this.entries = this.readStorage(); // Entries per mode name, oldest first
+      this.subscribers = [];
+      this.nextId = Object.values(this.entries).flat().reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    }
+
+    /**
+     * Add a result to a mode's history
+     * @param {Object} entry - History entry
+     * @param {string} entry.mode - Mode that produced the result
+     * @param {string} entry.label - Operation name (e.g. 'Add', 'A @ B')
+     * @param {string} entry.inputs - The operands as text (e.g. 'v₁ = [2.0, 1.0], v₂ = [1.0, 3.0]')
+     * @param {Object} entry.state - Mode state the result was computed from (from mode.getState())
+     * @param {string[]} entry.lines - Result lines as shown in the Results panel (HTML)
+     * @param {Object} [entry.operation] - Whatever the mode needs to run the operation again
+     * @param {string} [entry.mergeKey] - Results with the same key recorded in quick succession are merged
+     */
+    record({ mode, label, inputs, state, lines, operation = null, mergeKey = null }) {
+      if (!mode || !lines || lines.length === 0) return;
+
+      const list = this.entries[mode] || (this.entries[mode] = []);
+      const last = list[list.length - 1];
+      const now = Date.now();
+      const entry = {
+        id: this.nextId++,
+        mode,
+        label,
+        inputs: inputs || '',
+        timestamp: now,
+        state: JSON.parse(JSON.stringify(state || null)),
+        lines: [...lines],
+        text: lines.map(toPlainText),
+        operation: operation ? JSON.parse(JSON.stringify(operation)) : null,
+        mergeKey
+      };
+
+      const isRepeat = last && last.label === entry.label && last.inputs === entry.inputs &&
+        last.text.join('\n') === entry.text.join('\n');
+      const isMerge = mergeKey && last && last.mergeKey === mergeKey && now - last.timestamp < MERGE_WINDOW_MS;
+
+      if (isRepeat) {
+        // Running the same operation again only moves its time forward
+        last.timestamp = now;
+        last.state = entry.state;
+      } else if (isMerge) {
+        // Typing "1.5" into an input is one result, not three
+        list[list.length - 1] = entry;
+      } else {
+        list.push(entry);
+        if (list.length > MAX_ENTRIES_PER_MODE) {
+          list.splice(0, list.length - MAX_ENTRIES_PER_MODE);
+        }
+      }
+
+      this.save();
+      this.notify(mode);
+    }
+
+    /**
+     * @param {string} mode - Mode name
+     * @returns {Object[]} - The mode's entries, oldest first
+     */
+    getEntries(mode) {
+      return [...(this.entries[mode] || [])];
+    }
+
+    /**
+     * @param {string} mode - Mode name
+     * @param {number} id - Entry id
+     * @returns {Object|null}
+     */
+    getEntry(mode, id) {
+      return (this.entries[mode] || []).find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Forget every entry of a mode
+     * @param {string} mode - Mode name
+     */
+    clear(mode) {
+      if (!this.entries[mode] || this.entries[mode].length === 0) return;
+
+      delete this.entries[mode];
+      this.save();
+      this.notify(mode);
+      logAction(`${MODE_TITLES[mode] || mode} results history cleared`);
+    }
+
+    /**
+     * Subscribe to history changes
+     * @param {Function} callback - Called with the name of the mode that changed
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+      this.subscribers.push(callback);
+      return () => {
+        this.subscribers = this.subscribers.filter(cb => cb !== callback);
+      };
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    /**
+     * A mode's history as Markdown: one section per entry, formulas as $LaTeX$
+     * @param {string} mode - Mode name
+     * @returns {string}
+     */
+    toMarkdown(mode) {
+      const sections = this.getEntries(mode).map((entry, i) => [
+        `## ${i + 1}. ${entry.label}`,
+        '',
+        `*${formatTimestamp(entry.timestamp)}*`,
+        '',
+        `**Inputs:** ${entry.inputs || '—'}`,
+        '',
+        ...entry.text.map(line => `- ${line}`)
+      ].join('\n'));
+
+      return [`# ${MODE_TITLES[mode] || mode} results history`, ...sections].join('\n\n') + '\n';
+    }
+
+    /**
+     * A mode's history as CSV with one row per entry (output lines joined by newlines)
+     * @param {string} mode - Mode name
+     * @returns {string}
+     */
+    toCsv(mode) {
+      const rows = [['time', 'mode', 'operation', 'inputs', 'outputs']];
+      this.getEntries(mode).forEach(entry => {
+        rows.push([new Date(entry.timestamp).toISOString(), mode, entry.label, entry.inputs, entry.text.join('\n')]);
+      });
+      return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Download a mode's history
+     * @param {string} mode - Mode name
+     * @param {string} format - 'markdown' or 'csv'
+     */
+    download(mode, format) {
+      const isCsv = format === 'csv';
+      const content = isCsv ? this.toCsv(mode) : this.toMarkdown(mode);
+      const blob = new Blob([content], { type: isCsv ? 'text/csv' : 'text/markdown' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `linear-algebra-${mode}-results-${new Date().toISOString().slice(0, 10)}.${isCsv ? 'csv' : 'md'}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      // Revoking synchronously can cancel the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+
+      logAction(`${MODE_TITLES[mode] || mode} results history exported as ${isCsv ? 'CSV' : 'Markdown'}`);
+    }
+
+    // ============================================================================
+    // STORAGE
+    // ============================================================================
+
+    /**
+     * @private
+     */
+    save() {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+      } catch (error) {
+        // The history is a convenience; the workspace itself is saved separately
+        console.warn('ResultsHistoryService: failed to save results history:', error);
+      }
+    }
+
+    /**
+     * @returns {Object} Saved entries per mode, or {} if missing/unreadable
+     * @private
+     */
+    readStorage() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!saved || typeof saved !== 'object') return {};
+
+        const entries = {};
+        Object.entries(saved).forEach(([mode, list]) => {
+          if (Array.isArray(list)) {
+            entries[mode] = list.filter(entry => entry && Number.isInteger(entry.id) && Array.isArray(entry.lines) && Array.isArray(entry.text));
+          }
+        });
+        return entries;
+      } catch (error) {
+        console.warn('ResultsHistoryService: ignoring unreadable results history:', error);
+        return {};
+      }
+    }
+
+    /**
+     * @private
+     */
+    notify(mode) {
+      this.subscribers.forEach(callback => {
+        try {
+          callback(mode);
+        } catch (error) {
+          console.warn('ResultsHistoryService: subscriber failed:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Text of one result line with formulas as $LaTeX$
+   * @private
+   */
+  function toPlainText(html) {
+    const holder = document.createElement('div');
+    holder.innerHTML = html;
+    return MathRender.toText(holder).replace(/\n/g, ' ');
+  }
+
+  /**
+   * Local date and time, e.g. '2024-05-01 14:03:12'
+   * @private
+   */
+  function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * Quote a CSV field when it contains a comma, quote or line break
+   * @private
+   */
+  function csvField(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Export singleton instance
+  window.ResultsHistoryService = new ResultsHistoryService();
+})();
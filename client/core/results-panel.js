@@ -2,6 +2,7 @@
  * Results Panel Class
  * Reusable component for displaying operation results in both vector and matrix modes
  * Handles formatted result display with consistent markup, collapse functionality, and smart positioning
+ * Copying (the Copy button or a selection) turns MathRender formulas back into $LaTeX$
  */
 
 class ResultsPanel {
@@ -13,6 +14,10 @@ class ResultsPanel {
    * @param {HTMLElement} [options.canvasContainer] - Canvas container for position calculation
    * @param {Object} [options.coordSystem] - Coordinate system for position calculation
    * @param {Object} [options.modeInstance] - Mode instance for collecting canvas objects
+   * @param {Function} [options.onStepChange] - Called with the step index when Previous/Next shows another step
+   * @param {Function} [options.onStepModeChange] - Called with true/false when "Show steps" is switched
+   * @param {string} [options.historyMode] - Mode whose ResultsHistoryService entries the History view lists
+   * @param {Function} [options.onHistoryRestore] - Called with the entry when one is clicked in the History view
    */
   constructor(rootElement, options = {}) {
     // Find root element
@@ -32,10 +37,21 @@ class ResultsPanel {
     this.canvasContainer = options.canvasContainer || null;
     this.coordSystem = options.coordSystem || null;
     this.modeInstance = options.modeInstance || null;
+    this.onStepChange = options.onStepChange || null;
+    this.onStepModeChange = options.onStepModeChange || null;
+    this.historyMode = options.historyMode || null;
+    this.onHistoryRestore = options.onHistoryRestore || null;
+    this.historyUnsubscribe = null;
+    this.numberFormatUnsubscribe = null;
 
     // State properties
     this.isCollapsed = true;
     this.currentPosition = 'top-left'; // default position
+    this.steps = null; // Lines of the worked solution being stepped through, or null
+    this.stepIndex = 0;
+
+    // Listener references for cleanup (a new panel is created each time its mode is entered)
+    this.eventListeners = [];
 
     // Apply collapsed class to root element for initial collapsed state
     if (this.root) {
@@ -45,10 +61,34 @@ class ResultsPanel {
     // Find child elements
     this.contentElement = this.root.querySelector('.results-content');
     this.collapseButton = this.root.querySelector('.results-collapse');
+    this.stepsToggle = this.root.querySelector('.results-steps-toggle');
+    this.copyButton = this.root.querySelector('.results-copy');
+    this.historyToggle = this.root.querySelector('.results-history-toggle');
+    this.historyElement = this.root.querySelector('.results-history');
+    this.numberFormatButton = this.root.querySelector('.results-number-format');
 
     // Set up event listeners
     this._setupEventListeners();
 
+    // The History view needs a mode to list; without one it stays off
+    if (this.historyToggle) {
+      this.historyToggle.hidden = !this.historyMode;
+    }
+    this.setHistoryView(this.historyMode ? this.isHistoryView() : false);
+    if (this.historyMode && window.ResultsHistoryService) {
+      this.historyUnsubscribe = window.ResultsHistoryService.subscribe((mode) => {
+        if (mode === this.historyMode && this.isHistoryView()) {
+          this._renderHistory();
+        }
+      });
+    }
+
+    // The format is shared by every panel, so follow changes made from another mode
+    if (this.numberFormatButton && window.NumberFormatService) {
+      this._updateNumberFormatButton();
+      this.numberFormatUnsubscribe = window.NumberFormatService.subscribe(() => this._updateNumberFormatButton());
+    }
+
     // Initialize with empty state
     this.clear();
 
@@ -62,7 +102,7 @@ class ResultsPanel {
    */
   _setupEventListeners() {
     if (this.collapseButton) {
-      this.collapseButton.addEventListener('click', (e) => {
+      this._listen(this.collapseButton, 'click', (e) => {
         e.stopPropagation();
         this.toggleCollapse();
       });
@@ -70,13 +110,77 @@ class ResultsPanel {
 
     // When collapsed, clicking the badge expands it
     if (this.root) {
-      this.root.addEventListener('click', (e) => {
+      this._listen(this.root, 'click', (e) => {
         if (this.isCollapsed && e.target === this.root) {
           this.toggleCollapse();
         }
       });
     }
 
+    if (this.stepsToggle) {
+      this._listen(this.stepsToggle, 'click', (e) => {
+        e.stopPropagation();
+        this.setStepMode(!this.isStepMode());
+        if (this.onStepModeChange) {
+          this.onStepModeChange(this.isStepMode());
+        }
+      });
+    }
+
+    if (this.historyToggle) {
+      this._listen(this.historyToggle, 'click', (e) => {
+        e.stopPropagation();
+        this.setHistoryView(!this.isHistoryView());
+      });
+    }
+
+    // Entries and export buttons are re-rendered with the list, so listen on the container
+    if (this.historyElement) {
+      this._listen(this.historyElement, 'click', (e) => {
+        const action = e.target.closest('[data-history-action]');
+        const item = e.target.closest('[data-history-id]');
+        if (action) {
+          this._handleHistoryAction(action.dataset.historyAction);
+        } else if (item) {
+          this._restoreHistoryEntry(Number(item.dataset.historyId));
+        }
+      });
+      // Entries are list items (they hold block MathML), so give them button keys
+      this._listen(this.historyElement, 'keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        const item = e.target.closest('[data-history-id]');
+        if (item && e.target === item) {
+          e.preventDefault();
+          this._restoreHistoryEntry(Number(item.dataset.historyId));
+        }
+      });
+    }
+
+    if (this.copyButton) {
+      this._listen(this.copyButton, 'click', (e) => {
+        e.stopPropagation();
+        this.copyResults();
+      });
+    }
+
+    if (this.numberFormatButton && window.NumberFormatService) {
+      this._listen(this.numberFormatButton, 'click', (e) => {
+        e.stopPropagation();
+        window.NumberFormatService.cycle();
+      });
+    }
+
+    // Previous/Next are re-rendered with every step, so listen on the content
+    if (this.contentElement) {
+      this._listen(this.contentElement, 'click', (e) => {
+        const button = e.target.closest('[data-step-action]');
+        if (button && this.steps) {
+          this.goToStep(this.stepIndex + (button.dataset.stepAction === 'next' ? 1 : -1));
+        }
+      });
+      this._listen(this.contentElement, 'copy', (e) => this._handleCopy(e));
+    }
+
     // Set up window resize handler with debouncing
     if (this.canvasContainer && this.coordSystem && this.modeInstance) {
       this._resizeHandler = this._debounce(() => {
@@ -88,6 +192,15 @@ class ResultsPanel {
     }
   }
 
+  /**
+   * Add an event listener and remember it for destroy()
+   * @private
+   */
+  _listen(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.eventListeners.push({ element, event, handler });
+  }
+
   /**
    * Display result lines in the panel
    * @param {...string} lines - One or more lines to display (can contain HTML)
@@ -100,6 +213,7 @@ class ResultsPanel {
       return;
     }
 
+    this.steps = null;
     this.contentElement.innerHTML = lines.map(line =>
       `<p class="formula">${line}</p>`
     ).join('');
@@ -116,9 +230,275 @@ class ResultsPanel {
   clear() {
     if (!this.contentElement) return;
 
+    this.steps = null;
     this.contentElement.innerHTML = `<p class="hint">${this.emptyMessage}</p>`;
   }
 
+  // ============================================================================
+  // COPYING
+  // ============================================================================
+
+  /**
+   * The displayed lines as plain text, one per line, with formulas as $LaTeX$
+   * @returns {string} - Empty when there are no results
+   */
+  getText() {
+    if (!this.contentElement || !this.contentElement.querySelector('.formula')) return '';
+
+    const content = this.contentElement.cloneNode(true);
+    content.querySelectorAll('.results-step-nav').forEach(nav => nav.remove());
+    return MathRender.toText(content);
+  }
+
+  /**
+   * Copy the displayed lines to the clipboard (see getText())
+   * @returns {Promise<boolean>} - Resolves true if copied
+   */
+  async copyResults() {
+    const text = this.getText();
+    if (!text) return false;
+
+    try {
+      await navigator.clipboard.writeText(text);
+      if (window.StatusService) {
+        window.StatusService.setStatus('Results copied');
+      }
+      logAction('Results copied to clipboard');
+      return true;
+    } catch (error) {
+      console.warn('ResultsPanel: clipboard unavailable:', error);
+      window.prompt('Copy these results:', text);
+      return false;
+    }
+  }
+
+  /**
+   * Put LaTeX on the clipboard as the plain text of a selection that includes formulas
+   * (MathML stays in the HTML copy for editors that understand it)
+   * @param {ClipboardEvent} e
+   * @private
+   */
+  _handleCopy(e) {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0 || !e.clipboardData) return;
+
+    const range = selection.getRangeAt(0);
+    const container = range.commonAncestorContainer;
+    const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+    const math = element ? element.closest('math') : null;
+    const fragment = range.cloneContents();
+
+    let text;
+    if (math) {
+      // Part of a single formula: copy all of it
+      text = MathRender.toText(math);
+    } else if (fragment.querySelector('math')) {
+      text = MathRender.toText(fragment);
+    } else {
+      return;
+    }
+
+    const holder = document.createElement('div');
+    holder.appendChild(math ? math.cloneNode(true) : fragment);
+    // Outside this page the stylesheet that hides the other number formats is gone
+    const format = window.NumberFormatService ? window.NumberFormatService.get() : 'decimal';
+    holder.querySelectorAll(`.num-variant:not(.num-in-${format})`).forEach(variant => variant.remove());
+    e.clipboardData.setData('text/plain', text);
+    e.clipboardData.setData('text/html', holder.innerHTML);
+    e.preventDefault();
+  }
+
+  // ============================================================================
+  // NUMBER FORMAT
+  // ============================================================================
+
+  /**
+   * Show the current number format on its button; clicking moves to the next one
+   * @private
+   */
+  _updateNumberFormatButton() {
+    const service = window.NumberFormatService;
+    this.numberFormatButton.textContent = service.getLabel();
+    this.numberFormatButton.title = `Numbers shown as: ${service.getLabel()}. Click to cycle through decimal (0.33), fraction (1/3) and both`;
+  }
+
+  // ============================================================================
+  // HISTORY VIEW
+  // ============================================================================
+
+  /**
+   * Whether the History view is showing instead of the latest result
+   * Like "Show steps", the toggle's aria-pressed is the source of truth
+   * @returns {boolean}
+   */
+  isHistoryView() {
+    return this.historyToggle ? this.historyToggle.getAttribute('aria-pressed') === 'true' : false;
+  }
+
+  /**
+   * Switch between the latest result and the list of earlier ones
+   * @param {boolean} enabled - True to show the History view
+   */
+  setHistoryView(enabled) {
+    if (!this.historyToggle || !this.historyElement) return;
+
+    this.historyToggle.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+    this.historyToggle.classList.toggle('active', enabled);
+    this.historyElement.hidden = !enabled;
+    if (this.contentElement) {
+      this.contentElement.hidden = enabled;
+    }
+
+    if (enabled) {
+      this._renderHistory();
+    }
+  }
+
+  /**
+   * List the mode's entries, newest first, with the export buttons below
+   * @private
+   */
+  _renderHistory() {
+    const service = window.ResultsHistoryService;
+    const entries = service && this.historyMode ? service.getEntries(this.historyMode).reverse() : [];
+
+    if (entries.length === 0) {
+      this.historyElement.innerHTML = '<p class="hint">Results of your operations will be listed here</p>';
+      return;
+    }
+
+    const items = entries.map(entry => {
+      const time = new Date(entry.timestamp);
+      return `
+        <li class="results-history-entry" role="button" tabindex="0" data-history-id="${entry.id}" title="Put these inputs back">
+          <span class="results-history-meta body-xsmall">
+            <span class="results-history-label">${escapeHtml(entry.label)}</span>
+            <time datetime="${time.toISOString()}">${time.toLocaleString()}</time>
+          </span>
+          ${entry.inputs ? `<span class="results-history-inputs body-xsmall">${escapeHtml(entry.inputs)}</span>` : ''}
+          ${entry.lines.map(line => `<div class="formula">${line}</div>`).join('')}
+        </li>
+      `;
+    }).join('');
+
+    this.historyElement.innerHTML = `
+      <ol class="results-history-list">${items}</ol>
+      <div class="results-history-actions">
+        <button class="button button-tertiary button-small" data-history-action="markdown">Markdown</button>
+        <button class="button button-tertiary button-small" data-history-action="csv">CSV</button>
+        <button class="button button-tertiary button-small" data-history-action="clear">Clear</button>
+      </div>
+    `;
+  }
+
+  /**
+   * @param {string} action - 'markdown', 'csv' or 'clear'
+   * @private
+   */
+  _handleHistoryAction(action) {
+    const service = window.ResultsHistoryService;
+    if (!service || !this.historyMode) return;
+
+    if (action === 'clear') {
+      service.clear(this.historyMode);
+    } else {
+      service.download(this.historyMode, action);
+    }
+  }
+
+  /**
+   * Hand a clicked entry to the mode and go back to the latest result
+   * @param {number} id - Entry id
+   * @private
+   */
+  _restoreHistoryEntry(id) {
+    const entry = window.ResultsHistoryService
+      ? window.ResultsHistoryService.getEntry(this.historyMode, id)
+      : null;
+    if (!entry || !this.onHistoryRestore) return;
+
+    this.setHistoryView(false);
+    this.onHistoryRestore(entry);
+  }
+
+  // ============================================================================
+  // SHOW STEPS
+  // ============================================================================
+
+  /**
+   * Whether "Show steps" is on
+   * The toggle's aria-pressed is the source of truth, so the choice survives mode switches
+   * @returns {boolean}
+   */
+  isStepMode() {
+    return this.stepsToggle ? this.stepsToggle.getAttribute('aria-pressed') === 'true' : false;
+  }
+
+  /**
+   * Switch "Show steps" on or off (does not call onStepModeChange)
+   * @param {boolean} enabled
+   */
+  setStepMode(enabled) {
+    if (!this.stepsToggle) return;
+
+    this.stepsToggle.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+    this.stepsToggle.classList.toggle('active', enabled);
+  }
+
+  /**
+   * Show a worked solution one step at a time, with Previous/Next controls
+   * Steps up to the current one are listed; the current one is highlighted
+   * @param {string[]} lines - One line per step (can contain HTML)
+   * @param {number} [index=0] - Step to start on
+   */
+  showSteps(lines, index = 0) {
+    if (!this.contentElement || lines.length === 0) return;
+
+    this.steps = lines;
+    this.stepIndex = Math.max(0, Math.min(index, lines.length - 1));
+    this._renderSteps();
+
+    if (this.canvasContainer && this.coordSystem && this.modeInstance) {
+      this._debouncedReposition();
+    }
+  }
+
+  /**
+   * Move to another step and notify onStepChange
+   * @param {number} index - Step index (clamped to the available steps)
+   */
+  goToStep(index) {
+    if (!this.steps) return;
+
+    const clamped = Math.max(0, Math.min(index, this.steps.length - 1));
+    if (clamped === this.stepIndex) return;
+
+    this.stepIndex = clamped;
+    this._renderSteps();
+    if (this.onStepChange) {
+      this.onStepChange(clamped);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderSteps() {
+    const last = this.steps.length - 1;
+    const items = this.steps.slice(0, this.stepIndex + 1).map((line, i) =>
+      `<li class="results-step${i === this.stepIndex ? ' current' : ''}"><p class="formula">${line}</p></li>`
+    ).join('');
+
+    this.contentElement.innerHTML = `
+      <ol class="results-steps">${items}</ol>
+      <div class="results-step-nav">
+        <button class="button button-tertiary button-small" data-step-action="prev"${this.stepIndex === 0 ? ' disabled' : ''}>Previous</button>
+        <span class="results-step-count body-xsmall">Step ${this.stepIndex + 1} of ${last + 1}</span>
+        <button class="button button-secondary button-small" data-step-action="next"${this.stepIndex === last ? ' disabled' : ''}>Next</button>
+      </div>
+    `;
+  }
+
   /**
    * Toggle collapse state
    */
@@ -355,5 +735,34 @@ class ResultsPanel {
     if (this._resizeHandler) {
       window.removeEventListener('resize', this._resizeHandler);
     }
+
+    if (this.historyUnsubscribe) {
+      this.historyUnsubscribe();
+      this.historyUnsubscribe = null;
+    }
+
+    if (this.numberFormatUnsubscribe) {
+      this.numberFormatUnsubscribe();
+      this.numberFormatUnsubscribe = null;
+    }
+
+    if (this.eventListeners) {
+      this.eventListeners.forEach(({ element, event, handler }) => {
+        element.removeEventListener(event, handler);
+      });
+      this.eventListeners = [];
+    }
   }
 }
+
+/**
+ * Escape text for use in HTML
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
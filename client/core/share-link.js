@@ -0,0 +1,218 @@
+/**
+ * Share Link Service
+ * Encodes the current mode and its state in the URL hash so a link opens the
+ * playground with the same vectors, matrices or tensor loaded
+ *
+ * Hash format: #v=1&mode=<mode>&s=<base64url(JSON state)>
+ * The state is whatever the mode's getState() returns.
+ */
+
+(function() {
+  const LINK_VERSION = 1;
+
+  /**
+   * Encode a string as URL-safe base64 (UTF-8 aware, no padding)
+   * @param {string} text - Text to encode
+   * @returns {string} - base64url string
+   */
+  function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode a URL-safe base64 string produced by toBase64Url
+   * @param {string} encoded - base64url string
+   * @returns {string} - Decoded text
+   */
+  function fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const binary = atob(padded);
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  class ShareLinkService {
+    constructor() {
+      this.isApplying = false;
+      this.initialized = false;
+      this.hashChangeHandler = null;
+    }
+
+    /**
+     * Apply the state in the current URL hash (if any) and keep the hash updated
+     * Call after the starting mode is active; a link takes precedence over the auto-saved workspace
+     */
+    init() {
+      if (this.initialized) return;
+      this.initialized = true;
+
+      this.applyFromHash();
+
+      // Keep the hash in sync with every recorded edit and with mode switches
+      if (window.HistoryService) {
+        window.HistoryService.subscribe(() => this.updateHash());
+      }
+      if (window.ModeManager) {
+        window.ModeManager.onModeChange(() => this.updateHash());
+      }
+
+      // Pasting a different link into the same tab only changes the hash
+      this.hashChangeHandler = () => this.applyFromHash();
+      window.addEventListener('hashchange', this.hashChangeHandler);
+
+      this.updateHash();
+    }
+
+    /**
+     * Build a hash string for a mode and state
+     * @param {string} mode - Mode name
+     * @param {Object} state - Mode state from getState()
+     * @returns {string} - Hash including the leading '#'
+     */
+    encode(mode, state) {
+      const params = new URLSearchParams();
+      params.set('v', String(LINK_VERSION));
+      params.set('mode', mode);
+      params.set('s', toBase64Url(JSON.stringify(state)));
+      return `#${params.toString()}`;
+    }
+
+    /**
+     * Parse a hash string
+     * @param {string} hash - location.hash (with or without '#')
+     * @returns {{mode: string, state: (Object|null)}|null} - null if the hash has no mode
+     * @throws {Error} If the hash names a mode but its state can't be decoded
+     */
+    decode(hash) {
+      const params = new URLSearchParams(hash.replace(/^#/, ''));
+      const mode = params.get('mode');
+      if (!mode) return null;
+
+      const version = parseInt(params.get('v') || String(LINK_VERSION), 10);
+      if (version > LINK_VERSION) {
+        throw new Error(`Link version ${version} is newer than this app supports`);
+      }
+
+      const encodedState = params.get('s');
+      const state = encodedState ? JSON.parse(fromBase64Url(encodedState)) : null;
+      if (state !== null && typeof state !== 'object') {
+        throw new Error('Link state is not an object');
+      }
+
+      return { mode, state };
+    }
+
+    /**
+     * Switch to the mode in the hash and apply its state
+     * @returns {boolean} - True if a link was applied
+     */
+    applyFromHash() {
+      const manager = window.ModeManager;
+      if (!manager || !window.location.hash) return false;
+
+      let link;
+      try {
+        link = this.decode(window.location.hash);
+      } catch (error) {
+        console.warn('ShareLinkService: ignoring invalid link:', error);
+        if (window.StatusService) {
+          window.StatusService.setStatus('Invalid share link');
+        }
+        return false;
+      }
+      if (!link) return false;
+
+      if (!manager.enabledModes.includes(link.mode)) {
+        console.warn(`ShareLinkService: link mode '${link.mode}' is not enabled`);
+        return false;
+      }
+
+      this.isApplying = true;
+      try {
+        if (manager.getCurrentMode() !== link.mode) {
+          manager.setMode(link.mode);
+        }
+
+        const instance = manager.getCurrentModeInstance();
+        if (link.state && instance && typeof instance.applyState === 'function') {
+          instance.applyState(link.state);
+        }
+      } catch (error) {
+        console.warn('ShareLinkService: failed to apply link state:', error);
+        return false;
+      } finally {
+        this.isApplying = false;
+      }
+
+      logAction(`Opened share link (mode: ${link.mode})`);
+
+      // The linked state becomes the new auto-saved workspace
+      if (window.PersistenceService) {
+        window.PersistenceService.scheduleSave();
+      }
+      return true;
+    }
+
+    /**
+     * Rewrite the hash from the active mode's state without adding browser history entries
+     */
+    updateHash() {
+      if (this.isApplying) return;
+
+      const manager = window.ModeManager;
+      const instance = manager ? manager.getCurrentModeInstance() : null;
+      if (!instance || typeof instance.getState !== 'function') return;
+
+      const hash = this.encode(manager.getCurrentMode(), instance.getState());
+      if (hash !== window.location.hash) {
+        window.history.replaceState(null, '', hash);
+      }
+    }
+
+    /**
+     * Full shareable URL for the current state
+     * @returns {string}
+     */
+    getShareUrl() {
+      this.updateHash();
+      return window.location.href;
+    }
+
+    /**
+     * Copy the shareable URL to the clipboard
+     * @returns {Promise<boolean>} - Resolves true if copied
+     */
+    async copyShareUrl() {
+      const url = this.getShareUrl();
+      try {
+        await navigator.clipboard.writeText(url);
+        if (window.StatusService) {
+          window.StatusService.setStatus('Link copied');
+        }
+        logAction('Share link copied to clipboard');
+        return true;
+      } catch (error) {
+        console.warn('ShareLinkService: clipboard unavailable:', error);
+        window.prompt('Copy this link:', url);
+        return false;
+      }
+    }
+
+    /**
+     * Wire the header Copy Link button
+     * @param {Object} elements - { copyButton }
+     */
+    bindControls({ copyButton }) {
+      if (copyButton) {
+        copyButton.addEventListener('click', () => this.copyShareUrl());
+      }
+    }
+  }
+
+  // Export singleton instance
+  window.ShareLinkService = new ShareLinkService();
+})();
@@ -0,0 +1,207 @@
+/**
+ * VectorN Class
+ * Represents an N-dimensional mathematical vector over a component array
+ * Mirrors the 2D Vector API so 3D and 4D exercises can reuse the same operations
+ */
+
+class VectorN {
+  constructor(components, color, label, lineWidth = null) {
+    this.components = [...components];
+    this.color = color;
+    this.label = label;
+    this.lineWidth = lineWidth;  // Optional custom line width
+  }
+
+  /**
+   * Create a VectorN from a 2D Vector
+   * @param {Vector} vector - 2D vector
+   * @returns {VectorN} - Vector with components [x, y]
+   */
+  static fromVector(vector) {
+    return new VectorN([vector.x, vector.y], vector.color, vector.label, vector.lineWidth);
+  }
+
+  /**
+   * Create a zero vector
+   * @param {number} dimension - Number of components
+   * @returns {VectorN} - Zero vector
+   */
+  static zero(dimension) {
+    return new VectorN(Array(dimension).fill(0), Vector.defaultResultColor, '0');
+  }
+
+  /**
+   * Number of components
+   * @returns {number}
+   */
+  get dimension() {
+    return this.components.length;
+  }
+
+  /**
+   * Get a component by index (0-based)
+   * @param {number} index - Component index
+   * @returns {number}
+   */
+  get(index) {
+    return this.components[index];
+  }
+
+  // Convenience accessors so VectorN can stand in where x/y/z are read
+  get x() { return this.components[0]; }
+  get y() { return this.components[1]; }
+  get z() { return this.components[2]; }
+
+  magnitude() {
+    return Math.sqrt(this.dot(this));
+  }
+
+  /**
+   * Exact length, e.g. 3 for [1, 2, 2] (see Radical)
+   * @returns {Radical|null} - null if a component has no fraction form
+   */
+  exactMagnitude() {
+    return Radical.norm(this.components);
+  }
+
+  /**
+   * Format coordinates as [a, b, c, ...]
+   * @param {number} [precision=1] - Decimal places
+   * @returns {string} - Formatted coordinate string
+   */
+  formatCoordinates(precision = 1) {
+    return `[${this.components.map(c => c.toFixed(precision)).join(', ')}]`;
+  }
+
+  add(other) {
+    this._assertSameDimension(other, 'add');
+    return new VectorN(
+      this.components.map((c, i) => c + other.components[i]),
+      Vector.defaultResultColor,
+      'result'
+    );
+  }
+
+  subtract(other) {
+    this._assertSameDimension(other, 'subtract');
+    return new VectorN(
+      this.components.map((c, i) => c - other.components[i]),
+      Vector.defaultResultColor,
+      'result'
+    );
+  }
+
+  scale(scalar) {
+    return new VectorN(
+      this.components.map(c => c * scalar),
+      Vector.defaultResultColor,
+      'result'
+    );
+  }
+
+  dot(other) {
+    this._assertSameDimension(other, 'dot');
+    return this.components.reduce((sum, c, i) => sum + c * other.components[i], 0);
+  }
+
+  // Project this vector onto another vector
+  projectOnto(other) {
+    const otherMagnitudeSquared = other.dot(other);
+
+    if (otherMagnitudeSquared === 0) {
+      const zero = VectorN.zero(this.dimension);
+      zero.label = 'proj';
+      return zero;
+    }
+
+    const scalar = this.dot(other) / otherMagnitudeSquared;
+    return new VectorN(
+      other.components.map(c => scalar * c),
+      Vector.defaultResultColor,
+      'proj'
+    );
+  }
+
+  // Calculate angle between this vector and another (in radians)
+  angleBetween(other) {
+    const dotProduct = this.dot(other);
+    const mag1 = this.magnitude();
+    const mag2 = other.magnitude();
+
+    if (mag1 === 0 || mag2 === 0) return 0;
+
+    // Clamp to [-1, 1] to avoid floating point errors with acos
+    const cosAngle = Math.max(-1, Math.min(1, dotProduct / (mag1 * mag2)));
+    return Math.acos(cosAngle);
+  }
+
+  // Calculate angle between this vector and another (in degrees)
+  angleBetweenDegrees(other) {
+    return this.angleBetween(other) * (180 / Math.PI);
+  }
+
+  // Return a normalized (unit) vector
+  normalize() {
+    const mag = this.magnitude();
+    if (mag === 0) {
+      const zero = VectorN.zero(this.dimension);
+      zero.label = 'unit';
+      return zero;
+    }
+    return new VectorN(
+      this.components.map(c => c / mag),
+      Vector.defaultResultColor,
+      'û'
+    );
+  }
+
+  /**
+   * Cross product (3D only)
+   * a × b = [a₂b₃ − a₃b₂, a₃b₁ − a₁b₃, a₁b₂ − a₂b₁]
+   * @param {VectorN} other - 3D vector
+   * @returns {VectorN} - Vector perpendicular to both, with length |a||b|sin θ
+   */
+  cross(other) {
+    if (this.dimension !== 3 || other.dimension !== 3) {
+      throw new Error(`Cross product only defined for 3D vectors (got ${this.dimension}D × ${other.dimension}D)`);
+    }
+
+    const [a1, a2, a3] = this.components;
+    const [b1, b2, b3] = other.components;
+
+    return new VectorN(
+      [
+        a2 * b3 - a3 * b2,
+        a3 * b1 - a1 * b3,
+        a1 * b2 - a2 * b1
+      ],
+      Vector.defaultResultColor,
+      'a × b'
+    );
+  }
+
+  /**
+   * Convert to a 2D Vector (requires exactly 2 components)
+   * @returns {Vector}
+   */
+  toVector() {
+    if (this.dimension !== 2) {
+      throw new Error(`Cannot convert a ${this.dimension}D vector to a 2D Vector`);
+    }
+    return new Vector(this.components[0], this.components[1], this.color, this.label, this.lineWidth);
+  }
+
+  clone() {
+    return new VectorN(this.components, this.color, this.label, this.lineWidth);
+  }
+
+  /**
+   * Throw if the other vector has a different number of components
+   * @private
+   */
+  _assertSameDimension(other, operation) {
+    if (this.dimension !== other.dimension) {
+      throw new Error(`Cannot ${operation} ${this.dimension}D and ${other.dimension}D vectors`);
+    }
+  }
+}
@@ -27,6 +27,14 @@ class Vector {
     return Math.sqrt(this.x * this.x + this.y * this.y);
   }
 
+  /**
+   * Exact length, e.g. √2 for [1, 1] (see Radical)
+   * @returns {Radical|null} - null if a component has no fraction form
+   */
+  exactMagnitude() {
+    return Radical.norm([this.x, this.y]);
+  }
+
   angle() {
     return Math.atan2(this.y, this.x);
   }
@@ -0,0 +1,148 @@
+/**
+ * ViewController Class
+ * Mouse-wheel zoom, drag-to-pan and the canvas view toolbar for a 2D mode
+ * Each mode creates one on construction and destroys it on teardown; the view
+ * itself (scale and pan) lives on the shared CoordinateSystem, so it carries
+ * over when switching between Vector and Matrix modes.
+ */
+
+class ViewController {
+  /**
+   * @param {CoordinateSystem} coordSystem - Shared coordinate system
+   * @param {Object} options
+   * @param {function(MouseEvent): boolean} options.shouldPan - Whether a mousedown starts a pan
+   * @param {function(): Array<{x: number, y: number}>} options.getFitPoints - Points "Fit all" must show
+   * @param {function} options.onChange - Called after every zoom or pan (usually the mode's render)
+   */
+  constructor(coordSystem, { shouldPan, getFitPoints, onChange }) {
+    this.coordSystem = coordSystem;
+    this.canvas = coordSystem.canvas;
+    this.view = coordSystem.styleConstants.view;
+    this.shouldPan = shouldPan;
+    this.getFitPoints = getFitPoints;
+
+    this.toolbar = document.querySelector('#view-controls');
+    this.lastPanPos = null;
+
+    // Event listener references for cleanup
+    this.eventListeners = [];
+    this.viewUnsubscribe = coordSystem.onViewChange(onChange);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Add an event listener and remember it for destroy()
+   * @private
+   */
+  listen(element, event, handler, options) {
+    element.addEventListener(event, handler, options);
+    this.eventListeners.push({ element, event, handler, options });
+  }
+
+  setupEventListeners() {
+    // Wheel must be non-passive so the page doesn't scroll while zooming
+    this.listen(this.canvas, 'wheel', (e) => this.handleWheel(e), { passive: false });
+    this.listen(this.canvas, 'mousedown', (e) => this.handleMouseDown(e));
+
+    // Track the drag on window so panning continues outside the canvas
+    this.listen(window, 'mousemove', (e) => this.handleMouseMove(e));
+    this.listen(window, 'mouseup', () => this.handleMouseUp());
+
+    if (this.toolbar) {
+      this.listen(this.toolbar, 'click', (e) => {
+        const button = e.target.closest('[data-view-action]');
+        if (button) {
+          this.runAction(button.dataset.viewAction);
+        }
+      });
+    }
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
+    const rect = this.canvas.getBoundingClientRect();
+
+    // Line-based deltas (Firefox) are roughly 16px per line
+    const deltaY = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    const factor = Math.exp(-deltaY * this.view.wheelZoomSpeed);
+    this.coordSystem.zoomAt(e.clientX - rect.left, e.clientY - rect.top, factor);
+  }
+
+  handleMouseDown(e) {
+    if (!this.shouldPan(e)) return;
+
+    // Stop middle-click autoscroll and text selection
+    e.preventDefault();
+    this.lastPanPos = { x: e.clientX, y: e.clientY };
+    this.canvas.classList.add('dragging');
+  }
+
+  handleMouseMove(e) {
+    if (!this.lastPanPos) return;
+
+    const dx = e.clientX - this.lastPanPos.x;
+    const dy = e.clientY - this.lastPanPos.y;
+    this.lastPanPos = { x: e.clientX, y: e.clientY };
+    this.coordSystem.panBy(dx, dy);
+  }
+
+  handleMouseUp() {
+    if (!this.lastPanPos) return;
+
+    this.lastPanPos = null;
+    this.canvas.classList.remove('dragging');
+  }
+
+  /**
+   * Whether a pan drag is in progress
+   * @returns {boolean}
+   */
+  isPanning() {
+    return this.lastPanPos !== null;
+  }
+
+  /**
+   * Run a toolbar action
+   * @param {string} action - 'zoom-in', 'zoom-out', 'fit' or 'reset'
+   */
+  runAction(action) {
+    switch (action) {
+      case 'zoom-in':
+        this.coordSystem.zoomBy(this.view.zoomStep);
+        break;
+      case 'zoom-out':
+        this.coordSystem.zoomBy(1 / this.view.zoomStep);
+        break;
+      case 'fit': {
+        const points = this.getFitPoints();
+        this.coordSystem.fitBounds(points);
+        logAction(`View fit to ${points.length} point(s)`);
+        break;
+      }
+      case 'reset':
+        this.coordSystem.resetView();
+        logAction('View reset');
+        break;
+      default:
+        console.warn(`ViewController: unknown action '${action}'`);
+    }
+  }
+
+  /**
+   * Remove all listeners (called from the owning mode's destroy)
+   */
+  destroy() {
+    this.eventListeners.forEach(({ element, event, handler, options }) => {
+      element.removeEventListener(event, handler, options);
+    });
+    this.eventListeners = [];
+
+    if (this.viewUnsubscribe) {
+      this.viewUnsubscribe();
+      this.viewUnsubscribe = null;
+    }
+
+    this.handleMouseUp();
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Fraction Class
+ * Represents an exact rational number p/q, kept in lowest terms with q > 0
+ * All operations are immutable (return new Fraction instances)
+ * Numerators and denominators are safe integers: an operation whose exact result
+ * would not fit returns null, and callers fall back to the decimal value
+ */
+
+class Fraction {
+  static MAX_DENOMINATOR = 1000; // Largest denominator from() recognizes; larger ones are too often coincidences
+
+  /**
+   * Create a new Fraction
+   * @param {number} numerator - Integer numerator
+   * @param {number} denominator - Non-zero integer denominator (default: 1)
+   * @throws {Error} If either part is not a safe integer or the denominator is 0
+   */
+  constructor(numerator, denominator = 1) {
+    if (!Number.isSafeInteger(numerator) || !Number.isSafeInteger(denominator) || denominator === 0) {
+      throw new Error(`Invalid fraction ${numerator}/${denominator}`);
+    }
+
+    const divisor = Fraction._gcd(numerator, denominator) * Math.sign(denominator);
+    this.numerator = numerator / divisor + 0; // + 0 turns -0 into 0
+    this.denominator = denominator / divisor;
+  }
+
+  // ============================================================================
+  // STATIC FACTORY METHODS
+  // ============================================================================
+
+  /**
+   * Recognize the fraction a decimal stands for, e.g. 0.3333333333333333 → 1/3
+   * Uses the continued fraction expansion, so only denominators up to
+   * MAX_DENOMINATOR are found and irrational values (π, √2) are not mistaken for one
+   * @param {number|Fraction} value - Number (or a Fraction, returned as is)
+   * @returns {Fraction|null} - The fraction, or null if the value isn't a simple one
+   */
+  static from(value) {
+    if (value instanceof Fraction) return value;
+    if (typeof value !== 'number' || !isFinite(value)) return null;
+    if (Number.isInteger(value)) {
+      return Number.isSafeInteger(value) ? new Fraction(value) : null;
+    }
+
+    const target = Math.abs(value);
+    const tolerance = 1e-14 * Math.max(1, target); // A few dozen units in the last place: float noise, not a different number
+    let [previousNumerator, numerator] = [0, 1];
+    let [previousDenominator, denominator] = [1, 0];
+    let rest = target;
+
+    // Each convergent h/k of the expansion is the closest fraction with a denominator up to k
+    for (let term = 0; term < 40; term++) {
+      const whole = Math.floor(rest);
+      [previousNumerator, numerator] = [numerator, whole * numerator + previousNumerator];
+      [previousDenominator, denominator] = [denominator, whole * denominator + previousDenominator];
+
+      if (denominator > Fraction.MAX_DENOMINATOR || !Number.isSafeInteger(numerator)) return null;
+      if (Math.abs(target - numerator / denominator) <= tolerance) {
+        return new Fraction(Math.sign(value) * numerator, denominator);
+      }
+
+      const fractional = rest - whole;
+      if (fractional < 1e-15) return null;
+      rest = 1 / fractional;
+    }
+    return null;
+  }
+
+  // ============================================================================
+  // ARITHMETIC
+  // ============================================================================
+
+  /**
+   * @param {Fraction|number} other - Value to add
+   * @returns {Fraction|null} - this + other (null if other has no fraction form or the result overflows)
+   */
+  add(other) {
+    const o = Fraction.from(other);
+    if (!o) return null;
+    return Fraction._create(
+      this.numerator * o.denominator + o.numerator * this.denominator,
+      this.denominator * o.denominator
+    );
+  }
+
+  /**
+   * @param {Fraction|number} other - Value to subtract
+   * @returns {Fraction|null} - this − other
+   */
+  subtract(other) {
+    const o = Fraction.from(other);
+    return o ? this.add(o.negate()) : null;
+  }
+
+  /**
+   * @param {Fraction|number} other - Value to multiply by
+   * @returns {Fraction|null} - this × other
+   */
+  multiply(other) {
+    const o = Fraction.from(other);
+    if (!o) return null;
+
+    // Cancel across before multiplying to keep the parts small
+    const g1 = Fraction._gcd(this.numerator, o.denominator);
+    const g2 = Fraction._gcd(o.numerator, this.denominator);
+    return Fraction._create(
+      (this.numerator / g1) * (o.numerator / g2),
+      (this.denominator / g2) * (o.denominator / g1)
+    );
+  }
+
+  /**
+   * @param {Fraction|number} other - Value to divide by
+   * @returns {Fraction|null} - this / other
+   * @throws {Error} If other is zero
+   */
+  divide(other) {
+    const o = Fraction.from(other);
+    return o ? this.multiply(o.reciprocal()) : null;
+  }
+
+  /**
+   * @returns {Fraction} - −this
+   */
+  negate() {
+    return new Fraction(-this.numerator, this.denominator);
+  }
+
+  /**
+   * @returns {Fraction} - |this|
+   */
+  abs() {
+    return new Fraction(Math.abs(this.numerator), this.denominator);
+  }
+
+  /**
+   * @returns {Fraction} - 1 / this
+   * @throws {Error} If this is zero
+   */
+  reciprocal() {
+    if (this.numerator === 0) {
+      throw new Error('Cannot divide by zero');
+    }
+    return new Fraction(this.denominator, this.numerator);
+  }
+
+  /**
+   * Exact square root, e.g. 8/9 → 2√2/3
+   * @returns {Radical|null} - The root, or null for a negative value
+   */
+  sqrt() {
+    return Radical.sqrt(this);
+  }
+
+  // ============================================================================
+  // PROPERTIES
+  // ============================================================================
+
+  /**
+   * @returns {number} - -1, 0 or 1
+   */
+  get sign() {
+    return Math.sign(this.numerator);
+  }
+
+  /**
+   * @returns {boolean} - True if the denominator is 1
+   */
+  isInteger() {
+    return this.denominator === 1;
+  }
+
+  /**
+   * @param {Fraction|number} other - Value to compare
+   * @returns {boolean} - True if both are the same rational number
+   */
+  equals(other) {
+    const o = Fraction.from(other);
+    return !!o && o.numerator === this.numerator && o.denominator === this.denominator;
+  }
+
+  /**
+   * @returns {number} - Decimal value
+   */
+  toNumber() {
+    return this.numerator / this.denominator;
+  }
+
+  /**
+   * @returns {string} - e.g. '-1/3', or '2' for an integer
+   */
+  toString() {
+    return this.isInteger() ? String(this.numerator) : `${this.numerator}/${this.denominator}`;
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Fraction from parts that may have overflowed
+   * @returns {Fraction|null}
+   * @private
+   */
+  static _create(numerator, denominator) {
+    if (!Number.isSafeInteger(numerator) || !Number.isSafeInteger(denominator)) return null;
+    return new Fraction(numerator, denominator);
+  }
+
+  /**
+   * Greatest common divisor (non-negative; gcd(0, 0) = 0)
+   * @private
+   */
+  static _gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+}
@@ -1,7 +1,9 @@
 /**
  * Matrix Class
- * Represents a 2x2 matrix with mathematical operations
+ * Represents an m×n matrix with mathematical operations
  * All operations are immutable (return new Matrix instances)
+ * Elimination-based operations (determinant, inverse, rank, rref) also have
+ * *WithSteps() variants returning { result, steps } for displaying the work
  */
 
 class Matrix {
@@ -103,10 +105,30 @@ class Matrix {
 
   /**
    * Transform a vector by this matrix (matrix-vector multiplication)
-   * @param {Vector} vector - Vector to transform
-   * @returns {Vector} - Transformed vector
+   * @param {Vector|VectorN|number[]} vector - 2D Vector, VectorN, or component array with one entry per column
+   * @returns {Vector|VectorN|number[]} - Transformed vector (same kind as the input)
    */
   transform(vector) {
+    if (vector instanceof VectorN) {
+      // An m×n matrix maps n-dimensional vectors to m-dimensional ones
+      return new VectorN(this.transform(vector.components), Vector.defaultResultColor, 'transformed');
+    }
+
+    if (Array.isArray(vector)) {
+      if (vector.length !== this.cols) {
+        throw new Error(`Cannot transform a ${vector.length}-component vector by a ${this.rows}×${this.cols} matrix`);
+      }
+
+      // Each output component is the dot product of a matrix row with the input
+      return this.data.map(row =>
+        row.reduce((sum, value, k) => sum + value * vector[k], 0)
+      );
+    }
+
+    if (this.rows !== 2 || this.cols !== 2) {
+      throw new Error(`Cannot transform a 2D vector by a ${this.rows}×${this.cols} matrix`);
+    }
+
     // For 2×2 matrix and 2D vector: [a b] [x]   [ax + by]
     //                                [c d] [y] = [cx + dy]
     const x = this.data[0][0] * vector.x + this.data[0][1] * vector.y;
@@ -179,16 +201,120 @@ class Matrix {
   }
 
   /**
-   * Calculate the determinant of this matrix (2×2 only)
+   * Calculate the determinant of this matrix
    * @returns {number} - Determinant value
    */
   determinant() {
-    if (this.rows !== 2 || this.cols !== 2) {
-      throw new Error('Determinant calculation only supported for 2×2 matrices');
+    return this.determinantWithSteps().result;
+  }
+
+  /**
+   * Calculate the determinant with a step trace
+   * 2×2 uses ad - bc; larger matrices use Gaussian elimination to upper
+   * triangular form, where det = (-1)^swaps × product of the pivots
+   * @returns {{result: number, steps: Array<{description: string, matrix: (Matrix|undefined)}>}}
+   */
+  determinantWithSteps() {
+    if (this.rows !== this.cols) {
+      throw new Error(`Determinant only defined for square matrices (got ${this.rows}×${this.cols})`);
+    }
+
+    const fmt = Matrix.formatNumber;
+
+    if (this.rows === 1) {
+      const value = this.data[0][0];
+      return { result: value, steps: [{ description: `det = ${fmt(value)}` }] };
     }
 
-    // For 2×2 matrix: det = ad - bc
-    return this.data[0][0] * this.data[1][1] - this.data[0][1] * this.data[1][0];
+    if (this.rows === 2) {
+      // For 2×2 matrix: det = ad - bc
+      const [[a, b], [c, d]] = this.data;
+      const value = a * d - b * c;
+      return {
+        result: value,
+        steps: [
+          { description: 'det = ad − bc', matrix: this.clone() },
+          { description: `= (${fmt(a)})(${fmt(d)}) − (${fmt(b)})(${fmt(c)}) = ${fmt(value)}` }
+        ]
+      };
+    }
+
+    const m = this.clone();
+    const n = m.rows;
+    const steps = [{ description: 'Reduce to upper triangular form', matrix: m.clone() }];
+    let sign = 1;
+
+    for (let col = 0; col < n; col++) {
+      const pivotRow = m._findPivotRow(col, col);
+
+      if (pivotRow === -1) {
+        steps.push({ description: `Column ${col + 1} has no non-zero pivot, so det = 0` });
+        return { result: 0, steps };
+      }
+
+      if (pivotRow !== col) {
+        m._swapRows(col, pivotRow);
+        sign = -sign;
+        steps.push({ description: `R${col + 1} ↔ R${pivotRow + 1} (a row swap flips the sign)`, matrix: m.clone() });
+      }
+
+      for (let r = col + 1; r < n; r++) {
+        const factor = m.data[r][col] / m.data[col][col];
+        if (Math.abs(factor) < 1e-10) continue;
+        m._addRowMultiple(r, col, -factor);
+        steps.push({ description: Matrix._describeRowReplacement(r, col, factor), matrix: m.clone() });
+      }
+    }
+
+    const diagonal = m.data.map((row, i) => row[i]);
+    const value = sign * diagonal.reduce((product, d) => product * d, 1);
+    const signText = sign < 0 ? '−' : '';
+    steps.push({
+      description: `det = ${signText}(${diagonal.map(fmt).join(')(')}) = ${fmt(value)}`
+    });
+
+    return { result: value, steps };
+  }
+
+  /**
+   * Determinant in exact arithmetic, e.g. 1/6 instead of 0.16666666666666666
+   * Eliminates over Fractions, so no roundoff creeps into the pivots
+   * @returns {Fraction|null} - null if an entry has no fraction form or a step overflows
+   */
+  exactDeterminant() {
+    if (this.rows !== this.cols) {
+      throw new Error(`Determinant only defined for square matrices (got ${this.rows}×${this.cols})`);
+    }
+
+    const m = this.toFractions();
+    if (!m) return null;
+
+    const n = this.rows;
+    let det = new Fraction(1);
+
+    for (let col = 0; col < n; col++) {
+      const pivotRow = m.findIndex((row, r) => r >= col && row[col].numerator !== 0);
+      if (pivotRow === -1) return new Fraction(0);
+
+      if (pivotRow !== col) {
+        [m[col], m[pivotRow]] = [m[pivotRow], m[col]];
+        det = det.negate();
+      }
+
+      det = det.multiply(m[col][col]);
+      for (let r = col + 1; r < n; r++) {
+        const factor = m[r][col].divide(m[col][col]);
+        if (!factor) return null;
+        for (let c = col; c < n; c++) {
+          const product = factor.multiply(m[col][c]);
+          m[r][c] = product && m[r][c].subtract(product);
+          if (!m[r][c]) return null;
+        }
+      }
+      if (!det) return null;
+    }
+
+    return det;
   }
 
   /**
@@ -224,32 +350,511 @@ class Matrix {
   }
 
   /**
-   * Calculate the inverse of this matrix (2×2 only)
+   * Calculate the inverse of this matrix
    * @returns {Matrix|null} - Inverse matrix, or null if not invertible
    */
   inverse() {
+    return this.inverseWithSteps().result;
+  }
+
+  /**
+   * Calculate the inverse with a step trace using Gauss-Jordan elimination on [A | I]
+   * @returns {{result: (Matrix|null), steps: Array<{description: string, matrix: (Matrix|undefined)}>}}
+   */
+  inverseWithSteps() {
+    if (this.rows !== this.cols) {
+      throw new Error(`Inverse only defined for square matrices (got ${this.rows}×${this.cols})`);
+    }
+
+    const n = this.rows;
+
+    if (n === 2) {
+      // For 2×2 matrix: inverse = (1/det) * [d  -b]
+      //                                      [-c  a]
+      const det = this.determinant();
+      if (this._isNearlySingular(det)) {
+        return {
+          result: null,
+          steps: [{ description: 'det = 0, so the matrix is singular (not invertible)' }]
+        };
+      }
+
+      // Not Matrix.formatNumber: a finely scaled matrix has a genuine det below its noise cutoff
+      const detText = Math.abs(det) < 1e-10 ? String(parseFloat(det.toPrecision(3))).replace(/-/g, '−') : Matrix.formatNumber(det);
+      const detStep = { description: `det = ${detText}` };
+
+      const [[a, b], [c, d]] = this.data;
+      const inverse = new Matrix(2, 2, [
+        [d / det, -b / det],
+        [-c / det, a / det]
+      ]);
+
+      return {
+        result: inverse,
+        steps: [
+          detStep,
+          { description: 'A⁻¹ = (1/det) × [d −b; −c a]', matrix: inverse.clone() }
+        ]
+      };
+    }
+
+    const singular = this._isNearlySingular(this.determinant());
+    const augmented = new Matrix(n, 2 * n, this.data.map((row, i) =>
+      [...row, ...Array(n).fill(0).map((_, j) => (i === j ? 1 : 0))]
+    ));
+
+    const { result: reduced, pivotColumns, steps } = augmented.rrefWithSteps();
+    steps[0] = { description: 'Augment with the identity: [A | I]', matrix: steps[0].matrix };
+
+    // A is invertible exactly when every column of the left block has a pivot
+    const missing = Array(n).fill(0).map((_, j) => j).find(j => !pivotColumns.includes(j));
+    if (missing !== undefined) {
+      steps.push({ description: `Column ${missing + 1} has no pivot, so the matrix is singular (not invertible)` });
+      return { result: null, steps };
+    }
+    if (singular) {
+      // Every pivot was found, but only because rounding kept a dependent row from cancelling
+      steps.push({ description: 'det ≈ 0 for entries of this size, so the matrix is singular (not invertible)' });
+      return { result: null, steps };
+    }
+
+    const inverse = new Matrix(n, n, reduced.data.map(row => row.slice(n)));
+    steps.push({ description: 'Left block is I, so the right block is A⁻¹', matrix: inverse.clone() });
+
+    return { result: inverse, steps };
+  }
+
+  /**
+   * Inverse in exact arithmetic, e.g. 1/3 instead of 0.3333333333333333
+   * Runs Gauss-Jordan on [A | I] over Fractions
+   * @returns {Fraction[][]|null} - Entries of A⁻¹, or null if A is singular, an entry has
+   *   no fraction form or a step overflows
+   */
+  exactInverse() {
+    if (this.rows !== this.cols) {
+      throw new Error(`Inverse only defined for square matrices (got ${this.rows}×${this.cols})`);
+    }
+
+    const entries = this.toFractions();
+    if (!entries) return null;
+
+    const n = this.rows;
+    const m = entries.map((row, i) => [...row, ...Array(n).fill(0).map((_, j) => new Fraction(i === j ? 1 : 0))]);
+
+    for (let col = 0; col < n; col++) {
+      const pivotRow = m.findIndex((row, r) => r >= col && row[col].numerator !== 0);
+      if (pivotRow === -1) return null;
+      [m[col], m[pivotRow]] = [m[pivotRow], m[col]];
+
+      const pivot = m[col][col];
+      m[col] = m[col].map(value => value.divide(pivot));
+      if (!m[col].every(Boolean)) return null;
+
+      for (let r = 0; r < n; r++) {
+        const factor = m[r][col];
+        if (r === col || factor.numerator === 0) continue;
+        m[r] = m[r].map((value, c) => {
+          const product = factor.multiply(m[col][c]);
+          return product && value.subtract(product);
+        });
+        if (!m[r].every(Boolean)) return null;
+      }
+    }
+
+    return m.map(row => row.slice(n));
+  }
+
+  /**
+   * Calculate the rank of this matrix (number of pivot columns)
+   * @returns {number} - Rank
+   */
+  rank() {
+    return this.rankWithSteps().result;
+  }
+
+  /**
+   * Calculate the rank with the row reduction trace
+   * @returns {{result: number, steps: Array<{description: string, matrix: (Matrix|undefined)}>}}
+   */
+  rankWithSteps() {
+    const { pivotColumns, steps } = this.rrefWithSteps();
+    const rank = pivotColumns.length;
+    const columnsText = pivotColumns.length > 0
+      ? ` (column${rank === 1 ? '' : 's'} ${pivotColumns.map(c => c + 1).join(', ')})`
+      : '';
+
+    steps.push({ description: `${rank} pivot${rank === 1 ? '' : 's'}${columnsText}, so rank = ${rank}` });
+    return { result: rank, steps };
+  }
+
+  /**
+   * Reduce this matrix to reduced row echelon form
+   * @returns {Matrix} - RREF matrix
+   */
+  rref() {
+    return this.rrefWithSteps().result;
+  }
+
+  /**
+   * Reduce to reduced row echelon form using Gauss-Jordan elimination
+   * with partial pivoting, recording every elementary row operation
+   * @param {number} [pivotLimit] - Only look for pivots in the first pivotLimit columns
+   *   (for an augmented matrix [A | b], the columns of A); default: all columns
+   * @returns {{result: Matrix, pivotColumns: number[], steps: Array<{description: string, matrix: Matrix}>}}
+   */
+  rrefWithSteps(pivotLimit = this.cols) {
+    const fmt = Matrix.formatNumber;
+    const m = this.clone();
+    const steps = [{ description: 'Start with the matrix', matrix: m.clone() }];
+    const pivotColumns = [];
+    let pivotRow = 0;
+
+    for (let col = 0; col < pivotLimit && pivotRow < m.rows; col++) {
+      const bestRow = m._findPivotRow(col, pivotRow);
+      if (bestRow === -1) continue; // Free column, no pivot here
+
+      if (bestRow !== pivotRow) {
+        m._swapRows(pivotRow, bestRow);
+        steps.push({ description: `R${pivotRow + 1} ↔ R${bestRow + 1}`, matrix: m.clone() });
+      }
+
+      const pivot = m.data[pivotRow][col];
+      if (Math.abs(pivot - 1) > 1e-10) {
+        m.data[pivotRow] = m.data[pivotRow].map(val => val / pivot);
+        steps.push({ description: `R${pivotRow + 1} → R${pivotRow + 1} / ${fmt(pivot)}`, matrix: m.clone() });
+      }
+
+      for (let r = 0; r < m.rows; r++) {
+        if (r === pivotRow) continue;
+        const factor = m.data[r][col];
+        if (Math.abs(factor) < 1e-10) continue;
+        m._addRowMultiple(r, pivotRow, -factor);
+        steps.push({ description: Matrix._describeRowReplacement(r, pivotRow, factor), matrix: m.clone() });
+      }
+
+      pivotColumns.push(col);
+      pivotRow++;
+    }
+
+    m._cleanRoundoff();
+    return { result: m, pivotColumns, steps };
+  }
+
+  // ============================================================================
+  // LINEAR SYSTEMS
+  // ============================================================================
+
+  /**
+   * Solve Ax = b for x
+   * @param {number[]} b - Right-hand side, one entry per row
+   * @returns {{type: string, solution: (number[]|null), directions: Array<number[]>}} - See solveWithSteps()
+   */
+  solve(b) {
+    return this.solveWithSteps(b).result;
+  }
+
+  /**
+   * Solve Ax = b by Gauss-Jordan elimination on the augmented matrix [A | b]
+   * The result type says how many solutions there are:
+   * - 'unique':   x = solution
+   * - 'infinite': x = solution + t₁·directions[0] + t₂·directions[1] + … for any t
+   *               (directions span the null space of A, one per free column)
+   * - 'none':     a row reduces to 0 = 1, so b is not a combination of the columns
+   * @param {number[]} b - Right-hand side, one entry per row
+   * @returns {{result: {type: string, solution: (number[]|null), directions: Array<number[]>}, steps: Array<{description: string, matrix: (Matrix|undefined)}>}}
+   */
+  solveWithSteps(b) {
+    if (!Array.isArray(b) || b.length !== this.rows) {
+      throw new Error(`Right-hand side needs ${this.rows} entries (got ${Array.isArray(b) ? b.length : 0})`);
+    }
+
+    const fmt = Matrix.formatNumber;
+    const n = this.cols;
+    const augmented = new Matrix(this.rows, n + 1, this.data.map((row, i) => [...row, b[i]]));
+    const { result: reduced, pivotColumns, steps } = augmented.rrefWithSteps(n);
+    steps[0] = { description: 'Augment with b: [A | b]', matrix: steps[0].matrix };
+
+    // Rows below the pivots have reduced to 0x₁ + … + 0xₙ = c; any c ≠ 0 is a contradiction
+    const contradiction = reduced.data.findIndex((row, r) => r >= pivotColumns.length && row[n] !== 0);
+    if (contradiction !== -1) {
+      steps.push({
+        description: `R${contradiction + 1} reads 0 = ${fmt(reduced.data[contradiction][n])}, so no x satisfies every equation`
+      });
+      return { result: { type: 'none', solution: null, directions: [] }, steps };
+    }
+
+    // Free variables are set to 0 for the particular solution; each pivot variable is then its row's b entry
+    const solution = Array(n).fill(0);
+    pivotColumns.forEach((col, row) => {
+      solution[col] = reduced.data[row][n];
+    });
+
+    const freeColumns = Array(n).fill(0).map((_, j) => j).filter(j => !pivotColumns.includes(j));
+    const directions = freeColumns.map(free => {
+      const direction = Array(n).fill(0);
+      direction[free] = 1;
+      pivotColumns.forEach((col, row) => {
+        direction[col] = reduced.data[row][free] === 0 ? 0 : -reduced.data[row][free];
+      });
+      return direction;
+    });
+
+    const variables = (columns) => columns.map(Matrix._variableName).join(', ');
+    if (freeColumns.length === 0) {
+      steps.push({ description: `Every column of A has a pivot, so x = [${solution.map(fmt).join(', ')}] is the only solution` });
+      return { result: { type: 'unique', solution, directions }, steps };
+    }
+
+    steps.push({
+      description: `${variables(freeColumns)} ${freeColumns.length === 1 ? 'is' : 'are'} free (no pivot), so there are infinitely many solutions`
+    });
+    return { result: { type: 'infinite', solution, directions }, steps };
+  }
+
+  // ============================================================================
+  // EIGEN-DECOMPOSITION (2×2)
+  // ============================================================================
+
+  /**
+   * Compute the eigenvalues and eigenvectors of this 2×2 matrix
+   * @returns {{type: string, eigenvalues: Array, eigenvectors: Array<number[]>}} - See eigenWithSteps()
+   */
+  eigen() {
+    return this.eigenWithSteps().result;
+  }
+
+  /**
+   * Compute the eigen-decomposition of a 2×2 matrix from its characteristic polynomial
+   * det(A − λI) = λ² − tr(A)·λ + det(A), solved with the quadratic formula.
+   *
+   * result.type is one of:
+   * - 'real':     two distinct real eigenvalues, one unit eigenvector each
+   * - 'repeated': one real eigenvalue; two eigenvectors when A = λI (every vector
+   *               is an eigenvector), otherwise one (defective, e.g. a shear)
+   * - 'complex':  conjugate pair {re, im}; no real eigenvectors (A rotates every direction)
+   *
+   * @returns {{result: {type: string, eigenvalues: Array<number|{re: number, im: number}>, eigenvectors: Array<number[]>}, steps: Array<{description: string, matrix: (Matrix|undefined)}>}}
+   */
+  eigenWithSteps() {
     if (this.rows !== 2 || this.cols !== 2) {
-      throw new Error('Inverse calculation only supported for 2×2 matrices');
+      throw new Error(`Eigen-decomposition is only supported for 2×2 matrices (got ${this.rows}×${this.cols})`);
+    }
+
+    const fmt = Matrix.formatNumber;
+    const [[a, b], [c, d]] = this.data;
+    const tr = a + d;
+    const det = a * d - b * c;
+    const discriminant = tr * tr - 4 * det;
+
+    const steps = [
+      { description: 'Characteristic polynomial: det(A − λI) = (a − λ)(d − λ) − bc', matrix: this.clone() },
+      { description: `= λ² − tr(A)·λ + det(A) = ${Matrix._formatQuadratic(-tr, det)}` },
+      { description: `Discriminant Δ = tr(A)² − 4·det(A) = (${fmt(tr)})² − 4(${fmt(det)}) = ${fmt(discriminant)}` }
+    ];
+
+    if (discriminant < -1e-10) {
+      const re = tr / 2;
+      const im = Math.sqrt(-discriminant) / 2;
+      steps.push({ description: `Δ < 0, so λ = ${fmt(re)} ± ${fmt(im)}i (complex conjugate pair)` });
+      steps.push({ description: 'No real eigenvectors: A rotates every direction off its span' });
+      return {
+        result: { type: 'complex', eigenvalues: [{ re, im }, { re, im: -im }], eigenvectors: [] },
+        steps
+      };
     }
 
-    const det = this.determinant();
+    if (Math.abs(discriminant) <= 1e-10) {
+      const lambda = tr / 2;
+      const shifted = this._shiftDiagonal(-lambda);
+      steps.push({ description: `Δ = 0, so λ = tr(A) / 2 = ${fmt(lambda)} (repeated)` });
+
+      if (shifted.data.every(row => row.every(val => Math.abs(val) < 1e-10))) {
+        // A = λI scales every direction equally
+        steps.push({ description: 'A − λI = 0, so every vector is an eigenvector', matrix: shifted });
+        return {
+          result: { type: 'repeated', eigenvalues: [lambda, lambda], eigenvectors: [[1, 0], [0, 1]] },
+          steps
+        };
+      }
 
-    if (Math.abs(det) < 1e-10) {
-      // Matrix is singular (not invertible)
-      return null;
+      const vector = this._eigenvectorFor(lambda);
+      steps.push({ description: `Solve (A − λI)v = 0 → v = [${vector.map(fmt).join(', ')}]`, matrix: shifted });
+      steps.push({ description: 'Only one independent eigenvector (the matrix is defective)' });
+      return {
+        result: { type: 'repeated', eigenvalues: [lambda, lambda], eigenvectors: [vector] },
+        steps
+      };
     }
 
-    // For 2×2 matrix: inverse = (1/det) * [d  -b]
-    //                                      [-c  a]
-    const a = this.data[0][0];
-    const b = this.data[0][1];
-    const c = this.data[1][0];
-    const d = this.data[1][1];
+    const root = Math.sqrt(discriminant);
+    const eigenvalues = [(tr + root) / 2, (tr - root) / 2];
+    steps.push({
+      description: `λ = (tr(A) ± √Δ) / 2 → λ₁ = ${fmt(eigenvalues[0])}, λ₂ = ${fmt(eigenvalues[1])}`
+    });
+
+    const subscripts = ['₁', '₂'];
+    const eigenvectors = eigenvalues.map((lambda, i) => {
+      const vector = this._eigenvectorFor(lambda);
+      steps.push({
+        description: `Solve (A − λ${subscripts[i]}I)v = 0 → v${subscripts[i]} = [${vector.map(fmt).join(', ')}]`,
+        matrix: this._shiftDiagonal(-lambda)
+      });
+      return vector;
+    });
+
+    return { result: { type: 'real', eigenvalues, eigenvectors }, steps };
+  }
 
-    return new Matrix(2, 2, [
-      [d / det, -b / det],
-      [-c / det, a / det]
-    ]);
+  /**
+   * Find a unit eigenvector for a real eigenvalue of a 2×2 matrix
+   * Any non-zero row [p, q] of A − λI is orthogonal to the eigenvector, so v ∝ [−q, p].
+   * The sign is chosen so the first non-zero component is positive.
+   * @param {number} lambda - Eigenvalue
+   * @returns {number[]} - Unit eigenvector [x, y]
+   * @private
+   */
+  _eigenvectorFor(lambda) {
+    const [[p1, q1], [p2, q2]] = this._shiftDiagonal(-lambda).data;
+    const useFirstRow = Math.hypot(p1, q1) >= Math.hypot(p2, q2);
+    const [p, q] = useFirstRow ? [p1, q1] : [p2, q2];
+
+    let vector = Math.hypot(p, q) < 1e-10 ? [1, 0] : [-q, p];
+    const length = Math.hypot(vector[0], vector[1]);
+    vector = vector.map(val => val / length);
+
+    const leading = Math.abs(vector[0]) > 1e-10 ? vector[0] : vector[1];
+    if (leading < 0) {
+      vector = vector.map(val => -val);
+    }
+    return vector.map(val => (Math.abs(val) < 1e-10 ? 0 : val));
+  }
+
+  /**
+   * Return A + shift·I
+   * @param {number} shift - Value added to every diagonal entry
+   * @returns {Matrix} - Shifted matrix
+   * @private
+   */
+  _shiftDiagonal(shift) {
+    const result = this.clone();
+    for (let i = 0; i < Math.min(this.rows, this.cols); i++) {
+      result.data[i][i] += shift;
+    }
+    result._cleanRoundoff();
+    return result;
+  }
+
+  /**
+   * Format λ² + pλ + q with readable signs
+   * @param {number} p - Coefficient of λ
+   * @param {number} q - Constant term
+   * @returns {string} - Polynomial text
+   * @private
+   */
+  static _formatQuadratic(p, q) {
+    const fmt = Matrix.formatNumber;
+    let text = 'λ²';
+    if (Math.abs(p) > 1e-10) {
+      text += ` ${p < 0 ? '−' : '+'} ${Math.abs(p) === 1 ? '' : fmt(Math.abs(p))}λ`;
+    }
+    if (Math.abs(q) > 1e-10) {
+      text += ` ${q < 0 ? '−' : '+'} ${fmt(Math.abs(q))}`;
+    }
+    return text;
+  }
+
+  // ============================================================================
+  // ROW OPERATION HELPERS (mutate in place, only used on working copies)
+  // ============================================================================
+
+  /**
+   * Find the row with the largest absolute value in a column (partial pivoting)
+   * @param {number} col - Column to search
+   * @param {number} startRow - First row to consider
+   * @returns {number} - Row index, or -1 if every candidate is (near) zero
+   * @private
+   */
+  _findPivotRow(col, startRow) {
+    let best = -1;
+    let bestAbs = 1e-10;
+    for (let r = startRow; r < this.rows; r++) {
+      const abs = Math.abs(this.data[r][col]);
+      if (abs > bestAbs) {
+        best = r;
+        bestAbs = abs;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Swap two rows
+   * @private
+   */
+  _swapRows(r1, r2) {
+    [this.data[r1], this.data[r2]] = [this.data[r2], this.data[r1]];
+  }
+
+  /**
+   * Row replacement: R_target → R_target + factor × R_source
+   * @private
+   */
+  _addRowMultiple(target, source, factor) {
+    this.data[target] = this.data[target].map((val, j) => val + factor * this.data[source][j]);
+    this._cleanRoundoff();
+  }
+
+  /**
+   * Whether this square matrix is singular up to rounding, relative to the size of its entries:
+   * |det| is compared with the product of the row lengths, its largest possible value
+   * (Hadamard's inequality), so scaling every entry by the same factor doesn't change the answer
+   * @param {number} det - Determinant of this matrix
+   * @returns {boolean}
+   * @private
+   */
+  _isNearlySingular(det) {
+    const bound = this.data.reduce((product, row) => product * Math.hypot(...row), 1);
+    return bound === 0 || Math.abs(det) <= 1e-10 * bound;
+  }
+
+  /**
+   * Snap floating point noise (|x| < 1e-10) to exactly zero
+   * @private
+   */
+  _cleanRoundoff() {
+    this.data = this.data.map(row => row.map(val => (Math.abs(val) < 1e-10 ? 0 : val)));
+  }
+
+  /**
+   * Describe R_target → R_target − factor × R_source with a readable sign
+   * @private
+   */
+  static _describeRowReplacement(target, source, factor) {
+    const op = factor > 0 ? '−' : '+';
+    return `R${target + 1} → R${target + 1} ${op} ${Matrix.formatNumber(Math.abs(factor))}·R${source + 1}`;
+  }
+
+  /**
+   * Name of the unknown in a column, e.g. 0 → 'x₁'
+   * @private
+   */
+  static _variableName(col) {
+    return `x${String(col + 1).replace(/[0-9]/g, d => '₀₁₂₃₄₅₆₇₈₉'[Number(d)])}`;
+  }
+
+  /**
+   * Format a number for step descriptions (up to 3 decimals, no trailing zeros, '−' for negatives)
+   * Values below 1e-10 are treated as rounding noise and shown as 0
+   * @param {number} value - Value to format
+   * @returns {string} - Formatted value
+   */
+  static formatNumber(value) {
+    let rounded = parseFloat(value.toFixed(3));
+    if (rounded === 0 && Math.abs(value) >= 1e-10) {
+      // Small but not rounding noise, like the pivots of a finely scaled matrix: keep 3 significant digits
+      rounded = parseFloat(value.toPrecision(3));
+    }
+    return (Object.is(rounded, -0) ? 0 : rounded).toString().replace(/-/g, '−');
   }
 
   // ============================================================================
@@ -264,6 +869,15 @@ class Matrix {
     return new Matrix(this.rows, this.cols, this.data);
   }
 
+  /**
+   * Entries as exact fractions (see Fraction.from)
+   * @returns {Fraction[][]|null} - data[row][col] as Fractions, or null if an entry has no fraction form
+   */
+  toFractions() {
+    const entries = this.data.map(row => row.map(value => Fraction.from(value)));
+    return entries.every(row => row.every(Boolean)) ? entries : null;
+  }
+
   /**
    * Check if this matrix equals another matrix
    * @param {Matrix} other - Matrix to compare
@@ -348,7 +962,7 @@ class Matrix {
    */
   get isInvertible() {
     if (this.rows !== this.cols) return false;
-    return Math.abs(this.determinant()) > 1e-10;
+    return !this._isNearlySingular(this.determinant());
   }
 
   /**
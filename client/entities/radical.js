@@ -0,0 +1,194 @@
+/**
+ * Radical Class
+ * Represents an exact value c·√r: a rational coefficient c (a Fraction) times the
+ * square root of a square-free integer r ≥ 1, e.g. ‖[1, 1]‖ = √2 or 1/√2 = √2/2
+ * All operations are immutable (return new Radical instances)
+ * Products and quotients of radicals are radicals again; sums in general are not,
+ * so there is no add()
+ */
+
+class Radical {
+  static MAX_RADICAND = 1e10; // Larger radicands are not simplified (trial division gets slow)
+  static MAX_RECOGNIZED_RADICAND = 10000; // from() gives up on larger ones: √2555765310/8309 helps no one
+
+  /**
+   * Create a new Radical; square factors are moved out of the root (√12 → 2√3)
+   * @param {Fraction|number} coefficient - Rational coefficient
+   * @param {number} radicand - Positive integer under the root (default: 1)
+   * @throws {Error} If the coefficient has no fraction form or the radicand is not an integer from 1 to MAX_RADICAND
+   */
+  constructor(coefficient, radicand = 1) {
+    const c = Fraction.from(coefficient);
+    if (!c || !Number.isSafeInteger(radicand) || radicand < 1 || radicand > Radical.MAX_RADICAND) {
+      throw new Error(`Invalid radical ${coefficient}√${radicand}`);
+    }
+
+    const [outside, inside] = Radical._splitSquares(radicand);
+    this.coefficient = c.multiply(outside);
+    this.radicand = c.numerator === 0 ? 1 : inside;
+
+    if (!this.coefficient) {
+      throw new Error(`Radical ${coefficient}√${radicand} is too large`);
+    }
+  }
+
+  // ============================================================================
+  // STATIC FACTORY METHODS
+  // ============================================================================
+
+  /**
+   * Exact square root of a rational number: √(p/q) = √(pq)/q
+   * @param {Fraction|number} value - Non-negative value
+   * @returns {Radical|null} - The root, or null if the value is negative or too large
+   */
+  static sqrt(value) {
+    const f = Fraction.from(value);
+    if (!f || f.sign < 0) return null;
+
+    if (f.numerator === 0) return new Radical(0);
+
+    const radicand = f.numerator * f.denominator;
+    if (radicand > Radical.MAX_RADICAND) return null;
+    return new Radical(new Fraction(1, f.denominator), radicand);
+  }
+
+  /**
+   * Exact length √(x₁² + x₂² + …) of a vector with fraction components
+   * @param {Array<Fraction|number>} components - Vector components
+   * @returns {Radical|null} - The length, or null if a component has no fraction form
+   */
+  static norm(components) {
+    let sumOfSquares = new Fraction(0);
+    for (const component of components) {
+      const f = Fraction.from(component);
+      sumOfSquares = f && sumOfSquares.add(f.multiply(f));
+      if (!sumOfSquares) return null;
+    }
+    return Radical.sqrt(sumOfSquares);
+  }
+
+  /**
+   * Recognize the exact value a decimal stands for: a fraction (radicand 1) or, if
+   * its square is a fraction, a radical, e.g. 0.7071067811865476 → √2/2
+   * @param {number|Fraction|Radical} value - Number (Fractions and Radicals are converted/returned as is)
+   * @returns {Radical|null} - The exact value, or null if none was found
+   */
+  static from(value) {
+    if (value instanceof Radical) return value;
+
+    const fraction = Fraction.from(value);
+    if (fraction) return new Radical(fraction);
+    if (typeof value !== 'number' || !isFinite(value)) return null;
+
+    // The square is matched to an absolute tolerance, which tiny values like 1e-7 pass as 0
+    const root = Radical.sqrt(Fraction.from(value * value));
+    if (!root || root.radicand > Radical.MAX_RECOGNIZED_RADICAND) return null;
+    if (Math.abs(root.toNumber() - Math.abs(value)) > 1e-12 * Math.abs(value)) return null;
+    return value < 0 ? root.negate() : root;
+  }
+
+  // ============================================================================
+  // ARITHMETIC
+  // ============================================================================
+
+  /**
+   * @param {Radical|Fraction|number} other - Value to multiply by
+   * @returns {Radical|null} - this × other (null if other has no exact form or the result is too large)
+   */
+  multiply(other) {
+    const o = Radical.from(other);
+    if (!o) return null;
+
+    return Radical._create(this.coefficient.multiply(o.coefficient), this.radicand * o.radicand);
+  }
+
+  /**
+   * c₁√r₁ / (c₂√r₂) = c₁/(c₂·r₂) · √(r₁r₂), which keeps the root out of the denominator
+   * @param {Radical|Fraction|number} other - Value to divide by
+   * @returns {Radical|null} - this / other
+   * @throws {Error} If other is zero
+   */
+  divide(other) {
+    const o = Radical.from(other);
+    if (!o) return null;
+
+    const scaled = o.coefficient.multiply(o.radicand);
+    const inverse = scaled && Radical._create(scaled.reciprocal(), o.radicand);
+    return inverse && this.multiply(inverse);
+  }
+
+  /**
+   * @returns {Radical} - −this
+   */
+  negate() {
+    return new Radical(this.coefficient.negate(), this.radicand);
+  }
+
+  // ============================================================================
+  // PROPERTIES
+  // ============================================================================
+
+  /**
+   * @returns {boolean} - True if there is no root left (the value is the coefficient)
+   */
+  isRational() {
+    return this.radicand === 1;
+  }
+
+  /**
+   * @returns {number} - Decimal value
+   */
+  toNumber() {
+    return this.coefficient.toNumber() * Math.sqrt(this.radicand);
+  }
+
+  /**
+   * @returns {string} - e.g. '√2/2', '-3√5', or the fraction when there is no root
+   */
+  toString() {
+    if (this.isRational()) return this.coefficient.toString();
+
+    const { numerator, denominator } = this.coefficient;
+    const sign = numerator < 0 ? '-' : '';
+    const multiple = Math.abs(numerator) === 1 ? '' : String(Math.abs(numerator));
+    const over = denominator === 1 ? '' : `/${denominator}`;
+    return `${sign}${multiple}√${this.radicand}${over}`;
+  }
+
+  // ============================================================================
+  // PRIVATE HELPERS
+  // ============================================================================
+
+  /**
+   * Radical from parts that may have overflowed (the constructor throws instead)
+   * @param {Fraction|null} coefficient - Coefficient, or null if computing it overflowed
+   * @param {number} radicand - Radicand, possibly beyond MAX_RADICAND
+   * @returns {Radical|null}
+   * @private
+   */
+  static _create(coefficient, radicand) {
+    if (!coefficient || !Number.isSafeInteger(radicand) || radicand > Radical.MAX_RADICAND) return null;
+
+    const [outside, inside] = Radical._splitSquares(radicand);
+    const scaled = coefficient.multiply(outside);
+    return scaled && new Radical(scaled, inside);
+  }
+
+  /**
+   * Split n into k²·m with m square-free
+   * @param {number} n - Positive integer
+   * @returns {number[]} - [k, m]
+   * @private
+   */
+  static _splitSquares(n) {
+    let outside = 1;
+    let inside = n;
+    for (let factor = 2; factor * factor <= inside; factor++) {
+      while (inside % (factor * factor) === 0) {
+        inside /= factor * factor;
+        outside *= factor;
+      }
+    }
+    return [outside, inside];
+  }
+}
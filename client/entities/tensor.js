@@ -0,0 +1,272 @@
+/**
+ * Tensor Class
+ * Represents a tensor of any rank and shape (a scalar, an n-vector, an m×n matrix,
+ * an a×b×c array, ...) stored as nested arrays
+ * All operations are immutable (return new Tensor instances), except set()
+ */
+
+class Tensor {
+  /**
+   * Create a new Tensor
+   * @param {number[]} shape - Size of each index, e.g. [2, 3] for a 2×3 matrix ([] for a scalar)
+   * @param {Array|number} data - Nested array of values matching the shape, or null for zeros
+   */
+  constructor(shape = [], data = null) {
+    this.shape = [...shape];
+
+    // Store as nested arrays for educational clarity: data[i][j][k]
+    this.data = data !== null ? Tensor.cloneData(data) : Tensor.fill(shape, 0);
+  }
+
+  // ============================================================================
+  // STATIC FACTORY METHODS
+  // ============================================================================
+
+  /**
+   * Create a tensor from a nested array, reading the shape from it
+   * @param {Array|number} data - Nested array (or a number for a scalar)
+   * @returns {Tensor} - Tensor holding a copy of the data
+   */
+  static fromArray(data) {
+    return new Tensor(Tensor.shapeOf(data), data);
+  }
+
+  /**
+   * Create a tensor from values listed in row-major order (last index fastest)
+   * @param {number[]} shape - Tensor shape
+   * @param {number[]} values - shape.reduce(×) values
+   * @returns {Tensor}
+   */
+  static fromFlat(shape, values) {
+    const nest = (level, offset) => {
+      if (level === shape.length) return values[offset];
+      const stride = shape.slice(level + 1).reduce((product, size) => product * size, 1);
+      return Array.from({ length: shape[level] }, (_, i) => nest(level + 1, offset + i * stride));
+    };
+    return new Tensor(shape, nest(0, 0));
+  }
+
+  // ============================================================================
+  // STATIC HELPERS (plain nested arrays)
+  // ============================================================================
+
+  /**
+   * Shape of a nested array, e.g. [2, 3] for [[1, 2, 3], [4, 5, 6]]
+   * @param {Array|number} data - Nested array (or a number)
+   * @returns {number[]} - Size of each level ([] for a number)
+   */
+  static shapeOf(data) {
+    const shape = [];
+    let level = data;
+    while (Array.isArray(level)) {
+      shape.push(level.length);
+      level = level[0];
+    }
+    return shape;
+  }
+
+  /**
+   * Every index tuple of a shape in row-major order
+   * @param {number[]} shape - Tensor shape
+   * @returns {number[][]} - e.g. [[0,0], [0,1], [1,0], [1,1]] for [2, 2]; [[]] for a scalar
+   */
+  static indicesOf(shape) {
+    return shape.reduce(
+      (tuples, size) => tuples.flatMap(tuple => Array.from({ length: size }, (_, i) => [...tuple, i])),
+      [[]]
+    );
+  }
+
+  /**
+   * Nested array of the given shape with every entry set to value
+   * @param {number[]} shape - Tensor shape
+   * @param {number} value - Fill value
+   * @returns {Array|number}
+   */
+  static fill(shape, value) {
+    if (shape.length === 0) return value;
+    return Array.from({ length: shape[0] }, () => Tensor.fill(shape.slice(1), value));
+  }
+
+  /**
+   * Deep copy of a nested array
+   * @param {Array|number} data
+   * @returns {Array|number}
+   */
+  static cloneData(data) {
+    return Array.isArray(data) ? data.map(Tensor.cloneData) : data;
+  }
+
+  // ============================================================================
+  // ACCESSORS
+  // ============================================================================
+
+  /**
+   * Number of indices (0 for a scalar, 1 for a vector, ...)
+   * @returns {number}
+   */
+  get rank() {
+    return this.shape.length;
+  }
+
+  /**
+   * Total number of entries
+   * @returns {number}
+   */
+  get size() {
+    return this.shape.reduce((product, size) => product * size, 1);
+  }
+
+  /**
+   * Get the entry at an index tuple
+   * @param {number[]} index - One 0-based index per dimension ([] for a scalar)
+   * @returns {number}
+   */
+  get(index) {
+    return index.reduce((level, i) => level[i], this.data);
+  }
+
+  /**
+   * Set the entry at an index tuple
+   * @param {number[]} index - One 0-based index per dimension ([] for a scalar)
+   * @param {number} value - Value to set
+   */
+  set(index, value) {
+    if (index.length === 0) {
+      this.data = value;
+      return;
+    }
+    const parent = index.slice(0, -1).reduce((level, i) => level[i], this.data);
+    parent[index[index.length - 1]] = value;
+  }
+
+  /**
+   * Every index tuple of this tensor in row-major order
+   * @returns {number[][]}
+   */
+  indices() {
+    return Tensor.indicesOf(this.shape);
+  }
+
+  // ============================================================================
+  // TRANSFORMATIONS
+  // ============================================================================
+
+  /**
+   * Change the shape, keeping the entries whose indices still exist
+   * New entries are 0
+   * @param {number[]} shape - New shape (same rank)
+   * @returns {Tensor} - Resized tensor
+   */
+  resize(shape) {
+    const resized = new Tensor(shape);
+    resized.indices().forEach(index => {
+      if (index.every((i, axis) => i < this.shape[axis])) {
+        resized.set(index, this.get(index));
+      }
+    });
+    return resized;
+  }
+
+  /**
+   * Extract a sub-tensor by fixing some indices, like NumPy's t[:, 1, 0]
+   * @param {Array<number|null>} pattern - One entry per index: a 0-based value to fix it, or null to keep it
+   * @returns {Tensor} - Sub-tensor over the kept indices (a slice, a fiber or a single entry)
+   */
+  select(pattern) {
+    const kept = pattern.map((fixed, axis) => (fixed === null ? axis : -1)).filter(axis => axis >= 0);
+    const sub = new Tensor(kept.map(axis => this.shape[axis]));
+    sub.indices().forEach(subIndex => {
+      const index = pattern.map(fixed => fixed);
+      kept.forEach((axis, k) => {
+        index[axis] = subIndex[k];
+      });
+      sub.set(subIndex, this.get(index));
+    });
+    return sub;
+  }
+
+  /**
+   * Reinterpret the entries in a new shape, keeping their row-major order
+   * (a 2×3 matrix read row by row gives the same six numbers as the 3×2 result)
+   * @param {number[]} shape - New shape with the same number of entries
+   * @returns {Tensor} - Reshaped tensor
+   * @throws {Error} If the new shape holds a different number of entries
+   */
+  reshape(shape) {
+    const size = shape.reduce((product, n) => product * n, 1);
+    if (size !== this.size) {
+      throw new Error(`Can't reshape ${this.formatShape()} (${this.size} entries) into ${shape.join('×')} (${size} entries)`);
+    }
+    return Tensor.fromFlat(shape, this.indices().map(index => this.get(index)));
+  }
+
+  /**
+   * Reorder the indices: index k of the result is index axes[k] of this tensor
+   * e.g. permute([1, 0]) is the matrix transpose, R[j][i] = T[i][j]
+   * @param {number[]} axes - A permutation of 0..rank-1
+   * @returns {Tensor} - Permuted tensor
+   */
+  permute(axes) {
+    const permuted = new Tensor(axes.map(axis => this.shape[axis]));
+    permuted.indices().forEach(index => {
+      permuted.set(index, this.get(this.sourceIndex(index, axes)));
+    });
+    return permuted;
+  }
+
+  /**
+   * Reverse the order of the indices (the usual transpose for a matrix)
+   * @returns {Tensor} - Transposed tensor
+   */
+  transpose() {
+    return this.permute(this.shape.map((_, axis) => this.rank - 1 - axis));
+  }
+
+  /**
+   * Index of this tensor that lands at a given index of permute(axes)
+   * @param {number[]} index - Index into the permuted tensor
+   * @param {number[]} axes - Permutation passed to permute()
+   * @returns {number[]} - Index into this tensor
+   */
+  sourceIndex(index, axes) {
+    const source = new Array(this.rank);
+    axes.forEach((axis, k) => {
+      source[axis] = index[k];
+    });
+    return source;
+  }
+
+  /**
+   * Position of an entry when the tensor is read in row-major order
+   * @param {number[]} index - One 0-based index per dimension
+   * @returns {number} - 0-based position
+   */
+  flatIndex(index) {
+    return index.reduce((position, i, axis) => position * this.shape[axis] + i, 0);
+  }
+
+  /**
+   * Copy of the data as plain nested arrays (e.g. for saving state)
+   * @returns {Array|number}
+   */
+  toArray() {
+    return Tensor.cloneData(this.data);
+  }
+
+  /**
+   * Create a copy of this tensor
+   * @returns {Tensor}
+   */
+  clone() {
+    return new Tensor(this.shape, this.data);
+  }
+
+  /**
+   * Shape as text, e.g. '2×3' ('scalar' for rank 0)
+   * @returns {string}
+   */
+  formatShape() {
+    return this.rank === 0 ? 'scalar' : this.shape.join('×');
+  }
+}
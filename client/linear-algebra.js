@@ -10,7 +10,7 @@
 // Runtime configuration comes from config.json via ConfigService
 
 const STYLE_CONSTANTS = {
-  gridSize: 40,           // pixels per unit
+  gridSize: 40,           // pixels per unit at the default zoom level
   arrowHeadSize: 12,      // pixels
   vectorLineWidth: 3,
   gridLineWidth: 1,
@@ -25,14 +25,49 @@ const STYLE_CONSTANTS = {
     matrixBasisJ: '#3b82f6',  // blue for ĵ_A (same as vector2)
     matrixBasisIB: '#f59e0b',  // orange for î_B
     matrixBasisJB: '#a855f7',  // purple for ĵ_B
+    eigenvector1: '#14b8a6',  // teal for v₁ and its span
+    eigenvector2: '#ec4899',  // pink for v₂ and its span
+    warpedGrid: '#8b5cf6',    // violet tint for the image of the lattice under A
+    solveTarget: '#f97316',   // orange for b in Ax = b
+    rowLine1: '#0ea5e9',      // sky for the line of the first equation (row picture)
+    rowLine2: '#d946ef',      // fuchsia for the line of the second equation
+    crossParallelogram: '#f59e0b', // amber fill for the parallelogram spanned by a and b (3D mode)
+    rightHandArc: '#a855f7',  // purple arc curling from a toward b (3D mode)
+    tensorContribution: '#f59e0b', // amber for the input entries summed into the highlighted result entry (Tensor mode)
+    tensorSelection: '#14b8a6', // teal edges for the selected slice or fiber of T (Tensor mode)
     // Generic colors (grid, axis, text, hover, hoverHighlight) now come from design system CSS variables
   },
+  // Diverging heatmap scales for Tensor mode cubes (negative → zero → positive)
+  heatmapPalettes: {
+    redBlue: { label: 'Heatmap', negative: '#2166ac', zero: '#f7f7f7', positive: '#b2182b' },
+    // ColorBrewer PuOr: purple and orange stay distinct for red-green color blindness
+    colorblind: { label: 'Colorblind-safe', negative: '#5e3c99', zero: '#f7f7f7', positive: '#e66101' }
+  },
+  // Vector mode assigns these in order (v₁ gets the first entry); copyColor tints parallelogram helper lines
+  vectorPalette: [
+    { color: '#ef4444', copyColor: '#f8b4b4' }, // red (same as colors.vector1)
+    { color: '#3b82f6', copyColor: '#93c5fd' }, // blue (same as colors.vector2)
+    { color: '#f59e0b', copyColor: '#fcd34d' }, // amber
+    { color: '#a855f7', copyColor: '#d8b4fe' }, // purple
+    { color: '#14b8a6', copyColor: '#5eead4' }, // teal
+    { color: '#ec4899', copyColor: '#f9a8d4' }, // pink
+    { color: '#6366f1', copyColor: '#a5b4fc' }, // indigo
+    { color: '#78716c', copyColor: '#d6d3d1' }  // stone
+  ],
+  view: {
+    // Zoom and pan of the 2D plane (Vector and Matrix modes)
+    minScale: 4,                // pixels per unit when fully zoomed out
+    maxScale: 400,              // pixels per unit when fully zoomed in
+    zoomStep: 1.25,             // factor per toolbar click
+    wheelZoomSpeed: 0.0015,     // exponent per wheel deltaY pixel
+    fitPadding: 60,             // pixels of margin kept by "Fit all"
+    minGridSpacing: 30,         // pixels - grid lines switch to a coarser 1-2-5 step below this
+    minLabelSpacing: 36,        // pixels - axis labels are thinned out below this
+  },
   animationDuration: 800, // milliseconds
+  transformAnimationDuration: 2000, // milliseconds for the I → A grid interpolation
   parallelogram: {
-    // Light tinted colors matching source vectors
-    v1CopyColor: '#f8b4b4',     // Light red (40% lighter than v1)
-    v2CopyColor: '#93c5fd',     // Light blue (40% lighter than v2)
-    // Line styling
+    // Line styling (copy colors come from vectorPalette)
     lineWidth: 2,               // Thinner than main vectors (3px)
     dashPattern: [8, 4],        // Longer dash than result vector [5,5]
     opacity: 0.5,               // Semi-transparent helper lines
@@ -59,7 +94,7 @@ async function loadConfig() {
     // Return default config structure
     return {
       defaultMode: 'vector',
-      enabledModes: ['vector', 'matrix', 'tensor'],
+      enabledModes: ['vector', 'matrix', 'tensor', 'vector3d'],
       vectorMode: {
         maxVectors: 2,
         operationGroups: {}
@@ -183,8 +218,20 @@ async function initializeApp() {
     return mode;
   });
 
+  // Register 3D vector (cross product) mode factory
+  window.ModeManager.registerMode('vector3d', () => {
+    const canvas = document.getElementById('grid-canvas');
+    const vector3dContent = document.querySelector('.mode-content[data-mode="vector3d"]');
+    if (!vector3dContent) {
+      console.error('3D vector mode container not found');
+      return null;
+    }
+    const coordSystem = window.ModeManager.getCoordinateSystem();
+    return new Vector3DMode(canvas, appConfig, STYLE_CONSTANTS, coordSystem, vector3dContent);
+  });
+
   // Configure mode buttons and containers based on enabledModes
-  let enabledModes = appConfig.enabledModes || ['vector', 'matrix', 'tensor'];
+  let enabledModes = appConfig.enabledModes || ['vector', 'matrix', 'tensor', 'vector3d'];
   const defaultMode = appConfig.defaultMode || 'vector';
 
   // Ensure defaultMode is always included in enabledModes
@@ -209,6 +256,29 @@ async function initializeApp() {
 
   window.ModeManager.setMode(startingMode);
 
+  // Undo/redo shortcuts (history entries are tagged by mode, so one service covers all modes)
+  if (window.HistoryService) {
+    window.HistoryService.init();
+  }
+
+  // Restore the last saved workspace (may switch modes) and start auto-saving
+  if (window.PersistenceService) {
+    window.PersistenceService.init();
+    window.PersistenceService.bindControls({
+      exportButton: document.getElementById('btn-export'),
+      importButton: document.getElementById('btn-import'),
+      fileInput: document.getElementById('import-file-input')
+    });
+  }
+
+  // A share link in the URL hash overrides the saved workspace; the hash then tracks edits
+  if (window.ShareLinkService) {
+    window.ShareLinkService.init();
+    window.ShareLinkService.bindControls({
+      copyButton: document.getElementById('btn-copy-link')
+    });
+  }
+
   // Help modal is initialized by app.js via HelpService
 }
 
@@ -31,14 +31,25 @@ class MatrixMode {
       vectorVWrapper: this.root.querySelector('#vector-v-wrapper'),
       // Buttons
       showDeterminant: this.root.querySelector('#show-determinant'),
+      showEigenvectors: this.root.querySelector('#show-eigenvectors'),
+      showWarpedGrid: this.root.querySelector('#show-warped-grid'),
       matrixReset: this.root.querySelector('#matrix-reset'),
       // Operation buttons
       opMatrixAdd: this.root.querySelector('#op-matrix-add'),
       opMatrixScale: this.root.querySelector('#op-matrix-scale'),
       opMatrixMultiply: this.root.querySelector('#op-matrix-multiply'),
       opComputeAx: this.root.querySelector('#op-compute-ax'),
+      opRowReduce: this.root.querySelector('#op-row-reduce'),
+      // Ax = b solver controls
+      solveB1: this.root.querySelector('#solve-b1'),
+      solveB2: this.root.querySelector('#solve-b2'),
+      opSolve: this.root.querySelector('#op-solve'),
       // Scalar multiplication controls
-      matrixScalarInput: this.root.querySelector('#matrix-scalar-input')
+      matrixScalarInput: this.root.querySelector('#matrix-scalar-input'),
+      // Transformation playback controls
+      playTransformation: this.root.querySelector('#play-transformation'),
+      transformScrubber: this.root.querySelector('#transform-scrubber'),
+      transformProgressLabel: this.root.querySelector('#transform-progress-label')
     };
 
     // Initialize ResultsPanel for result display
@@ -47,7 +58,11 @@ class MatrixMode {
       emptyMessage: 'Operations results will be displayed here',
       canvasContainer: document.querySelector('.canvas-container'),
       coordSystem: this.coordSystem,
-      modeInstance: this
+      modeInstance: this,
+      onStepChange: (index) => this.applyStep(index),
+      onStepModeChange: (enabled) => this.handleStepModeChange(enabled),
+      historyMode: 'matrix',
+      onHistoryRestore: (entry) => this.restoreResult(entry)
     }) : null;
 
     // Initialize MatrixOperations
@@ -65,6 +80,7 @@ class MatrixMode {
     const matrixConfig = this.appConfig.matrixMode || {};
     const includeVector = matrixConfig.includeVector || false;
     this.inputVector = new Vector(1, 1, '#10b981', 'v'); // Default green color for vector
+    this.inputTarget = this.createTarget(2, 1); // Right-hand side b of Ax = b
 
     // Basis vectors (î and ĵ) for matrix A
     this.basisVectors = {
@@ -75,6 +91,12 @@ class MatrixMode {
     // Visualization state
     this.showDeterminantArea = false;
     this.selectedDeterminantMatrix = 'A';
+    this.showEigenvectors = false;
+    this.eigenResult = null; // Eigen-decomposition of A while eigenvectors are shown
+    this.showSolution = false;
+    this.solveResult = null; // Ax = b result from MatrixOperations while the solution is shown
+    this.solvePicture = 'row'; // 'row' (lines meeting at x) or 'column' (b from the columns of A)
+    this.showWarpedGrid = matrixConfig.showWarpedGrid || false;
 
     // Animation state
     this.isAnimating = false;
@@ -83,6 +105,16 @@ class MatrixMode {
     this.animationControl = null;
     this.resultVector = null; // For transformed vector
 
+    // Transformation playback state (null = static view of A, 0..1 = interpolating I → A)
+    this.transformProgress = null;
+    this.transformAnimation = null;
+
+    // "Show steps" state: the operation being stepped through and what its current step draws
+    this.stepOperation = null;
+    this.stepVisual = null; // { vectors, area } from MatrixOperations
+    this.stepFreshKeys = new Set(); // Keys of step vectors that appeared at this step
+    this.stepProgress = 1; // 0..1 while those vectors grow in
+
     // Color cache for theme-responsive rendering
     this.colors = {};
     this.accentColor = null;
@@ -103,9 +135,17 @@ class MatrixMode {
       });
     }
 
+    // Nothing on the canvas is draggable in this mode, so any left or middle drag pans
+    this.viewController = new ViewController(this.coordSystem, {
+      shouldPan: (e) => e.button === 0 || e.button === 1,
+      getFitPoints: () => this.getFitPoints(),
+      onChange: () => this.render()
+    });
+
     this.setupEventListeners();
     this.applyOperationGroupVisibility();
     this.applyMatrixVisibility();
+    this.updateWarpedGridButton();
     this.updateButtonStates(); // Initialize button states
   }
 
@@ -145,6 +185,38 @@ class MatrixMode {
         }
       });
     }
+
+    // Row/column picture dropdown for the Ax = b solver
+    const solvePictureContainer = this.root.querySelector('#solve-picture-dropdown');
+    if (solvePictureContainer && window.Dropdown) {
+      this.dropdowns.solvePictureSelect = new window.Dropdown(solvePictureContainer, {
+        items: [
+          { value: 'row', label: 'Row picture' },
+          { value: 'column', label: 'Column picture' }
+        ],
+        selectedValue: 'row',
+        growToFit: true,
+        onSelect: (value) => {
+          this.solvePicture = value;
+          logAction(`Ax = b picture set to ${value}`);
+          this.render();
+        }
+      });
+    }
+
+    // Inverse/rank/RREF select dropdown
+    const rowReductionContainer = this.root.querySelector('#row-reduction-dropdown');
+    if (rowReductionContainer && window.Dropdown) {
+      this.dropdowns.rowReductionSelect = new window.Dropdown(rowReductionContainer, {
+        items: [
+          { value: 'inverse', label: 'Inverse A⁻¹' },
+          { value: 'rank', label: 'Rank of A' },
+          { value: 'rref', label: 'RREF of A' }
+        ],
+        selectedValue: 'inverse',
+        growToFit: true
+      });
+    }
   }
 
   // ============================================================================
@@ -329,6 +401,13 @@ class MatrixMode {
       this.eventListeners.push({ element: this.elements.showDeterminant, event: 'click', handler });
     }
 
+    // Show eigenvectors button
+    if (this.elements.showEigenvectors) {
+      const handler = () => this.toggleEigenvectorVisualization();
+      this.elements.showEigenvectors.addEventListener('click', handler);
+      this.eventListeners.push({ element: this.elements.showEigenvectors, event: 'click', handler });
+    }
+
     // Reset button handler (moved from linear-algebra.js)
     if (this.elements.matrixReset) {
       const handler = () => this.handleReset();
@@ -364,6 +443,56 @@ class MatrixMode {
       this.eventListeners.push({ element: this.elements.opComputeAx, event: 'click', handler });
     }
 
+    // Inverse/rank/RREF button
+    if (this.elements.opRowReduce) {
+      const handler = () => this.handleRowReduction();
+      this.elements.opRowReduce.addEventListener('click', handler);
+      this.eventListeners.push({ element: this.elements.opRowReduce, event: 'click', handler });
+    }
+
+    // Right-hand side b inputs
+    const targetInputHandler = () => this.handleTargetInput();
+
+    if (this.elements.solveB1) {
+      this.elements.solveB1.addEventListener('input', targetInputHandler);
+      this.eventListeners.push({ element: this.elements.solveB1, event: 'input', handler: targetInputHandler });
+    }
+    if (this.elements.solveB2) {
+      this.elements.solveB2.addEventListener('input', targetInputHandler);
+      this.eventListeners.push({ element: this.elements.solveB2, event: 'input', handler: targetInputHandler });
+    }
+
+    // Solve Ax = b button
+    if (this.elements.opSolve) {
+      const handler = () => this.toggleSolveVisualization();
+      this.elements.opSolve.addEventListener('click', handler);
+      this.eventListeners.push({ element: this.elements.opSolve, event: 'click', handler });
+    }
+
+    // Warped grid toggle
+    if (this.elements.showWarpedGrid) {
+      const handler = () => this.toggleWarpedGrid();
+      this.elements.showWarpedGrid.addEventListener('click', handler);
+      this.eventListeners.push({ element: this.elements.showWarpedGrid, event: 'click', handler });
+    }
+
+    // Play transformation button
+    if (this.elements.playTransformation) {
+      const handler = () => this.playTransformation();
+      this.elements.playTransformation.addEventListener('click', handler);
+      this.eventListeners.push({ element: this.elements.playTransformation, event: 'click', handler });
+    }
+
+    // Transformation scrubber (dragging stops playback at that point)
+    if (this.elements.transformScrubber) {
+      const inputHandler = () => this.handleScrubberInput();
+      const changeHandler = () => logAction(`Transformation scrubbed to t = ${(this.transformProgress ?? 0).toFixed(2)}`);
+      this.elements.transformScrubber.addEventListener('input', inputHandler);
+      this.elements.transformScrubber.addEventListener('change', changeHandler);
+      this.eventListeners.push({ element: this.elements.transformScrubber, event: 'input', handler: inputHandler });
+      this.eventListeners.push({ element: this.elements.transformScrubber, event: 'change', handler: changeHandler });
+    }
+
     // Vector input handlers
     const vectorInputHandler = () => this.handleVectorInput();
 
@@ -382,6 +511,8 @@ class MatrixMode {
   // ============================================================================
 
   handleMatrixAInput() {
+    const before = this.getState();
+
     // Read matrix A values from DOM inputs
     const m00 = parseFloat(this.elements.m00?.value) || 0;
     const m01 = parseFloat(this.elements.m01?.value) || 0;
@@ -411,9 +542,13 @@ class MatrixMode {
     this.updatePreview();
     // Update button states
     this.updateButtonStates();
+
+    this.recordHistory('Edit matrix A', before, 'matrix-A');
   }
 
   handleMatrixBInput() {
+    const before = this.getState();
+
     // Read matrix B values from DOM inputs
     const m00_b = parseFloat(this.elements.m00_b?.value) || 0;
     const m01_b = parseFloat(this.elements.m01_b?.value) || 0;
@@ -433,9 +568,13 @@ class MatrixMode {
     this.updatePreview();
     // Update button states
     this.updateButtonStates();
+
+    this.recordHistory('Edit matrix B', before, 'matrix-B');
   }
 
   handleVectorInput() {
+    const before = this.getState();
+
     // Read vector v values from DOM inputs
     const vx = parseFloat(this.elements.vectorVx?.value) || 0;
     const vy = parseFloat(this.elements.vectorVy?.value) || 0;
@@ -460,13 +599,37 @@ class MatrixMode {
     this.updatePreview();
     // Update button states
     this.updateButtonStates();
+
+    this.recordHistory('Edit vector v', before, 'matrix-v');
+  }
+
+  handleTargetInput() {
+    const before = this.getState();
+
+    const bx = parseFloat(this.elements.solveB1?.value) || 0;
+    const by = parseFloat(this.elements.solveB2?.value) || 0;
+    this.inputTarget = this.createTarget(bx, by);
+
+    logAction(`Vector b input changed: [${bx.toFixed(1)}, ${by.toFixed(1)}]`);
+
+    this.updatePreview();
+    this.recordHistory('Edit vector b', before, 'matrix-b');
   }
 
   updatePreview() {
-    // Update determinant display if visualization is active
-    if (this.showDeterminantArea && this.resultsPanel) {
+    // Steps in the panel were worked out with the old numbers
+    this.stopSteps();
+
+    // Update every active visualization; the panel ends up showing the last one (solve, then eigen, then det)
+    if (this.showDeterminantArea) {
       this.updateDeterminantDisplay();
     }
+    if (this.showEigenvectors) {
+      this.updateEigenDisplay();
+    }
+    if (this.showSolution) {
+      this.updateSolveDisplay();
+    }
 
     // Render to show current state (matrix column vectors update in real-time)
     this.render();
@@ -480,11 +643,10 @@ class MatrixMode {
     if (!this.resultsPanel) return;
 
     const selectedMatrix = this.selectedDeterminantMatrix === 'A' ? this.inputMatrixA : this.inputMatrixB;
-    const det = selectedMatrix.determinant();
-    const matrixLabel = this.selectedDeterminantMatrix;
-    const detText = `det(${matrixLabel}) = ${det.toFixed(2)}`;
-    const orientationText = det >= 0 ? 'Orientation: preserved (positive)' : 'Orientation: flipped (negative)';
-    this.displayResult(detText, orientationText);
+    const result = this.operations.determinant(selectedMatrix, this.selectedDeterminantMatrix);
+    if (!this.startSteps(result)) {
+      this.displayResult(...result.resultLines);
+    }
   }
 
   /**
@@ -515,12 +677,17 @@ class MatrixMode {
     const matrixLabel = this.selectedDeterminantMatrix;
 
     if (this.resultsPanel && this.showDeterminantArea) {
-      const detText = `det(${matrixLabel}) = ${det.toFixed(2)}`;
-      const orientationText = det >= 0 ? 'Orientation: preserved (positive)' : 'Orientation: flipped (negative)';
-      this.displayResult(detText, orientationText);
+      this.updateDeterminantDisplay();
+      this.recordResult(`det(${matrixLabel})`, this.operations.determinant(selectedMatrix, matrixLabel),
+        `${matrixLabel} = ${selectedMatrix.toCompactString()}`);
+    } else if (this.showEigenvectors) {
+      // Fall back to the eigenvector steps that are still on screen
+      this.updateEigenDisplay();
+    } else if (this.showSolution) {
+      this.updateSolveDisplay();
     } else if (this.resultsPanel && !this.showDeterminantArea) {
       // Clear results when hiding visualization
-      this.resultsPanel.clear();
+      this.clearResults();
     }
 
     // Log determinant visualization toggle
@@ -534,6 +701,131 @@ class MatrixMode {
     }
   }
 
+  /**
+   * Recompute the eigen-decomposition of A and show the characteristic polynomial steps
+   * @returns {Object|null} Eigen result from MatrixOperations.eigen
+   * @private
+   */
+  updateEigenDisplay() {
+    const result = this.operations.eigen(this.inputMatrixA, 'A');
+    this.eigenResult = result ? result.eigen : null;
+
+    if (result && this.resultsPanel) {
+      this.displayResult(...result.resultLines);
+    }
+    return result;
+  }
+
+  toggleEigenvectorVisualization() {
+    if (window.StatusService) {
+      window.StatusService.setLoading();
+    }
+
+    this.showEigenvectors = !this.showEigenvectors;
+
+    if (this.elements.showEigenvectors) {
+      this.elements.showEigenvectors.textContent = this.showEigenvectors ? 'Hide Eigenvectors' : 'Show Eigenvectors of A';
+    }
+
+    if (this.showEigenvectors) {
+      const result = this.updateEigenDisplay();
+      this.recordResult('Eigenvalues of A', result,
+        `A = ${this.inputMatrixA.toCompactString()}`);
+    } else {
+      this.eigenResult = null;
+      if (this.showDeterminantArea) {
+        this.updateDeterminantDisplay();
+      } else if (this.showSolution) {
+        this.updateSolveDisplay();
+      } else if (this.resultsPanel) {
+        this.clearResults();
+      }
+    }
+
+    const action = this.showEigenvectors ? 'enabled' : 'disabled';
+    logAction(`Eigenvector visualization ${action}`);
+
+    this.render();
+
+    if (window.StatusService) {
+      window.StatusService.setReady();
+    }
+  }
+
+  /**
+   * Solve Ax = b for the current A and b and show the work
+   * @private
+   */
+  updateSolveDisplay() {
+    const result = this.operations.solve(this.inputMatrixA, this.inputTarget);
+    this.solveResult = result;
+
+    if (result && this.resultsPanel && !this.startSteps(result)) {
+      this.displayResult(...result.resultLines);
+    }
+  }
+
+  /**
+   * Show or hide the solution of Ax = b: the result lines plus the row or column picture
+   */
+  toggleSolveVisualization() {
+    if (window.StatusService) {
+      window.StatusService.setLoading();
+    }
+
+    this.showSolution = !this.showSolution;
+
+    if (this.elements.opSolve) {
+      this.elements.opSolve.textContent = this.showSolution ? 'Hide Solution' : 'Solve Ax = b';
+    }
+
+    if (this.showSolution) {
+      this.updateSolveDisplay();
+      this.recordResult('Solve Ax = b', this.solveResult,
+        `A = ${this.inputMatrixA.toCompactString()}, b = [${this.inputTarget.x.toFixed(2)}, ${this.inputTarget.y.toFixed(2)}]`);
+    } else {
+      this.solveResult = null;
+      if (this.showEigenvectors) {
+        this.updateEigenDisplay();
+      } else if (this.showDeterminantArea) {
+        this.updateDeterminantDisplay();
+      } else {
+        this.clearResults();
+      }
+    }
+
+    logAction(`Ax = b solution ${this.showSolution ? 'shown' : 'hidden'}`);
+
+    this.render();
+
+    if (window.StatusService) {
+      window.StatusService.setReady();
+    }
+  }
+
+  /**
+   * Toggle the image of the integer lattice under A behind the standard grid
+   */
+  toggleWarpedGrid() {
+    this.showWarpedGrid = !this.showWarpedGrid;
+    this.updateWarpedGridButton();
+
+    const action = this.showWarpedGrid ? 'enabled' : 'disabled';
+    logAction(`Warped grid ${action} for A ${this.inputMatrixA.toCompactString()}`);
+
+    this.render();
+  }
+
+  /**
+   * Sync the warped grid button label with its state
+   * @private
+   */
+  updateWarpedGridButton() {
+    if (this.elements.showWarpedGrid) {
+      this.elements.showWarpedGrid.textContent = this.showWarpedGrid ? 'Hide Warped Grid' : 'Show Warped Grid';
+    }
+  }
+
   /**
    * Handle matrix reset button click
    * Resets both matrices to identity and clears determinant visualization
@@ -544,6 +836,8 @@ class MatrixMode {
       window.StatusService.setLoading();
     }
 
+    const before = this.getState();
+
     const matrixConfig = this.appConfig.matrixMode || {};
     const includeVector = matrixConfig.includeVector || false;
 
@@ -571,12 +865,32 @@ class MatrixMode {
 
     this.showDeterminantArea = false;
     this.selectedDeterminantMatrix = 'A';
+    this.showEigenvectors = false;
+    this.eigenResult = null;
+    this.showSolution = false;
+    this.solveResult = null;
+
+    // Reset b and the Solve button
+    this.inputTarget = this.createTarget(2, 1);
+    this.updateInputFieldsTarget();
+    if (this.elements.opSolve) {
+      this.elements.opSolve.textContent = 'Solve Ax = b';
+    }
+
+    // Leave the transformation view
+    this.stopTransformAnimation();
+    this.setTransformProgress(null);
 
     // Reset Show Area button text
     if (this.elements.showDeterminant) {
       this.elements.showDeterminant.textContent = 'Show Area';
     }
 
+    // Reset Show Eigenvectors button text
+    if (this.elements.showEigenvectors) {
+      this.elements.showEigenvectors.textContent = 'Show Eigenvectors of A';
+    }
+
     // Reset dropdown to A
     if (this.dropdowns.determinantMatrixSelect) {
       this.dropdowns.determinantMatrixSelect.setValue('A');
@@ -585,15 +899,14 @@ class MatrixMode {
     this.render();
 
     // Clear results
-    if (this.resultsPanel) {
-      this.resultsPanel.clear();
-    }
+    this.clearResults();
 
     // Clear result vector
     this.resultVector = null;
 
     // Log action
     logAction('Matrices reset to identity');
+    this.recordHistory('Reset matrices', before);
 
     if (window.StatusService) {
       window.StatusService.setReady();
@@ -629,8 +942,9 @@ class MatrixMode {
     }
 
     const result = this.operations.add(this.inputMatrixA, this.inputMatrixB);
+    this.recordResult('A + B', result, this.describeMatrices());
 
-    if (result && this.resultsPanel) {
+    if (result && this.resultsPanel && !this.startSteps(result)) {
       this.displayResult(...result.resultLines);
     }
 
@@ -667,8 +981,9 @@ class MatrixMode {
 
     const selectedMatrix = matrixLabel === 'A' ? this.inputMatrixA : this.inputMatrixB;
     const result = this.operations.scalarMultiply(selectedMatrix, scalar, matrixLabel);
+    this.recordResult(`${scalar}${matrixLabel}`, result, `k = ${scalar}, ${matrixLabel} = ${selectedMatrix.toCompactString()}`);
 
-    if (result && this.resultsPanel) {
+    if (result && this.resultsPanel && !this.startSteps(result)) {
       this.displayResult(...result.resultLines);
     }
 
@@ -699,8 +1014,43 @@ class MatrixMode {
     }
 
     const result = this.operations.multiply(this.inputMatrixA, this.inputMatrixB);
+    this.recordResult('A @ B', result, this.describeMatrices());
 
-    if (result && this.resultsPanel) {
+    if (result && this.resultsPanel && !this.startSteps(result)) {
+      this.displayResult(...result.resultLines);
+    }
+
+    if (window.StatusService) {
+      window.StatusService.setReady();
+    }
+  }
+
+  /**
+   * Handle the inverse, rank or RREF of A, whichever the row reduction dropdown selects
+   */
+  handleRowReduction() {
+    if (window.StatusService) {
+      window.StatusService.setLoading();
+    }
+
+    const operation = this.dropdowns.rowReductionSelect
+      ? this.dropdowns.rowReductionSelect.getValue()
+      : 'inverse';
+
+    let result, label;
+    if (operation === 'rank') {
+      result = this.operations.rank(this.inputMatrixA, 'A');
+      label = 'rank(A)';
+    } else if (operation === 'rref') {
+      result = this.operations.rref(this.inputMatrixA, 'A');
+      label = 'rref(A)';
+    } else {
+      result = this.operations.inverse(this.inputMatrixA, 'A');
+      label = 'A⁻¹';
+    }
+    this.recordResult(label, result, `A = ${this.inputMatrixA.toCompactString()}`);
+
+    if (result && this.resultsPanel && !this.startSteps(result)) {
       this.displayResult(...result.resultLines);
     }
 
@@ -731,12 +1081,21 @@ class MatrixMode {
     }
 
     const result = this.operations.transform(this.inputMatrixA, this.inputVector);
+    this.recordResult('Ax', result,
+      `A = ${this.inputMatrixA.toCompactString()}, x = [${this.inputVector.x.toFixed(2)}, ${this.inputVector.y.toFixed(2)}]`);
 
     if (result && result.resultVector) {
       // Set label and color for result vector
       result.resultVector.label = 'Ax';
       result.resultVector.color = this.styleConstants.colors.result;
 
+      if (this.startSteps(result)) {
+        if (window.StatusService) {
+          window.StatusService.setReady();
+        }
+        return;
+      }
+
       // Animate from input vector to transformed vector
       this.animateToResult(result.resultVector, () => {
         if (this.resultsPanel) {
@@ -786,6 +1145,75 @@ class MatrixMode {
     });
   }
 
+  /**
+   * Play the continuous transformation from I to A
+   * Resumes from the scrubber position if playback was stopped midway
+   */
+  playTransformation() {
+    this.stopTransformAnimation();
+
+    if (window.StatusService) {
+      window.StatusService.setLoading();
+    }
+
+    const current = this.transformProgress;
+    const startProgress = current !== null && current < 1 ? current : 0;
+    const duration = this.styleConstants.transformAnimationDuration * (1 - startProgress);
+
+    this.transformAnimation = Animator.animate({
+      duration,
+      easingFunction: Animator.easeInOutCubic,
+      onFrame: (eased) => {
+        this.setTransformProgress(Animator.lerp(startProgress, 1, eased));
+      },
+      onComplete: () => {
+        this.transformAnimation = null;
+        this.setTransformProgress(1);
+        logAction(`Played transformation I → A ${this.inputMatrixA.toCompactString()}`);
+        if (window.StatusService) {
+          window.StatusService.setReady();
+        }
+      }
+    });
+  }
+
+  /**
+   * Cancel transformation playback, leaving the grid where it is
+   */
+  stopTransformAnimation() {
+    if (this.transformAnimation) {
+      this.transformAnimation.cancel();
+      this.transformAnimation = null;
+      if (window.StatusService) {
+        window.StatusService.setReady();
+      }
+    }
+  }
+
+  handleScrubberInput() {
+    this.stopTransformAnimation();
+    const value = parseFloat(this.elements.transformScrubber?.value) || 0;
+    this.setTransformProgress(value / 100);
+  }
+
+  /**
+   * Set the interpolation parameter t and sync the scrubber
+   * @param {number|null} progress - 0 (identity) to 1 (A), or null to show A without the warped grid
+   */
+  setTransformProgress(progress) {
+    this.transformProgress = progress;
+
+    const t = progress ?? 0;
+    if (this.elements.transformScrubber) {
+      this.elements.transformScrubber.value = Math.round(t * 100);
+    }
+    if (this.elements.transformProgressLabel) {
+      this.elements.transformProgressLabel.textContent = `t = ${t.toFixed(2)}`;
+    }
+
+    this.render();
+  }
+
   /**
    * Update button states based on matrix availability
    */
@@ -912,11 +1340,146 @@ class MatrixMode {
    * @param {...string} lines - One or more lines to display (can contain HTML)
    */
   displayResult(...lines) {
+    this.endSteps();
     if (this.resultsPanel) {
       this.resultsPanel.show(...lines);
     }
   }
 
+  /**
+   * Empty the results panel (and leave "Show steps")
+   * @private
+   */
+  clearResults() {
+    this.endSteps();
+    if (this.resultsPanel) {
+      this.resultsPanel.clear();
+    }
+  }
+
+  // ============================================================================
+  // SHOW STEPS
+  // ============================================================================
+
+  /**
+   * With "Show steps" on, list a result's steps and draw the first one
+   * @param {Object} result - Result from MatrixOperations (with steps)
+   * @returns {boolean} Whether the result is being stepped through
+   */
+  startSteps(result) {
+    if (!result.steps || !this.resultsPanel || !this.resultsPanel.isStepMode()) return false;
+
+    this.endSteps();
+    this.stepOperation = result;
+    this.resultVector = null;
+    this.resultsPanel.showSteps(result.steps.map(step => step.text));
+    this.applyStep(0);
+    return true;
+  }
+
+  /**
+   * Draw one step of the current result; vectors it adds grow in from their start
+   * @param {number} index - Step index
+   */
+  applyStep(index) {
+    const operation = this.stepOperation;
+    if (!operation || !operation.steps[index]) return;
+
+    if (this.animationControl) {
+      this.animationControl.cancel();
+      this.animationControl = null;
+    }
+
+    const shownKeys = new Set((this.stepVisual?.vectors || []).map(entry => entry.key));
+    this.stepVisual = operation.steps[index].visual;
+    this.stepFreshKeys = new Set((this.stepVisual.vectors || [])
+      .map(entry => entry.key)
+      .filter(key => !shownKeys.has(key)));
+
+    if (this.stepFreshKeys.size === 0) {
+      this.isAnimating = false;
+      this.stepProgress = 1;
+      this.render();
+      return;
+    }
+
+    this.isAnimating = true;
+    this.animationControl = Animator.animate({
+      duration: this.styleConstants.animationDuration,
+      easingFunction: Animator.easeOutCubic,
+      onFrame: (eased) => {
+        this.stepProgress = eased;
+        this.render();
+      },
+      onComplete: () => {
+        this.isAnimating = false;
+        this.animationControl = null;
+      }
+    });
+  }
+
+  /**
+   * "Show steps" was switched in the results panel
+   * Switching it off mid-way shows the finished result, as if the steps had been skipped
+   * @param {boolean} enabled
+   */
+  handleStepModeChange(enabled) {
+    logAction(`Show steps ${enabled ? 'enabled' : 'disabled'}`);
+
+    const operation = this.stepOperation;
+    if (enabled || !operation) return;
+
+    this.displayResult(...operation.resultLines);
+    if (operation.resultVector) {
+      this.resultVector = operation.resultVector;
+    }
+    this.render();
+  }
+
+  /**
+   * Forget the steps without touching the panel
+   * @private
+   */
+  endSteps() {
+    if (!this.stepOperation) return;
+
+    if (this.animationControl) {
+      this.animationControl.cancel();
+      this.animationControl = null;
+      this.isAnimating = false;
+    }
+    this.stepOperation = null;
+    this.stepVisual = null;
+    this.stepFreshKeys = new Set();
+    this.stepProgress = 1;
+  }
+
+  /**
+   * Drop the steps being shown and empty the panel
+   * @private
+   */
+  stopSteps() {
+    if (this.stepOperation) {
+      this.clearResults();
+    }
+  }
+
+  /**
+   * Draw the vectors of the current step on top of the scene
+   * @private
+   */
+  drawStepVectors() {
+    (this.stepVisual.vectors || []).forEach(({ key, vector, subscript = null, origin = null }) => {
+      const progress = this.stepFreshKeys.has(key) ? this.stepProgress : 1;
+      if (origin) {
+        this.coordSystem.drawTranslatedVector(vector, origin, this.styleConstants, progress, vector.color);
+      } else if (progress > 0.01) {
+        const growing = Animator.lerpVector(new Vector(0, 0), vector, progress);
+        this.drawVector(growing, true, 1, false, null, subscript);
+      }
+    });
+  }
+
   /**
    * Update matrix A input fields from current inputMatrixA state
    * @private
@@ -939,6 +1502,154 @@ class MatrixMode {
     if (this.elements.m11_b) this.elements.m11_b.value = this.inputMatrixB.get(1, 1).toFixed(1);
   }
 
+  /**
+   * Update vector v input fields from current inputVector state
+   * @private
+   */
+  updateInputFieldsVector() {
+    if (this.elements.vectorVx) this.elements.vectorVx.value = this.inputVector.x.toFixed(1);
+    if (this.elements.vectorVy) this.elements.vectorVy.value = this.inputVector.y.toFixed(1);
+  }
+
+  /**
+   * Update b input fields from current inputTarget state
+   * @private
+   */
+  updateInputFieldsTarget() {
+    if (this.elements.solveB1) this.elements.solveB1.value = this.inputTarget.x.toFixed(1);
+    if (this.elements.solveB2) this.elements.solveB2.value = this.inputTarget.y.toFixed(1);
+  }
+
+  /**
+   * Right-hand side b of Ax = b as a drawable vector
+   * @param {number} x
+   * @param {number} y
+   * @returns {Vector}
+   * @private
+   */
+  createTarget(x, y) {
+    return new Vector(x, y, this.styleConstants.colors.solveTarget || '#f97316', 'b');
+  }
+
+  // ============================================================================
+  // RESULTS HISTORY
+  // ============================================================================
+
+  /**
+   * Add an operation's result to the results history
+   * @param {string} label - Operation name
+   * @param {Object} result - Result from MatrixOperations (ignored if null)
+   * @param {string} inputs - The matrices it was computed from, as text
+   * @private
+   */
+  recordResult(label, result, inputs) {
+    if (!result || !window.ResultsHistoryService) return;
+
+    window.ResultsHistoryService.record({
+      mode: 'matrix',
+      label,
+      inputs,
+      state: this.getState(),
+      lines: result.resultLines
+    });
+  }
+
+  /**
+   * A and B as text for a results-history entry
+   * @returns {string}
+   * @private
+   */
+  describeMatrices() {
+    return `A = ${this.inputMatrixA.toCompactString()}, B = ${this.inputMatrixB.toCompactString()}`;
+  }
+
+  /**
+   * Put back the matrices and vector a results-history entry was computed from
+   * and show its result again
+   * @param {Object} entry - Entry from ResultsHistoryService
+   */
+  restoreResult(entry) {
+    const before = this.getState();
+    this.applyState(entry.state);
+    this.displayResult(...entry.lines);
+
+    logAction(`Restored inputs of ${entry.label} from the results history`);
+    this.recordHistory(`Restore ${entry.label} inputs`, before);
+  }
+
+  // ============================================================================
+  // STATE SNAPSHOTS (undo/redo)
+  // ============================================================================
+
+  /**
+   * Serialize the user-editable state of this mode
+   * @returns {Object} Plain-object snapshot
+   */
+  getState() {
+    return {
+      matrixA: this.inputMatrixA.data.map(row => [...row]),
+      matrixB: this.inputMatrixB.data.map(row => [...row]),
+      vector: { x: this.inputVector.x, y: this.inputVector.y },
+      target: { x: this.inputTarget.x, y: this.inputTarget.y }
+    };
+  }
+
+  /**
+   * Replace the current state with a snapshot from getState()
+   * @param {Object} state - Snapshot to apply
+   */
+  applyState(state) {
+    if (!state) return;
+
+    if (this.animationControl) {
+      this.animationControl.cancel();
+      this.animationControl = null;
+      this.isAnimating = false;
+    }
+
+    // Links and imported files are user input: skip anything that isn't the expected shape
+    const isFinite2 = (values) => Array.isArray(values) && values.length === 2 &&
+      values.every(c => typeof c === 'number' && isFinite(c));
+    const isMatrix2 = (m) => Array.isArray(m) && m.length === 2 && m.every(isFinite2);
+    const isPoint2 = (p) => p && isFinite2([p.x, p.y]);
+
+    if (isMatrix2(state.matrixA)) {
+      this.inputMatrixA = new Matrix(2, 2, state.matrixA);
+      this.updateInputFieldsA();
+    }
+    if (isMatrix2(state.matrixB)) {
+      this.inputMatrixB = new Matrix(2, 2, state.matrixB);
+      this.updateInputFieldsB();
+    }
+    if (isPoint2(state.vector)) {
+      this.inputVector = new Vector(state.vector.x, state.vector.y, '#10b981', 'v');
+      this.updateInputFieldsVector();
+    }
+    if (isPoint2(state.target)) {
+      this.inputTarget = this.createTarget(state.target.x, state.target.y);
+      this.updateInputFieldsTarget();
+    }
+
+    // Ax was computed from the old state
+    this.resultVector = null;
+
+    this.updatePreview();
+    this.updateButtonStates();
+  }
+
+  /**
+   * Record a change in the shared undo history
+   * @param {string} label - Description of the change
+   * @param {Object} before - Snapshot taken before the change
+   * @param {string} [mergeKey] - Merge rapid edits of the same input group into one entry
+   * @private
+   */
+  recordHistory(label, before, mergeKey = null) {
+    if (window.HistoryService) {
+      window.HistoryService.record({ mode: 'matrix', label, before, after: this.getState(), mergeKey });
+    }
+  }
+
   // ============================================================================
   // EXTENSIBLE OPERATION HOOKS
   // ============================================================================
@@ -958,6 +1669,8 @@ class MatrixMode {
       window.StatusService.setLoading();
     }
 
+    const before = this.getState();
+
     // Update input matrix A
     this.inputMatrixA = presetMatrix.clone();
 
@@ -965,15 +1678,13 @@ class MatrixMode {
     this.updateInputFieldsA();
 
     // Display result with formatted matrix
-    if (this.resultsPanel && window.FormatUtils) {
-      const matrixHtml = window.FormatUtils.formatMatrixAsGrid(this.inputMatrixA, 1);
-      this.displayResult(`Applied preset matrix: ${matrixHtml}`);
-    } else if (this.resultsPanel) {
-      this.displayResult(`Applied preset matrix: ${this.inputMatrixA.toCompactString()}`);
+    if (this.resultsPanel) {
+      this.displayResult(`Applied preset matrix: ${FormatUtils.formatMatrixAsGrid(this.inputMatrixA, 1)}`);
     }
 
     // Log operation
     logAction(`Applied preset matrix: ${this.inputMatrixA.toCompactString()}`);
+    this.recordHistory('Apply preset to A', before);
 
     // Update visualization
     this.updatePreview();
@@ -992,6 +1703,8 @@ class MatrixMode {
       window.StatusService.setLoading();
     }
 
+    const before = this.getState();
+
     // Transpose the matrix A
     this.inputMatrixA = this.inputMatrixA.transpose();
 
@@ -999,15 +1712,13 @@ class MatrixMode {
     this.updateInputFieldsA();
 
     // Display result with formatted matrix
-    if (this.resultsPanel && window.FormatUtils) {
-      const matrixHtml = window.FormatUtils.formatMatrixAsGrid(this.inputMatrixA, 1);
-      this.displayResult(`Transposed matrix: ${matrixHtml}`);
-    } else if (this.resultsPanel) {
-      this.displayResult(`Transposed matrix: ${this.inputMatrixA.toCompactString()}`);
+    if (this.resultsPanel) {
+      this.displayResult(`Transposed matrix: ${FormatUtils.formatMatrixAsGrid(this.inputMatrixA, 1)}`);
     }
 
     // Log operation
     logAction(`Matrix transposed: ${this.inputMatrixA.toCompactString()}`);
+    this.recordHistory('Transpose A', before);
 
     // Update visualization
     this.updatePreview();
@@ -1032,6 +1743,8 @@ class MatrixMode {
       window.StatusService.setLoading();
     }
 
+    const before = this.getState();
+
     // Scale the matrix A
     this.inputMatrixA = this.inputMatrixA.scale(scalar);
 
@@ -1039,15 +1752,13 @@ class MatrixMode {
     this.updateInputFieldsA();
 
     // Display result with formatted matrix
-    if (this.resultsPanel && window.FormatUtils) {
-      const matrixHtml = window.FormatUtils.formatMatrixAsGrid(this.inputMatrixA, 1);
-      this.displayResult(`Scalar multiplication (×${scalar.toFixed(1)}): ${matrixHtml}`);
-    } else if (this.resultsPanel) {
-      this.displayResult(`Scalar multiplication (×${scalar.toFixed(1)}): ${this.inputMatrixA.toCompactString()}`);
+    if (this.resultsPanel) {
+      this.displayResult(`Scalar multiplication (×${scalar.toFixed(1)}): ${FormatUtils.formatMatrixAsGrid(this.inputMatrixA, 1)}`);
     }
 
     // Log operation
     logAction(`Matrix scaled by ${scalar.toFixed(1)}: ${this.inputMatrixA.toCompactString()}`);
+    this.recordHistory(`Scale A by ${scalar}`, before);
 
     // Update visualization
     this.updatePreview();
@@ -1070,18 +1781,33 @@ class MatrixMode {
     this.coordSystem.drawGrid();
     this.coordSystem.drawAxes();
 
+    // While playing/scrubbing I → A, everything tied to A uses the intermediate matrix
+    const isTransforming = this.transformProgress !== null;
+    const displayMatrixA = isTransforming
+      ? Animator.interpolateFromIdentity(this.inputMatrixA, this.transformProgress)
+      : this.inputMatrixA;
+
+    // Image of the integer lattice under A (or under the intermediate matrix during playback)
+    if (isTransforming || this.showWarpedGrid) {
+      this.coordSystem.drawTransformedGrid(displayMatrixA, {
+        color: this.styleConstants.colors.warpedGrid || '#8b5cf6',
+        opacity: 0.45,
+        highlightAxes: true
+      });
+    }
+
     // Draw matrix A column vectors (î_A and ĵ_A)
     // Column 1: [m00, m10] → î_A vector
     // Column 2: [m01, m11] → ĵ_A vector
     const matrixAI = new Vector(
-      this.inputMatrixA.get(0, 0),
-      this.inputMatrixA.get(1, 0),
+      displayMatrixA.get(0, 0),
+      displayMatrixA.get(1, 0),
       this.styleConstants.colors.matrixBasisI || '#ef4444',
       'î'
     );
     const matrixAJ = new Vector(
-      this.inputMatrixA.get(0, 1),
-      this.inputMatrixA.get(1, 1),
+      displayMatrixA.get(0, 1),
+      displayMatrixA.get(1, 1),
       this.styleConstants.colors.matrixBasisJ || '#3b82f6',
       'ĵ'
     );
@@ -1103,7 +1829,13 @@ class MatrixMode {
 
       // Draw result vector if it exists (from Ax transformation)
       // Use dashed line to distinguish from input vector
-      if (this.resultVector) {
+      if (isTransforming) {
+        // v carried along by the intermediate transformation
+        const movingVector = displayMatrixA.transform(this.inputVector);
+        movingVector.label = 'Av';
+        movingVector.color = this.styleConstants.colors.result;
+        this.drawVector(movingVector, true, 1, false, null, null);
+      } else if (this.resultVector) {
         this.drawVector(this.resultVector, true, 1, false, null, null);
       }
     } else if (maxMatrices >= 2) {
@@ -1126,13 +1858,34 @@ class MatrixMode {
     }
 
     // Draw determinant area visualization (parallelogram formed by selected matrix column vectors)
-    if (this.showDeterminantArea) {
+    // The determinant's first step shows only the formula, so the area waits for the next one
+    if (this.showDeterminantArea && !(this.stepVisual && this.stepVisual.area === false)) {
       if (this.selectedDeterminantMatrix === 'A') {
-        this.drawTransformedSquare(matrixAI, matrixAJ, this.inputMatrixA, 'A');
+        this.drawTransformedSquare(matrixAI, matrixAJ, displayMatrixA, 'A');
       } else if (this.selectedDeterminantMatrix === 'B' && !includeVector && maxMatrices >= 2 && matrixBI && matrixBJ) {
         this.drawTransformedSquare(matrixBI, matrixBJ, this.inputMatrixB, 'B');
       }
     }
+
+    // Draw eigenvector spans of A on top so they stay readable over the area fill
+    if (this.showEigenvectors && this.eigenResult) {
+      this.drawEigenvectors(this.eigenResult);
+    }
+
+    if (this.showSolution && this.solveResult) {
+      // While stepping through the solution, the step picks the picture and how much of it is drawn
+      const stage = this.stepVisual && this.stepVisual.solve;
+      const picture = stage ? stage.picture : this.solvePicture;
+      if (picture === 'column') {
+        this.drawColumnPicture(this.solveResult, stage);
+      } else {
+        this.drawRowPicture(this.solveResult, stage);
+      }
+    }
+
+    if (this.stepVisual) {
+      this.drawStepVectors();
+    }
   }
 
   drawVector(vector, isDashed = false, opacity = 1, isHovered = false, lineWidthOverride = null, subscript = null) {
@@ -1191,6 +1944,241 @@ class MatrixMode {
     ctx.restore();
   }
 
+  /**
+   * Draw each eigenvector's span as a dashed line through the origin, with v
+   * and Av on it. Av = λv, so the transformed vector stays on the same line.
+   * @param {Object} eigen - Result of Matrix.eigen()
+   */
+  drawEigenvectors(eigen) {
+    const ctx = this.coordSystem.ctx;
+
+    if (eigen.type === 'complex') {
+      ctx.save();
+      ctx.font = 'bold 14px Arial';
+      ctx.fillStyle = this.colors.text;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillText('Complex eigenvalues: no real eigenvectors', 16, 16);
+      ctx.restore();
+      return;
+    }
+
+    const colors = [
+      this.styleConstants.colors.eigenvector1 || '#14b8a6',
+      this.styleConstants.colors.eigenvector2 || '#ec4899'
+    ];
+    const subscripts = eigen.eigenvectors.length > 1 ? ['₁', '₂'] : [''];
+
+    // Long enough to cross the whole canvas from the origin in both directions
+    const reach = this.coordSystem.visibleRadius();
+
+    eigen.eigenvectors.forEach(([x, y], i) => {
+      const color = colors[i];
+      const start = this.coordSystem.mathToScreen(-x * reach, -y * reach);
+      const end = this.coordSystem.mathToScreen(x * reach, y * reach);
+
+      ctx.save();
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = 0.6;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([8, 6]);
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+      ctx.restore();
+
+      const lambda = eigen.eigenvalues[i];
+      const eigenvector = new Vector(x, y, color, `v${subscripts[i]}`);
+      const transformed = new Vector(lambda * x, lambda * y, color, `Av${subscripts[i]}`);
+
+      this.drawVector(transformed, true, 0.8);
+      this.drawVector(eigenvector);
+    });
+  }
+
+  /**
+   * Row picture of Ax = b: each equation aᵢ₁x₁ + aᵢ₂x₂ = bᵢ is a line, and the
+   * solutions are the points on both lines: one crossing, a shared line, or none
+   * @param {Object} result - Result of MatrixOperations.solve()
+   * @param {Object} [stage] - Step stage ({ rows, point }); default: everything
+   */
+  drawRowPicture({ matrix, target, equations, solution }, stage = null) {
+    const colors = this.styleConstants.colors;
+    const rowColors = [colors.rowLine1 || '#0ea5e9', colors.rowLine2 || '#d946ef'];
+    const rowCount = stage ? stage.rows : 2;
+
+    [0, 1].slice(0, rowCount).forEach(row => {
+      const a1 = matrix.get(row, 0);
+      const a2 = matrix.get(row, 1);
+      const normSquared = a1 * a1 + a2 * a2;
+      if (normSquared < 1e-20) return; // 0 = bᵢ is no line
+
+      // The point of the line closest to the origin; the line runs perpendicular to (a₁, a₂)
+      const point = { x: a1 * target[row] / normSquared, y: a2 * target[row] / normSquared };
+      this.drawFullLine(point, { x: -a2, y: a1 }, rowColors[row], {
+        label: equations[row],
+        labelShift: row === 0 ? 0.25 : -0.25
+      });
+    });
+
+    if (stage && !stage.point) return;
+
+    const fmt = Matrix.formatNumber;
+    if (solution.type === 'unique') {
+      const [x1, x2] = solution.solution;
+      this.drawSolutionPoint(x1, x2, `x = (${fmt(x1)}, ${fmt(x2)})`);
+    } else if (solution.type === 'infinite' && solution.directions.length === 1) {
+      const [p1, p2] = solution.solution;
+      const [d1, d2] = solution.directions[0];
+      this.drawFullLine({ x: p1, y: p2 }, { x: d1, y: d2 }, colors.result, {
+        lineWidth: 6,
+        opacity: 0.45,
+        label: 'every x on this line',
+        labelShift: 0
+      });
+    } else if (solution.type === 'infinite') {
+      this.drawCanvasNote('Every point solves 0x = 0');
+    } else {
+      this.drawCanvasNote('No solution: the lines never meet');
+    }
+  }
+
+  /**
+   * Column picture of Ax = b: b = x₁·(column 1) + x₂·(column 2), drawn tip to tail
+   * When the columns are dependent they only span a line, drawn dashed; b is on it or not
+   * @param {Object} result - Result of MatrixOperations.solve()
+   * @param {Object} [stage] - Step stage; the step's own vectors then draw the scaled columns
+   */
+  drawColumnPicture({ matrix, target, solution }, stage = null) {
+    const colors = this.styleConstants.colors;
+    const fmt = Matrix.formatNumber;
+
+    if (solution.type !== 'unique') {
+      const column = [0, 1]
+        .map(col => ({ x: matrix.get(0, col), y: matrix.get(1, col) }))
+        .find(c => Math.hypot(c.x, c.y) > 1e-10);
+      if (column) {
+        this.drawFullLine({ x: 0, y: 0 }, column, this.colors.text || '#666', {
+          dashed: true,
+          opacity: 0.5,
+          label: 'span of the columns',
+          labelShift: 0.3
+        });
+      }
+    }
+
+    if (solution.solution && !stage) {
+      const [x1, x2] = solution.solution;
+      const first = new Vector(matrix.get(0, 0) * x1, matrix.get(1, 0) * x1, colors.matrixBasisI || '#ef4444', `${fmt(x1)}î`);
+      const second = new Vector(matrix.get(0, 1) * x2, matrix.get(1, 1) * x2, colors.matrixBasisJ || '#3b82f6', '');
+      if (first.magnitude() > 1e-10) {
+        this.drawVector(first, true, 1, false, null, 'A');
+      }
+      if (second.magnitude() > 1e-10) {
+        this.coordSystem.drawTranslatedVector(second, { x: first.x, y: first.y }, this.styleConstants, 1, second.color);
+      }
+    }
+
+    this.drawVector(this.createTarget(target[0], target[1]));
+
+    if (solution.type === 'none') {
+      this.drawCanvasNote('No solution: b is off the span of the columns');
+    } else if (solution.type === 'infinite') {
+      this.drawCanvasNote('Infinitely many combinations of the columns give b');
+    }
+  }
+
+  /**
+   * Draw the whole line through point along direction, across the visible canvas
+   * @param {{x: number, y: number}} point - A point on the line
+   * @param {{x: number, y: number}} direction - Non-zero direction
+   * @param {string} color - Line color
+   * @param {Object} [options]
+   * @param {number} [options.lineWidth=2]
+   * @param {number} [options.opacity=0.8]
+   * @param {boolean} [options.dashed=false]
+   * @param {string} [options.label] - Text written next to the line
+   * @param {number} [options.labelShift=0] - Moves the label along the line, as a fraction of the view size
+   * @private
+   */
+  drawFullLine(point, direction, color, options = {}) {
+    const { lineWidth = 2, opacity = 0.8, dashed = false, label = null, labelShift = 0 } = options;
+    const ctx = this.coordSystem.ctx;
+    const length = Math.hypot(direction.x, direction.y);
+    const unit = { x: direction.x / length, y: direction.y / length };
+
+    // Long enough to cross the canvas even when the line passes far from the origin
+    const reach = this.coordSystem.visibleRadius() + Math.hypot(point.x, point.y);
+    const start = this.coordSystem.mathToScreen(point.x - unit.x * reach, point.y - unit.y * reach);
+    const end = this.coordSystem.mathToScreen(point.x + unit.x * reach, point.y + unit.y * reach);
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = opacity;
+    ctx.lineWidth = lineWidth;
+    ctx.setLineDash(dashed ? [8, 6] : []);
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+
+    if (label) {
+      // Label the line where it passes closest to the middle of the view
+      const bounds = this.coordSystem.visibleBounds();
+      const center = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+      const viewSize = Math.min(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+      const along = (center.x - point.x) * unit.x + (center.y - point.y) * unit.y + labelShift * viewSize;
+      const at = this.coordSystem.mathToScreen(point.x + unit.x * along, point.y + unit.y * along);
+
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = color;
+      ctx.font = 'bold 13px Arial';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(label, at.x + 6, at.y - 6);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Mark the solution x of Ax = b with a dot and its coordinates
+   * @private
+   */
+  drawSolutionPoint(x1, x2, label) {
+    const ctx = this.coordSystem.ctx;
+    const at = this.coordSystem.mathToScreen(x1, x2);
+
+    ctx.save();
+    ctx.fillStyle = this.styleConstants.colors.result;
+    ctx.beginPath();
+    ctx.arc(at.x, at.y, 6, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(label, at.x + 10, at.y + 8);
+    ctx.restore();
+  }
+
+  /**
+   * Write a note in the top-left corner of the canvas, below the complex eigenvalue note if it is shown
+   * @private
+   */
+  drawCanvasNote(text) {
+    const ctx = this.coordSystem.ctx;
+    const line = this.showEigenvectors && this.eigenResult && this.eigenResult.type === 'complex' ? 1 : 0;
+
+    ctx.save();
+    ctx.font = 'bold 14px Arial';
+    ctx.fillStyle = this.colors.text;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(text, 16, 16 + line * 22);
+    ctx.restore();
+  }
+
   // ============================================================================
   // LIFECYCLE HOOKS
   // ============================================================================
@@ -1250,6 +2238,32 @@ class MatrixMode {
     return vectors;
   }
 
+  /**
+   * Points the "Fit all" view action must keep visible
+   * Includes the far corners of the unit-square images so the determinant parallelograms fit too.
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getFitPoints() {
+    const points = this.getMatrixVectors().map(v => ({ x: v.x, y: v.y }));
+    const maxMatrices = (this.appConfig.matrixMode || {}).maxMatrices || 1;
+    const matrices = maxMatrices > 1 ? [this.inputMatrixA, this.inputMatrixB] : [this.inputMatrixA];
+    matrices.forEach(matrix => {
+      if (!matrix) return;
+      points.push({
+        x: matrix.get(0, 0) + matrix.get(0, 1),
+        y: matrix.get(1, 0) + matrix.get(1, 1)
+      });
+    });
+    if (this.showSolution && this.solveResult) {
+      points.push({ x: this.inputTarget.x, y: this.inputTarget.y });
+      const { solution } = this.solveResult.solution;
+      if (solution) {
+        points.push({ x: solution[0], y: solution[1] });
+      }
+    }
+    return points;
+  }
+
   /**
    * Clean up resources when mode is destroyed
    */
@@ -1259,6 +2273,16 @@ class MatrixMode {
       this.animationControl.cancel();
       this.animationControl = null;
     }
+    if (this.transformAnimation) {
+      this.transformAnimation.cancel();
+      this.transformAnimation = null;
+    }
+
+    // Remove zoom/pan handlers
+    if (this.viewController) {
+      this.viewController.destroy();
+      this.viewController = null;
+    }
 
     // Remove all event listeners
     if (this.eventListeners) {
@@ -1286,11 +2310,22 @@ class MatrixMode {
       this.dropdowns = {};
     }
 
+    if (this.resultsPanel) {
+      this.resultsPanel.destroy();
+    }
+
     // Clear state
     this.inputMatrixA = null;
     this.inputMatrixB = null;
     this.basisVectors = null;
     this.showDeterminantArea = false;
+    this.showEigenvectors = false;
+    this.eigenResult = null;
+    this.showSolution = false;
+    this.solveResult = null;
     this.resultVector = null;
+    this.transformProgress = null;
+    this.stepOperation = null;
+    this.stepVisual = null;
   }
 }
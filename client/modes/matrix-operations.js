@@ -2,6 +2,14 @@
  * MatrixOperations Class
  * Encapsulates matrix math operations and result formatting
  * Returns operation results without side effects
+ *
+ * Results also carry steps for "Show steps": [{ text, visual }], where visual
+ * lists what MatrixMode adds to the canvas at that step:
+ *   vectors - [{ key, vector, subscript?, origin? }] dashed vectors, drawn from origin
+ *             ({x, y}) when given; a key that is new at a step is animated in
+ *   area    - For the determinant, whether the area parallelogram is shown yet
+ *   solve   - For Ax = b, { picture: 'row' | 'column', rows?, point? }: the picture drawn, and
+ *             in the row picture how many row lines are shown and whether x is marked yet
  */
 
 class MatrixOperations {
@@ -20,26 +28,33 @@ class MatrixOperations {
     if (!matrixA || !matrixB) return null;
 
     const result = matrixA.add(matrixB);
+    const fmt = Matrix.formatNumber;
 
     // Log operation
     logAction(`Matrix addition: A ${matrixA.toCompactString()} + B ${matrixB.toCompactString()}. Result: ${result.toCompactString()}`);
 
-    // Format matrices using FormatUtils if available
-    let formula, resultText;
-    if (window.FormatUtils) {
-      const matrixAHtml = window.FormatUtils.formatMatrixAsGrid(matrixA, 1);
-      const matrixBHtml = window.FormatUtils.formatMatrixAsGrid(matrixB, 1);
-      const resultHtml = window.FormatUtils.formatMatrixAsGrid(result, 1);
-      formula = `A + B = ${matrixAHtml} + ${matrixBHtml}`;
-      resultText = `= ${resultHtml}`;
-    } else {
-      formula = `A + B = ${matrixA.toCompactString()} + ${matrixB.toCompactString()}`;
-      resultText = `= ${result.toCompactString()}`;
-    }
+    // Format matrices as MathML
+    const { matrixNode } = FormatUtils;
+    const formula = MathRender.render(MathRender.row('A + B =', matrixNode(matrixA, 1), '+', matrixNode(matrixB, 1)));
+    const resultText = MathRender.render(MathRender.row('=', matrixNode(result, 1)));
+
+    // Column j of A + B is column j of B placed at the tip of column j of A
+    const colors = this.styleConstants.colors;
+    const tipToTail = [0, 1].map(col => ({
+      key: `B-${col}`,
+      vector: this.columnVector(matrixB, col, col === 0 ? colors.matrixBasisIB : colors.matrixBasisJB),
+      origin: { x: matrixA.get(0, col), y: matrixA.get(1, col) }
+    }));
 
     return {
       resultMatrix: result,
-      resultLines: [formula, resultText]
+      resultLines: [formula, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        { text: `Add matching entries: ${this.formatEntries(matrixA, (v, i, j) => `${fmt(v)} + ${fmt(matrixB.get(i, j))}`)}`, visual: {} },
+        { text: 'Each column of B starts at the tip of the matching column of A', visual: { vectors: tipToTail } },
+        { text: resultText, visual: { vectors: [...tipToTail, ...this.resultColumns(result, 'A+B')] } }
+      ]
     };
   }
 
@@ -58,21 +73,21 @@ class MatrixOperations {
     // Log operation
     logAction(`Scalar multiplication: ${scalar} × ${matrixLabel} ${matrix.toCompactString()}. Result: ${result.toCompactString()}`);
 
-    // Format matrices using FormatUtils if available
-    let formula, resultText;
-    if (window.FormatUtils) {
-      const matrixHtml = window.FormatUtils.formatMatrixAsGrid(matrix, 1);
-      const resultHtml = window.FormatUtils.formatMatrixAsGrid(result, 1);
-      formula = `${scalar} × ${matrixLabel} = ${scalar} × ${matrixHtml}`;
-      resultText = `= ${resultHtml}`;
-    } else {
-      formula = `${scalar} × ${matrixLabel} = ${scalar} × ${matrix.toCompactString()}`;
-      resultText = `= ${result.toCompactString()}`;
-    }
+    // Format matrices as MathML
+    const { matrixNode } = FormatUtils;
+    const formula = MathRender.render(MathRender.row(
+      MathRender.num(scalar), '×', matrixLabel, '=', MathRender.num(scalar), '×', matrixNode(matrix, 1)
+    ));
+    const resultText = MathRender.render(MathRender.row('=', matrixNode(result, 1)));
 
     return {
       resultMatrix: result,
-      resultLines: [formula, resultText]
+      resultLines: [formula, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        { text: `Multiply every entry by ${scalar}: ${this.formatEntries(matrix, v => `${scalar} × ${Matrix.formatNumber(v)}`)}`, visual: {} },
+        { text: resultText, visual: { vectors: this.resultColumns(result, `${scalar}${matrixLabel}`) } }
+      ]
     };
   }
 
@@ -90,25 +105,202 @@ class MatrixOperations {
     // Log operation
     logAction(`Matrix multiplication: A ${matrixA.toCompactString()} @ B ${matrixB.toCompactString()}. Result: ${result.toCompactString()}`);
 
-    // Format matrices using FormatUtils if available
-    let formula, resultText;
-    if (window.FormatUtils) {
-      const matrixAHtml = window.FormatUtils.formatMatrixAsGrid(matrixA, 1);
-      const matrixBHtml = window.FormatUtils.formatMatrixAsGrid(matrixB, 1);
-      const resultHtml = window.FormatUtils.formatMatrixAsGrid(result, 1);
-      formula = `A @ B = ${matrixAHtml} @ ${matrixBHtml}`;
-      resultText = `= ${resultHtml}`;
+    // Format matrices as MathML
+    const { matrixNode } = FormatUtils;
+    const formula = MathRender.render(MathRender.row('A @ B =', matrixNode(matrixA, 1), '@', matrixNode(matrixB, 1)));
+    const resultText = MathRender.render(MathRender.row('=', matrixNode(result, 1)));
+
+    // Column j of AB is A applied to column j of B
+    const fmt = Matrix.formatNumber;
+    const columns = this.resultColumns(result, 'AB');
+    const columnSteps = columns.map((column, col) => {
+      const b = [0, 1].map(row => matrixB.get(row, col));
+      const sums = [0, 1].map(row => `${fmt(matrixA.get(row, 0))}·${fmt(b[0])} + ${fmt(matrixA.get(row, 1))}·${fmt(b[1])}`);
+      return {
+        text: `Column ${col + 1} of AB = A × [${b.map(fmt).join(', ')}] = [${sums.join(', ')}] = [${fmt(column.vector.x)}, ${fmt(column.vector.y)}]`,
+        visual: { vectors: columns.slice(0, col + 1) }
+      };
+    });
+
+    return {
+      resultMatrix: result,
+      resultLines: [formula, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        ...columnSteps,
+        { text: resultText, visual: { vectors: columns } }
+      ]
+    };
+  }
+
+  /**
+   * Compute a determinant and show the work
+   * @param {Matrix} matrix - Square matrix
+   * @param {string} matrixLabel - Matrix label ('A' or 'B')
+   * @returns {Object} Operation result with determinant value and formatted strings
+   */
+  determinant(matrix, matrixLabel) {
+    if (!matrix) return null;
+
+    const { result: det, steps } = matrix.determinantWithSteps();
+
+    const exactDet = matrix.exactDeterminant();
+    const detText = MathRender.render(MathRender.row(`det(${matrixLabel}) =`, MathRender.num(exactDet || det, 2)));
+    const orientationText = det >= 0 ? 'Orientation: preserved (positive)' : 'Orientation: flipped (negative)';
+    const areaText = `|det(${matrixLabel})| = ${Math.abs(det).toFixed(2)} is the area of the parallelogram spanned by the columns of ${matrixLabel}`;
+
+    return {
+      determinant: det,
+      resultLines: [detText, ...this.formatSteps(steps), orientationText],
+      steps: [
+        // The formula comes first; the area appears once it has a value
+        ...this.formatSteps(steps).map((text, i) => ({ text, visual: { area: i > 0 } })),
+        { text: areaText, visual: { area: true } },
+        { text: orientationText, visual: { area: true } }
+      ]
+    };
+  }
+
+  /**
+   * Compute eigenvalues and eigenvectors and show the characteristic polynomial work
+   * @param {Matrix} matrix - 2×2 matrix
+   * @param {string} matrixLabel - Matrix label ('A' or 'B')
+   * @returns {Object} Operation result with eigen-decomposition and formatted strings
+   */
+  eigen(matrix, matrixLabel) {
+    if (!matrix) return null;
+
+    const { result, steps } = matrix.eigenWithSteps();
+    const fmt = Matrix.formatNumber;
+
+    let summary;
+    if (result.type === 'complex') {
+      const [{ re, im }] = result.eigenvalues;
+      summary = `λ = ${fmt(re)} ± ${fmt(Math.abs(im))}i: no direction stays on its span under ${matrixLabel}`;
+    } else if (result.eigenvectors.length === 2 && result.type === 'repeated') {
+      summary = `${matrixLabel} = ${fmt(result.eigenvalues[0])}I scales every vector by ${fmt(result.eigenvalues[0])}`;
+    } else {
+      const subscripts = result.eigenvectors.length > 1 ? ['₁', '₂'] : [''];
+      summary = result.eigenvectors.map((v, i) =>
+        `${matrixLabel}v${subscripts[i]} = ${fmt(result.eigenvalues[i])}·v${subscripts[i]}`
+      ).join(', ') + ' (these vectors stay on their span)';
+    }
+
+    // Log operation
+    logAction(`Eigen-decomposition of ${matrixLabel} ${matrix.toCompactString()}: ${result.type} eigenvalues`);
+
+    return {
+      eigen: result,
+      resultLines: [`Eigenvalues of ${matrixLabel}`, ...this.formatSteps(steps), summary]
+    };
+  }
+
+  /**
+   * Invert a matrix and show the Gauss-Jordan work
+   * @param {Matrix} matrix - Square matrix
+   * @param {string} matrixLabel - Matrix label ('A' or 'B')
+   * @returns {Object} Operation result with the inverse (null if singular) and formatted strings
+   */
+  inverse(matrix, matrixLabel) {
+    if (!matrix) return null;
+
+    const { result: inverse, steps } = matrix.inverseWithSteps();
+
+    let resultText;
+    if (!inverse) {
+      resultText = `${matrixLabel}⁻¹ does not exist: ${matrixLabel} squashes the plane, so no matrix can undo it`;
+    } else {
+      // Exact entries (1/3 rather than 0.33) whenever A's entries are fractions
+      const entries = matrix.exactInverse() || inverse.data;
+      resultText = MathRender.render(MathRender.row(
+        `${matrixLabel}⁻¹ =`, MathRender.matrix(entries.map(row => row.map(value => MathRender.num(value, 2))))
+      ));
+    }
+
+    // Log operation
+    logAction(`Inverse of ${matrixLabel} ${matrix.toCompactString()}: ${inverse ? inverse.toCompactString() : 'singular'}`);
+
+    const resultLines = [`Inverse of ${matrixLabel}`, ...this.formatSteps(steps), resultText];
+    const inverseColumns = inverse ? { vectors: this.resultColumns(inverse, `${matrixLabel}⁻¹`) } : {};
+
+    return {
+      resultMatrix: inverse,
+      resultLines,
+      steps: resultLines.map((text, i) => ({ text, visual: i === resultLines.length - 1 ? inverseColumns : {} }))
+    };
+  }
+
+  /**
+   * Find the rank of a matrix by counting pivots after row reduction
+   * @param {Matrix} matrix - Matrix
+   * @param {string} matrixLabel - Matrix label ('A' or 'B')
+   * @returns {Object} Operation result with the rank and formatted strings
+   */
+  rank(matrix, matrixLabel) {
+    if (!matrix) return null;
+
+    const { result: rank, steps } = matrix.rankWithSteps();
+
+    let summary;
+    if (rank === 0) {
+      summary = `${matrixLabel} is the zero matrix: it sends every vector to 0`;
+    } else if (rank === Math.min(matrix.rows, matrix.cols)) {
+      summary = `Full rank: the columns of ${matrixLabel} are independent` +
+        (matrix.rows === matrix.cols ? `, so ${matrixLabel} is invertible` : '');
     } else {
-      formula = `A @ B = ${matrixA.toCompactString()} @ ${matrixB.toCompactString()}`;
-      resultText = `= ${result.toCompactString()}`;
+      summary = `The columns of ${matrixLabel} span only ${rank} dimension${rank === 1 ? '' : 's'}` +
+        (matrix.rows === matrix.cols ? `, so ${matrixLabel} is singular` : '');
     }
 
+    // Log operation
+    logAction(`Rank of ${matrixLabel} ${matrix.toCompactString()}: ${rank}`);
+
+    const resultLines = [`Rank of ${matrixLabel}`, ...this.formatSteps(steps), summary];
+
+    return {
+      rank,
+      resultLines,
+      steps: resultLines.map(text => ({ text, visual: {} }))
+    };
+  }
+
+  /**
+   * Reduce a matrix to reduced row echelon form and show each row operation
+   * @param {Matrix} matrix - Matrix
+   * @param {string} matrixLabel - Matrix label ('A' or 'B')
+   * @returns {Object} Operation result with the RREF matrix and formatted strings
+   */
+  rref(matrix, matrixLabel) {
+    if (!matrix) return null;
+
+    const { result, steps } = matrix.rrefWithSteps();
+
+    const resultText = MathRender.render(MathRender.row(`rref(${matrixLabel}) =`, FormatUtils.matrixNode(result, 2)));
+
+    // Log operation
+    logAction(`RREF of ${matrixLabel} ${matrix.toCompactString()}: ${result.toCompactString()}`);
+
+    const resultLines = [`Reduced row echelon form of ${matrixLabel}`, ...this.formatSteps(steps), resultText];
+
     return {
       resultMatrix: result,
-      resultLines: [formula, resultText]
+      resultLines,
+      steps: resultLines.map(text => ({ text, visual: {} }))
     };
   }
 
+  /**
+   * Format a step trace from a Matrix *WithSteps() method as result lines
+   * @param {Array<{description: string, matrix: (Matrix|undefined)}>} steps - Step trace
+   * @returns {string[]} - One line per step (HTML when the step has a matrix)
+   */
+  formatSteps(steps) {
+    return steps.map(step => {
+      if (!step.matrix) return step.description;
+      return `${step.description}: ${FormatUtils.formatMatrixAsGrid(step.matrix, 2)}`;
+    });
+  }
+
   /**
    * Perform linear transformation Ax (matrix times vector)
    * @param {Matrix} matrix - Transformation matrix
@@ -123,53 +315,211 @@ class MatrixOperations {
     // Log operation
     logAction(`Linear transformation Ax: A ${matrix.toCompactString()} × v [${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}]. Result: [${resultVector.x.toFixed(2)}, ${resultVector.y.toFixed(2)}]`);
 
-    // Format using FormatUtils if available
-    let formula, intermediate, resultText;
-    if (window.FormatUtils) {
-      const matrixHtml = window.FormatUtils.formatMatrixAsGrid(matrix, 0);
-      const vectorColumnHtml = window.FormatUtils.formatVectorAsColumn(vector, 0);
-
-      // Get matrix elements for formula display
-      const a = matrix.get(0, 0);
-      const b = matrix.get(0, 1);
-      const c = matrix.get(1, 0);
-      const d = matrix.get(1, 1);
-
-      // Format intermediate step as calculation formula (a·x + b·y format)
-      const intermediateHtml = window.FormatUtils.formatIntermediateFormulaAsColumn(a, b, c, d, vector.x, vector.y, 0);
-      const resultColumnHtml = window.FormatUtils.formatVectorAsColumn(resultVector, 0);
-
-      formula = `Ax = ${matrixHtml} × ${vectorColumnHtml}`;
-      intermediate = `= ${intermediateHtml}`;
-      resultText = `= ${resultColumnHtml}`;
+    // Format as MathML
+    const { matrixNode, vectorNode, intermediateFormulaNode } = FormatUtils;
+
+    // Get matrix elements for formula display
+    const a = matrix.get(0, 0);
+    const b = matrix.get(0, 1);
+    const c = matrix.get(1, 0);
+    const d = matrix.get(1, 1);
+
+    // Intermediate step as calculation formula (a·x + b·y format)
+    const formula = MathRender.render(MathRender.row('Ax =', matrixNode(matrix, 0), '×', vectorNode(vector, 0)));
+    const intermediate = MathRender.render(MathRender.row('=', intermediateFormulaNode(a, b, c, d, vector.x, vector.y, 0)));
+    const resultText = MathRender.render(MathRender.row('=', vectorNode(resultVector, 0)));
+
+    // Ax = x·(column 1 of A) + y·(column 2 of A), drawn tip to tail
+    const fmt = Matrix.formatNumber;
+    const colors = this.styleConstants.colors;
+    const xColumn = new Vector(matrix.get(0, 0) * vector.x, matrix.get(1, 0) * vector.x, colors.matrixBasisI, `${fmt(vector.x)}î`);
+    const yColumn = new Vector(matrix.get(0, 1) * vector.y, matrix.get(1, 1) * vector.y, colors.matrixBasisJ, '');
+    const xEntry = { key: 'x-column', vector: xColumn, subscript: 'A' };
+    const yEntry = { key: 'y-column', vector: yColumn, origin: { x: xColumn.x, y: xColumn.y } };
+    const columnText = (col, scalar, scaled) =>
+      `${fmt(scalar)} × [${fmt(matrix.get(0, col))}, ${fmt(matrix.get(1, col))}] = [${fmt(scaled.x)}, ${fmt(scaled.y)}]`;
+
+    return {
+      resultVector: resultVector,
+      resultLines: [formula, intermediate, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        { text: `Ax = ${fmt(vector.x)}·(column 1 of A) + ${fmt(vector.y)}·(column 2 of A)`, visual: {} },
+        { text: `Scale column 1: ${columnText(0, vector.x, xColumn)}`, visual: { vectors: [xEntry] } },
+        { text: `Scale column 2 and place it at the tip: ${columnText(1, vector.y, yColumn)}`, visual: { vectors: [xEntry, yEntry] } },
+        { text: intermediate, visual: { vectors: [xEntry, yEntry] } },
+        { text: resultText, visual: { vectors: [xEntry, yEntry, { key: 'result', vector: resultVector }] } }
+      ]
+    };
+  }
+
+  /**
+   * Solve Ax = b and explain it with the row and column pictures
+   * @param {Matrix} matrix - 2×2 coefficient matrix A
+   * @param {Vector} target - Right-hand side b
+   * @returns {Object} Operation result with the solution (see Matrix.solveWithSteps), A, b, each row's
+   *   equation as text and formatted strings
+   */
+  solve(matrix, target) {
+    if (!matrix || !target) return null;
+
+    const { result: solution, steps } = matrix.solveWithSteps([target.x, target.y]);
+    const fmt = Matrix.formatNumber;
+    const b = [target.x, target.y];
+
+    logAction(`Solve Ax = b: A ${matrix.toCompactString()}, b [${target.x.toFixed(1)}, ${target.y.toFixed(1)}]. Result: ${solution.type}`);
+
+    const { matrixNode, vectorNode } = FormatUtils;
+    const formula = MathRender.render(MathRender.row(matrixNode(matrix, 1), MathRender.column(['x₁', 'x₂']), '=', vectorNode(target, 1)));
+    let answer;
+    if (solution.type === 'unique') {
+      answer = MathRender.render(MathRender.row('x =', vectorNode(new Vector(...solution.solution), 2)));
+    } else if (solution.type === 'infinite' && solution.directions.length === 1) {
+      answer = MathRender.render(MathRender.row('x =', vectorNode(new Vector(...solution.solution), 2), '+ t', vectorNode(new Vector(...solution.directions[0]), 2)));
+    }
+
+    const equations = [0, 1].map(row => this.formatEquation(matrix.get(row, 0), matrix.get(row, 1), b[row]));
+    const equationTexts = equations.map((equation, row) => {
+      if (Math.abs(matrix.get(row, 0)) >= 1e-10 || Math.abs(matrix.get(row, 1)) >= 1e-10) return equation;
+      // A zero row is no line: it holds everywhere or nowhere
+      return `${equation} (${Math.abs(b[row]) < 1e-10 ? 'true for every x' : 'true for no x'})`;
+    });
+    const rowPicture = `Row picture: each equation is a line, ${equationTexts.join(' and ')}; a solution x lies on both`;
+    const columnPicture = `Column picture: x₁·[${fmt(matrix.get(0, 0))}, ${fmt(matrix.get(1, 0))}] + ` +
+      `x₂·[${fmt(matrix.get(0, 1))}, ${fmt(matrix.get(1, 1))}] = [${fmt(target.x)}, ${fmt(target.y)}], b as a combination of the columns of A`;
+
+    let summary;
+    if (solution.type === 'unique') {
+      const [x1, x2] = solution.solution;
+      summary = `One solution: the lines cross at a single point, and b = ${fmt(x1)}·(column 1) + ${fmt(x2)}·(column 2)`;
+    } else if (solution.type === 'infinite' && solution.directions.length === 1) {
+      summary = 'Infinitely many solutions (det A = 0): every point on the solution line x satisfies both equations, ' +
+        'because b lies on the line the columns of A span';
+    } else if (solution.type === 'infinite') {
+      summary = 'Every x is a solution: A = 0 sends the whole plane to b = 0';
     } else {
-      // Fallback to compact string format
-      const a = matrix.get(0, 0);
-      const b = matrix.get(0, 1);
-      const c = matrix.get(1, 0);
-      const d = matrix.get(1, 1);
-      const topIntermediate = a * vector.x + b * vector.y;
-      const bottomIntermediate = c * vector.x + d * vector.y;
-
-      // Format intermediate as formula: a·x + b·y
-      const aInt = Math.round(a);
-      const bInt = Math.round(b);
-      const cInt = Math.round(c);
-      const dInt = Math.round(d);
-      const xInt = Math.round(vector.x);
-      const yInt = Math.round(vector.y);
-      const topFormula = `${aInt}·${xInt} + ${bInt}·${yInt}`;
-      const bottomFormula = `${cInt}·${xInt} + ${dInt}·${yInt}`;
-
-      formula = `Ax = ${matrix.toCompactString()} × [${xInt}, ${yInt}]`;
-      intermediate = `= [${topFormula}, ${bottomFormula}]`;
-      resultText = `= [${Math.round(resultVector.x)}, ${Math.round(resultVector.y)}]`;
+      summary = 'No solution (det A = 0): the equations describe lines that never meet, ' +
+        'because b is off the line (or point) the columns of A span';
+    }
+
+    const resultLines = [formula, rowPicture, columnPicture, ...this.formatSteps(steps), answer, summary].filter(Boolean);
+
+    // Steps draw the row lines one at a time and then x, then build b from the scaled columns tip to tail
+    const rowStage = (rows, point = false) => ({ solve: { picture: 'row', rows, point } });
+    const columnStage = (vectors) => ({ solve: { picture: 'column' }, vectors });
+    const rowOutcome = answer || (solution.type === 'none'
+      ? 'No point lies on both lines'
+      : 'Every point satisfies both equations');
+
+    const columnSteps = [];
+    let columnEntries = [];
+    if (solution.solution) {
+      const [x1, x2] = solution.solution;
+      const colors = this.styleConstants.colors;
+      const first = new Vector(matrix.get(0, 0) * x1, matrix.get(1, 0) * x1, colors.matrixBasisI, `${fmt(x1)}î`);
+      const second = new Vector(matrix.get(0, 1) * x2, matrix.get(1, 1) * x2, colors.matrixBasisJ, '');
+      const firstEntry = { key: 'x1-column', vector: first, subscript: 'A' };
+      const secondEntry = { key: 'x2-column', vector: second, origin: { x: first.x, y: first.y } };
+      const visible = (entries) => entries.filter(entry => entry.vector.magnitude() > 1e-10);
+      const columnText = (col, scalar, scaled) =>
+        `${fmt(scalar)} × [${fmt(matrix.get(0, col))}, ${fmt(matrix.get(1, col))}] = [${fmt(scaled.x)}, ${fmt(scaled.y)}]`;
+
+      columnEntries = visible([firstEntry, secondEntry]);
+      columnSteps.push(
+        { text: `Scale column 1 by x₁: ${columnText(0, x1, first)}`, visual: columnStage(visible([firstEntry])) },
+        {
+          text: `Scale column 2 by x₂ and place it at the tip: ${columnText(1, x2, second)}, which reaches b = [${fmt(target.x)}, ${fmt(target.y)}]`,
+          visual: columnStage(columnEntries)
+        }
+      );
     }
 
     return {
-      resultVector: resultVector,
-      resultLines: [formula, intermediate, resultText]
+      solution,
+      matrix: matrix.clone(),
+      target: b,
+      equations,
+      resultLines,
+      steps: [
+        { text: formula, visual: rowStage(0) },
+        ...equationTexts.map((equation, row) => ({ text: `Row ${row + 1}: ${equation}`, visual: rowStage(row + 1) })),
+        ...this.formatSteps(steps).map(text => ({ text, visual: rowStage(2) })),
+        { text: rowOutcome, visual: rowStage(2, true) },
+        { text: columnPicture, visual: columnStage([]) },
+        ...columnSteps,
+        { text: summary, visual: columnStage(columnEntries) }
+      ]
     };
   }
-}
 
+  // ============================================================================
+  // STEP HELPERS
+  // ============================================================================
+
+  /**
+   * One column of a 2×2 matrix as a vector (î for column 1, ĵ for column 2)
+   * @param {Matrix} matrix - 2×2 matrix
+   * @param {number} col - 0 or 1
+   * @param {string} color - Vector color
+   * @returns {Vector}
+   * @private
+   */
+  columnVector(matrix, col, color) {
+    return new Vector(matrix.get(0, col), matrix.get(1, col), color, col === 0 ? 'î' : 'ĵ');
+  }
+
+  /**
+   * Both columns of a result matrix as step-visual entries in the result color
+   * @param {Matrix} matrix - 2×2 result
+   * @param {string} subscript - Label subscript, e.g. 'AB'
+   * @returns {Array<Object>} - [{ key, vector, subscript }]
+   * @private
+   */
+  resultColumns(matrix, subscript) {
+    return [0, 1].map(col => ({
+      key: `${subscript}-${col}`,
+      vector: this.columnVector(matrix, col, this.styleConstants.colors.result),
+      subscript
+    }));
+  }
+
+  /**
+   * One row of Ax = b as an equation, e.g. x₁ − 2x₂ = 3 (zero terms dropped)
+   * @param {number} a1 - Coefficient of x₁
+   * @param {number} a2 - Coefficient of x₂
+   * @param {number} rhs - Right-hand side
+   * @returns {string}
+   * @private
+   */
+  formatEquation(a1, a2, rhs) {
+    const fmt = Matrix.formatNumber;
+    const term = (coefficient, name) => {
+      const size = Math.abs(coefficient);
+      return `${size === 1 ? '' : fmt(size)}${name}`;
+    };
+
+    let left = '';
+    [[a1, 'x₁'], [a2, 'x₂']].forEach(([coefficient, name]) => {
+      if (Math.abs(coefficient) < 1e-10) return;
+      if (!left) {
+        left = `${coefficient < 0 ? '−' : ''}${term(coefficient, name)}`;
+      } else {
+        left += ` ${coefficient < 0 ? '−' : '+'} ${term(coefficient, name)}`;
+      }
+    });
+
+    return `${left || '0'} = ${fmt(rhs)}`;
+  }
+
+  /**
+   * Write out every entry of a matrix, row by row, e.g. [1 + 2, 0 + 1; 0 + 3, 1 + 1]
+   * @param {Matrix} matrix - Matrix whose entries are written
+   * @param {Function} formatEntry - (value, row, col) => text for that entry
+   * @returns {string}
+   * @private
+   */
+  formatEntries(matrix, formatEntry) {
+    const rows = matrix.data.map((row, i) => row.map((value, j) => formatEntry(value, i, j)).join(', '));
+    return `[${rows.join('; ')}]`;
+  }
+}
@@ -1,9 +1,31 @@
 /**
  * TensorCanvas3D Class
- * Handles 3D rendering and interaction for Tensor Mode
+ * Handles 3D rendering and interaction for Tensor Mode and the 3D vector workspace
+ *
+ * Camera: orbits a target point (this.center) with pitch/yaw rotation. Projection is
+ * orthographic or perspective; in perspective the camera sits far enough back that
+ * the target plane keeps the same scale (this.zoom px per unit), so changing the
+ * field of view only changes how strongly depth is foreshortened.
  */
+
+// Preset camera orientations (pitch, yaw in radians); negative pitch looks from above
+const CAMERA_PRESETS = {
+    front: { x: 0, y: 0 },
+    top: { x: -Math.PI / 2, y: 0 },
+    side: { x: 0, y: -Math.PI / 2 },
+    isometric: { x: -Math.atan(1 / Math.SQRT2), y: -Math.PI / 4 }
+};
+
 class TensorCanvas3D {
-    constructor(canvas, callbacks = {}, colors = null, styleConstants = null) {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Object} callbacks - { onRender, onPick(id) } (onPick gets the hitId of a clicked cube, or null)
+     * @param {Object} [colors] - Theme colors
+     * @param {Object} [styleConstants] - STYLE_CONSTANTS
+     * @param {Object} [options]
+     * @param {string} [options.defaultView] - CAMERA_PRESETS key used on creation and reset
+     */
+    constructor(canvas, callbacks = {}, colors = null, styleConstants = null, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.callbacks = callbacks;
@@ -23,23 +45,42 @@ class TensorCanvas3D {
         this.colors = colors || defaultColors;
 
         // Camera state
+        this.defaultView = options.defaultView || null;
         this.rotation = { x: 0.4, y: 0.5 }; // Pitch, Yaw (radians)
-        this.zoom = 80; // Scale factor
+        this.zoom = 80; // Pixels per unit at the target point
         this.center = { x: 0, y: 0, z: 0 }; // Look at point
+        this.projection = 'orthographic'; // 'orthographic' or 'perspective'
+        this.fov = 50; // Vertical field of view in degrees (perspective only)
+        if (this.defaultView) {
+            this.rotation = { ...CAMERA_PRESETS[this.defaultView] };
+        }
 
         // Interaction state
         this.isDragging = false;
+        this.dragMode = null; // 'orbit' or 'pan' while dragging
+        this.canvas.classList.remove('dragging');
         this.lastMouse = { x: 0, y: 0 };
+        this.pressPosition = null; // Where the current left drag started, to tell clicks from orbits
+
+        // Cubes drawn with a hitId this frame: { id, faces: [[{x, y}]], depth }
+        this.hitTargets = [];
 
         // Bind methods
         this.handleMouseDown = this.handleMouseDown.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
         this.handleMouseUp = this.handleMouseUp.bind(this);
         this.handleWheel = this.handleWheel.bind(this);
+        this.handleContextMenu = this.handleContextMenu.bind(this);
+        this.handleToolbarClick = this.handleToolbarClick.bind(this);
+        this.handleFovInput = this.handleFovInput.bind(this);
         this.updateDimensions = this.updateDimensions.bind(this);
 
         this.setupInteraction();
 
+        // Camera toolbar overlay on the canvas (projection, FOV, preset views)
+        this.toolbar = document.querySelector('#camera-controls');
+        this.bindToolbar();
+
         // Listen for resize via window (or rely on parent calling updateDimensions)
         window.addEventListener('resize', this.updateDimensions);
     }
@@ -64,20 +105,57 @@ class TensorCanvas3D {
         this.canvas.addEventListener('mousedown', this.handleMouseDown);
         window.addEventListener('mousemove', this.handleMouseMove);
         window.addEventListener('mouseup', this.handleMouseUp);
-        this.canvas.addEventListener('wheel', this.handleWheel);
+        this.canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu);
+    }
+
+    bindToolbar() {
+        if (!this.toolbar) return;
+
+        this.toolbar.addEventListener('click', this.handleToolbarClick);
+        this.fovInput = this.toolbar.querySelector('#camera-fov');
+        if (this.fovInput) {
+            this.fovInput.addEventListener('input', this.handleFovInput);
+        }
+        this.updateToolbar();
     }
 
     destroy() {
         this.canvas.removeEventListener('mousedown', this.handleMouseDown);
         window.removeEventListener('mousemove', this.handleMouseMove);
         window.removeEventListener('mouseup', this.handleMouseUp);
-        this.canvas.removeEventListener('wheel', this.handleWheel);
+        this.canvas.removeEventListener('wheel', this.handleWheel, { passive: false });
+        this.canvas.removeEventListener('contextmenu', this.handleContextMenu);
         window.removeEventListener('resize', this.updateDimensions);
+
+        if (this.toolbar) {
+            this.toolbar.removeEventListener('click', this.handleToolbarClick);
+        }
+        if (this.fovInput) {
+            this.fovInput.removeEventListener('input', this.handleFovInput);
+        }
+    }
+
+    /**
+     * Re-render through the owning mode
+     * @private
+     */
+    requestRender() {
+        if (this.callbacks.onRender) {
+            this.callbacks.onRender();
+        }
     }
 
     handleMouseDown(e) {
+        // Left drag orbits; right, middle or Shift+drag pans
         this.isDragging = true;
+        this.dragMode = (e.button === 1 || e.button === 2 || e.shiftKey) ? 'pan' : 'orbit';
         this.lastMouse = { x: e.clientX, y: e.clientY };
+        this.pressPosition = this.dragMode === 'orbit' ? { x: e.clientX, y: e.clientY } : null;
+        if (this.dragMode === 'pan') {
+            e.preventDefault();
+            this.canvas.classList.add('dragging');
+        }
     }
 
     handleMouseMove(e) {
@@ -85,46 +163,194 @@ class TensorCanvas3D {
 
         const deltaX = e.clientX - this.lastMouse.x;
         const deltaY = e.clientY - this.lastMouse.y;
-
-        this.rotation.y += deltaX * 0.01;
-        this.rotation.x += deltaY * 0.01;
-
-        // Clamp pitch to avoid flipping
-        this.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.rotation.x));
-
         this.lastMouse = { x: e.clientX, y: e.clientY };
 
-        if (this.callbacks.onRender) {
-            this.callbacks.onRender();
+        if (this.dragMode === 'pan') {
+            this.pan(deltaX, deltaY);
+        } else {
+            this.orbit(deltaX * 0.01, deltaY * 0.01);
         }
     }
 
-    handleMouseUp() {
+    handleMouseUp(e) {
+        // A left press that barely moved is a click on whatever cube is under it
+        const press = this.pressPosition;
+        if (this.isDragging && press && e && Math.hypot(e.clientX - press.x, e.clientY - press.y) < 4) {
+            this.handleClick(e);
+        }
         this.isDragging = false;
+        this.dragMode = null;
+        this.pressPosition = null;
+        this.canvas.classList.remove('dragging');
+    }
+
+    /**
+     * Report the clicked cube (or null for empty space) to the owning mode
+     * @private
+     */
+    handleClick(e) {
+        if (!this.callbacks.onPick) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        this.callbacks.onPick(this.pick(e.clientX - rect.left, e.clientY - rect.top));
     }
 
     handleWheel(e) {
         e.preventDefault();
-        this.zoom += e.deltaY * 0.1;
-        this.zoom = Math.max(10, Math.min(200, this.zoom));
+        // Line-based deltas (Firefox) are roughly 16px per line
+        const deltaY = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        this.dolly(Math.exp(-deltaY * 0.0015));
+    }
 
-        if (this.callbacks.onRender) {
-            this.callbacks.onRender();
+    handleContextMenu(e) {
+        // Right-drag pans, so keep the browser menu out of the way
+        e.preventDefault();
+    }
+
+    handleToolbarClick(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.dataset.cameraView) {
+            this.setView(button.dataset.cameraView);
+        } else if (button.dataset.cameraAction === 'projection') {
+            this.setProjection(this.projection === 'perspective' ? 'orthographic' : 'perspective');
+        } else if (button.dataset.cameraAction === 'reset') {
+            this.resetCamera();
+            logAction('Camera reset');
+        }
+    }
+
+    handleFovInput() {
+        this.setFov(parseFloat(this.fovInput.value));
+    }
+
+    // Camera Controls
+
+    /**
+     * Rotate the camera around the target
+     * @param {number} deltaYaw - Change in yaw (radians)
+     * @param {number} deltaPitch - Change in pitch (radians)
+     */
+    orbit(deltaYaw, deltaPitch) {
+        this.rotation.y += deltaYaw;
+        this.rotation.x += deltaPitch;
+
+        // Clamp pitch to avoid flipping
+        this.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.rotation.x));
+        this.requestRender();
+    }
+
+    /**
+     * Move the target point so the scene follows the mouse
+     * @param {number} dx - Screen-space horizontal drag in pixels
+     * @param {number} dy - Screen-space vertical drag in pixels
+     */
+    pan(dx, dy) {
+        // Screen drag in view space (y up), measured at the target plane
+        let vx = -dx / this.zoom;
+        let vy = dy / this.zoom;
+        let vz = 0;
+
+        // Undo pitch, then yaw, to get the world-space offset
+        const cosX = Math.cos(this.rotation.x);
+        const sinX = Math.sin(this.rotation.x);
+        const py = vy * cosX + vz * sinX;
+        const pz = -vy * sinX + vz * cosX;
+
+        const cosY = Math.cos(this.rotation.y);
+        const sinY = Math.sin(this.rotation.y);
+        const px = vx * cosY + pz * sinY;
+        const wz = -vx * sinY + pz * cosY;
+
+        this.center = {
+            x: this.center.x + px,
+            y: this.center.y + py,
+            z: this.center.z + wz
+        };
+        this.requestRender();
+    }
+
+    /**
+     * Move the camera toward (factor > 1) or away from the target
+     * In perspective this changes the camera distance; in orthographic it scales the view.
+     * @param {number} factor - Multiplier for the target-plane scale
+     */
+    dolly(factor) {
+        this.zoom = Math.max(10, Math.min(400, this.zoom * factor));
+        this.requestRender();
+    }
+
+    /**
+     * Switch between orthographic and perspective projection
+     * @param {string} projection - 'orthographic' or 'perspective'
+     */
+    setProjection(projection) {
+        this.projection = projection === 'perspective' ? 'perspective' : 'orthographic';
+        logAction(`Camera projection: ${this.projection}`);
+        this.updateToolbar();
+        this.requestRender();
+    }
+
+    /**
+     * Set the vertical field of view (perspective only)
+     * @param {number} degrees - Field of view, clamped to 20°–100°
+     */
+    setFov(degrees) {
+        if (!isFinite(degrees)) return;
+        this.fov = Math.max(20, Math.min(100, degrees));
+        this.updateToolbar();
+        this.requestRender();
+    }
+
+    /**
+     * Snap the camera to a preset orientation, keeping zoom and target
+     * @param {string} name - Key of CAMERA_PRESETS
+     */
+    setView(name) {
+        const preset = CAMERA_PRESETS[name];
+        if (!preset) {
+            console.warn(`TensorCanvas3D: unknown view '${name}'`);
+            return;
         }
+        this.rotation = { ...preset };
+        logAction(`Camera view: ${name}`);
+        this.requestRender();
     }
 
     /**
-     * Reset camera to default rotation and zoom
+     * Sync the toolbar's projection button and FOV slider with the camera
+     * @private
+     */
+    updateToolbar() {
+        if (!this.toolbar) return;
+
+        const projectionButton = this.toolbar.querySelector('[data-camera-action="projection"]');
+        if (projectionButton) {
+            projectionButton.textContent = this.projection === 'perspective' ? 'Perspective' : 'Orthographic';
+            projectionButton.setAttribute('aria-pressed', String(this.projection === 'perspective'));
+        }
+        if (this.fovInput) {
+            this.fovInput.value = String(this.fov);
+            this.fovInput.disabled = this.projection !== 'perspective';
+        }
+        const fovValue = this.toolbar.querySelector('#camera-fov-value');
+        if (fovValue) {
+            fovValue.textContent = `${Math.round(this.fov)}°`;
+        }
+    }
+
+    /**
+     * Reset camera to default rotation, zoom and target (projection and FOV are kept)
      */
     resetCamera() {
-        this.rotation = { x: 0.4, y: 0.5 }; // Default pitch and yaw
+        this.rotation = this.defaultView
+            ? { ...CAMERA_PRESETS[this.defaultView] }
+            : { x: 0.4, y: 0.5 }; // Default pitch and yaw
         this.zoom = 80; // Default zoom
         this.center = { x: 0, y: 0, z: 0 }; // Reset center point
 
-        // Trigger re-render if callback is available
-        if (this.callbacks.onRender) {
-            this.callbacks.onRender();
-        }
+        this.requestRender();
     }
 
     // Coordinate Transformations
@@ -146,11 +372,20 @@ class TensorCanvas3D {
         py = tempY;
         pz = tempZ;
 
-        // 4. Project (Orthographic with zoom)
-        // We can add perspective later if needed, but ortho is often clearer for grids
+        // 4. Project with zoom; perspective divides by the distance from the camera
         // Use logical width/height
-        const screenX = this.width / 2 + px * this.zoom;
-        const screenY = this.height / 2 - py * this.zoom; // Flip Y for screen coords
+        let scale = this.zoom;
+        if (this.projection === 'perspective') {
+            // Focal length (px) for the FOV, and the camera distance that keeps the target at this.zoom
+            const focal = (this.height / 2) / Math.tan((this.fov * Math.PI / 180) / 2);
+            const distance = focal / this.zoom;
+            // Points at or behind the camera are pinned just in front of it
+            const depth = Math.max(distance + pz, distance * 0.05);
+            scale = focal / depth;
+        }
+
+        const screenX = this.width / 2 + px * scale;
+        const screenY = this.height / 2 - py * scale; // Flip Y for screen coords
 
         return { x: screenX, y: screenY, z: pz }; // Return z for depth sorting
     }
@@ -163,6 +398,47 @@ class TensorCanvas3D {
         this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.ctx.restore();
+        this.hitTargets = [];
+    }
+
+    // ============================================================================
+    // PICKING
+    // ============================================================================
+
+    /**
+     * Find the nearest cube under a canvas point
+     * Uses the projected faces recorded by drawCube(), so it matches what is on screen
+     * in both projections
+     * @param {number} x - Canvas x (CSS pixels)
+     * @param {number} y - Canvas y (CSS pixels)
+     * @returns {*} hitId of the nearest cube under the point, or null
+     */
+    pick(x, y) {
+        const hits = this.hitTargets.filter(target =>
+            target.faces.some(face => this.containsPoint(face, x, y))
+        );
+        if (hits.length === 0) return null;
+
+        // Smaller projected z is nearer the camera
+        hits.sort((a, b) => a.depth - b.depth);
+        return hits[0].id;
+    }
+
+    /**
+     * Even-odd point-in-polygon test
+     * @param {Array<{x: number, y: number}>} polygon - Screen-space vertices
+     * @private
+     */
+    containsPoint(polygon, x, y) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
     }
 
     drawAxis(length = 5, originOffset = { x: 0, y: 0, z: 0 }) {
@@ -224,6 +500,66 @@ class TensorCanvas3D {
         this.ctx.fillText(text, p.x, p.y);
     }
 
+    /**
+     * Draw lines of text in screen space at the bottom-left corner of the canvas
+     * (e.g. a formula caption that should not move with the camera)
+     * @param {Array<string>} lines - Text lines, top to bottom
+     * @param {string} color - Text color
+     */
+    drawCaption(lines, color = null) {
+        const lineHeight = 20;
+        const padding = 16;
+        this.ctx.save();
+        this.ctx.fillStyle = color || this.colors.text || '#6b7280';
+        this.ctx.font = '15px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        lines.forEach((line, i) => {
+            const y = this.height - padding - (lines.length - 1 - i) * lineHeight;
+            this.ctx.fillText(line, padding, y);
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw a diverging color legend in screen space at the top-right corner
+     * @param {Object} palette - { negative, zero, positive } hex colors
+     * @param {number} maxAbs - Magnitude at the ends of the scale
+     * @param {string} [color] - Text color
+     */
+    drawColorLegend(palette, maxAbs, color = null) {
+        const barWidth = 150;
+        const barHeight = 12;
+        const segments = 30;
+        const padding = 16;
+        const left = this.width - padding - barWidth;
+        const top = padding + 18;
+
+        this.ctx.save();
+        // Solid segments rather than a gradient, so the bar matches the cube colors exactly
+        for (let i = 0; i < segments; i++) {
+            const value = ((i + 0.5) / segments * 2 - 1) * maxAbs;
+            this.ctx.fillStyle = ColorUtils.divergingColor(value, maxAbs, palette);
+            this.ctx.fillRect(left + i * barWidth / segments, top, barWidth / segments + 0.5, barHeight);
+        }
+        this.ctx.strokeStyle = this.colors.axis || '#9ca3af';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(left, top, barWidth, barHeight);
+
+        this.ctx.fillStyle = color || this.colors.text || '#6b7280';
+        this.ctx.font = '12px Arial';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText('Value', left, top - 4);
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText((-maxAbs).toFixed(1), left, top + barHeight + 4);
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('0', left + barWidth / 2, top + barHeight + 4);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(maxAbs.toFixed(1), left + barWidth, top + barHeight + 4);
+        this.ctx.restore();
+    }
+
     drawPoint(pos, radius, color) {
         const p = this.project(pos.x, pos.y, pos.z);
         this.ctx.beginPath();
@@ -232,6 +568,64 @@ class TensorCanvas3D {
         this.ctx.fill();
     }
 
+    /**
+     * Draw a connected line through a list of points (e.g. an arc)
+     * @param {Array<Object>} points - {x, y, z} points in order
+     * @param {string} color - Stroke color
+     * @param {number} width - Line width
+     */
+    drawPolyline(points, color, width = 1) {
+        if (points.length < 2) return;
+
+        const projected = points.map(p => this.project(p.x, p.y, p.z));
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(projected[0].x, projected[0].y);
+        for (let i = 1; i < projected.length; i++) {
+            this.ctx.lineTo(projected[i].x, projected[i].y);
+        }
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = width;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw an arrow from one 3D point to another
+     * The head is drawn in screen space, so it keeps its size at every zoom level;
+     * it is skipped when the arrow points almost straight at the camera.
+     * @param {Object} from - {x, y, z} tail
+     * @param {Object} to - {x, y, z} tip
+     * @param {string} color - Line and head color
+     * @param {number} width - Line width
+     * @param {number} headSize - Arrowhead length in pixels
+     */
+    drawArrow(from, to, color, width = 2, headSize = 10) {
+        this.drawLine(from, to, color, width);
+
+        const start = this.project(from.x, from.y, from.z);
+        const end = this.project(to.x, to.y, to.z);
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length < 1e-10) return;
+
+        // Shrink the head for arrows that are short on screen
+        const head = Math.min(headSize, length * 0.5);
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(end.x, end.y);
+        this.ctx.lineTo(
+            end.x - head * Math.cos(angle - Math.PI / 6),
+            end.y - head * Math.sin(angle - Math.PI / 6)
+        );
+        this.ctx.lineTo(
+            end.x - head * Math.cos(angle + Math.PI / 6),
+            end.y - head * Math.sin(angle + Math.PI / 6)
+        );
+        this.ctx.closePath();
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+    }
+
     // Helper to draw a filled polygon (e.g. for matrix slices)
     drawPolygon(points, color, alpha = 1, strokeColor = null) {
         if (points.length < 3) return;
@@ -265,8 +659,9 @@ class TensorCanvas3D {
      * @param {string} edgeColor - Color for cube edges
      * @param {string} faceColor - Color for cube faces
      * @param {number} faceAlpha - Transparency for faces (0-1)
+     * @param {*} [hitId] - When set, the cube can be found with pick()
      */
-    drawCube(center, size, edgeColor, faceColor, faceAlpha = 0.3) {
+    drawCube(center, size, edgeColor, faceColor, faceAlpha = 0.3, hitId = null) {
         const s = size / 2;
         const { x, y, z } = center;
 
@@ -312,6 +707,14 @@ class TensorCanvas3D {
             depth: face.reduce((sum, idx) => sum + projected[idx].z, 0) / face.length
         })).sort((a, b) => b.depth - a.depth); // Back to front
 
+        if (hitId !== null) {
+            this.hitTargets.push({
+                id: hitId,
+                faces: faces.map(face => face.map(idx => ({ x: projected[idx].x, y: projected[idx].y }))),
+                depth: this.project(x, y, z).z
+            });
+        }
+
         this.ctx.save();
         facesWithDepth.forEach(({ indices }) => {
             const facePoints = indices.map(idx => projected[idx]);
@@ -349,10 +752,11 @@ class TensorCanvas3D {
      * @param {string} faceColor - Color for cube faces
      * @param {string} textColor - Color for text
      * @param {number} faceAlpha - Transparency for faces
+     * @param {*} [hitId] - When set, the cube can be found with pick()
      */
-    drawCubeWithLabel(center, size, value, edgeColor, faceColor, textColor, faceAlpha = 0.3) {
+    drawCubeWithLabel(center, size, value, edgeColor, faceColor, textColor, faceAlpha = 0.3, hitId = null) {
         // Draw the cube
-        this.drawCube(center, size, edgeColor, faceColor, faceAlpha);
+        this.drawCube(center, size, edgeColor, faceColor, faceAlpha, hitId);
 
         // Draw the text centered inside the cube
         const text = typeof value === 'number' ? value.toFixed(1) : String(value);
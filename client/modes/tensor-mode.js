@@ -1,8 +1,43 @@
 /**
  * TensorMode Class
- * Visualization for tensors of different ranks (0-3)
+ * Visualization for tensors of different ranks (0-3), plus tensor operations
+ * (outer product, matrix × vector, mode-n product, trace, einsum) on those tensors
  */
 
+// Default tensors, keyed by the names operations and einsum use: s, v, M and T are
+// edited through the rank buttons, w is the second operand of the outer product v ⊗ w
+const TENSOR_DEFAULTS = {
+  s: 1.0,
+  v: [2, 1],
+  w: [1, 3],
+  M: [[1, 0], [0, 1]],
+  T: [
+    [[1, 0], [0, 1]],
+    [[0, 1], [1, 0]]
+  ]
+};
+
+// Tensor shown and edited for each rank (0-3)
+const TENSOR_RANK_NAMES = ['s', 'v', 'M', 'T'];
+
+// Largest size of any one index, so shapes go up to 5×5×5
+const TENSOR_MAX_DIM = 5;
+
+// Time spent on each output entry while an operation animates (ms)
+const TENSOR_STEP_DURATION = 700;
+
+// Time for the cubes to fly to their new positions in reshape/transpose/permute (ms)
+const TENSOR_REARRANGE_DURATION = 1600;
+
+// Time for the tiled (ghost) copies to spread out before a broadcast is combined (ms)
+const TENSOR_TILE_DURATION = 1200;
+
+// Tensors an einsum expression can name
+const TENSOR_NAMES = ['s', 'v', 'w', 'M', 'T'];
+
+// What each index of T picks in the input grid: T[slice][row][column]
+const TENSOR_AXIS_ROLES = ['slice', 'row', 'column'];
+
 class TensorMode {
   constructor(canvas, appConfig, styleConstants, coordSystem, rootElement) {
     this.canvas = canvas;
@@ -14,15 +49,34 @@ class TensorMode {
 
     // State
     this.rank = 0; // Default to scalar (rank 0)
-    this.tensorData = {
-      scalar: 1.0,
-      vector: { x: 2, y: 1 },
-      matrix: [[1, 0], [0, 1]],
-      tensor3d: [
-        [[1, 0], [0, 1]],
-        [[0, 1], [1, 0]]
-      ]
-    };
+    this.tensors = this.createTensors(TENSOR_DEFAULTS); // name -> Tensor
+    this.colorScale = 'redBlue'; // STYLE_CONSTANTS.heatmapPalettes key, or 'off' for plain cubes
+    this.heatmap = null; // { palette, maxAbs } while cubes are drawn with the heatmap
+    this.selection = null; // Slice/fiber of T: one 0-based index per axis, null where ':' keeps the axis
+    this.pickedIndex = null; // Index of the clicked (or focused) cube in the shown tensor
+    this.cubeEditor = document.querySelector('#tensor-cube-editor'); // Inline value editor on the canvas
+
+    // Operation view (not part of the undoable state): when set, the canvas shows
+    // the operands and result instead of the tensor of the selected rank
+    this.activeOperation = null; // { type, n, pair }
+    this.operationResult = null; // Result object from TensorOperations
+    this.operationStep = null; // Index of the step being animated, null when done
+    this.operationStepProgress = 0; // 0-1 within the current step
+    this.rearrangeProgress = 1; // 0-1 flight of the cubes in reshape/transpose/permute
+    this.tileProgress = 1; // 0-1 spread of the ghost copies before a broadcast is combined
+    this.operationAnimation = null;
+    this.modeN = 1; // Selected mode for T ×ₙ M
+    this.tracePair = [2, 3]; // Selected index pair for the trace
+    this.broadcastNames = ['M', 'v']; // Operands A and B of the elementwise operations
+    this.operations = new TensorOperations(appConfig, styleConstants);
+
+    // Results overlay shows the index-sum formula and each entry's sum
+    const resultsElement = document.querySelector('#tensor-results');
+    this.resultsPanel = resultsElement ? new ResultsPanel(resultsElement, {
+      emptyMessage: 'Run a tensor operation to see the index sums',
+      historyMode: 'tensor',
+      onHistoryRestore: (entry) => this.restoreResult(entry)
+    }) : null;
 
     // Colors
     this.colors = {};
@@ -35,10 +89,6 @@ class TensorMode {
     // Bound handler methods (stored for proper cleanup)
     this.handleRankClick = null;
     this.handleReset = null;
-    this.handleScalarInput = null;
-    this.handleVectorInput = null;
-    this.handleMatrixInput = null;
-    this.handleTensor3DInput = null;
 
     // Subscribe to theme changes
     if (window.CanvasThemeService) {
@@ -50,7 +100,8 @@ class TensorMode {
 
     // Initialize 3D Canvas with initial colors and styleConstants
     this.tensorCanvas3D = new TensorCanvas3D(canvas, {
-      onRender: () => this.render()
+      onRender: () => this.render(),
+      onPick: (id) => this.handleCubePick(id)
     }, this.colors, styleConstants);
 
     // Setup UI
@@ -67,7 +118,11 @@ class TensorMode {
     this.colors = {
       ...themeColors,
       cubeEdge: themeColors.accent || themeColors.axis,
-      cubeFace: themeColors.accent || themeColors.axis
+      cubeFace: themeColors.accent || themeColors.axis,
+      contribution: this.styleConstants.colors.tensorContribution,
+      picked: themeColors.hover || this.styleConstants.colors.tensorContribution,
+      selection: this.styleConstants.colors.tensorSelection,
+      result: this.styleConstants.colors.result
     };
 
     if (this.coordSystem) {
@@ -80,6 +135,47 @@ class TensorMode {
     }
   }
 
+  /**
+   * Build Tensor instances from nested arrays keyed by name
+   * Missing or malformed tensors (e.g. from a hand-edited link) fall back to their defaults
+   * @param {Object} data - { s, v, w, M, T } nested arrays
+   * @returns {Object} name -> Tensor
+   * @private
+   */
+  createTensors(data) {
+    const tensors = {};
+    TENSOR_NAMES.forEach(name => {
+      const rank = Tensor.shapeOf(TENSOR_DEFAULTS[name]).length;
+      const valid = this.isValidTensorData(data[name], rank);
+      tensors[name] = Tensor.fromArray(valid ? data[name] : TENSOR_DEFAULTS[name]);
+    });
+    return tensors;
+  }
+
+  /**
+   * Check that a nested array is a rectangular tensor of the given rank with
+   * every size in 1..TENSOR_MAX_DIM and finite numbers as entries
+   * @param {*} data - Value to check
+   * @param {number} rank - Expected number of indices
+   * @returns {boolean}
+   * @private
+   */
+  isValidTensorData(data, rank) {
+    const shape = Tensor.shapeOf(data);
+    if (shape.length !== rank || shape.some(size => size < 1 || size > TENSOR_MAX_DIM)) {
+      return false;
+    }
+
+    const matches = (level, depth) => {
+      if (depth === rank) {
+        return typeof level === 'number' && Number.isFinite(level);
+      }
+      return Array.isArray(level) && level.length === shape[depth] &&
+        level.every(item => matches(item, depth + 1));
+    };
+    return matches(data, 0);
+  }
+
   setupUI() {
     // Create sidebar content
     this.root.innerHTML = `
@@ -103,118 +199,285 @@ class TensorMode {
           <div id="tensor-input-container" class="tensor-input-container">
             <!-- Dynamic content based on rank -->
           </div>
+
+          <div class="control-group">
+            <label>Cube Colors</label>
+            <div class="tensor-option-selector">
+              <button class="button button-tertiary tensor-option-btn" data-color-scale="off">Plain</button>
+              ${Object.entries(this.styleConstants.heatmapPalettes).map(([key, palette]) => `
+                <button class="button button-tertiary tensor-option-btn" data-color-scale="${key}">${palette.label}</button>
+              `).join('')}
+            </div>
+          </div>
         </div>
       </div>
 
       <div class="sidebar-section">
-        <p class="hint body-xsmall">Drag to rotate, Scroll to zoom</p>
-      </div>
-    `;
+        <div class="section-header">
+          <h2 class="heading-small">Operations</h2>
+          <button id="op-tensor-clear" class="button button-secondary button-small" disabled>Clear</button>
+        </div>
+        <p class="hint body-xsmall">v is the rank 1 vector, M the rank 2 matrix and T the rank 3 tensor.</p>
+        <p id="tensor-operation-error" class="tensor-operation-error body-xsmall" role="alert"></p>
 
-    this.updateInputUI();
-  }
+        <div class="operation-group">
+          <div class="operation-label">
+            <span>Outer Product</span>
+          </div>
+          <div id="tensor-w-container" class="tensor-operand"></div>
+          <button id="op-tensor-outer" class="button button-primary btn-full-width">Compute v ⊗ w</button>
+        </div>
 
-  updateInputUI() {
-    const container = this.root.querySelector('#tensor-input-container');
+        <div class="operation-group">
+          <div class="operation-label">
+            <span>Matrix × Vector</span>
+          </div>
+          <button id="op-tensor-matvec" class="button button-primary btn-full-width">Compute M v</button>
+        </div>
 
-    let html = '';
+        <div class="operation-group">
+          <div class="operation-label">
+            <span>Mode-n Product</span>
+          </div>
+          <div class="tensor-option-selector">
+            <button class="button button-primary tensor-option-btn active" data-mode-n="1">n = 1</button>
+            <button class="button button-tertiary tensor-option-btn" data-mode-n="2">n = 2</button>
+            <button class="button button-tertiary tensor-option-btn" data-mode-n="3">n = 3</button>
+          </div>
+          <button id="op-tensor-moden" class="button button-primary btn-full-width">Compute T ×₁ M</button>
+        </div>
 
-    switch (this.rank) {
-      case 0:
-        html = `
-          <div class="scalar-input-wrapper">
-            <label>Value</label>
-            <input type="number" id="tensor-scalar-input" class="input matrix-input" value="${this.tensorData.scalar}" step="0.1">
+        <div class="operation-group">
+          <div class="operation-label">
+            <span>Trace over Two Indices</span>
           </div>
-        `;
-        break;
-      case 1:
-        html = `
-          <div class="vector-input-wrapper">
-            <label>Components</label>
-            <div class="matrix-grid small">
-              <div class="matrix-row">
-                <input type="number" id="tensor-vector-x" class="input matrix-input" value="${this.tensorData.vector.x}" step="0.1" placeholder="x">
-                <input type="number" id="tensor-vector-y" class="input matrix-input" value="${this.tensorData.vector.y}" step="0.1" placeholder="y">
-              </div>
-            </div>
+          <div class="tensor-option-selector">
+            <button class="button button-tertiary tensor-option-btn" data-trace-pair="1,2">(1, 2)</button>
+            <button class="button button-tertiary tensor-option-btn" data-trace-pair="1,3">(1, 3)</button>
+            <button class="button button-primary tensor-option-btn active" data-trace-pair="2,3">(2, 3)</button>
           </div>
-        `;
-        break;
-      case 2:
-        html = `
-          <div class="matrix-input-wrapper">
-            <label>2x2 Matrix</label>
-            <div class="matrix-grid small">
-              <div class="matrix-row">
-                <input type="number" id="tensor-m00" class="input matrix-input" value="${this.tensorData.matrix[0][0]}" step="0.1">
-                <input type="number" id="tensor-m01" class="input matrix-input" value="${this.tensorData.matrix[0][1]}" step="0.1">
-              </div>
-              <div class="matrix-row">
-                <input type="number" id="tensor-m10" class="input matrix-input" value="${this.tensorData.matrix[1][0]}" step="0.1">
-                <input type="number" id="tensor-m11" class="input matrix-input" value="${this.tensorData.matrix[1][1]}" step="0.1">
-              </div>
-            </div>
+          <button id="op-tensor-trace" class="button button-primary btn-full-width">Compute Trace</button>
+        </div>
+
+        <div class="operation-group">
+          <div class="operation-label">
+            <span>Elementwise (Broadcasting)</span>
           </div>
-        `;
-        break;
-      case 3:
-        html = `
-          <div class="tensor3d-input-wrapper">
-            <label>2x2x2 Tensor (2 Slices)</label>
-            <div class="tensor-slices">
-              <div class="slice">
-                <span class="body-xsmall">Slice 1 (Front, z=0)</span>
-                <div class="matrix-grid small">
-                  <div class="matrix-row">
-                    <input type="number" id="tensor-t000" class="input matrix-input" value="${this.tensorData.tensor3d[0][0][0]}" step="0.1">
-                    <input type="number" id="tensor-t001" class="input matrix-input" value="${this.tensorData.tensor3d[0][0][1]}" step="0.1">
-                  </div>
-                  <div class="matrix-row">
-                    <input type="number" id="tensor-t010" class="input matrix-input" value="${this.tensorData.tensor3d[0][1][0]}" step="0.1">
-                    <input type="number" id="tensor-t011" class="input matrix-input" value="${this.tensorData.tensor3d[0][1][1]}" step="0.1">
-                  </div>
-                </div>
-              </div>
-              <div class="slice">
-                <span class="body-xsmall">Slice 2 (Back, z=1)</span>
-                <div class="matrix-grid small">
-                  <div class="matrix-row">
-                    <input type="number" id="tensor-t100" class="input matrix-input" value="${this.tensorData.tensor3d[1][0][0]}" step="0.1">
-                    <input type="number" id="tensor-t101" class="input matrix-input" value="${this.tensorData.tensor3d[1][0][1]}" step="0.1">
-                  </div>
-                  <div class="matrix-row">
-                    <input type="number" id="tensor-t110" class="input matrix-input" value="${this.tensorData.tensor3d[1][1][0]}" step="0.1">
-                    <input type="number" id="tensor-t111" class="input matrix-input" value="${this.tensorData.tensor3d[1][1][1]}" step="0.1">
-                  </div>
-                </div>
+          ${['a', 'b'].map(slot => `
+            <div class="tensor-operand-picker">
+              <span class="body-xsmall">${slot.toUpperCase()}</span>
+              <div class="tensor-option-selector tensor-name-selector">
+                ${TENSOR_NAMES.map(name => `
+                  <button class="button button-tertiary tensor-option-btn" data-broadcast-${slot}="${name}">${name}</button>
+                `).join('')}
               </div>
             </div>
+          `).join('')}
+          <button id="op-tensor-add" class="button button-primary btn-full-width">Compute M + v</button>
+          <button id="op-tensor-multiply" class="button button-primary btn-full-width">Compute M ⊙ v</button>
+        </div>
+
+        <div class="operation-group">
+          <div class="operation-label">
+            <span>Einstein Summation</span>
           </div>
-        `;
-        break;
+          <input type="text" id="tensor-einsum-expr" class="input tensor-text-input" value="ij,j->i"
+            placeholder="ij,jk->ik" spellcheck="false" autocomplete="off" aria-label="einsum expression">
+          <input type="text" id="tensor-einsum-operands" class="input tensor-text-input"
+            placeholder="Tensors, e.g. M, v (optional)" spellcheck="false" autocomplete="off" aria-label="einsum tensors">
+          <button id="op-tensor-einsum" class="button button-primary btn-full-width">Evaluate</button>
+        </div>
+
+        <div class="operation-group">
+          <div class="operation-label">
+            <span>Reshape and Permute</span>
+          </div>
+          <p class="hint body-xsmall">These act on the tensor of the selected rank.</p>
+          <div class="tensor-rearrange-row">
+            <input type="text" id="tensor-reshape-shape" class="input tensor-text-input"
+              placeholder="New shape, e.g. 3×2" spellcheck="false" autocomplete="off" aria-label="New shape">
+            <button id="op-tensor-reshape" class="button button-primary">Reshape</button>
+          </div>
+          <div class="tensor-rearrange-row">
+            <input type="text" id="tensor-permute-axes" class="input tensor-text-input"
+              placeholder="Index order, e.g. 3,1,2" spellcheck="false" autocomplete="off" aria-label="New index order">
+            <button id="op-tensor-permute" class="button button-primary">Permute</button>
+          </div>
+          <button id="op-tensor-transpose" class="button button-primary btn-full-width">Transpose</button>
+          <div id="tensor-index-map" class="tensor-index-map"></div>
+        </div>
+      </div>
+
+      <div class="sidebar-section">
+        <p class="hint body-xsmall">Drag to orbit, Shift+drag or right-drag to pan, Scroll to dolly</p>
+      </div>
+    `;
+
+    this.updateInputUI();
+    this.updateOperandInputs();
+  }
+
+  /**
+   * Rebuild the shape and entry inputs for the tensor of the selected rank
+   */
+  updateInputUI() {
+    this.closeCubeEditor();
+    const container = this.root.querySelector('#tensor-input-container');
+    const name = TENSOR_RANK_NAMES[this.rank];
+    const tensor = this.tensors[name];
+
+    if (tensor.rank === 0) {
+      container.innerHTML = `
+        <div class="scalar-input-wrapper">
+          <label>Value</label>
+          ${this.entryInputHTML(name, tensor, [])}
+        </div>
+      `;
+      return;
     }
 
-    container.innerHTML = html;
+    const titles = ['', 'Vector', 'Matrix', 'Tensor'];
+    const wrappers = ['', 'vector-input-wrapper', 'matrix-input-wrapper', 'tensor3d-input-wrapper'];
+    const grid = tensor.rank === 3
+      ? `<div class="tensor-slices">
+          ${tensor.data.map((_, i) => `
+            <div class="slice">
+              <span class="body-xsmall">Slice ${i + 1}${this.sliceSuffix(i, tensor.shape[0])}</span>
+              ${this.entryGridHTML(name, tensor, [i])}
+            </div>
+          `).join('')}
+        </div>`
+      : this.entryGridHTML(name, tensor, []);
+
+    container.innerHTML = `
+      <div class="${wrappers[tensor.rank]}">
+        ${this.shapeInputsHTML(name, tensor)}
+        <label>${tensor.formatShape()} ${titles[tensor.rank]}</label>
+        ${grid}
+      </div>
+      ${tensor.rank === 3 ? this.selectionHTML() : ''}
+    `;
+    this.updateSelectionUI();
+  }
+
+  /**
+   * Slice/fiber picker shown under the rank-3 input grid
+   * @private
+   */
+  selectionHTML() {
+    const presets = (kind, patterns) => patterns.map(pattern => `
+      <button class="button button-tertiary tensor-option-btn" data-select-preset="${pattern.join(',')}"
+        title="${kind}">${this.formatSelector(pattern.map(i => (i === ':' ? null : i)))}</button>
+    `).join('');
+
+    return `
+      <div class="tensor-selection">
+        <label for="tensor-selector">Slices and Fibers</label>
+        <span class="body-xsmall">Slices fix one index</span>
+        <div class="tensor-option-selector">
+          ${presets('Slice', [[0, ':', ':'], [':', 0, ':'], [':', ':', 0]])}
+        </div>
+        <span class="body-xsmall">Fibers fix all but one</span>
+        <div class="tensor-option-selector">
+          ${presets('Fiber', [[':', 0, 0], [0, ':', 0], [0, 0, ':']])}
+        </div>
+        <div class="tensor-selector-row">
+          <input type="text" id="tensor-selector" class="input tensor-text-input" placeholder="e.g. T[:,2,1]"
+            spellcheck="false" autocomplete="off" aria-describedby="tensor-selection-error">
+          <button id="tensor-selection-clear" class="button button-secondary button-small">Clear</button>
+        </div>
+        <p id="tensor-selection-error" class="tensor-operation-error body-xsmall" role="alert"></p>
+        <div id="tensor-selection-result" class="tensor-selection-result"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Rebuild the inputs for w (the outer product's second vector)
+   * @private
+   */
+  updateOperandInputs() {
+    const container = this.root.querySelector('#tensor-w-container');
+    if (!container) return;
+
+    const w = this.tensors.w;
+    container.innerHTML = `
+      ${this.shapeInputsHTML('w', w)}
+      ${this.entryGridHTML('w', w, [])}
+    `;
+  }
+
+  /**
+   * Dimension inputs ("Shape 2 × 3") for a tensor
+   * @private
+   */
+  shapeInputsHTML(name, tensor) {
+    const axisNames = {
+      1: ['length'],
+      2: ['rows', 'columns'],
+      3: ['slices', 'rows', 'columns']
+    }[tensor.rank];
+
+    const inputs = tensor.shape.map((size, axis) => `
+      <input type="number" class="input tensor-dim-input" data-tensor="${name}" data-axis="${axis}"
+        value="${size}" min="1" max="${TENSOR_MAX_DIM}" step="1" aria-label="${name} ${axisNames[axis]}">
+    `).join('<span class="times-symbol">×</span>');
+
+    return `
+      <div class="tensor-shape-row">
+        <span class="body-xsmall">${name === 'w' ? 'w length' : 'Shape'}</span>
+        ${inputs}
+      </div>
+    `;
+  }
+
+  /**
+   * Grid of entry inputs for a vector or matrix, or for one slice of a rank-3 tensor
+   * @param {string} name - Tensor name
+   * @param {Tensor} tensor - Tensor being edited
+   * @param {number[]} prefix - Leading index ([] or [slice])
+   * @private
+   */
+  entryGridHTML(name, tensor, prefix) {
+    const shape = tensor.shape.slice(prefix.length);
+    const rows = shape.length === 1 ? [[]] : Tensor.indicesOf([shape[0]]);
+    const cols = shape[shape.length - 1];
+    const dense = cols > 3 ? ' dense' : '';
+
+    return `
+      <div class="matrix-grid small${dense}">
+        ${rows.map(row => `
+          <div class="matrix-row">
+            ${Array.from({ length: cols }, (_, c) => this.entryInputHTML(name, tensor, [...prefix, ...row, c])).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /** @private */
+  entryInputHTML(name, tensor, index) {
+    const label = index.length ? `${name}[${index.map(i => i + 1).join(',')}]` : name;
+    return `<input type="number" class="input matrix-input tensor-entry" data-tensor="${name}" data-index="${index.join(',')}"
+      value="${tensor.get(index)}" step="0.1" aria-label="${label}">`;
+  }
 
-    // Re-attach listeners for new inputs
-    this.attachInputListeners();
+  /** @private */
+  sliceSuffix(i, count) {
+    if (count === 1) return '';
+    if (i === 0) return ' (Front)';
+    return i === count - 1 ? ' (Back)' : '';
   }
 
   setupEventListeners() {
     // Rank selection - create bound handler
     this.handleRankClick = (e) => {
-      const rankBtns = this.root.querySelectorAll('.rank-btn');
-      // Update active state
-      rankBtns.forEach(b => {
-        b.classList.remove('active', 'button-primary');
-        b.classList.add('button-tertiary');
-      });
-      e.target.classList.add('active', 'button-primary');
-      e.target.classList.remove('button-tertiary');
+      const before = this.getState();
 
-      // Update rank
+      // Update rank (and go back to editing that tensor)
       this.rank = parseInt(e.target.dataset.rank);
+      this.updateRankButtons();
+      this.clearOperation();
 
       // Log rank change
       try {
@@ -225,6 +488,7 @@ class TensorMode {
 
       this.updateInputUI();
       this.render();
+      this.recordHistory(`Change tensor rank to ${this.rank}`, before);
     };
 
     const rankBtns = this.root.querySelectorAll('.rank-btn');
@@ -235,15 +499,12 @@ class TensorMode {
 
     // Reset button - create bound handler
     this.handleReset = () => {
-      this.tensorData = {
-        scalar: 1.0,
-        vector: { x: 2, y: 1 },
-        matrix: [[1, 0], [0, 1]],
-        tensor3d: [
-          [[1, 0], [0, 1]],
-          [[0, 1], [1, 0]]
-        ]
-      };
+      const before = this.getState();
+
+      this.tensors = this.createTensors(TENSOR_DEFAULTS);
+      this.selection = null;
+      this.clearOperation();
+      this.updateOperandInputs();
 
       // Reset camera to default view
       if (this.tensorCanvas3D) {
@@ -252,13 +513,14 @@ class TensorMode {
 
       // Log reset with default values
       try {
-        logAction('Tensor reset: scalar=1.0, vector=(2.0, 1.0), matrix=[[1,0],[0,1]], tensor3d=[[[1,0],[0,1]],[[0,1],[1,0]]]');
+        logAction('Tensor reset: s=1.0, v=[2, 1], w=[1, 3], M=[[1,0],[0,1]], T=[[[1,0],[0,1]],[[0,1],[1,0]]]');
       } catch (err) {
         console.error('Failed to log reset:', err);
       }
 
       this.updateInputUI();
       this.render();
+      this.recordHistory('Reset tensor', before);
     };
 
     const resetBtn = this.root.querySelector('#tensor-reset');
@@ -266,340 +528,1362 @@ class TensorMode {
       resetBtn.addEventListener('click', this.handleReset);
       this.eventListeners.push({ element: resetBtn, event: 'click', handler: this.handleReset });
     }
-  }
 
-  attachInputListeners() {
-    // Remove any existing input listeners before attaching new ones
-    // Filter out input listeners (they have 'input' event type)
-    const inputListeners = this.eventListeners.filter(
-      ({ event }) => event === 'input'
-    );
-    inputListeners.forEach(({ element, event, handler }) => {
-      if (element && typeof element.removeEventListener === 'function') {
-        element.removeEventListener(event, handler);
+    // Entry and shape inputs are rebuilt whenever a shape or the rank changes,
+    // so listen on the sidebar root instead of on each input
+    this.handleRootInput = (e) => {
+      if (e.target.classList.contains('tensor-entry')) {
+        this.handleEntryInput(e.target);
       }
-    });
-    // Remove input listeners from tracking array
-    this.eventListeners = this.eventListeners.filter(
-      ({ event }) => event !== 'input'
-    );
-
-    // Scalar
-    const scalarInput = this.root.querySelector('#tensor-scalar-input');
-    if (scalarInput) {
-      this.handleScalarInput = (e) => {
-        this.tensorData.scalar = parseFloat(e.target.value) || 0;
-
-        // Log scalar input change
-        try {
-          logAction(`Tensor scalar input changed: ${this.tensorData.scalar.toFixed(1)}`);
-        } catch (err) {
-          console.error('Failed to log scalar input:', err);
-        }
-
+    };
+    this.handleRootChange = (e) => {
+      if (e.target.classList.contains('tensor-dim-input')) {
+        this.handleShapeChange(e.target);
+      } else if (e.target.id === 'tensor-selector') {
+        this.handleSelectorChange(e.target.value);
+      }
+    };
+    // The slice/fiber picker is also rebuilt with the rank-3 inputs
+    this.handleRootClick = (e) => {
+      const preset = e.target.closest('[data-select-preset]');
+      if (preset) {
+        this.setSelection(preset.dataset.selectPreset.split(',').map(i => (i === ':' ? null : Number(i))));
+      } else if (e.target.id === 'tensor-selection-clear') {
+        this.setSelection(null);
+      }
+    };
+    // Focusing an entry input highlights its cube
+    this.handleRootFocus = (e) => {
+      if (e.target.classList.contains('tensor-entry') && e.target.dataset.tensor === TENSOR_RANK_NAMES[this.rank]) {
+        this.pickedIndex = this.parseIndex(e.target.dataset.index);
         this.render();
-      };
-      scalarInput.addEventListener('input', this.handleScalarInput);
-      this.eventListeners.push({ element: scalarInput, event: 'input', handler: this.handleScalarInput });
-    }
-
-    // Vector
-    const vx = this.root.querySelector('#tensor-vector-x');
-    const vy = this.root.querySelector('#tensor-vector-y');
-    if (vx && vy) {
-      this.handleVectorInput = () => {
-        this.tensorData.vector.x = parseFloat(vx.value) || 0;
-        this.tensorData.vector.y = parseFloat(vy.value) || 0;
-
-        // Log vector input change
-        try {
-          logAction(`Tensor vector input changed: x=${this.tensorData.vector.x.toFixed(1)}, y=${this.tensorData.vector.y.toFixed(1)}`);
-        } catch (err) {
-          console.error('Failed to log vector input:', err);
-        }
-
+      }
+    };
+    this.handleRootBlur = (e) => {
+      if (e.target.classList.contains('tensor-entry') && this.cubeEditor && this.cubeEditor.hidden) {
+        this.pickedIndex = null;
         this.render();
+      }
+    };
+    this.root.addEventListener('input', this.handleRootInput);
+    this.root.addEventListener('change', this.handleRootChange);
+    this.root.addEventListener('click', this.handleRootClick);
+    this.root.addEventListener('focusin', this.handleRootFocus);
+    this.root.addEventListener('focusout', this.handleRootBlur);
+    this.eventListeners.push({ element: this.root, event: 'focusin', handler: this.handleRootFocus });
+    this.eventListeners.push({ element: this.root, event: 'focusout', handler: this.handleRootBlur });
+
+    if (this.cubeEditor) {
+      this.handleEditorInput = () => this.handleEntryInput(this.cubeEditor);
+      this.handleEditorKeydown = (e) => {
+        if (e.key === 'Enter' || e.key === 'Escape') {
+          this.closeCubeEditor();
+          this.render();
+        }
       };
-      vx.addEventListener('input', this.handleVectorInput);
-      vy.addEventListener('input', this.handleVectorInput);
-      this.eventListeners.push({ element: vx, event: 'input', handler: this.handleVectorInput });
-      this.eventListeners.push({ element: vy, event: 'input', handler: this.handleVectorInput });
-    }
-
-    // Matrix
-    if (this.rank === 2) {
-      const inputs = this.root.querySelectorAll('.matrix-input-wrapper input');
-      this.handleMatrixInput = (input) => {
-        // Parse indices from tensor-m00 format: positions 8 and 9 contain row and col
-        const r = parseInt(input.id.slice(8, 9));
-        const c = parseInt(input.id.slice(9, 10));
-        this.tensorData.matrix[r][c] = parseFloat(input.value) || 0;
-
-        // Log matrix input change
-        try {
-          logAction(`Tensor matrix input changed: [${r},${c}]=${this.tensorData.matrix[r][c].toFixed(1)}`);
-        } catch (err) {
-          console.error('Failed to log matrix input:', err);
+      this.handleEditorBlur = () => {
+        if (!this.cubeEditor.hidden) {
+          this.closeCubeEditor();
+          this.render();
         }
-
-        this.render();
       };
-      inputs.forEach(input => {
-        const handler = () => this.handleMatrixInput(input);
-        input.addEventListener('input', handler);
-        this.eventListeners.push({ element: input, event: 'input', handler });
+      this.cubeEditor.addEventListener('input', this.handleEditorInput);
+      this.cubeEditor.addEventListener('keydown', this.handleEditorKeydown);
+      this.cubeEditor.addEventListener('blur', this.handleEditorBlur);
+      this.eventListeners.push({ element: this.cubeEditor, event: 'input', handler: this.handleEditorInput });
+      this.eventListeners.push({ element: this.cubeEditor, event: 'keydown', handler: this.handleEditorKeydown });
+      this.eventListeners.push({ element: this.cubeEditor, event: 'blur', handler: this.handleEditorBlur });
+    }
+    this.eventListeners.push({ element: this.root, event: 'input', handler: this.handleRootInput });
+    this.eventListeners.push({ element: this.root, event: 'change', handler: this.handleRootChange });
+    this.eventListeners.push({ element: this.root, event: 'click', handler: this.handleRootClick });
+
+    this.setupOperationListeners();
+  }
+
+  /**
+   * Update one entry from its input
+   * @param {HTMLInputElement} input - A .tensor-entry input
+   * @private
+   */
+  handleEntryInput(input) {
+    const name = input.dataset.tensor;
+    const index = this.parseIndex(input.dataset.index);
+    const label = this.entryLabel(name, index);
+    const before = this.getState();
+    const value = parseFloat(input.value) || 0;
+    this.tensors[name].set(index, value);
+    this.syncEntryInputs(input, value);
+
+    // Log entry change
+    try {
+      logAction(`Tensor ${label} changed: ${value.toFixed(1)}`);
+    } catch (err) {
+      console.error('Failed to log tensor input:', err);
+    }
+
+    if (name === 'T' && this.selection) {
+      this.updateSelectionUI();
+    }
+    this.refreshOperation();
+    this.render();
+    this.recordHistory(`Edit tensor ${label}`, before, `tensor-${name}-${index.join('-')}`);
+  }
+
+  /**
+   * Resize a tensor along one index, keeping the entries that still fit
+   * @param {HTMLInputElement} input - A .tensor-dim-input input
+   * @private
+   */
+  handleShapeChange(input) {
+    const name = input.dataset.tensor;
+    const axis = parseInt(input.dataset.axis);
+    const tensor = this.tensors[name];
+    const requested = Math.round(parseFloat(input.value));
+    const size = Number.isFinite(requested)
+      ? Math.max(1, Math.min(TENSOR_MAX_DIM, requested))
+      : tensor.shape[axis];
+
+    if (size === tensor.shape[axis]) {
+      input.value = size;
+      return;
+    }
+
+    const before = this.getState();
+    const shape = [...tensor.shape];
+    shape[axis] = size;
+    this.tensors[name] = tensor.resize(shape);
+    logAction(`Tensor ${name} resized to ${this.tensors[name].formatShape()}`);
+    this.validateSelection();
+
+    if (name === 'w') {
+      this.updateOperandInputs();
+    } else {
+      this.updateInputUI();
+    }
+    this.refreshOperation();
+    this.render();
+    this.recordHistory(`Resize ${name} to ${this.tensors[name].formatShape()}`, before);
+  }
+
+  /**
+   * Wire the Operations section (these listeners live as long as the mode)
+   * @private
+   */
+  setupOperationListeners() {
+    const listen = (selector, event, handler) => {
+      this.root.querySelectorAll(selector).forEach(element => {
+        element.addEventListener(event, handler);
+        this.eventListeners.push({ element, event, handler });
       });
+    };
+
+    listen('#op-tensor-outer', 'click', () => this.runOperation({ type: 'outer' }));
+    listen('#op-tensor-matvec', 'click', () => this.runOperation({ type: 'matvec' }));
+    listen('#op-tensor-moden', 'click', () => this.runOperation({ type: 'moden', n: this.modeN }));
+    listen('#op-tensor-trace', 'click', () => this.runOperation({ type: 'trace', pair: [...this.tracePair] }));
+    listen('#op-tensor-add', 'click', () => this.runOperation({ type: 'broadcast', operator: 'add', names: [...this.broadcastNames] }));
+    listen('#op-tensor-multiply', 'click', () => this.runOperation({ type: 'broadcast', operator: 'multiply', names: [...this.broadcastNames] }));
+    listen('#op-tensor-einsum', 'click', () => this.runEinsum());
+    listen('#tensor-einsum-expr, #tensor-einsum-operands', 'keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.runEinsum();
+      }
+    });
+    listen('#op-tensor-reshape', 'click', () => this.runRearrangement('reshape'));
+    listen('#op-tensor-permute', 'click', () => this.runRearrangement('permute'));
+    listen('#op-tensor-transpose', 'click', () => this.runRearrangement('transpose'));
+    listen('#tensor-reshape-shape, #tensor-permute-axes', 'keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.runRearrangement(e.target.id === 'tensor-reshape-shape' ? 'reshape' : 'permute');
+      }
+    });
+    listen('#op-tensor-clear', 'click', () => {
+      this.clearOperation();
+      this.render();
+    });
+
+    listen('[data-mode-n]', 'click', (e) => {
+      this.modeN = parseInt(e.currentTarget.dataset.modeN);
+      this.updateOperationOptions();
+    });
+    listen('[data-trace-pair]', 'click', (e) => {
+      this.tracePair = e.currentTarget.dataset.tracePair.split(',').map(Number);
+      this.updateOperationOptions();
+    });
+    listen('[data-color-scale]', 'click', (e) => {
+      const scale = e.currentTarget.dataset.colorScale;
+      if (scale === this.colorScale) return;
+
+      const before = this.getState();
+      this.colorScale = scale;
+      this.updateOperationOptions();
+      logAction(`Tensor cube colors: ${e.currentTarget.textContent.trim()}`);
+      this.render();
+      this.recordHistory('Change tensor cube colors', before);
+    });
+    listen('[data-broadcast-a], [data-broadcast-b]', 'click', (e) => {
+      const { broadcastA, broadcastB } = e.currentTarget.dataset;
+      if (broadcastA) this.broadcastNames[0] = broadcastA;
+      if (broadcastB) this.broadcastNames[1] = broadcastB;
+      this.updateOperationOptions();
+    });
+
+    this.updateOperationOptions();
+  }
+
+  /**
+   * Sync the rank selector buttons with this.rank
+   */
+  updateRankButtons() {
+    const rankBtns = this.root.querySelectorAll('.rank-btn');
+    rankBtns.forEach(b => {
+      const isActive = parseInt(b.dataset.rank) === this.rank;
+      b.classList.toggle('active', isActive);
+      b.classList.toggle('button-primary', isActive);
+      b.classList.toggle('button-tertiary', !isActive);
+    });
+  }
+
+  // ============================================================================
+  // CUBE PICKING AND INLINE EDITING
+  // ============================================================================
+
+  /**
+   * A cube of the shown tensor was clicked (id is its index key) or empty space was (null)
+   * @param {string|null} id - hitId from TensorCanvas3D.pick()
+   * @private
+   */
+  handleCubePick(id) {
+    if (id === null) {
+      this.closeCubeEditor();
+      this.render();
+      return;
+    }
+
+    const name = TENSOR_RANK_NAMES[this.rank];
+    this.pickedIndex = this.parseIndex(id);
+    try {
+      logAction(`Tensor cube ${this.entryLabel(name, this.pickedIndex)} picked`);
+    } catch (err) {
+      console.error('Failed to log cube pick:', err);
+    }
+    this.openCubeEditor(name, this.pickedIndex);
+    this.render();
+  }
+
+  /**
+   * Show the inline editor for an entry; render() moves it onto the cube
+   * @private
+   */
+  openCubeEditor(name, index) {
+    const editor = this.cubeEditor;
+    if (!editor) return;
+
+    editor.dataset.tensor = name;
+    editor.dataset.index = index.join(',');
+    editor.value = this.tensors[name].get(index);
+    editor.setAttribute('aria-label', `${this.entryLabel(name, index)} value`);
+    editor.hidden = false;
+    this.root.querySelectorAll('.tensor-entry').forEach(input => {
+      input.classList.toggle('picked', input.dataset.tensor === name && input.dataset.index === editor.dataset.index);
+    });
+    editor.focus();
+    editor.select();
+  }
+
+  /**
+   * Hide the inline editor and drop the picked cube
+   * @private
+   */
+  closeCubeEditor() {
+    this.pickedIndex = null;
+    this.root.querySelectorAll('.tensor-entry.picked').forEach(input => input.classList.remove('picked'));
+    if (this.cubeEditor && !this.cubeEditor.hidden) {
+      this.cubeEditor.hidden = true;
+      this.cubeEditor.blur();
+    }
+  }
+
+  /**
+   * Center the inline editor on a cube
+   * @param {Object} center - {x, y, z} scene position of the picked cube
+   * @private
+   */
+  positionCubeEditor(center) {
+    const editor = this.cubeEditor;
+    if (!editor || editor.hidden) return;
+
+    const projected = this.tensorCanvas3D.project(center.x, center.y, center.z);
+    editor.style.left = `${this.canvas.offsetLeft + projected.x}px`;
+    editor.style.top = `${this.canvas.offsetTop + projected.y}px`;
+  }
+
+  /**
+   * Copy a new entry value to every other input showing that entry (sidebar or inline editor)
+   * @param {HTMLInputElement} source - Input the value was typed into
+   * @param {number} value - New value
+   * @private
+   */
+  syncEntryInputs(source, value) {
+    const { tensor, index } = source.dataset;
+    const inputs = [...this.root.querySelectorAll('.tensor-entry')];
+    if (this.cubeEditor && !this.cubeEditor.hidden) {
+      inputs.push(this.cubeEditor);
     }
+    inputs
+      .filter(input => input !== source && input.dataset.tensor === tensor && input.dataset.index === index)
+      .forEach(input => {
+        input.value = value;
+      });
+  }
 
-    // Tensor 3D
-    if (this.rank === 3) {
-      const inputs = this.root.querySelectorAll('.tensor3d-input-wrapper input');
-      this.handleTensor3DInput = (input) => {
-        // Parse indices from tensor-t000 format: positions 8, 9, and 10 contain slice, row, and col
-        const s = parseInt(input.id.slice(8, 9));
-        const r = parseInt(input.id.slice(9, 10));
-        const c = parseInt(input.id.slice(10, 11));
-        this.tensorData.tensor3d[s][r][c] = parseFloat(input.value) || 0;
-
-        // Log tensor 3D input change
-        try {
-          logAction(`Tensor 3D input changed: [${s},${r},${c}]=${this.tensorData.tensor3d[s][r][c].toFixed(1)}`);
-        } catch (err) {
-          console.error('Failed to log tensor 3D input:', err);
+  /** @private */
+  parseIndex(key) {
+    return key ? key.split(',').map(Number) : [];
+  }
+
+  /**
+   * 1-based entry label, e.g. M[1,2] (just the name for a scalar)
+   * @private
+   */
+  entryLabel(name, index) {
+    return index.length ? `${name}[${index.map(i => i + 1).join(',')}]` : name;
+  }
+
+  // ============================================================================
+  // SLICES AND FIBERS
+  // ============================================================================
+
+  /**
+   * Select a slice, fiber or entry of T (or clear the selection with null)
+   * @param {Array<number|null>|null} pattern - 0-based index per axis, null to keep the axis
+   * @private
+   */
+  setSelection(pattern) {
+    this.selection = pattern;
+    if (pattern) {
+      // The selection is drawn on the tensor itself, not on an operation
+      this.clearOperation();
+      logAction(`Tensor selection ${this.formatSelector(pattern)}`);
+    }
+    this.updateSelectionUI();
+    this.render();
+  }
+
+  /**
+   * Parse a typed selector such as 'T[:,2,1]' and select it
+   * @param {string} text - Selector text; indices are 1-based like the rest of the sidebar
+   * @private
+   */
+  handleSelectorChange(text) {
+    if (!text.trim()) {
+      this.setSelection(null);
+      return;
+    }
+    try {
+      this.setSelection(this.parseSelector(text));
+    } catch (error) {
+      const errorEl = this.root.querySelector('#tensor-selection-error');
+      if (errorEl) {
+        errorEl.textContent = error.message;
+      }
+    }
+  }
+
+  /**
+   * @param {string} text - e.g. 'T[:,2,1]', '[2,:,:]' or ':,1,1'
+   * @returns {Array<number|null>} 0-based pattern
+   * @throws {Error} If the selector doesn't fit the shape of T
+   * @private
+   */
+  parseSelector(text) {
+    const T = this.tensors.T;
+    const inner = text.replace(/\s+/g, '').replace(/^T/i, '').replace(/^\[(.*)\]$/, '$1');
+    const parts = inner.split(',');
+    if (parts.length !== T.rank) {
+      throw new Error(`Give one entry per index of T (${T.rank}), e.g. T[:,2,1]`);
+    }
+
+    const pattern = parts.map((part, axis) => {
+      if (part === ':') return null;
+      const value = Number(part);
+      if (!Number.isInteger(value) || value < 1 || value > T.shape[axis]) {
+        throw new Error(`Index ${axis + 1} of T (the ${TENSOR_AXIS_ROLES[axis]}) runs from 1 to ${T.shape[axis]}; use a number in that range or ':'`);
+      }
+      return value - 1;
+    });
+    if (pattern.every(i => i === null)) {
+      throw new Error("That's all of T. Fix at least one index with a number");
+    }
+    return pattern;
+  }
+
+  /**
+   * Selector in 1-based NumPy-like notation, e.g. T[:,2,1]
+   * @private
+   */
+  formatSelector(pattern) {
+    return `T[${pattern.map(i => (i === null ? ':' : i + 1)).join(',')}]`;
+  }
+
+  /**
+   * Does an index of T lie in the selection?
+   * @private
+   */
+  isSelected(index) {
+    return this.selection.every((fixed, axis) => fixed === null || fixed === index[axis]);
+  }
+
+  /**
+   * Drop the selection if T no longer has the indices it fixes
+   * @private
+   */
+  validateSelection() {
+    const T = this.tensors.T;
+    if (this.selection && this.selection.some((fixed, axis) => fixed !== null && fixed >= T.shape[axis])) {
+      this.selection = null;
+    }
+  }
+
+  /**
+   * Describe which index is fixed or free, in terms of the input grid
+   * @private
+   */
+  describeSelection(pattern) {
+    const free = pattern.map((fixed, axis) => (fixed === null ? axis : -1)).filter(axis => axis >= 0);
+
+    if (free.length === 2) {
+      const axis = pattern.findIndex(fixed => fixed !== null);
+      const where = [
+        `slice ${pattern[0] + 1} of the input grid`,
+        `row ${pattern[1] + 1} of every slice, stacked front to back`,
+        `column ${pattern[2] + 1} of every slice, stacked front to back`
+      ][axis];
+      return `Mode-${axis + 1} slice: index ${axis + 1} (the ${TENSOR_AXIS_ROLES[axis]}) is fixed, which picks ${where}.`;
+    }
+    if (free.length === 1) {
+      const axis = free[0];
+      const direction = [
+        'front to back through the slices',
+        'down a column of one slice',
+        'along a row of one slice'
+      ][axis];
+      return `Mode-${axis + 1} fiber: only index ${axis + 1} (the ${TENSOR_AXIS_ROLES[axis]}) varies, so it runs ${direction}.`;
+    }
+    return 'A single entry: every index is fixed.';
+  }
+
+  /**
+   * Sync the picker, the highlighted inputs and the extracted sub-tensor with this.selection
+   * @private
+   */
+  updateSelectionUI() {
+    const selector = this.root.querySelector('#tensor-selector');
+    const errorEl = this.root.querySelector('#tensor-selection-error');
+    const resultEl = this.root.querySelector('#tensor-selection-result');
+    if (!selector) return;
+
+    const pattern = this.selection;
+    selector.value = pattern ? this.formatSelector(pattern) : '';
+    errorEl.textContent = '';
+    this.root.querySelectorAll('[data-select-preset]').forEach(btn => {
+      const preset = btn.dataset.selectPreset.split(',').map(i => (i === ':' ? null : Number(i)));
+      this.setOptionButtonActive(btn, !!pattern && preset.every((fixed, axis) => fixed === pattern[axis]));
+    });
+    this.root.querySelectorAll('#tensor-input-container .tensor-entry').forEach(input => {
+      const index = input.dataset.index.split(',').map(Number);
+      input.classList.toggle('selected', !!pattern && this.isSelected(index));
+    });
+
+    if (!pattern) {
+      resultEl.innerHTML = '';
+      return;
+    }
+    const sub = this.tensors.T.select(pattern);
+    resultEl.innerHTML = `
+      <p class="body-xsmall">${this.describeSelection(pattern)}</p>
+      <div class="tensor-selection-value">${this.formatSelector(pattern)} = ${this.operations.formatTensor(sub.data)}</div>
+    `;
+  }
+
+  // ============================================================================
+  // TENSOR OPERATIONS
+  // ============================================================================
+
+  /**
+   * Operands as nested arrays, in the shape TensorOperations expects
+   * @private
+   */
+  getOperands() {
+    const operands = {};
+    TENSOR_NAMES.forEach(name => {
+      operands[name] = this.tensors[name].toArray();
+    });
+    return operands;
+  }
+
+  /**
+   * Compute an operation on the current tensors
+   * @param {Object} operation - { type: 'outer'|'matvec'|'moden'|'trace'|'einsum'|'broadcast'|'reshape'|'transpose'|'permute',
+   *   n, pair, expression, names, operator, name, shape, axes }
+   * @returns {Object} Result from TensorOperations
+   * @throws {Error} If the tensor shapes do not fit the operation (or the einsum expression is invalid)
+   * @private
+   */
+  computeOperation(operation) {
+    const operands = this.getOperands();
+    const { v, w, M, T } = operands;
+    switch (operation.type) {
+      case 'outer':
+        return this.operations.outerProduct(v, w);
+      case 'matvec':
+        return this.operations.matrixVector(M, v);
+      case 'moden':
+        return this.operations.modeNProduct(T, M, operation.n);
+      case 'trace':
+        return this.operations.trace(T, operation.pair);
+      case 'einsum':
+        return this.operations.einsum(
+          operation.expression,
+          operation.names.map(name => ({ name, tensor: operands[name] }))
+        );
+      case 'broadcast':
+        return this.operations.broadcast(
+          operands[operation.names[0]],
+          operands[operation.names[1]],
+          operation.operator,
+          operation.names
+        );
+      case 'reshape':
+        return this.operations.reshape(operands[operation.name], operation.shape, operation.name);
+      case 'transpose':
+        return this.operations.transpose(operands[operation.name], operation.name);
+      case 'permute':
+        return this.operations.permute(operands[operation.name], operation.axes, operation.name);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Run an operation and animate it one output entry at a time
+   * @param {Object} operation - { type, n, pair }
+   * @param {boolean} [record=true] - Add the result to the results history
+   */
+  runOperation(operation, record = true) {
+    let result;
+    try {
+      result = this.computeOperation(operation);
+    } catch (error) {
+      this.showOperationError(error.message);
+      return;
+    }
+    this.showOperationError('');
+
+    this.cancelOperationAnimation();
+    this.closeCubeEditor();
+    this.activeOperation = operation;
+    this.operationResult = result;
+    this.updateOperationResults();
+    this.updateClearButton();
+    logAction(`Tensor operation ${result.symbol}: ${result.formula}`);
+    if (record) {
+      this.recordResult(operation, result);
+    }
+
+    if (result.mapping) {
+      this.animateRearrangement();
+      return;
+    }
+
+    const stepCount = result.steps.length;
+    // A broadcast first spreads out the tiled copies of the smaller tensor
+    const hasCopies = (result.operands || []).some(operand => operand.copies.length > 0);
+    const tileDuration = hasCopies ? TENSOR_TILE_DURATION : 0;
+    const duration = tileDuration + stepCount * TENSOR_STEP_DURATION;
+    this.tileProgress = hasCopies ? 0 : 1;
+    this.operationStep = hasCopies ? -1 : 0; // -1: no entry computed yet
+    this.operationStepProgress = 0;
+    this.operationAnimation = Animator.animate({
+      duration,
+      // Linear time so every entry gets the same share of the animation
+      easingFunction: (progress) => progress,
+      onFrame: (progress) => {
+        const elapsed = progress * duration;
+        if (elapsed < tileDuration) {
+          this.tileProgress = Animator.easeInOutCubic(elapsed / tileDuration);
+        } else {
+          const position = (elapsed - tileDuration) / TENSOR_STEP_DURATION;
+          this.tileProgress = 1;
+          this.operationStep = Math.min(Math.floor(position), stepCount - 1);
+          this.operationStepProgress = Math.min(position - this.operationStep, 1);
         }
+        this.render();
+      },
+      onComplete: () => {
+        this.operationAnimation = null;
+        this.operationStep = null;
+        this.render();
+      }
+    });
+  }
 
+  /**
+   * Recompute the active operation after an operand changed (no animation)
+   * @private
+   */
+  refreshOperation() {
+    if (!this.activeOperation) return;
+
+    this.cancelOperationAnimation();
+    try {
+      this.operationResult = this.computeOperation(this.activeOperation);
+      this.updateOperationResults();
+    } catch (error) {
+      // e.g. a resize left M and v with different sizes: go back to the tensor view
+      this.clearOperation();
+      this.showOperationError(error.message);
+    }
+  }
+
+  /**
+   * Fly every cube from its old index position to its new one
+   * @private
+   */
+  animateRearrangement() {
+    this.rearrangeProgress = 0;
+    this.operationAnimation = Animator.animate({
+      duration: TENSOR_REARRANGE_DURATION,
+      easingFunction: Animator.easeInOutCubic,
+      onFrame: (progress) => {
+        this.rearrangeProgress = progress;
         this.render();
-      };
-      inputs.forEach(input => {
-        const handler = () => this.handleTensor3DInput(input);
-        input.addEventListener('input', handler);
-        this.eventListeners.push({ element: input, event: 'input', handler });
+      },
+      onComplete: () => {
+        this.operationAnimation = null;
+        this.rearrangeProgress = 1;
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Reshape, transpose or permute the tensor of the selected rank
+   * @param {string} type - 'reshape', 'transpose' or 'permute'
+   * @private
+   */
+  runRearrangement(type) {
+    const name = TENSOR_RANK_NAMES[this.rank];
+
+    if (type === 'reshape') {
+      const text = this.root.querySelector('#tensor-reshape-shape').value;
+      const shape = this.parseNumberList(text, /[×x*,\s]+/);
+      if (shape.length === 0) {
+        this.showOperationError('Enter a new shape such as 3×2');
+        return;
+      }
+      this.runOperation({ type, name, shape });
+    } else if (type === 'permute') {
+      const text = this.root.querySelector('#tensor-permute-axes').value;
+      // Index numbers are 1-based, like the trace pairs
+      const axes = this.parseNumberList(text, /[,\s]+/).map(axis => axis - 1);
+      if (axes.length === 0) {
+        this.showOperationError('Enter the new index order, e.g. 2,1 or 3,1,2');
+        return;
+      }
+      this.runOperation({ type, name, axes });
+    } else {
+      this.runOperation({ type, name });
+    }
+  }
+
+  /**
+   * Numbers typed into a text input, e.g. '3×2' or '(3, 1, 2)'
+   * @param {string} text - Text to parse
+   * @param {RegExp} separator - Separators between the numbers
+   * @returns {number[]} Parsed numbers (NaN for anything that isn't one)
+   * @private
+   */
+  parseNumberList(text, separator) {
+    return text.replace(/[()[\]]/g, ' ').trim().split(separator).filter(Boolean).map(Number);
+  }
+
+  /**
+   * Read the einsum inputs and evaluate the expression
+   * @private
+   */
+  runEinsum() {
+    const expression = this.root.querySelector('#tensor-einsum-expr').value;
+    const namesText = this.root.querySelector('#tensor-einsum-operands').value;
+
+    let names;
+    try {
+      names = this.resolveEinsumNames(expression, namesText);
+    } catch (error) {
+      this.showOperationError(error.message);
+      return;
+    }
+    this.runOperation({ type: 'einsum', expression, names });
+  }
+
+  /**
+   * Tensor names for an einsum expression: the typed list, or guessed from each input's rank
+   * (s, v then w, M, T) when the list is left empty
+   * @param {string} expression - einsum subscripts
+   * @param {string} namesText - Comma-separated tensor names, may be empty
+   * @returns {string[]} One name per input subscript
+   * @throws {Error} If a name is unknown or a rank has no tensor to guess
+   * @private
+   */
+  resolveEinsumNames(expression, namesText) {
+    const typed = namesText.split(',').map(name => name.trim()).filter(Boolean);
+    if (typed.length > 0) {
+      typed.forEach(name => {
+        if (!TENSOR_NAMES.includes(name)) {
+          throw new Error(`Unknown tensor '${name}'. Use ${TENSOR_NAMES.join(', ')}`);
+        }
       });
+      return typed;
+    }
+
+    const inputs = (expression || '').replace(/\s+/g, '').split('->')[0].split(',');
+    let vectorsUsed = 0;
+    return inputs.map(subscript => {
+      switch (subscript.length) {
+        case 0:
+          return 's';
+        case 1:
+          return vectorsUsed++ % 2 === 0 ? 'v' : 'w';
+        case 2:
+          return 'M';
+        case 3:
+          return 'T';
+        default:
+          throw new Error(`'${subscript}' has ${subscript.length} indices, but the tensors here have at most 3`);
+      }
+    });
+  }
+
+  /**
+   * Show (or clear, with '') the message under the operation buttons
+   * @private
+   */
+  showOperationError(message) {
+    const errorEl = this.root.querySelector('#tensor-operation-error');
+    if (errorEl) {
+      errorEl.textContent = message;
+    }
+    if (message) {
+      logAction(`Tensor operation error: ${message}`);
+    }
+  }
+
+  /**
+   * Leave the operation view and show the selected rank again
+   */
+  clearOperation() {
+    this.cancelOperationAnimation();
+    this.activeOperation = null;
+    this.operationResult = null;
+    this.showOperationError('');
+    this.updateIndexMap();
+    if (this.resultsPanel) {
+      this.resultsPanel.clear();
+    }
+    this.updateClearButton();
+  }
+
+  /** @private */
+  cancelOperationAnimation() {
+    if (this.operationAnimation) {
+      this.operationAnimation.cancel();
+      this.operationAnimation = null;
+    }
+    this.operationStep = null;
+    this.rearrangeProgress = 1;
+    this.tileProgress = 1;
+  }
+
+  /** @private */
+  updateOperationResults() {
+    this.updateIndexMap();
+    if (!this.resultsPanel) return;
+
+    if (this.operationResult) {
+      this.resultsPanel.show(...this.operationResult.resultLines);
+    } else {
+      this.resultsPanel.clear();
+    }
+  }
+
+  /**
+   * Fill the old index → new index table of a reshape/transpose/permute (empty otherwise)
+   * Rows whose row-major position changes are marked, since those are the entries that
+   * change order
+   * @private
+   */
+  updateIndexMap() {
+    const container = this.root.querySelector('#tensor-index-map');
+    if (!container) return;
+
+    const op = this.operationResult;
+    if (!op || !op.mapping) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const name = this.activeOperation.name;
+    const formatIndex = (index) => `[${index.map(i => i + 1).join(',')}]`;
+    const rows = op.mapping.map(({ from, to, value, fromPosition, toPosition }) => `
+      <tr class="${fromPosition !== toPosition ? 'moved' : ''}">
+        <td>${value.toFixed(1)}</td>
+        <td>${name}${formatIndex(from)}</td>
+        <td>→</td>
+        <td>R${formatIndex(to)}</td>
+        <td>${fromPosition + 1} → ${toPosition + 1}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table class="tensor-index-map-table body-xsmall">
+        <caption>Index mapping</caption>
+        <thead>
+          <tr><th>Value</th><th>Old</th><th></th><th>New</th><th>Order</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /** @private */
+  updateClearButton() {
+    const clearBtn = this.root.querySelector('#op-tensor-clear');
+    if (clearBtn) {
+      clearBtn.disabled = !this.activeOperation;
+    }
+  }
+
+  /**
+   * Sync the color, mode-n, trace and broadcast operand buttons (and the button labels that name them)
+   * @private
+   */
+  updateOperationOptions() {
+    this.root.querySelectorAll('[data-mode-n]').forEach(btn => {
+      this.setOptionButtonActive(btn, parseInt(btn.dataset.modeN) === this.modeN);
+    });
+    this.root.querySelectorAll('[data-trace-pair]').forEach(btn => {
+      this.setOptionButtonActive(btn, btn.dataset.tracePair === this.tracePair.join(','));
+    });
+
+    this.root.querySelectorAll('[data-color-scale]').forEach(btn => {
+      this.setOptionButtonActive(btn, btn.dataset.colorScale === this.colorScale);
+    });
+    this.root.querySelectorAll('[data-broadcast-a]').forEach(btn => {
+      this.setOptionButtonActive(btn, btn.dataset.broadcastA === this.broadcastNames[0]);
+    });
+    this.root.querySelectorAll('[data-broadcast-b]').forEach(btn => {
+      this.setOptionButtonActive(btn, btn.dataset.broadcastB === this.broadcastNames[1]);
+    });
+
+    const modeNBtn = this.root.querySelector('#op-tensor-moden');
+    if (modeNBtn) {
+      modeNBtn.textContent = `Compute T ×${['₁', '₂', '₃'][this.modeN - 1]} M`;
+    }
+    const [nameA, nameB] = this.broadcastNames;
+    const addBtn = this.root.querySelector('#op-tensor-add');
+    const multiplyBtn = this.root.querySelector('#op-tensor-multiply');
+    if (addBtn && multiplyBtn) {
+      addBtn.textContent = `Compute ${nameA} + ${nameB}`;
+      multiplyBtn.textContent = `Compute ${nameA} ⊙ ${nameB}`;
+    }
+  }
+
+  /** @private */
+  setOptionButtonActive(btn, isActive) {
+    btn.classList.toggle('active', isActive);
+    btn.classList.toggle('button-primary', isActive);
+    btn.classList.toggle('button-tertiary', !isActive);
+  }
+
+  // ============================================================================
+  // RESULTS HISTORY
+  // ============================================================================
+
+  /**
+   * Add an operation's result to the results history, with its operand tensors as inputs
+   * @param {Object} operation - Operation passed to runOperation()
+   * @param {Object} result - Result from TensorOperations
+   * @private
+   */
+  recordResult(operation, result) {
+    if (!window.ResultsHistoryService) return;
+
+    const formatData = (data) => (Array.isArray(data)
+      ? `[${data.map(formatData).join(', ')}]`
+      : data.toFixed(1));
+    const inputs = this.getOperandNames(operation)
+      .map(name => `${name} = ${formatData(this.tensors[name].data)}`)
+      .join(', ');
+
+    window.ResultsHistoryService.record({
+      mode: 'tensor',
+      label: result.symbol,
+      inputs,
+      state: this.getState(),
+      lines: result.resultLines,
+      operation
+    });
+  }
+
+  /**
+   * Names of the tensors an operation reads, without repeats
+   * @param {Object} operation - Operation passed to runOperation()
+   * @returns {string[]}
+   * @private
+   */
+  getOperandNames(operation) {
+    const namesByType = {
+      outer: ['v', 'w'],
+      matvec: ['M', 'v'],
+      moden: ['T', 'M'],
+      trace: ['T']
+    };
+    const names = namesByType[operation.type] || operation.names || [operation.name];
+    return [...new Set(names)].filter(name => TENSOR_NAMES.includes(name));
+  }
+
+  /**
+   * Put back the tensors a results-history entry was computed from and run its operation again
+   * @param {Object} entry - Entry from ResultsHistoryService
+   */
+  restoreResult(entry) {
+    const before = this.getState();
+    this.applyState(entry.state);
+    if (entry.operation) {
+      this.runOperation(entry.operation, false);
+    } else if (this.resultsPanel) {
+      this.resultsPanel.show(...entry.lines);
+    }
+
+    logAction(`Restored inputs of ${entry.label} from the results history`);
+    this.recordHistory(`Restore ${entry.label} inputs`, before);
+  }
+
+  // ============================================================================
+  // STATE SNAPSHOTS (undo/redo)
+  // ============================================================================
+
+  /**
+   * Serialize the user-editable state of this mode
+   * @returns {Object} Plain-object snapshot ({ rank, tensors: { name: nested array }, colorScale })
+   */
+  getState() {
+    const tensors = {};
+    TENSOR_NAMES.forEach(name => {
+      tensors[name] = this.tensors[name].toArray();
+    });
+    return { rank: this.rank, tensors, colorScale: this.colorScale };
+  }
+
+  /**
+   * Replace the current state with a snapshot from getState()
+   * @param {Object} state - Snapshot to apply
+   */
+  applyState(state) {
+    if (!state) return;
+
+    // Ranks 0-3 index TENSOR_RANK_NAMES; anything else (e.g. from a hand-edited link) is ignored
+    if (Number.isInteger(state.rank) && state.rank >= 0 && state.rank < TENSOR_RANK_NAMES.length) {
+      this.rank = state.rank;
+    }
+    if (state.colorScale === 'off' || this.styleConstants.heatmapPalettes.hasOwnProperty(state.colorScale)) {
+      this.colorScale = state.colorScale;
+    }
+    if (state.tensors && typeof state.tensors === 'object') {
+      this.tensors = this.createTensors(state.tensors);
+    }
+    this.validateSelection();
+
+    this.updateRankButtons();
+    this.updateOperationOptions();
+    this.updateInputUI();
+    this.updateOperandInputs();
+    this.refreshOperation();
+    this.render();
+  }
+
+  /**
+   * Record a change in the shared undo history
+   * @param {string} label - Description of the change
+   * @param {Object} before - Snapshot taken before the change
+   * @param {string} [mergeKey] - Merge rapid edits of the same input into one entry
+   * @private
+   */
+  recordHistory(label, before, mergeKey = null) {
+    if (window.HistoryService) {
+      window.HistoryService.record({ mode: 'tensor', label, before, after: this.getState(), mergeKey });
     }
   }
 
   render() {
     // Use 3D Canvas for everything in this mode
     this.tensorCanvas3D.clear();
-    // Draw axes offset to the bottom-left-back corner to avoid overlapping with tensor cubes
-    this.tensorCanvas3D.drawAxis(5, { x: -3, y: -3, z: -3 });
 
-    switch (this.rank) {
-      case 0:
-        this.renderScalar();
+    if (this.operationResult) {
+      this.tensorCanvas3D.drawAxis(5, { x: -3, y: -3, z: -3 });
+      if (this.operationResult.mapping) {
+        this.renderRearrangement();
+      } else {
+        this.renderOperation();
+      }
+      return;
+    }
+
+    this.renderTensor(this.tensors[TENSOR_RANK_NAMES[this.rank]]);
+  }
+
+  /**
+   * Draw the selected tensor as a block of cubes: entries along x, rows down y
+   * and slices front to back along z
+   * @param {Tensor} tensor - Tensor to draw
+   * @private
+   */
+  renderTensor(tensor) {
+    const spacing = 1.2; // Center-to-center spacing
+    const block = { tensor: tensor.data, row: true };
+
+    // Draw axes just past the bottom-left-back corner so they don't overlap the cubes
+    const halfExtent = Math.max(1, ...tensor.shape) * spacing / 2;
+    const corner = -Math.max(3, halfExtent + 1);
+    this.tensorCanvas3D.drawAxis(5, { x: corner, y: corner, z: corner });
+
+    // A slice or fiber of T is highlighted and everything else dimmed
+    const selection = tensor === this.tensors.T ? this.selection : null;
+    const picked = this.pickedIndex ? this.pickedIndex.join(',') : null;
+    const cubes = tensor.indices().map(index => {
+      const key = index.join(',');
+      let style = 'normal';
+      if (key === picked) {
+        style = 'picked';
+      } else if (selection) {
+        style = this.isSelected(index) ? 'selected' : 'dimmed';
+      }
+      return { center: this.entryPosition(block, index, 0, spacing), label: tensor.get(index), style, hitId: key };
+    });
+    this.drawCubes(cubes);
+
+    const pickedCube = cubes.find(cube => cube.hitId === picked);
+    if (pickedCube) {
+      this.positionCubeEditor(pickedCube.center);
+    }
+
+    if (selection) {
+      const sub = tensor.select(selection);
+      const kind = ['a single number', `a vector of length ${sub.shape[0]}`, `a ${sub.formatShape()} matrix`][sub.rank];
+      this.tensorCanvas3D.drawCaption([
+        `${this.formatSelector(selection)} is ${kind}`,
+        this.describeSelection(selection)
+      ], this.colors.text);
+    }
+  }
+
+  // ============================================================================
+  // OPERATION RENDERING
+  // ============================================================================
+
+  /**
+   * Draw the operands and the result side by side, e.g. [M] [v] = [y]
+   * While animating, the entries summed into the current output entry are highlighted
+   * and result entries appear one by one.
+   * @private
+   */
+  renderOperation() {
+    const op = this.operationResult;
+    const { v, w, M, T } = this.getOperands();
+
+    // Operand blocks in reading order, with the symbol drawn before each block
+    const blocks = {
+      outer: [{ key: 'v', tensor: v }, { key: 'w', tensor: w, symbol: '⊗', row: true }],
+      matvec: [{ key: 'M', tensor: M }, { key: 'v', tensor: v, symbol: '·' }],
+      moden: [{ key: 'T', tensor: T }, { key: 'M', tensor: M, symbol: `×${['₁', '₂', '₃'][(this.activeOperation.n || 1) - 1]}` }],
+      trace: [{ key: 'T', tensor: T, symbol: 'tr' }],
+      einsum: (this.activeOperation.names || []).map((name, o) => ({
+        key: `op${o}`,
+        label: name,
+        tensor: this.getOperands()[name],
+        symbol: o > 0 ? '·' : null
+      })),
+      // Both operands drawn at the broadcast shape, tiled copies as ghosts
+      broadcast: (op.operands || []).map((operand, o) => ({
+        key: operand.key,
+        label: operand.name,
+        tensor: operand.expanded,
+        copies: new Map(operand.copies.map(copy => [copy.index.join(','), copy.origin])),
+        symbol: o > 0 ? (this.activeOperation.operator === 'add' ? '+' : '⊙') : null
+      }))
+    }[op.type];
+    blocks.push({ key: 'result', tensor: op.result, symbol: '=' });
+
+    const step = this.operationStep !== null ? op.steps[this.operationStep] : null;
+    const stepIndex = this.operationStep;
+
+    // Lay blocks out left to right, centered on the origin
+    const spacing = 1.2;
+    const gap = 1.4; // Room for the symbol between blocks
+    const widths = blocks.map(block => this.blockWidth(block, spacing));
+    // A leading symbol (the trace's "tr") needs room before the first block too
+    const leading = blocks[0].symbol ? gap : 0;
+    const total = leading + widths.reduce((sum, width) => sum + width, 0) + gap * (blocks.length - 1);
+    let left = -total / 2 + leading;
+    const cubes = [];
+
+    blocks.forEach((block, b) => {
+      const centerX = left + widths[b] / 2;
+      if (block.symbol) {
+        this.drawCenteredLabel(block.symbol, { x: left - gap / 2, y: 0, z: 0 });
+      }
+
+      this.forEachEntry(block.tensor, (index, value) => {
+        let center = this.entryPosition(block, index, centerX, spacing);
+        const key = index.join(',');
+        let style = 'normal';
+        let label = value;
+
+        if (block.key === 'result') {
+          const order = op.steps.findIndex(s => s.index.join(',') === key);
+          if (stepIndex !== null && order > stepIndex) {
+            style = 'pending';
+            label = '?';
+          } else if (stepIndex !== null && order === stepIndex) {
+            style = 'output';
+          }
+        } else if (step && (step.inputs[block.key] || []).some(i => i.join(',') === key)) {
+          style = 'input';
+        }
+
+        // A tiled copy slides out from the entry it copies, then stays as a ghost
+        const origin = block.copies && block.copies.get(key);
+        if (origin) {
+          const start = this.entryPosition(block, origin, centerX, spacing);
+          center = {
+            x: Animator.lerp(start.x, center.x, this.tileProgress),
+            y: Animator.lerp(start.y, center.y, this.tileProgress),
+            z: Animator.lerp(start.z, center.z, this.tileProgress)
+          };
+          if (style === 'normal') {
+            style = 'ghost';
+          }
+        }
+
+        cubes.push({ center, label, style });
+      });
+
+      const labelY = this.blockHeight(block, spacing) / 2 + 0.7;
+      this.drawCenteredLabel(block.key === 'result' ? op.symbol : (block.label || block.key), { x: centerX, y: labelY, z: 0 });
+      left += widths[b] + gap;
+    });
+
+    this.drawCubes(cubes);
+
+    // Formula caption: the general index sum, then the entry being computed
+    const caption = [op.formula];
+    if (step) {
+      caption.push(step.text);
+    }
+    this.tensorCanvas3D.drawCaption(caption, this.colors.text);
+  }
+
+  /**
+   * Draw a reshape/transpose/permute: each cube moves from its place in the operand to its
+   * place in the result. Cubes whose row-major position changes are highlighted while moving.
+   * @private
+   */
+  renderRearrangement() {
+    const op = this.operationResult;
+    const spacing = 1.2;
+    const progress = this.rearrangeProgress;
+    const source = { tensor: op.source, row: true };
+    const target = { tensor: op.result, row: true };
+    const moving = progress < 1;
+
+    const cubes = op.mapping.map(({ from, to, value, fromPosition, toPosition }) => {
+      const start = this.entryPosition(source, from, 0, spacing);
+      const end = this.entryPosition(target, to, 0, spacing);
+      return {
+        center: {
+          x: Animator.lerp(start.x, end.x, progress),
+          y: Animator.lerp(start.y, end.y, progress),
+          z: Animator.lerp(start.z, end.z, progress)
+        },
+        label: value,
+        style: moving && fromPosition !== toPosition ? 'input' : 'normal'
+      };
+    });
+    this.drawCubes(cubes);
+
+    // Name above the block: the operand's at the start, R once the cubes have arrived
+    const labelY = Animator.lerp(
+      this.blockHeight(source, spacing),
+      this.blockHeight(target, spacing),
+      progress
+    ) / 2 + 0.7;
+    const name = this.activeOperation.name;
+    this.drawCenteredLabel(progress < 0.5 ? name : 'R', { x: 0, y: labelY, z: 0 });
+
+    const shapes = `${Tensor.fromArray(op.source).formatShape()} → ${Tensor.fromArray(op.result).formatShape()}`;
+    this.tensorCanvas3D.drawCaption([op.formula, shapes], this.colors.text);
+  }
+
+  /**
+   * Draw cubes back to front so nearer cubes are drawn over farther ones
+   * @param {Object[]} cubes - { center, label, style } for drawOperationCube()
+   * @private
+   */
+  drawCubes(cubes) {
+    // The heatmap scale runs from −max to +max over the values on screen
+    const palette = this.styleConstants.heatmapPalettes[this.colorScale];
+    const values = cubes.filter(cube => typeof cube.label === 'number').map(cube => Math.abs(cube.label));
+    const maxAbs = values.length ? Math.max(...values) : 0;
+    // An all-zero tensor still gets a readable ±1 scale
+    this.heatmap = palette && values.length ? { palette, maxAbs: maxAbs > 1e-10 ? maxAbs : 1 } : null;
+
+    const depth = ({ center }) => this.tensorCanvas3D.project(center.x, center.y, center.z).z;
+    [...cubes]
+      .sort((a, b) => depth(b) - depth(a))
+      .forEach(cube => this.drawOperationCube(cube));
+
+    if (this.heatmap) {
+      this.tensorCanvas3D.drawColorLegend(palette, this.heatmap.maxAbs, this.colors.text);
+    }
+  }
+
+  /** @private */
+  drawOperationCube({ center, label, style, hitId = null }) {
+    const cubeSize = 0.8;
+    const colors = this.colors;
+    const heat = this.heatmap && typeof label === 'number'
+      ? ColorUtils.divergingColor(label, this.heatmap.maxAbs, this.heatmap.palette)
+      : null;
+    let edge = colors.cubeEdge;
+    let face = colors.cubeFace;
+    let text = colors.text;
+    let alpha = 0.3;
+
+    switch (style) {
+      case 'input':
+        edge = face = colors.contribution;
+        alpha = 0.5;
+        break;
+      case 'output':
+        edge = face = colors.result;
+        // Fill in over the course of the step
+        alpha = 0.1 + 0.5 * this.operationStepProgress;
+        break;
+      case 'picked':
+        edge = colors.picked;
+        face = heat || colors.picked;
+        alpha = 0.75;
+        break;
+      case 'selected':
+        edge = colors.selection;
+        face = heat || colors.selection;
+        alpha = 0.7;
         break;
-      case 1:
-        this.renderVector();
+      case 'dimmed':
+        edge = text = colors.grid || colors.cubeEdge;
+        alpha = 0.03;
         break;
-      case 2:
-        this.renderMatrix();
+      case 'ghost':
+        edge = colors.grid || colors.cubeEdge;
+        alpha = 0.08;
         break;
-      case 3:
-        this.renderTensor3D();
+      case 'pending':
+        edge = colors.grid || colors.cubeEdge;
+        alpha = 0.05;
         break;
+      default:
+        if (heat) {
+          // Larger magnitudes are both more saturated and more opaque
+          face = heat;
+          alpha = 0.2 + 0.6 * Math.min(Math.abs(label) / this.heatmap.maxAbs, 1);
+        }
     }
-  }
 
-  renderScalar() {
-    // Visualize scalar as a single cube at origin
-    const value = this.tensorData.scalar;
-    const cubeSize = 0.8;
+    this.tensorCanvas3D.drawCubeWithLabel(center, cubeSize, label, edge, face, text, alpha, hitId);
+  }
 
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: 0, y: 0, z: 0 },
-      cubeSize,
-      value,
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
+  /** @private */
+  drawCenteredLabel(text, pos) {
+    const projected = this.tensorCanvas3D.project(pos.x, pos.y, pos.z);
+    const ctx = this.tensorCanvas3D.ctx;
+    ctx.save();
+    ctx.fillStyle = this.colors.text;
+    ctx.font = 'bold 18px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, projected.x, projected.y);
+    ctx.restore();
   }
 
-  renderVector() {
-    // Visualize vector as two cubes in a horizontal row
-    const v = this.tensorData.vector;
-    const cubeSize = 0.8;
-    const spacing = 1.2; // Center-to-center spacing
+  /**
+   * Call fn(index, value) for every entry of a nested-array tensor
+   * @private
+   */
+  forEachEntry(tensor, fn, prefix = []) {
+    if (!Array.isArray(tensor)) {
+      fn(prefix, tensor);
+      return;
+    }
+    tensor.forEach((item, i) => this.forEachEntry(item, fn, [...prefix, i]));
+  }
 
-    // Position cubes horizontally (x-axis)
-    const x1 = -spacing / 2;
-    const x2 = spacing / 2;
-
-    // Draw first cube (x component)
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: x1, y: 0, z: 0 },
-      cubeSize,
-      v.x,
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-
-    // Draw second cube (y component)
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: x2, y: 0, z: 0 },
-      cubeSize,
-      v.y,
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-  }
-
-  renderMatrix() {
-    // Visualize matrix as a 2x2 grid of cubes
-    const m = this.tensorData.matrix;
-    const cubeSize = 0.8;
-    const spacing = 1.2; // Center-to-center spacing
+  /**
+   * Scene position of an entry: columns along x, rows down y, slices along z (front first);
+   * vectors are drawn as columns unless block.row is set
+   * @private
+   */
+  entryPosition(block, index, centerX, spacing) {
+    const shape = Tensor.shapeOf(block.tensor);
+    const offset = (i, n) => (i - (n - 1) / 2) * spacing;
+
+    if (shape.length === 0) {
+      return { x: centerX, y: 0, z: 0 };
+    }
+    if (shape.length === 1) {
+      return block.row
+        ? { x: centerX + offset(index[0], shape[0]), y: 0, z: 0 }
+        : { x: centerX, y: -offset(index[0], shape[0]), z: 0 };
+    }
+    if (shape.length === 2) {
+      return { x: centerX + offset(index[1], shape[1]), y: -offset(index[0], shape[0]), z: 0 };
+    }
+    return {
+      x: centerX + offset(index[2], shape[2]),
+      y: -offset(index[1], shape[1]),
+      z: offset(index[0], shape[0])
+    };
+  }
 
-    // Matrix layout: [m00, m01]
-    //                 [m10, m11]
-    // Position cubes in a 2x2 grid, centered at origin
-    const offset = spacing / 2;
-
-    // Top row
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: -offset, y: offset, z: 0 },
-      cubeSize,
-      m[0][0],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: offset, y: offset, z: 0 },
-      cubeSize,
-      m[0][1],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-
-    // Bottom row
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: -offset, y: -offset, z: 0 },
-      cubeSize,
-      m[1][0],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: offset, y: -offset, z: 0 },
-      cubeSize,
-      m[1][1],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-  }
-
-  renderTensor3D() {
-    // Visualize rank-3 tensor as a 2x2x2 cube of cubes
-    const t = this.tensorData.tensor3d;
-    const cubeSize = 0.8;
-    const spacing = 1.2; // Center-to-center spacing
+  /** @private */
+  blockWidth(block, spacing) {
+    const shape = Tensor.shapeOf(block.tensor);
+    if (shape.length === 0) return spacing;
+    const cols = shape.length === 1 ? (block.row ? shape[0] : 1) : shape[shape.length - 1];
+    return cols * spacing;
+  }
 
-    // Tensor layout: 2 slices (z=0 and z=spacing), each with a 2x2 matrix
-    // Slice 0 (front): t[0][row][col]
-    // Slice 1 (back):  t[1][row][col]
-    const offset = spacing / 2;
-
-    // Front slice (z = -offset)
-    const zFront = -offset;
-    // Top-left
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: -offset, y: offset, z: zFront },
-      cubeSize,
-      t[0][0][0],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-    // Top-right
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: offset, y: offset, z: zFront },
-      cubeSize,
-      t[0][0][1],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-    // Bottom-left
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: -offset, y: -offset, z: zFront },
-      cubeSize,
-      t[0][1][0],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-    // Bottom-right
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: offset, y: -offset, z: zFront },
-      cubeSize,
-      t[0][1][1],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-
-    // Back slice (z = offset)
-    const zBack = offset;
-    // Top-left
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: -offset, y: offset, z: zBack },
-      cubeSize,
-      t[1][0][0],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-    // Top-right
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: offset, y: offset, z: zBack },
-      cubeSize,
-      t[1][0][1],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-    // Bottom-left
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: -offset, y: -offset, z: zBack },
-      cubeSize,
-      t[1][1][0],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
-    // Bottom-right
-    this.tensorCanvas3D.drawCubeWithLabel(
-      { x: offset, y: -offset, z: zBack },
-      cubeSize,
-      t[1][1][1],
-      this.colors.cubeEdge,
-      this.colors.cubeFace,
-      this.colors.text,
-      0.3
-    );
+  /** @private */
+  blockHeight(block, spacing) {
+    const shape = Tensor.shapeOf(block.tensor);
+    if (shape.length === 0) return spacing;
+    const rows = shape.length === 1 ? (block.row ? 1 : shape[0]) : shape[shape.length - 2];
+    return rows * spacing;
   }
 
   destroy() {
+    this.cancelOperationAnimation();
+
     // Remove all event listeners
     if (this.eventListeners) {
       this.eventListeners.forEach(({ element, event, handler }) => {
@@ -610,6 +1894,11 @@ class TensorMode {
       this.eventListeners = [];
     }
 
+    // The editor lives in the shared canvas container
+    if (this.cubeEditor) {
+      this.cubeEditor.hidden = true;
+    }
+
     // Unsubscribe from theme service
     if (this.themeUnsubscribe) {
       this.themeUnsubscribe();
@@ -621,6 +1910,10 @@ class TensorMode {
       this.tensorCanvas3D.destroy();
     }
 
+    if (this.resultsPanel) {
+      this.resultsPanel.destroy();
+    }
+
     // Clear root innerHTML to ensure clean state
     if (this.root) {
       this.root.innerHTML = '';
@@ -629,10 +1922,14 @@ class TensorMode {
     // Clear handler references
     this.handleRankClick = null;
     this.handleReset = null;
-    this.handleScalarInput = null;
-    this.handleVectorInput = null;
-    this.handleMatrixInput = null;
-    this.handleTensor3DInput = null;
+    this.handleRootInput = null;
+    this.handleRootChange = null;
+    this.handleRootClick = null;
+    this.handleRootFocus = null;
+    this.handleRootBlur = null;
+    this.handleEditorInput = null;
+    this.handleEditorKeydown = null;
+    this.handleEditorBlur = null;
   }
 }
 
@@ -0,0 +1,684 @@
+/**
+ * TensorOperations Class
+ * Outer product, matrix × vector contraction, mode-n product, trace, einsum, elementwise
+ * arithmetic with broadcasting, reshape, transpose and axis permutation for Tensor mode
+ * Returns operation results without side effects
+ *
+ * Tensors are plain nested arrays: a vector is [v1, v2], a matrix is [[row], [row]] and a
+ * rank-3 tensor is indexed t[i][j][k] (slice, row, column). Every result carries a list of
+ * steps, one per output entry, naming the input entries that contribute to it so the mode
+ * can animate the index sum entry by entry.
+ */
+
+class TensorOperations {
+  static INDEX_LETTERS = ['ᵢ', 'ⱼ', 'ₖ']; // Index letters for formulas like "yᵢ = Σⱼ Mᵢⱼ vⱼ"
+
+  constructor(appConfig, styleConstants) {
+    this.appConfig = appConfig; // Runtime configuration
+    this.styleConstants = styleConstants; // Styling constants (colors, etc.)
+  }
+
+  // ============================================================================
+  // OPERATIONS
+  // ============================================================================
+
+  /**
+   * Outer product of two vectors: Cᵢⱼ = vᵢ wⱼ
+   * @param {number[]} v - First vector
+   * @param {number[]} w - Second vector
+   * @returns {Object} Operation result (see buildResult)
+   */
+  outerProduct(v, w) {
+    const { indexSubscript, formatFactor } = TensorOperations;
+    const result = v.map(vi => w.map(wj => vi * wj));
+    const steps = [];
+
+    for (let i = 0; i < v.length; i++) {
+      for (let j = 0; j < w.length; j++) {
+        steps.push({
+          index: [i, j],
+          value: result[i][j],
+          inputs: { v: [[i]], w: [[j]] },
+          formula: `C${indexSubscript(i, j)} = v${indexSubscript(i)} w${indexSubscript(j)} = ${formatFactor(v[i])}${formatFactor(w[j])}`
+        });
+      }
+    }
+
+    return this.buildResult({
+      type: 'outer',
+      symbol: 'v ⊗ w',
+      formula: 'Cᵢⱼ = vᵢ wⱼ',
+      note: 'No index is summed: every pair (i, j) gets its own entry, so two rank-1 tensors make a rank-2 tensor.',
+      result,
+      steps
+    });
+  }
+
+  /**
+   * Matrix × vector contraction: yᵢ = Σⱼ Mᵢⱼ vⱼ
+   * @param {number[][]} M - Matrix
+   * @param {number[]} v - Vector (length must match the matrix's columns)
+   * @returns {Object} Operation result
+   * @throws {Error} If the shapes don't match
+   */
+  matrixVector(M, v) {
+    const { abbreviateSum, indexSubscript, formatFactor } = TensorOperations;
+    if (M[0].length !== v.length) {
+      throw new Error(`M has ${M[0].length} columns but v has ${v.length} entries; the summed index j must have the same size in both`);
+    }
+
+    const result = M.map(row => row.reduce((sum, m, j) => sum + m * v[j], 0));
+    const steps = result.map((value, i) => {
+      const symbolic = abbreviateSum(v.map((_, j) => `M${indexSubscript(i, j)}v${indexSubscript(j)}`));
+      const numeric = abbreviateSum(v.map((vj, j) => `${formatFactor(M[i][j])}${formatFactor(vj)}`));
+      return {
+        index: [i],
+        value,
+        inputs: {
+          M: v.map((_, j) => [i, j]),
+          v: v.map((_, j) => [j])
+        },
+        formula: `y${indexSubscript(i)} = ${symbolic} = ${numeric}`
+      };
+    });
+
+    return this.buildResult({
+      type: 'matvec',
+      symbol: 'M v',
+      formula: 'yᵢ = Σⱼ Mᵢⱼ vⱼ',
+      note: 'The shared index j is summed away (contracted): rank 2 + rank 1 − 2 = rank 1.',
+      result,
+      steps
+    });
+  }
+
+  /**
+   * Mode-n product of a rank-3 tensor with a matrix, (T ×ₙ M)
+   * Replaces index n of T by the row index a of M: for n = 1, Rₐⱼₖ = Σᵢ Mₐᵢ Tᵢⱼₖ
+   * @param {number[][][]} T - Rank-3 tensor T[i][j][k]
+   * @param {number[][]} M - Matrix whose column count matches dimension n of T
+   * @param {number} n - Mode (1, 2 or 3)
+   * @returns {Object} Operation result
+   * @throws {Error} If the shapes don't match
+   */
+  modeNProduct(T, M, n) {
+    const { abbreviateSum, indexSubscript, formatFactor } = TensorOperations;
+    const shape = Tensor.shapeOf(T);
+    const axis = n - 1;
+    if (M[0].length !== shape[axis]) {
+      throw new Error(`M has ${M[0].length} columns but index ${n} of T has size ${shape[axis]}; they are summed together, so they must match`);
+    }
+
+    const resultShape = [...shape];
+    resultShape[axis] = M.length;
+
+    // Index letters for the formula, with the contracted one replaced by 'a' in the result
+    const letters = [...TensorOperations.INDEX_LETTERS];
+    const summed = letters[axis];
+    const resultLetters = [...letters];
+    resultLetters[axis] = 'ₐ';
+
+    const result = [];
+    const steps = [];
+    for (let i = 0; i < resultShape[0]; i++) {
+      result.push([]);
+      for (let j = 0; j < resultShape[1]; j++) {
+        result[i].push([]);
+        for (let k = 0; k < resultShape[2]; k++) {
+          const outIndex = [i, j, k];
+          const a = outIndex[axis];
+          const tIndices = [];
+          let value = 0;
+          for (let s = 0; s < shape[axis]; s++) {
+            const tIndex = [...outIndex];
+            tIndex[axis] = s;
+            tIndices.push(tIndex);
+            value += M[a][s] * T[tIndex[0]][tIndex[1]][tIndex[2]];
+          }
+          result[i][j].push(value);
+
+          const symbolic = abbreviateSum(tIndices.map((t, s) => `M${indexSubscript(a, s)}T${indexSubscript(...t)}`));
+          const numeric = abbreviateSum(tIndices.map((t, s) => `${formatFactor(M[a][s])}${formatFactor(T[t[0]][t[1]][t[2]])}`));
+          steps.push({
+            index: outIndex,
+            value,
+            inputs: {
+              T: tIndices,
+              M: tIndices.map((_, s) => [a, s])
+            },
+            formula: `R${indexSubscript(...outIndex)} = ${symbolic} = ${numeric}`
+          });
+        }
+      }
+    }
+
+    return this.buildResult({
+      type: 'moden',
+      symbol: `T ×${FormatUtils.subscript(n)} M`,
+      formula: `R${resultLetters.join('')} = Σ${summed} Mₐ${summed} T${letters.join('')}`,
+      note: `Index ${n} of T is contracted with the columns of M and replaced by M's row index a; the other two indices pass through, so the result is still rank 3.`,
+      result,
+      steps
+    });
+  }
+
+  /**
+   * Trace of a rank-3 tensor over two of its indices
+   * Sets the two indices equal and sums, leaving a vector over the remaining index:
+   * for indices (2, 3), tᵢ = Σⱼ Tᵢⱼⱼ
+   * @param {number[][][]} T - Rank-3 tensor T[i][j][k]
+   * @param {number[]} pair - The two traced indices, 1-based (e.g. [2, 3])
+   * @returns {Object} Operation result
+   * @throws {Error} If the traced indices have different sizes
+   */
+  trace(T, pair) {
+    const { abbreviateSum, indexSubscript, formatEntry } = TensorOperations;
+    const shape = Tensor.shapeOf(T);
+    const [p1, p2] = pair.map(n => n - 1);
+    const free = [0, 1, 2].find(axis => axis !== p1 && axis !== p2);
+    if (shape[p1] !== shape[p2]) {
+      throw new Error(`Indices ${pair[0]} and ${pair[1]} of T have sizes ${shape[p1]} and ${shape[p2]}; a trace needs them to be equal`);
+    }
+
+    // Formula letters: the traced pair shares one letter, the free index keeps its own
+    const letters = [...TensorOperations.INDEX_LETTERS];
+    const summed = letters[p1];
+    letters[p2] = summed;
+
+    const result = [];
+    const steps = [];
+    for (let r = 0; r < shape[free]; r++) {
+      const tIndices = [];
+      let value = 0;
+      for (let s = 0; s < shape[p1]; s++) {
+        const tIndex = [0, 0, 0];
+        tIndex[free] = r;
+        tIndex[p1] = s;
+        tIndex[p2] = s;
+        tIndices.push(tIndex);
+        value += T[tIndex[0]][tIndex[1]][tIndex[2]];
+      }
+      result.push(value);
+
+      const symbolic = abbreviateSum(tIndices.map(t => `T${indexSubscript(...t)}`));
+      const numeric = abbreviateSum(tIndices.map(t => formatEntry(T[t[0]][t[1]][t[2]])));
+      steps.push({
+        index: [r],
+        value,
+        inputs: { T: tIndices },
+        formula: `t${indexSubscript(r)} = ${symbolic} = ${numeric}`
+      });
+    }
+
+    return this.buildResult({
+      type: 'trace',
+      symbol: `tr${FormatUtils.subscript(pair[0])}${FormatUtils.subscript(pair[1])} T`,
+      formula: `t${letters[free]} = Σ${summed} T${letters.join('')}`,
+      note: `Indices ${pair[0]} and ${pair[1]} are set equal and summed (the diagonal of each slice along index ${free + 1}): rank 3 − 2 = rank 1.`,
+      result,
+      steps
+    });
+  }
+
+  /**
+   * Evaluate an Einstein-summation expression such as 'ij,jk->ik'
+   * Indices repeated across inputs but missing from the output are summed. Without '->',
+   * the output is every index that appears exactly once, in alphabetical order.
+   * @param {string} expression - einsum subscripts, e.g. 'ijk,k->ij'
+   * @param {Array<{name: string, tensor: Array|number}>} operands - One per input subscript
+   * @returns {Object} Operation result (see buildResult)
+   * @throws {Error} With a learner-facing message if the expression or shapes are invalid
+   */
+  einsum(expression, operands) {
+    const { abbreviateSum, formatFactor } = TensorOperations;
+    const { inputs, output, sizes } = this.parseEinsum(expression, operands);
+    const summed = [...new Set(inputs.join(''))].filter(c => !output.includes(c));
+
+    const outputShape = output.split('').map(c => sizes[c]);
+    const summedShape = summed.map(c => sizes[c]);
+    const outputKeys = Tensor.indicesOf(outputShape);
+    const summedKeys = Tensor.indicesOf(summedShape);
+
+    const entryAt = (tensor, subscript, values) =>
+      subscript.split('').reduce((level, c) => level[values[c]], tensor);
+
+    const label = (name, subscript, values) =>
+      subscript ? `${name}[${subscript.split('').map(c => values[c] + 1).join(',')}]` : name;
+
+    const flat = [];
+    const steps = outputKeys.map(outIndex => {
+      const values = {};
+      output.split('').forEach((c, i) => { values[c] = outIndex[i]; });
+
+      const stepInputs = {};
+      operands.forEach((_, o) => { stepInputs[`op${o}`] = []; });
+      const symbolicTerms = [];
+      const numericTerms = [];
+      let value = 0;
+
+      summedKeys.forEach(sumIndex => {
+        summed.forEach((c, i) => { values[c] = sumIndex[i]; });
+        let product = 1;
+        const symbols = [];
+        const factors = [];
+        operands.forEach((operand, o) => {
+          const entry = entryAt(operand.tensor, inputs[o], values);
+          product *= entry;
+          stepInputs[`op${o}`].push(inputs[o].split('').map(c => values[c]));
+          symbols.push(label(operand.name, inputs[o], values));
+          factors.push(formatFactor(entry));
+        });
+        value += product;
+        symbolicTerms.push(symbols.join('·'));
+        numericTerms.push(factors.join(''));
+      });
+
+      flat.push(value);
+      const resultLabel = label('R', output, values);
+      return {
+        index: outIndex,
+        value,
+        inputs: stepInputs,
+        formula: `${resultLabel} = ${abbreviateSum(symbolicTerms)} = ${abbreviateSum(numericTerms)}`
+      };
+    });
+
+    const bracket = (subscript) => subscript ? `[${subscript.split('').join(',')}]` : '';
+    const sigma = summed.length ? `Σ_${summed.join('')} ` : '';
+    const formula = `R${bracket(output)} = ${sigma}${operands.map((operand, o) => `${operand.name}${bracket(inputs[o])}`).join(' · ')}`;
+    const shapeText = outputShape.length ? outputShape.join('×') : 'scalar';
+    const operandShapes = operands.map((operand, o) => {
+      const shape = Tensor.shapeOf(operand.tensor);
+      return `${operand.name}${bracket(inputs[o])} is ${shape.length ? shape.join('×') : 'a scalar'}`;
+    }).join(', ');
+
+    return this.buildResult({
+      type: 'einsum',
+      symbol: `${inputs.join(',')}->${output}`,
+      formula,
+      note: `${operandShapes}. Summed indices: ${summed.join(', ') || 'none'}. Free indices: ${output.split('').join(', ') || 'none'}, so the result has rank ${output.length} (${shapeText}).`,
+      result: Tensor.fromFlat(outputShape, flat).data,
+      steps
+    });
+  }
+
+  /**
+   * Split and validate an einsum expression against its operands
+   * @returns {{inputs: string[], output: string, sizes: Object}} Subscripts and index sizes
+   * @throws {Error} If the expression is malformed or the index sizes disagree
+   * @private
+   */
+  parseEinsum(expression, operands) {
+    const compact = (expression || '').replace(/\s+/g, '');
+    if (!compact) {
+      throw new Error('Enter an expression such as ij,jk->ik');
+    }
+
+    const parts = compact.split('->');
+    if (parts.length > 2) {
+      throw new Error("Use '->' at most once");
+    }
+    const [lhs, rhs] = parts;
+    if (!/^[a-z]*(,[a-z]*)*$/.test(lhs)) {
+      throw new Error('Input subscripts may only use the letters a-z, separated by commas (e.g. ij,jk)');
+    }
+    if (rhs !== undefined && !/^[a-z]*$/.test(rhs)) {
+      throw new Error("Output subscripts after '->' may only use the letters a-z (e.g. ik)");
+    }
+
+    const inputs = lhs.split(',');
+    if (inputs.length !== operands.length) {
+      throw new Error(`The expression has ${inputs.length} input(s) but ${operands.length} tensor(s) were given`);
+    }
+
+    // Each operand needs one letter per index, and a letter must mean the same size everywhere
+    const sizes = {};
+    const seenIn = {};
+    operands.forEach((operand, o) => {
+      const shape = Tensor.shapeOf(operand.tensor);
+      if (inputs[o].length !== shape.length) {
+        throw new Error(`${operand.name} has rank ${shape.length}, but '${inputs[o]}' gives it ${inputs[o].length} ind${inputs[o].length === 1 ? 'ex' : 'ices'}`);
+      }
+      inputs[o].split('').forEach((c, axis) => {
+        if (sizes[c] !== undefined && sizes[c] !== shape[axis]) {
+          throw new Error(`Index '${c}' has size ${sizes[c]} in ${seenIn[c]} but size ${shape[axis]} in ${operand.name}`);
+        }
+        sizes[c] = shape[axis];
+        seenIn[c] = operand.name;
+      });
+    });
+
+    let output = rhs;
+    if (output === undefined) {
+      const counts = {};
+      inputs.join('').split('').forEach(c => { counts[c] = (counts[c] || 0) + 1; });
+      output = Object.keys(counts).filter(c => counts[c] === 1).sort().join('');
+    }
+
+    output.split('').forEach((c, i) => {
+      if (output.indexOf(c) !== i) {
+        throw new Error(`Output index '${c}' appears more than once`);
+      }
+      if (sizes[c] === undefined) {
+        throw new Error(`Output index '${c}' does not appear in any input`);
+      }
+    });
+    if (output.length > 3) {
+      throw new Error(`The result would have rank ${output.length}; Tensor mode can draw up to rank 3`);
+    }
+
+    return { inputs, output, sizes };
+  }
+
+  // ============================================================================
+  // ELEMENTWISE ARITHMETIC (BROADCASTING)
+  // ============================================================================
+
+  /**
+   * Elementwise A + B or A ⊙ B with NumPy broadcasting: shapes are lined up from the
+   * right, missing leading indices count as size 1, and a size-1 index is tiled to
+   * match the other tensor
+   * @param {Array|number} a - First tensor (nested array)
+   * @param {Array|number} b - Second tensor (nested array)
+   * @param {string} operator - 'add' or 'multiply'
+   * @param {string[]} names - Tensor names for the formula, e.g. ['M', 'v']
+   * @returns {Object} Operation result (see buildResult) with operands: [{ key, name, expanded, copies }]
+   * @throws {Error} If the shapes can't be broadcast, naming the index that failed
+   */
+  broadcast(a, b, operator, names) {
+    const { indexSubscript, formatEntry } = TensorOperations;
+    const A = Tensor.fromArray(a);
+    const B = Tensor.fromArray(b);
+    const shape = this.broadcastShape(A.shape, B.shape, names);
+    const rank = shape.length;
+    const symbol = operator === 'add' ? '+' : '⊙';
+    const operatorText = operator === 'add' ? '+' : '·';
+    const combine = operator === 'add' ? (x, y) => x + y : (x, y) => x * y;
+
+    // Each operand padded with leading 1s to the result's rank
+    const padded = [A, B].map(t => [...new Array(rank - t.rank).fill(1), ...t.shape]);
+    // Where an entry of the result reads from: tiled indices read entry 0
+    const originOf = (o, index) => index.map((i, axis) => (padded[o][axis] === 1 ? 0 : i));
+    const sourceOf = (o, index) => originOf(o, index).slice(rank - [A, B][o].rank);
+
+    const result = new Tensor(shape);
+    const expanded = [new Tensor(shape), new Tensor(shape)];
+    const copies = [[], []];
+    const steps = result.indices().map(index => {
+      const [x, y] = [A, B].map((t, o) => t.get(sourceOf(o, index)));
+      const value = combine(x, y);
+      result.set(index, value);
+      [x, y].forEach((entry, o) => {
+        expanded[o].set(index, entry);
+        const origin = originOf(o, index);
+        if (origin.some((i, axis) => i !== index[axis])) {
+          copies[o].push({ index, origin });
+        }
+      });
+
+      const [ia, ib] = [0, 1].map(o => sourceOf(o, index));
+      return {
+        index,
+        value,
+        inputs: { a: [index], b: [index] },
+        formula: `R${indexSubscript(...index)} = ${names[0]}${indexSubscript(...ia)} ${operatorText} ${names[1]}${indexSubscript(...ib)} = ` +
+          `${formatEntry(x)} ${operatorText} ${formatEntry(y)}`
+      };
+    });
+
+    // Formula letters: a tiled index is pinned to 1, e.g. Rᵢⱼ = Mᵢⱼ + B₁ⱼ
+    const letters = TensorOperations.INDEX_LETTERS.slice(0, rank);
+    const operandLetters = (o) => letters
+      .map((letter, axis) => (padded[o][axis] === 1 && shape[axis] > 1 ? FormatUtils.subscript(1) : letter))
+      .slice(rank - [A, B][o].rank)
+      .join('');
+
+    const tiled = [A, B].map((t, o) => {
+      const axes = shape.map((_, axis) => axis).filter(axis => padded[o][axis] !== shape[axis]);
+      const along = axes.length > 1 ? `indices ${axes.map(axis => axis + 1).join(' and ')}` : `index ${axes[0] + 1}`;
+      return axes.length ? `${names[o]} (${t.formatShape()}) is tiled along ${along}` : null;
+    }).filter(Boolean);
+    const shapes = `${A.formatShape()} ${symbol} ${B.formatShape()} → ${result.formatShape()}`;
+
+    return this.buildResult({
+      type: 'broadcast',
+      symbol: `${names[0]} ${symbol} ${names[1]}`,
+      formula: `R${letters.join('')} = ${names[0]}${operandLetters(0)} ${operatorText} ${names[1]}${operandLetters(1)}`,
+      note: tiled.length
+        ? `Shapes are lined up from the right: ${shapes}. ${tiled.join('; ')}, then entries are combined one by one.`
+        : `The shapes match (${shapes}), so entries are combined one by one without tiling.`,
+      result: result.data,
+      operands: [0, 1].map(o => ({
+        key: o === 0 ? 'a' : 'b',
+        name: names[o],
+        expanded: expanded[o].data,
+        copies: copies[o]
+      })),
+      steps
+    });
+  }
+
+  /**
+   * Shape of a broadcast result, following NumPy's rules
+   * @param {number[]} shapeA - Shape of the first tensor
+   * @param {number[]} shapeB - Shape of the second tensor
+   * @param {string[]} names - Tensor names for the error message
+   * @returns {number[]} Broadcast shape
+   * @throws {Error} Naming the first index (from the right) whose sizes differ and aren't 1
+   */
+  broadcastShape(shapeA, shapeB, names) {
+    const rank = Math.max(shapeA.length, shapeB.length);
+    const positions = ['last', 'second-to-last', 'third-to-last'];
+    const shape = [];
+
+    for (let k = 1; k <= rank; k++) {
+      const sizeA = shapeA.length >= k ? shapeA[shapeA.length - k] : 1;
+      const sizeB = shapeB.length >= k ? shapeB[shapeB.length - k] : 1;
+      if (sizeA !== sizeB && sizeA !== 1 && sizeB !== 1) {
+        const formatShape = (s) => (s.length ? s.join('×') : 'scalar');
+        throw new Error(
+          `Can't broadcast ${names[0]} (${formatShape(shapeA)}) with ${names[1]} (${formatShape(shapeB)}): ` +
+          `lined up from the right, the ${positions[k - 1]} index has size ${sizeA} in ${names[0]} ` +
+          `(index ${shapeA.length - k + 1}) and ${sizeB} in ${names[1]} (index ${shapeB.length - k + 1}). ` +
+          'Sizes must be equal, or one of them must be 1.'
+        );
+      }
+      shape.unshift(Math.max(sizeA, sizeB));
+    }
+    return shape;
+  }
+
+  // ============================================================================
+  // REARRANGEMENTS
+  // ============================================================================
+  // Reshape, transpose and permute move entries without changing them. Their results
+  // carry a mapping (old index → new index) instead of index-sum steps.
+
+  /**
+   * Reshape a tensor, keeping the row-major order of its entries
+   * @param {Array|number} tensor - Tensor to reshape (nested array)
+   * @param {number[]} shape - New shape, rank 1-3, with the same number of entries
+   * @param {string} name - Tensor name for the formula, e.g. 'M'
+   * @returns {Object} Operation result with a mapping (see buildRearrangement)
+   * @throws {Error} If the shape is not allowed or holds a different number of entries
+   */
+  reshape(tensor, shape, name) {
+    if (shape.length < 1 || shape.length > 3) {
+      throw new Error('Give the new shape 1 to 3 sizes, e.g. 3×2');
+    }
+    if (shape.some(size => !Number.isInteger(size) || size < 1)) {
+      throw new Error('Each size in the new shape must be a whole number of at least 1');
+    }
+
+    const source = Tensor.fromArray(tensor);
+    const reshaped = source.reshape(shape);
+    const targets = reshaped.indices();
+
+    return this.buildRearrangement({
+      type: 'reshape',
+      symbol: `reshape(${name}, ${shape.join('×')})`,
+      formula: `R = reshape(${name}, ${shape.join('×')})`,
+      note: `${name} is read in row-major order (last index fastest) and written into R in the same order, so every entry keeps its position in that order: ${source.formatShape()} → ${reshaped.formatShape()}.`,
+      source,
+      result: reshaped,
+      targetOf: index => targets[source.flatIndex(index)]
+    });
+  }
+
+  /**
+   * Transpose a tensor by reversing its indices (Rⱼᵢ = Mᵢⱼ for a matrix)
+   * @param {Array|number} tensor - Tensor of rank 2 or 3 (nested array)
+   * @param {string} name - Tensor name for the formula
+   * @returns {Object} Operation result with a mapping
+   * @throws {Error} If the tensor has fewer than 2 indices
+   */
+  transpose(tensor, name) {
+    const rank = Tensor.shapeOf(tensor).length;
+    if (rank < 2) {
+      throw new Error(`Transposing needs at least 2 indices to swap, but ${name} has rank ${rank}`);
+    }
+    return this.permute(tensor, Array.from({ length: rank }, (_, k) => rank - 1 - k), name, 'transpose');
+  }
+
+  /**
+   * Reorder the indices of a tensor: index k of the result is index axes[k] of the tensor
+   * @param {Array|number} tensor - Tensor of rank 2 or 3 (nested array)
+   * @param {number[]} axes - 0-based permutation of the tensor's indices
+   * @param {string} name - Tensor name for the formula
+   * @param {string} [type='permute'] - 'transpose' when called from transpose()
+   * @returns {Object} Operation result with a mapping
+   * @throws {Error} If axes is not a permutation of the tensor's indices
+   */
+  permute(tensor, axes, name, type = 'permute') {
+    const source = Tensor.fromArray(tensor);
+    const rank = source.rank;
+    const isPermutation = axes.length === rank &&
+      [...axes].sort((a, b) => a - b).every((axis, k) => axis === k);
+    if (rank < 2) {
+      throw new Error(`Permuting needs at least 2 indices, but ${name} has rank ${rank}`);
+    }
+    if (!isPermutation) {
+      const example = rank === 2 ? '2,1' : '3,1,2';
+      throw new Error(`List each of the ${rank} indices of ${name} once, e.g. ${example}`);
+    }
+
+    const permuted = source.permute(axes);
+    // A source index lands where its entries are read back by the permutation
+    const targetOf = index => axes.map(axis => index[axis]);
+    const letters = TensorOperations.INDEX_LETTERS.slice(0, rank);
+    const order = axes.map(axis => axis + 1).join(',');
+
+    return this.buildRearrangement({
+      type,
+      symbol: type === 'transpose' ? `${name}ᵀ` : `permute(${name}, ${order})`,
+      formula: `R${axes.map(axis => letters[axis]).join('')} = ${name}${letters.join('')}`,
+      note: `R's indices are ${name}'s indices ${order}, in that order. Entries keep their values but move, so their row-major order changes: ${source.formatShape()} → ${permuted.formatShape()}.`,
+      source,
+      result: permuted,
+      targetOf
+    });
+  }
+
+  /**
+   * Finish a rearrangement result: the mapping of every source entry and the Results-panel lines
+   * @param {Object} op - { type, symbol, formula, note, source: Tensor, result: Tensor, targetOf(index) }
+   * @returns {Object} { type, symbol, formula, note, result, mapping, steps: [], resultRank, resultLines }
+   * @private
+   */
+  buildRearrangement({ source, result, targetOf, ...op }) {
+    const mapping = source.indices().map(from => {
+      const to = targetOf(from);
+      return {
+        from,
+        to,
+        value: source.get(from),
+        fromPosition: source.flatIndex(from),
+        toPosition: result.flatIndex(to)
+      };
+    });
+
+    return this.buildResult({ ...op, source: source.data, result: result.data, mapping, steps: [] });
+  }
+
+  // ============================================================================
+  // FORMATTING
+  // ============================================================================
+
+  /**
+   * Attach the rank and the Results-panel lines to an operation result
+   * @param {Object} op - { type, symbol, formula, note, result, steps }
+   * @returns {Object} The same object with resultRank and resultLines
+   * @private
+   */
+  buildResult(op) {
+    op.resultRank = Tensor.shapeOf(op.result).length;
+    op.steps.forEach(step => {
+      // The canvas caption can't hold MathML
+      step.text = `${step.formula} = ${TensorOperations.formatEntry(step.value)}`;
+    });
+    op.resultLines = [
+      `${op.symbol}: ${op.formula}`,
+      ...op.steps.map(step => MathRender.render(MathRender.row(step.formula, '=', MathRender.num(step.value, 2)))),
+      `= ${this.formatTensor(op.result)}`,
+      op.note
+    ];
+    return op;
+  }
+
+  /**
+   * Format a nested-array tensor for the Results panel
+   * @param {Array|number} tensor - Vector, matrix or rank-3 tensor
+   * @returns {string} HTML
+   */
+  formatTensor(tensor) {
+    const rank = Tensor.shapeOf(tensor).length;
+
+    if (rank === 0) {
+      return MathRender.render(MathRender.num(tensor, 2));
+    }
+    if (rank === 1) {
+      return MathRender.render(MathRender.column(tensor.map(value => MathRender.num(value, 2))));
+    }
+    if (rank === 2) {
+      return FormatUtils.formatMatrixAsGrid(new Matrix(tensor.length, tensor[0].length, tensor), 2);
+    }
+    return tensor.map((slice, i) => `slice ${i + 1}: ${this.formatTensor(slice)}`).join('  ');
+  }
+
+  /**
+   * Join the terms of a sum, eliding the middle of long ones
+   * @param {string[]} terms - Terms in order
+   * @returns {string}
+   */
+  static abbreviateSum(terms) {
+    if (terms.length <= 6) return terms.join(' + ');
+    return `${terms.slice(0, 3).join(' + ')} + … + ${terms[terms.length - 1]}`;
+  }
+
+  /**
+   * 1-based subscript for zero-based indices, e.g. indexSubscript(0, 1) → '₁₂'
+   * @param {...number} indices - Zero-based indices
+   * @returns {string}
+   */
+  static indexSubscript(...indices) {
+    return indices.map(i => FormatUtils.subscript(i + 1)).join('');
+  }
+
+  /**
+   * Entry as plain text, for formulas and canvas captions (the Results panel uses MathRender.num)
+   * @param {number} value
+   * @returns {string}
+   */
+  static formatEntry(value) {
+    return value.toFixed(2);
+  }
+
+  /**
+   * Factor of a product as plain text, e.g. '(2.5)'
+   * @param {number} value
+   * @returns {string}
+   */
+  static formatFactor(value) {
+    return `(${value.toFixed(1)})`;
+  }
+}
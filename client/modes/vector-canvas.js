@@ -55,13 +55,11 @@ class VectorCanvas {
    * Check if mouse is near vector endpoint (for editing)
    * @param {number} mouseScreenX - Mouse X position in screen coordinates
    * @param {number} mouseScreenY - Mouse Y position in screen coordinates
-   * @param {Vector|null} vector1 - First vector or null
-   * @param {Vector|null} vector2 - Second vector or null
-   * @returns {string|null} 'vector1', 'vector2', or null
+   * @param {Array<Vector>} vectors - User vectors (each with a numeric slot)
+   * @returns {number|null} Slot of the hit vector, or null
    */
-  checkEndpointHit(mouseScreenX, mouseScreenY, vector1, vector2) {
+  checkEndpointHit(mouseScreenX, mouseScreenY, vectors) {
     const checkVector = (vector) => {
-      if (!vector) return false;
       const endpoint = this.mathToScreen(vector.x, vector.y);
       const dx = mouseScreenX - endpoint.x;
       const dy = mouseScreenY - endpoint.y;
@@ -69,16 +67,25 @@ class VectorCanvas {
       return distance <= this.styleConstants.hitRadius;
     };
 
-    // Check vector1 first, then vector2
-    if (vector1 && checkVector(vector1)) {
-      return 'vector1';
-    }
-    if (vector2 && checkVector(vector2)) {
-      return 'vector2';
+    // Later vectors are drawn on top, so they win when endpoints overlap
+    for (let i = vectors.length - 1; i >= 0; i--) {
+      if (checkVector(vectors[i])) {
+        return vectors[i].slot;
+      }
     }
     return null;
   }
 
+  /**
+   * Light tint of a palette color for parallelogram helper lines
+   * @param {string} color - Vector color
+   * @returns {string} Matching copyColor, or the color itself if it isn't in the palette
+   */
+  copyColorFor(color) {
+    const entry = this.styleConstants.vectorPalette.find(item => item.color === color);
+    return entry ? entry.copyColor : color;
+  }
+
   // ============================================================================
   // RENDERING
   // ============================================================================
@@ -86,12 +93,11 @@ class VectorCanvas {
   /**
    * Render the canvas with current vector state
    * @param {Object} state - Rendering state object
-   * @param {Vector|null} state.vector1 - First vector
-   * @param {Vector|null} state.vector2 - Second vector
+   * @param {Array<Vector>} state.vectors - User vectors
    * @param {Vector|null} state.resultVector - Result vector
    * @param {Vector|null} state.drawingVector - Vector being drawn
    * @param {boolean} state.isDrawing - Whether currently drawing
-   * @param {string|null} state.hoveredVector - 'vector1', 'vector2', or null
+   * @param {number|null} state.hoveredVector - Slot of the hovered vector, or null
    * @param {Object|null} state.angleArcState - Angle arc visualization state
    * @param {Object|null} state.parallelogramState - Parallelogram animation state
    */
@@ -107,26 +113,16 @@ class VectorCanvas {
     this.coordSystem.drawAxes();
 
     // Draw vectors with hover state using CoordinateSystem
-    if (state.vector1) {
-      this.coordSystem.drawVector(
-        state.vector1,
-        this.styleConstants,
-        this.colors,
-        false,
-        1,
-        state.hoveredVector === 'vector1'
-      );
-    }
-    if (state.vector2) {
+    state.vectors.forEach(vector => {
       this.coordSystem.drawVector(
-        state.vector2,
+        vector,
         this.styleConstants,
         this.colors,
         false,
         1,
-        state.hoveredVector === 'vector2'
+        state.hoveredVector === vector.slot
       );
-    }
+    });
 
     // Draw angle arc if angle visualization is active
     if (state.angleArcState) {
@@ -199,7 +195,7 @@ class VectorCanvas {
         { x: v1.x, y: v1.y },
         this.styleConstants,
         state.parallelogramState.v2Progress,
-        this.styleConstants.parallelogram.v2CopyColor
+        this.copyColorFor(v2.color)
       );
 
       // Draw v1 translated to v2's tip (with progress for animation)
@@ -208,7 +204,7 @@ class VectorCanvas {
         { x: v2.x, y: v2.y },
         this.styleConstants,
         state.parallelogramState.v1Progress,
-        this.styleConstants.parallelogram.v1CopyColor
+        this.copyColorFor(v1.color)
       );
     }
 
@@ -248,8 +244,8 @@ class VectorCanvas {
     const origin = this.mathToScreen(0, 0);
 
     // Calculate arc radius (60 pixels or 20% of smaller vector, whichever is smaller)
-    const mag1 = vector1.magnitude() * this.styleConstants.gridSize;
-    const mag2 = vector2.magnitude() * this.styleConstants.gridSize;
+    const mag1 = vector1.magnitude() * this.coordSystem.scale;
+    const mag2 = vector2.magnitude() * this.coordSystem.scale;
     const maxRadius = 60;
     const minRadius = 30;
     const arcRadius = Math.min(maxRadius, Math.max(minRadius, Math.min(mag1, mag2) * 0.4));
@@ -18,9 +18,12 @@ class VectorMode {
     this.canvasRenderer = new VectorCanvas(canvas, coordSystem, styleConstants, {});
     this.operations = new VectorOperations(appConfig, styleConstants);
 
-    // Vectors
-    this.vector1 = null;
-    this.vector2 = null;
+    // Vectors, ordered by slot; slot n is labelled vₙ and colored with vectorPalette[n - 1]
+    this.vectors = [];
+    this.maxVectors = Math.max(1, Math.min(
+      appConfig.vectorMode.maxVectors || 2,
+      styleConstants.vectorPalette.length
+    ));
     this.resultVector = null;
 
     // Coordinate display mode
@@ -29,12 +32,13 @@ class VectorMode {
     // Interaction state
     this.isDrawing = false;
     this.isEditing = false;
-    this.editTarget = null; // 'vector1' or 'vector2'
+    this.editTarget = null; // Slot of the vector being dragged
     this.drawingVector = null;
     this.startPos = { x: 0, y: 0 };
+    this.stateBeforeInteraction = null; // Snapshot taken on mousedown for undo history
 
     // Hover state
-    this.hoveredVector = null; // 'vector1' or 'vector2' or null
+    this.hoveredVector = null; // Slot of the hovered vector, or null
 
     // Animation state
     this.isAnimating = false;
@@ -44,10 +48,14 @@ class VectorMode {
 
     // Parallelogram animation state
     this.parallelogramState = null; // { startTime, v1Progress, v2Progress, edgeOpacity }
+    this.parallelogramFrame = null; // requestAnimationFrame id of the running construction
 
     // Angle arc visualization state
     this.angleArcState = null; // { vector1, vector2, angleRadians, angleDegrees }
 
+    // Operation result being stepped through with "Show steps", or null
+    this.stepOperation = null;
+
     // Color cache for theme-responsive rendering
     this.colors = {};
 
@@ -86,6 +94,13 @@ class VectorMode {
       });
     }
 
+    // Wheel zoom always; a plain drag draws vectors, so panning needs Shift or the middle button
+    this.viewController = new ViewController(this.coordSystem, {
+      shouldPan: (e) => this.isPanGesture(e),
+      getFitPoints: () => this.getVectors(),
+      onChange: () => this.render()
+    });
+
     // Initialize
     this.setupCanvasEventListeners();
     this.setupSidebarEventListeners();
@@ -121,20 +136,24 @@ class VectorMode {
     // Set up sidebar event listeners with handlers
     this.sidebar.setupEventListeners({
       onClearAll: () => this.clearAll(),
+      onDeleteVector: (slot) => this.deleteVector(slot),
       onCoordModeChange: (e) => {
         this.coordinateMode = e.target.value;
         this.updateUI();
+        // Display preference isn't undoable, but it is part of the saved workspace
+        if (window.PersistenceService) {
+          window.PersistenceService.scheduleSave();
+        }
       },
       onAdd: () => this.performAdd(),
       onSubtract: () => this.performSubtract(),
-      onScale: (vectorNum) => this.performScale(vectorNum),
+      onScale: (slot) => this.performScale(slot),
       onDot: () => this.performDot(),
       onProject: () => this.performProject(),
       onAngle: () => this.performAngleBetween(),
-      onNormalize: (vectorNum) => this.performNormalize(vectorNum),
-      onPerpendicular: (vectorNum) => this.performPerpendicular(vectorNum),
-      onReflectV1: () => this.performReflect(1),
-      onReflectV2: () => this.performReflect(2),
+      onNormalize: (slot) => this.performNormalize(slot),
+      onPerpendicular: (slot) => this.performPerpendicular(slot),
+      onReflect: (slot) => this.performReflect(slot),
       onLinearCombo: () => this.performLinearCombination(),
       onLinearComboInputChange: () => this.sidebar.updateLinearComboButton()
     });
@@ -188,7 +207,92 @@ class VectorMode {
 
   // Check if mouse is near vector endpoint (for editing)
   checkEndpointHit(mouseScreenX, mouseScreenY) {
-    return this.canvasRenderer.checkEndpointHit(mouseScreenX, mouseScreenY, this.vector1, this.vector2);
+    return this.canvasRenderer.checkEndpointHit(mouseScreenX, mouseScreenY, this.vectors);
+  }
+
+  // ============================================================================
+  // VECTOR LIST
+  // ============================================================================
+
+  /**
+   * Create a user vector with the label and color that belong to its slot
+   * @param {number} slot - 1-based slot
+   * @param {number} x - X component
+   * @param {number} y - Y component
+   * @returns {Vector} Vector tagged with its slot
+   */
+  createVector(slot, x, y) {
+    const vector = new Vector(x, y, this.styleConstants.vectorPalette[slot - 1].color, `v${FormatUtils.subscript(slot)}`);
+    vector.slot = slot;
+    return vector;
+  }
+
+  /**
+   * @param {number} slot - 1-based slot
+   * @returns {Vector|null} Vector in that slot, or null
+   */
+  getVector(slot) {
+    return this.vectors.find(v => v.slot === slot) || null;
+  }
+
+  /**
+   * Lowest free slot, so a deleted vector's label and color are reused by the next one drawn
+   * @returns {number|null} Slot, or null when maxVectors is reached
+   */
+  nextFreeSlot() {
+    for (let slot = 1; slot <= this.maxVectors; slot++) {
+      if (!this.getVector(slot)) return slot;
+    }
+    return null;
+  }
+
+  /**
+   * Insert a vector keeping the list ordered by slot
+   * @param {Vector} vector - Vector created by createVector
+   * @private
+   */
+  insertVector(vector) {
+    this.vectors.push(vector);
+    this.vectors.sort((a, b) => a.slot - b.slot);
+  }
+
+  /**
+   * Remove one vector
+   * @param {number} slot - Slot of the vector to delete
+   */
+  deleteVector(slot) {
+    const vector = this.getVector(slot);
+    if (!vector || this.isAnimating) return;
+
+    const before = this.getState();
+
+    this.vectors = this.vectors.filter(v => v !== vector);
+    if (this.hoveredVector === slot) {
+      this.hoveredVector = null;
+    }
+
+    // Results may have been computed from the deleted vector
+    this.resultVector = null;
+    this.stopParallelogram();
+    this.angleArcState = null;
+    this.stepOperation = null;
+    this.sidebar.clearResults();
+
+    this.updateUI();
+    this.render();
+    logAction(`Vector deleted: v${slot}`);
+
+    this.recordHistory(`Delete ${vector.label}`, before);
+  }
+
+  /**
+   * Operands chosen in the sidebar for two-vector operations
+   * @returns {{first: Vector|null, second: Vector|null}}
+   * @private
+   */
+  getOperands() {
+    const { first, second } = this.sidebar.getOperandSlots();
+    return { first: this.getVector(first), second: this.getVector(second) };
   }
 
   // ============================================================================
@@ -198,8 +302,7 @@ class VectorMode {
   render() {
     // Render canvas only - no UI updates during render
     this.canvasRenderer.render({
-      vector1: this.vector1,
-      vector2: this.vector2,
+      vectors: this.vectors,
       resultVector: this.resultVector,
       drawingVector: this.drawingVector,
       isDrawing: this.isDrawing,
@@ -218,10 +321,10 @@ class VectorMode {
    */
   updateUI() {
     // Update vector info display
-    this.sidebar.updateVectorInfo(this.vector1, this.vector2, this.coordinateMode);
+    this.sidebar.updateVectorInfo(this.vectors, this.coordinateMode, this.maxVectors);
 
     // Update button states
-    this.sidebar.updateButtonStates(this.vector1, this.vector2);
+    this.sidebar.updateButtonStates(this.vectors);
 
     // Update operation group visibility
     this.sidebar.updateOperationGroupVisibility(this.appConfig);
@@ -239,8 +342,17 @@ class VectorMode {
     };
   }
 
+  /**
+   * Whether a mousedown pans the view instead of drawing (middle button or Shift+drag)
+   * @param {MouseEvent} e - Mouse event
+   * @returns {boolean}
+   */
+  isPanGesture(e) {
+    return e.button === 1 || (e.button === 0 && e.shiftKey);
+  }
+
   handleMouseDown(e) {
-    if (this.isAnimating) return;
+    if (this.isAnimating || this.isPanGesture(e)) return;
 
     const pos = this.getMousePos(e);
     const mathPos = this.screenToMath(pos.x, pos.y);
@@ -248,6 +360,8 @@ class VectorMode {
     // Check if clicking on an existing vector endpoint for editing
     const hitVector = this.checkEndpointHit(pos.x, pos.y);
 
+    this.stateBeforeInteraction = this.getState();
+
     if (hitVector) {
       // Start editing existing vector
       this.isEditing = true;
@@ -262,16 +376,13 @@ class VectorMode {
       y: this.snapToGrid(mathPos.y)
     };
 
-    // Start drawing a new vector
-    if (!this.vector1) {
-      this.isDrawing = true;
-      this.drawingVector = new Vector(0, 0, this.styleConstants.colors.vector1, 'v₁');
-    } else if (!this.vector2 && this.appConfig.vectorMode.maxVectors >= 2) {
+    // Start drawing a new vector in the first free slot (nothing happens at maxVectors)
+    const slot = this.nextFreeSlot();
+    if (slot !== null) {
       this.isDrawing = true;
-      this.drawingVector = new Vector(0, 0, this.styleConstants.colors.vector2, 'v₂');
+      this.drawingVector = this.createVector(slot, 0, 0);
+      this.canvas.classList.add('dragging');
     }
-
-    this.canvas.classList.add('dragging');
   }
 
   handleMouseMove(e) {
@@ -284,18 +395,17 @@ class VectorMode {
       const snappedY = this.snapToGrid(mathPos.y);
 
       // Update the vector being edited
-      if (this.editTarget === 'vector1' && this.vector1) {
-        this.vector1.x = snappedX;
-        this.vector1.y = snappedY;
-      } else if (this.editTarget === 'vector2' && this.vector2) {
-        this.vector2.x = snappedX;
-        this.vector2.y = snappedY;
+      const target = this.getVector(this.editTarget);
+      if (target) {
+        target.x = snappedX;
+        target.y = snappedY;
       }
 
       // Clear result vector, parallelogram, and angle arc when editing
       this.resultVector = null;
-      this.parallelogramState = null;
+      this.stopParallelogram();
       this.angleArcState = null;
+      this.stopSteps();
       this.updateUI(); // Update UI when vector changes
       this.render();
       return;
@@ -314,7 +424,8 @@ class VectorMode {
       return;
     }
 
-    // Handle hover detection (when not drawing or editing)
+    // Handle hover detection (when not drawing, editing or panning)
+    if (this.viewController.isPanning()) return;
     const hitVector = this.checkEndpointHit(pos.x, pos.y);
     if (hitVector !== this.hoveredVector) {
       this.hoveredVector = hitVector;
@@ -327,14 +438,12 @@ class VectorMode {
     // Handle editing mode
     if (this.isEditing) {
       // Log vector editing
-      if (this.editTarget === 'vector1' && this.vector1) {
-        const mag = this.vector1.magnitude().toFixed(2);
-        const angle = this.vector1.angleDegrees().toFixed(2);
-        logAction(`Vector edited: v1 to (${this.vector1.x.toFixed(1)}, ${this.vector1.y.toFixed(1)}), magnitude: ${mag}, angle: ${angle}°`);
-      } else if (this.editTarget === 'vector2' && this.vector2) {
-        const mag = this.vector2.magnitude().toFixed(2);
-        const angle = this.vector2.angleDegrees().toFixed(2);
-        logAction(`Vector edited: v2 to (${this.vector2.x.toFixed(1)}, ${this.vector2.y.toFixed(1)}), magnitude: ${mag}, angle: ${angle}°`);
+      const edited = this.getVector(this.editTarget);
+      if (edited) {
+        const mag = edited.magnitude().toFixed(2);
+        const angle = edited.angleDegrees().toFixed(2);
+        logAction(`Vector edited: v${edited.slot} to (${edited.x.toFixed(1)}, ${edited.y.toFixed(1)}), magnitude: ${mag}, angle: ${angle}°`);
+        this.recordHistory(`Move ${edited.label}`, this.stateBeforeInteraction);
       }
 
       this.isEditing = false;
@@ -360,22 +469,15 @@ class VectorMode {
 
     // Only create vector if it has non-zero magnitude
     if (this.drawingVector && (this.drawingVector.x !== 0 || this.drawingVector.y !== 0)) {
-      if (!this.vector1) {
-        this.vector1 = this.drawingVector;
-        // Log vector creation
-        const mag = this.vector1.magnitude().toFixed(2);
-        const angle = this.vector1.angleDegrees().toFixed(2);
-        logAction(`Vector created: v1 at (${this.vector1.x.toFixed(1)}, ${this.vector1.y.toFixed(1)}), magnitude: ${mag}, angle: ${angle}°`);
-      } else if (!this.vector2 && this.appConfig.vectorMode.maxVectors >= 2) {
-        // Only allow second vector if maxVectors is 2 or more
-        this.vector2 = this.drawingVector;
-        // Log vector creation
-        const mag = this.vector2.magnitude().toFixed(2);
-        const angle = this.vector2.angleDegrees().toFixed(2);
-        logAction(`Vector created: v2 at (${this.vector2.x.toFixed(1)}, ${this.vector2.y.toFixed(1)}), magnitude: ${mag}, angle: ${angle}°`);
-      }
+      const created = this.drawingVector;
+      this.insertVector(created);
+      // Log vector creation
+      const mag = created.magnitude().toFixed(2);
+      const angle = created.angleDegrees().toFixed(2);
+      logAction(`Vector created: v${created.slot} at (${created.x.toFixed(1)}, ${created.y.toFixed(1)}), magnitude: ${mag}, angle: ${angle}°`);
       this.resultVector = null; // Clear any previous result
       this.updateUI(); // Update UI when vector is created
+      this.recordHistory(`Draw ${this.drawingVector.label}`, this.stateBeforeInteraction);
     }
 
     this.drawingVector = null;
@@ -397,21 +499,28 @@ class VectorMode {
   // ============================================================================
 
   clearAll() {
-    this.vector1 = null;
-    this.vector2 = null;
+    const before = this.getState();
+
+    this.vectors = [];
     this.resultVector = null;
-    this.parallelogramState = null;
+    this.stopParallelogram();
     this.angleArcState = null;
+    this.stepOperation = null;
     this.sidebar.clearResults(); // Clear results panel
     this.updateUI(); // Update UI after clearing
     this.render();
     // Log canvas clear
     logAction('Canvas cleared');
+
+    this.recordHistory('Clear all vectors', before);
   }
 
   performAdd() {
-    const opResult = this.operations.add(this.vector1, this.vector2);
+    const { first, second } = this.getOperands();
+    const opResult = this.operations.add(first, second);
     if (!opResult) return;
+    this.recordResult('Add', opResult, [first, second]);
+    if (this.startSteps(opResult)) return;
 
     // Animate parallelogram construction
     this.animateParallelogram(
@@ -426,8 +535,11 @@ class VectorMode {
   }
 
   performSubtract() {
-    const opResult = this.operations.subtract(this.vector1, this.vector2);
+    const { first, second } = this.getOperands();
+    const opResult = this.operations.subtract(first, second);
     if (!opResult) return;
+    this.recordResult('Subtract', opResult, [first, second]);
+    if (this.startSteps(opResult)) return;
 
     // Animate parallelogram with v1 and -v2
     this.animateParallelogram(
@@ -441,16 +553,17 @@ class VectorMode {
     );
   }
 
-  performScale(vectorNum) {
+  performScale(slot) {
     const scalar = this.sidebar.getScalarInput();
     if (isNaN(scalar)) return;
 
-    const vector = vectorNum === 1 ? this.vector1 : this.vector2;
-    const opResult = this.operations.scale(vector, scalar, vectorNum);
+    const opResult = this.operations.scale(this.getVector(slot), scalar);
     if (!opResult) return;
+    this.recordResult('Scale', opResult, [this.getVector(slot), `k = ${scalar}`]);
+    if (this.startSteps(opResult)) return;
 
     // Clear visualization states
-    if (opResult.clearParallelogram) this.parallelogramState = null;
+    if (opResult.clearParallelogram) this.stopParallelogram();
     if (opResult.clearAngleArc) this.angleArcState = null;
 
     // Animate result
@@ -460,11 +573,14 @@ class VectorMode {
   }
 
   performDot() {
-    const opResult = this.operations.dot(this.vector1, this.vector2);
+    const { first, second } = this.getOperands();
+    const opResult = this.operations.dot(first, second);
     if (!opResult) return;
+    this.recordResult('Dot product', opResult, [first, second]);
+    if (this.startSteps(opResult)) return;
 
     // Clear visualization states
-    if (opResult.clearParallelogram) this.parallelogramState = null;
+    if (opResult.clearParallelogram) this.stopParallelogram();
     if (opResult.clearAngleArc) this.angleArcState = null;
 
     this.resultVector = null;
@@ -473,11 +589,14 @@ class VectorMode {
   }
 
   performProject() {
-    const opResult = this.operations.project(this.vector1, this.vector2);
+    const { first, second } = this.getOperands();
+    const opResult = this.operations.project(first, second);
     if (!opResult) return;
+    this.recordResult('Project', opResult, [first, second]);
+    if (this.startSteps(opResult)) return;
 
     // Clear visualization states
-    if (opResult.clearParallelogram) this.parallelogramState = null;
+    if (opResult.clearParallelogram) this.stopParallelogram();
     if (opResult.clearAngleArc) this.angleArcState = null;
 
     // Animate result
@@ -487,11 +606,14 @@ class VectorMode {
   }
 
   performAngleBetween() {
-    const opResult = this.operations.angleBetween(this.vector1, this.vector2);
+    const { first, second } = this.getOperands();
+    const opResult = this.operations.angleBetween(first, second);
     if (!opResult) return;
+    this.recordResult('Angle between', opResult, [first, second]);
+    if (this.startSteps(opResult)) return;
 
     // Clear visualization states
-    if (opResult.clearParallelogram) this.parallelogramState = null;
+    if (opResult.clearParallelogram) this.stopParallelogram();
     if (opResult.angleArcState) this.angleArcState = opResult.angleArcState;
 
     this.resultVector = null;
@@ -499,13 +621,14 @@ class VectorMode {
     this.sidebar.displayResult(...opResult.resultLines);
   }
 
-  performNormalize(vectorNum) {
-    const vector = vectorNum === 1 ? this.vector1 : this.vector2;
-    const opResult = this.operations.normalize(vector, vectorNum);
+  performNormalize(slot) {
+    const opResult = this.operations.normalize(this.getVector(slot));
     if (!opResult) return;
+    this.recordResult('Normalize', opResult, [this.getVector(slot)]);
+    if (this.startSteps(opResult)) return;
 
     // Clear visualization states
-    if (opResult.clearParallelogram) this.parallelogramState = null;
+    if (opResult.clearParallelogram) this.stopParallelogram();
     if (opResult.clearAngleArc) this.angleArcState = null;
 
     // Animate result
@@ -514,13 +637,14 @@ class VectorMode {
     });
   }
 
-  performPerpendicular(vectorNum) {
-    const vector = vectorNum === 1 ? this.vector1 : this.vector2;
-    const opResult = this.operations.perpendicular(vector, vectorNum);
+  performPerpendicular(slot) {
+    const opResult = this.operations.perpendicular(this.getVector(slot));
     if (!opResult) return;
+    this.recordResult('Perpendicular', opResult, [this.getVector(slot)]);
+    if (this.startSteps(opResult)) return;
 
     // Clear visualization states
-    if (opResult.clearParallelogram) this.parallelogramState = null;
+    if (opResult.clearParallelogram) this.stopParallelogram();
     if (opResult.clearAngleArc) this.angleArcState = null;
 
     // Animate result
@@ -529,14 +653,15 @@ class VectorMode {
     });
   }
 
-  performReflect(vectorNum) {
-    const vector = vectorNum === 1 ? this.vector1 : this.vector2;
-    const reflectionType = this.sidebar.getReflectionType(vectorNum);
-    const opResult = this.operations.reflect(vector, vectorNum, reflectionType);
+  performReflect(slot) {
+    const reflectionType = this.sidebar.getReflectionType();
+    const opResult = this.operations.reflect(this.getVector(slot), reflectionType);
     if (!opResult) return;
+    this.recordResult('Reflect', opResult, [this.getVector(slot), `across ${reflectionType}`]);
+    if (this.startSteps(opResult)) return;
 
     // Clear visualization states
-    if (opResult.clearParallelogram) this.parallelogramState = null;
+    if (opResult.clearParallelogram) this.stopParallelogram();
     if (opResult.clearAngleArc) this.angleArcState = null;
 
     // Animate result
@@ -549,8 +674,11 @@ class VectorMode {
     const { scalarA, scalarB } = this.sidebar.getLinearComboScalars();
     if (isNaN(scalarA) || isNaN(scalarB)) return;
 
-    const opResult = this.operations.linearCombination(this.vector1, this.vector2, scalarA, scalarB);
+    const { first, second } = this.getOperands();
+    const opResult = this.operations.linearCombination(first, second, scalarA, scalarB);
     if (!opResult) return;
+    this.recordResult('Linear combination', opResult, [first, second, `a = ${scalarA}`, `b = ${scalarB}`]);
+    if (this.startSteps(opResult)) return;
 
     // Animate with parallelogram showing scaled vectors
     this.animateParallelogram(
@@ -600,31 +728,20 @@ class VectorMode {
    * Then triggers result vector animation
    *
    * @param {Vector} resultVector - The final result vector to animate after parallelogram
-   * @param {Vector} vector1 - First vector (usually v₁)
-   * @param {Vector} vector2 - Second vector (v₂ for addition, -v₂ for subtraction)
+   * @param {Vector} vector1 - First operand
+   * @param {Vector} vector2 - Second operand (negated for subtraction)
    * @param {Vector} negatedVector2 - For subtraction: -v₂ to draw dashed; null for addition
    * @param {Function} onComplete - Callback when all animations complete
    * @param {Object} linearComboData - Optional: {scaledV1, scaledV2, scalarA, scalarB} for linear combination visualization
    */
   animateParallelogram(resultVector, vector1, vector2, negatedVector2, onComplete, linearComboData = null) {
-    this.parallelogramState = {
-      startTime: performance.now(),
-      v1Progress: 0,
-      v2Progress: 0,
-      edgeOpacity: 0,
-      useVector1: vector1,
-      useVector2: vector2,
-      negatedVector2: negatedVector2,
-      isLinearCombination: linearComboData !== null,
-      scaledV1: linearComboData?.scaledV1 || null,
-      scaledV2: linearComboData?.scaledV2 || null,
-      scalarA: linearComboData?.scalarA || null,
-      scalarB: linearComboData?.scalarB || null
-    };
+    this.stopParallelogram();
+    this.parallelogramState = this.createParallelogramState(vector1, vector2, negatedVector2, linearComboData);
 
     const totalDuration = this.styleConstants.parallelogram.staggerDelay + this.styleConstants.parallelogram.translateDuration;
 
     const animate = (currentTime) => {
+      this.parallelogramFrame = null;
       const elapsed = currentTime - this.parallelogramState.startTime;
 
       // Phase 1: Fade in edges (0-200ms)
@@ -649,7 +766,7 @@ class VectorMode {
       this.render(); // Only render canvas, no UI updates
 
       if (elapsed < totalDuration) {
-        requestAnimationFrame(animate);
+        this.parallelogramFrame = requestAnimationFrame(animate);
       } else {
         // Parallelogram animation complete, now animate result vector
         this.parallelogramState.v1Progress = 1;
@@ -662,7 +779,256 @@ class VectorMode {
       }
     };
 
-    requestAnimationFrame(animate);
+    this.parallelogramFrame = requestAnimationFrame(animate);
+  }
+
+  /**
+   * Remove the parallelogram and stop its construction animation if it's still running
+   * @private
+   */
+  stopParallelogram() {
+    if (this.parallelogramFrame !== null) {
+      cancelAnimationFrame(this.parallelogramFrame);
+      this.parallelogramFrame = null;
+    }
+    this.parallelogramState = null;
+  }
+
+  /**
+   * Parallelogram state with nothing drawn yet (see animateParallelogram for the parameters)
+   * @returns {Object} { startTime, v1Progress, v2Progress, edgeOpacity, useVector1, useVector2, ... }
+   * @private
+   */
+  createParallelogramState(vector1, vector2, negatedVector2, linearComboData = null) {
+    return {
+      startTime: performance.now(),
+      v1Progress: 0,
+      v2Progress: 0,
+      edgeOpacity: 0,
+      useVector1: vector1,
+      useVector2: vector2,
+      negatedVector2: negatedVector2,
+      isLinearCombination: linearComboData !== null,
+      scaledV1: linearComboData?.scaledV1 || null,
+      scaledV2: linearComboData?.scaledV2 || null,
+      scalarA: linearComboData?.scalarA || null,
+      scalarB: linearComboData?.scalarB || null
+    };
+  }
+
+  // ============================================================================
+  // SHOW STEPS
+  // ============================================================================
+
+  /**
+   * With "Show steps" on, list an operation's steps and draw the first one instead of playing it through
+   * @param {Object} opResult - Result from VectorOperations (with steps)
+   * @returns {boolean} Whether the operation is being stepped through
+   */
+  startSteps(opResult) {
+    if (!opResult.steps || !this.sidebar.isStepMode()) return false;
+
+    this.stepOperation = opResult;
+    this.resultVector = null;
+    this.stopParallelogram();
+    this.angleArcState = null;
+    this.sidebar.showSteps(opResult.steps.map(step => step.text));
+    this.applyStep(0);
+    return true;
+  }
+
+  /**
+   * Draw what one step of the current operation adds to the picture
+   * Moves from the current drawing to the step's, so Next and Previous both animate
+   * @param {number} index - Step index
+   * @param {boolean} [animate=true] - False to jump straight there
+   */
+  applyStep(index, animate = true) {
+    const operation = this.stepOperation;
+    if (!operation || !operation.steps[index]) return;
+
+    if (this.animationControl) {
+      this.animationControl.cancel();
+      this.animationControl = null;
+    }
+
+    const { result = null, parallelogram = null, angleArc = null } = operation.steps[index].visual;
+    this.angleArcState = angleArc;
+
+    if (!parallelogram) {
+      this.stopParallelogram();
+    } else if (!this.parallelogramState) {
+      const { v1, v2, negatedV2, isLinearCombination } = operation.parallelogramVectors;
+      this.parallelogramState = this.createParallelogramState(v1, v2, negatedV2,
+        isLinearCombination ? operation.parallelogramVectors : null);
+      this.parallelogramState.edgeOpacity = 1;
+    }
+
+    const state = this.parallelogramState;
+    const from = state ? { v1: state.v1Progress, v2: state.v2Progress } : null;
+    const fromResult = this.resultVector || (result && new Vector(0, 0, result.color, ''));
+
+    const setProgress = (eased) => {
+      if (state) {
+        state.v1Progress = Animator.lerp(from.v1, parallelogram.v1Progress, eased);
+        state.v2Progress = Animator.lerp(from.v2, parallelogram.v2Progress, eased);
+      }
+      this.resultVector = result ? Animator.lerpVector(fromResult, result, eased) : null;
+      this.render();
+    };
+
+    if (!animate) {
+      this.isAnimating = false;
+      setProgress(1);
+      return;
+    }
+
+    this.isAnimating = true;
+    this.animationControl = Animator.animate({
+      duration: this.styleConstants.animationDuration,
+      easingFunction: Animator.easeOutCubic,
+      onFrame: setProgress,
+      onComplete: () => {
+        this.isAnimating = false;
+        this.animationControl = null;
+      }
+    });
+  }
+
+  /**
+   * "Show steps" was switched in the results panel
+   * Switching it off mid-way finishes the current operation as if it had played through
+   * @param {boolean} enabled
+   */
+  handleStepModeChange(enabled) {
+    logAction(`Show steps ${enabled ? 'enabled' : 'disabled'}`);
+
+    const operation = this.stepOperation;
+    if (enabled || !operation) return;
+
+    this.applyStep(operation.steps.length - 1, false);
+    this.stepOperation = null;
+    this.sidebar.displayResult(...operation.resultLines);
+  }
+
+  /**
+   * Drop the steps being shown (their numbers no longer match the vectors)
+   * @private
+   */
+  stopSteps() {
+    if (!this.stepOperation) return;
+
+    this.stepOperation = null;
+    this.sidebar.clearResults();
+  }
+
+  // ============================================================================
+  // RESULTS HISTORY
+  // ============================================================================
+
+  /**
+   * Add an operation's result to the results history
+   * @param {string} label - Operation name
+   * @param {Object} opResult - Result from VectorOperations
+   * @param {Array<Vector|string>} operands - Vectors it was computed from, plus any settings as text
+   * @private
+   */
+  recordResult(label, opResult, operands) {
+    if (!window.ResultsHistoryService) return;
+
+    const inputs = operands
+      .filter(Boolean)
+      .map(operand => (typeof operand === 'string'
+        ? operand
+        : `${operand.label} = [${operand.x.toFixed(1)}, ${operand.y.toFixed(1)}]`))
+      .join(', ');
+
+    window.ResultsHistoryService.record({
+      mode: 'vector',
+      label,
+      inputs,
+      state: this.getState(),
+      lines: opResult.resultLines
+    });
+  }
+
+  /**
+   * Put back the vectors a results-history entry was computed from and show its result again
+   * @param {Object} entry - Entry from ResultsHistoryService
+   */
+  restoreResult(entry) {
+    const before = this.getState();
+    this.applyState(entry.state);
+    this.sidebar.displayResult(...entry.lines);
+
+    logAction(`Restored inputs of ${entry.label} from the results history`);
+    this.recordHistory(`Restore ${entry.label} inputs`, before);
+  }
+
+  // ============================================================================
+  // STATE SNAPSHOTS (undo/redo)
+  // ============================================================================
+
+  /**
+   * Serialize the user-editable state of this mode
+   * @returns {Object} Plain-object snapshot
+   */
+  getState() {
+    return {
+      vectors: this.vectors.map(v => ({ slot: v.slot, x: v.x, y: v.y })),
+      coordinateMode: this.coordinateMode
+    };
+  }
+
+  /**
+   * Replace the current state with a snapshot from getState()
+   * @param {Object} state - Snapshot to apply
+   */
+  applyState(state) {
+    if (!state) return;
+
+    if (this.animationControl) {
+      this.animationControl.cancel();
+      this.animationControl = null;
+    }
+    this.isAnimating = false;
+
+    // Links and imported files are user input: drop malformed entries, repeated slots
+    // and slots beyond maxVectors (e.g. a link made with a larger config)
+    const seenSlots = new Set();
+    this.vectors = (Array.isArray(state.vectors) ? state.vectors : [])
+      .filter(v => v && Number.isInteger(v.slot) && v.slot >= 1 && v.slot <= this.maxVectors &&
+        typeof v.x === 'number' && isFinite(v.x) && typeof v.y === 'number' && isFinite(v.y))
+      .filter(v => !seenSlots.has(v.slot) && seenSlots.add(v.slot))
+      .map(v => this.createVector(v.slot, v.x, v.y))
+      .sort((a, b) => a.slot - b.slot);
+
+    if (state.coordinateMode === 'cartesian' || state.coordinateMode === 'polar') {
+      this.coordinateMode = state.coordinateMode;
+      this.sidebar.setCoordinateMode(state.coordinateMode);
+    }
+
+    // Results were computed from the old vectors
+    this.resultVector = null;
+    this.stopParallelogram();
+    this.angleArcState = null;
+    this.stepOperation = null;
+    this.sidebar.clearResults();
+
+    this.updateUI();
+    this.render();
+  }
+
+  /**
+   * Record a change in the shared undo history
+   * @param {string} label - Description of the change
+   * @param {Object} before - Snapshot taken before the change
+   * @private
+   */
+  recordHistory(label, before) {
+    if (window.HistoryService && before) {
+      window.HistoryService.record({ mode: 'vector', label, before, after: this.getState() });
+    }
   }
 
   // ============================================================================
@@ -681,9 +1047,7 @@ class VectorMode {
    * @returns {Array<Vector>} Array of current vectors
    */
   getVectors() {
-    const vectors = [];
-    if (this.vector1) vectors.push(this.vector1);
-    if (this.vector2) vectors.push(this.vector2);
+    const vectors = [...this.vectors];
     if (this.resultVector) vectors.push(this.resultVector);
     return vectors;
   }
@@ -702,6 +1066,12 @@ class VectorMode {
       this.canvasEventListeners = [];
     }
 
+    // Remove zoom/pan handlers
+    if (this.viewController) {
+      this.viewController.destroy();
+      this.viewController = null;
+    }
+
     // Unsubscribe from theme service
     if (this.themeUnsubscribe) {
       this.themeUnsubscribe();
@@ -725,11 +1095,11 @@ class VectorMode {
     }
 
     // Clear state
-    this.vector1 = null;
-    this.vector2 = null;
+    this.vectors = [];
     this.resultVector = null;
-    this.parallelogramState = null;
+    this.stopParallelogram();
     this.angleArcState = null;
+    this.stepOperation = null;
     this.isAnimating = false;
     this.isDrawing = false;
     this.isEditing = false;
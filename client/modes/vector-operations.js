@@ -2,6 +2,12 @@
  * VectorOperations Class
  * Encapsulates vector math operations and result formatting
  * Returns operation results without side effects
+ *
+ * Every result also carries steps: the worked solution for "Show steps", as
+ * [{ text, visual }] where visual says what VectorMode draws at that step:
+ *   result        - Vector to show as the (dashed) result
+ *   parallelogram - { v1Progress, v2Progress } for the translated copies of parallelogramVectors
+ *   angleArc      - Angle arc state to draw between two vectors
  */
 
 class VectorOperations {
@@ -17,6 +23,7 @@ class VectorOperations {
 
   /**
    * Perform vector addition
+   * Operands can be any two vectors; their labels (v₁, v₃, ...) are used in the formulas
    * @param {Vector} vector1 - First vector
    * @param {Vector} vector2 - Second vector
    * @returns {Object} Operation result with result vector and formatted strings
@@ -24,19 +31,32 @@ class VectorOperations {
   add(vector1, vector2) {
     if (!vector1 || !vector2) return null;
 
+    const a = vector1.label;
+    const b = vector2.label;
     const result = vector1.add(vector2);
-    result.label = 'v₁ + v₂';
+    result.label = `${a} + ${b}`;
 
     // Log operation
-    logAction(`Add operation: v1 (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) + v2 (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
+    logAction(`Add operation: ${a} (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) + ${b} (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
 
-    const formula = `v₁ + v₂ = [${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}] + [${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}]`;
-    const resultText = `= [${result.x.toFixed(1)}, ${result.y.toFixed(1)}]`;
+    const formula = `${a} + ${b} = [${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}] + [${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}]`;
+    const resultText = this.resultLine(result, 1);
+    const closed = { v1Progress: 1, v2Progress: 1 };
 
     return {
       resultVector: result,
       parallelogramVectors: { v1: vector1, v2: vector2, negatedV2: null },
-      resultLines: [formula, resultText]
+      resultLines: [formula, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        { text: `Place the tail of ${b} at the tip of ${a}`, visual: { parallelogram: { v1Progress: 0, v2Progress: 1 } } },
+        { text: `${a} placed at the tip of ${b} ends at the same corner, so ${a} + ${b} = ${b} + ${a}`, visual: { parallelogram: closed } },
+        {
+          text: `Add matching components: [${vector1.x.toFixed(1)} + ${vector2.x.toFixed(1)}, ${vector1.y.toFixed(1)} + ${vector2.y.toFixed(1)}]`,
+          visual: { parallelogram: closed }
+        },
+        { text: resultText, visual: { parallelogram: closed, result } }
+      ]
     };
   }
 
@@ -49,27 +69,43 @@ class VectorOperations {
   subtract(vector1, vector2) {
     if (!vector1 || !vector2) return null;
 
+    const a = vector1.label;
+    const b = vector2.label;
     const result = vector1.subtract(vector2);
-    result.label = 'v₁ - v₂';
+    result.label = `${a} - ${b}`;
 
     // Log operation
-    logAction(`Subtract operation: v1 (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) - v2 (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
+    logAction(`Subtract operation: ${a} (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) - ${b} (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
 
     // Create negated v2 for parallelogram visualization (v1 - v2 = v1 + (-v2))
     const negV2 = new Vector(
       -vector2.x,
       -vector2.y,
       vector2.color,
-      '-v₂'
+      `-${b}`
     );
 
-    const formula = `v₁ - v₂ = [${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}] - [${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}]`;
-    const resultText = `= [${result.x.toFixed(1)}, ${result.y.toFixed(1)}]`;
+    const formula = `${a} - ${b} = [${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}] - [${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}]`;
+    const resultText = this.resultLine(result, 1);
+    const closed = { v1Progress: 1, v2Progress: 1 };
 
     return {
       resultVector: result,
       parallelogramVectors: { v1: vector1, v2: negV2, negatedV2: negV2 },
-      resultLines: [formula, resultText]
+      resultLines: [formula, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        {
+          text: `Subtracting ${b} means adding its opposite: -${b} = [${negV2.x.toFixed(1)}, ${negV2.y.toFixed(1)}]`,
+          visual: { parallelogram: { v1Progress: 0, v2Progress: 0 } }
+        },
+        { text: `Place the tail of -${b} at the tip of ${a}`, visual: { parallelogram: { v1Progress: 0, v2Progress: 1 } } },
+        {
+          text: `Subtract matching components: [${vector1.x.toFixed(1)} - ${vector2.x.toFixed(1)}, ${vector1.y.toFixed(1)} - ${vector2.y.toFixed(1)}]`,
+          visual: { parallelogram: closed }
+        },
+        { text: resultText, visual: { parallelogram: closed, result } }
+      ]
     };
   }
 
@@ -77,27 +113,42 @@ class VectorOperations {
    * Perform scalar multiplication
    * @param {Vector} vector - Vector to scale
    * @param {number} scalar - Scalar value
-   * @param {number} vectorNum - Vector number (1 or 2) for labeling
    * @returns {Object} Operation result with result vector and formatted strings
    */
-  scale(vector, scalar, vectorNum) {
+  scale(vector, scalar) {
     if (!vector || isNaN(scalar)) return null;
 
     const result = vector.scale(scalar);
-    result.label = `${scalar}v${vectorNum === 1 ? '₁' : '₂'}`;
+    result.label = `${scalar}${vector.label}`;
     result.color = this.styleConstants.colors.result;  // Use green for scaled vectors
 
     // Log operation
-    logAction(`Scale operation: v${vectorNum} (${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}) * ${scalar}. Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
+    logAction(`Scale operation: ${vector.label} (${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}) * ${scalar}. Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
 
-    const formula = `${scalar}v${vectorNum} = ${scalar} × [${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}]`;
-    const resultText = `= [${result.x.toFixed(1)}, ${result.y.toFixed(1)}]`;
+    const formula = `${scalar}${vector.label} = ${scalar} × [${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}]`;
+    const resultText = this.resultLine(result, 1);
+
+    let direction = 'same direction';
+    if (scalar < 0) direction = 'opposite direction';
+    if (scalar === 0) direction = 'no direction (the zero vector)';
 
     return {
       resultVector: result,
       clearParallelogram: true,
       clearAngleArc: true,
-      resultLines: [formula, resultText]
+      resultLines: [formula, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        {
+          text: `Multiply each component by ${scalar}: [${scalar} × ${vector.x.toFixed(1)}, ${scalar} × ${vector.y.toFixed(1)}]`,
+          visual: {}
+        },
+        { text: resultText, visual: { result } },
+        {
+          text: `||${result.label}|| = |${scalar}| × ||${vector.label}|| = ${result.magnitude().toFixed(2)}, ${direction}`,
+          visual: { result }
+        }
+      ]
     };
   }
 
@@ -110,20 +161,34 @@ class VectorOperations {
   dot(vector1, vector2) {
     if (!vector1 || !vector2) return null;
 
+    const a = vector1.label;
+    const b = vector2.label;
     const dotProduct = vector1.dot(vector2);
 
     // Log operation
-    logAction(`Dot product: v1 (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) · v2 (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: ${dotProduct.toFixed(2)}`);
+    logAction(`Dot product: ${a} (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) · ${b} (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: ${dotProduct.toFixed(2)}`);
 
-    const formula = `v₁ · v₂ = [${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}] · [${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}]`;
+    const formula = `${a} · ${b} = [${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}] · [${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}]`;
     const calculation = `= (${vector1.x.toFixed(1)} × ${vector2.x.toFixed(1)}) + (${vector1.y.toFixed(1)} × ${vector2.y.toFixed(1)})`;
-    const resultText = `= ${dotProduct.toFixed(2)}`;
+    const resultText = MathRender.render(MathRender.row('=', MathRender.num(dotProduct, 2)));
+
+    let meaning = `The dot product is 0, so ${a} and ${b} are perpendicular`;
+    if (dotProduct > 1e-10) meaning = `The dot product is positive, so ${a} and ${b} are less than 90° apart`;
+    if (dotProduct < -1e-10) meaning = `The dot product is negative, so ${a} and ${b} are more than 90° apart`;
+    const arc = this.angleArc(vector1, vector2);
 
     return {
       resultVector: null,
       clearParallelogram: true,
       clearAngleArc: true,
-      resultLines: [formula, calculation, resultText]
+      resultLines: [formula, calculation, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        { text: `Multiply the x components: ${vector1.x.toFixed(1)} × ${vector2.x.toFixed(1)} = ${(vector1.x * vector2.x).toFixed(2)}`, visual: {} },
+        { text: `Multiply the y components: ${vector1.y.toFixed(1)} × ${vector2.y.toFixed(1)} = ${(vector1.y * vector2.y).toFixed(2)}`, visual: {} },
+        { text: `Add the products: ${a} · ${b} ${resultText}`, visual: {} },
+        { text: meaning, visual: { angleArc: arc } }
+      ]
     };
   }
 
@@ -136,25 +201,44 @@ class VectorOperations {
   project(vector1, vector2) {
     if (!vector1 || !vector2) return null;
 
+    const a = vector1.label;
+    const b = vector2.label;
     const result = vector1.projectOnto(vector2);
-    result.label = 'proj_v₂(v₁)';
+    result.label = `proj_${b}(${a})`;
 
     // Log operation
-    logAction(`Project operation: v1 (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) onto v2 (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: (${result.x.toFixed(2)}, ${result.y.toFixed(2)})`);
+    logAction(`Project operation: ${a} (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) onto ${b} (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: (${result.x.toFixed(2)}, ${result.y.toFixed(2)})`);
 
     const dotProduct = vector1.dot(vector2);
     const mag2Squared = vector2.x * vector2.x + vector2.y * vector2.y;
     const scalar = dotProduct / mag2Squared;
 
-    const formula = `proj_v₂(v₁) = ((v₁·v₂)/(v₂·v₂)) × v₂`;
-    const calculation = `= ((${dotProduct.toFixed(2)})/(${mag2Squared.toFixed(2)})) × [${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}]`;
-    const resultText = `= [${result.x.toFixed(2)}, ${result.y.toFixed(2)}]`;
+    const formula = MathRender.render(MathRender.row(
+      MathRender.sub('proj', b), MathRender.fenced('(', a), '=', MathRender.frac(`${a}·${b}`, `${b}·${b}`), b
+    ));
+    const calculation = MathRender.render(MathRender.row(
+      '=', MathRender.frac(MathRender.num(dotProduct, 2), MathRender.num(mag2Squared, 2)), '×', this.componentsNode(vector2, 1)
+    ));
+    const resultText = this.resultLine(result, 2);
 
     return {
       resultVector: result,
       clearParallelogram: true,
       clearAngleArc: true,
-      resultLines: [formula, calculation, resultText]
+      resultLines: [formula, calculation, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        {
+          text: `${a}·${b} = (${vector1.x.toFixed(1)} × ${vector2.x.toFixed(1)}) + (${vector1.y.toFixed(1)} × ${vector2.y.toFixed(1)}) = ${dotProduct.toFixed(2)}`,
+          visual: {}
+        },
+        {
+          text: `${b}·${b} = (${vector2.x.toFixed(1)})² + (${vector2.y.toFixed(1)})² = ${mag2Squared.toFixed(2)}`,
+          visual: {}
+        },
+        { text: `Scale factor: ${dotProduct.toFixed(2)} / ${mag2Squared.toFixed(2)} = ${scalar.toFixed(3)}`, visual: {} },
+        { text: `${scalar.toFixed(3)} × [${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}] ${resultText}`, visual: { result } }
+      ]
     };
   }
 
@@ -167,129 +251,167 @@ class VectorOperations {
   angleBetween(vector1, vector2) {
     if (!vector1 || !vector2) return null;
 
+    const a = vector1.label;
+    const b = vector2.label;
     const angleRad = vector1.angleBetween(vector2);
     const angleDeg = vector1.angleBetweenDegrees(vector2);
 
     // Log operation
-    logAction(`Angle between: v1 (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) and v2 (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: ${angleDeg.toFixed(2)}°`);
+    logAction(`Angle between: ${a} (${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}) and ${b} (${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}). Result: ${angleDeg.toFixed(2)}°`);
 
     const dotProduct = vector1.dot(vector2);
     const mag1 = vector1.magnitude();
     const mag2 = vector2.magnitude();
-
-    const formula = `θ = arccos((v₁·v₂)/(||v₁||×||v₂||))`;
-    const calculation = `= arccos((${dotProduct.toFixed(2)})/(${mag1.toFixed(2)}×${mag2.toFixed(2)}))`;
+    const exactMag1 = vector1.exactMagnitude(); // e.g. √2 rather than 1.41
+    const exactMag2 = vector2.exactMagnitude();
+
+    const formula = MathRender.render(MathRender.row(
+      'θ = arccos', MathRender.fenced('(', MathRender.frac(`${a}·${b}`, `‖${a}‖ ‖${b}‖`))
+    ));
+    const calculation = MathRender.render(MathRender.row(
+      '= arccos',
+      MathRender.fenced('(', MathRender.frac(MathRender.num(dotProduct, 2), MathRender.row(MathRender.num(exactMag1 || mag1, 2), '×', MathRender.num(exactMag2 || mag2, 2))))
+    ));
     const resultText = `= ${angleDeg.toFixed(2)}° (${angleRad.toFixed(3)} radians)`;
+    const angleArcState = {
+      vector1: vector1,
+      vector2: vector2,
+      angleRadians: angleRad,
+      angleDegrees: angleDeg
+    };
 
     return {
       resultVector: null,
       clearParallelogram: true,
-      angleArcState: {
-        vector1: vector1,
-        vector2: vector2,
-        angleRadians: angleRad,
-        angleDegrees: angleDeg
-      },
-      resultLines: [formula, calculation, resultText]
+      angleArcState,
+      resultLines: [formula, calculation, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        { text: `${a}·${b} = ${dotProduct.toFixed(2)}`, visual: {} },
+        { text: `||${a}|| = √((${vector1.x.toFixed(1)})² + (${vector1.y.toFixed(1)})²) = ${mag1.toFixed(2)}`, visual: {} },
+        { text: `||${b}|| = √((${vector2.x.toFixed(1)})² + (${vector2.y.toFixed(1)})²) = ${mag2.toFixed(2)}`, visual: {} },
+        {
+          text: `cos θ = ${dotProduct.toFixed(2)} / (${mag1.toFixed(2)} × ${mag2.toFixed(2)}) = ${Math.cos(angleRad).toFixed(3)}`,
+          visual: {}
+        },
+        { text: `θ = arccos(${Math.cos(angleRad).toFixed(3)}) ${resultText}`, visual: { angleArc: angleArcState } }
+      ]
     };
   }
 
   /**
    * Normalize a vector
    * @param {Vector} vector - Vector to normalize
-   * @param {number} vectorNum - Vector number (1 or 2) for labeling
    * @returns {Object} Operation result with result vector and formatted strings
    */
-  normalize(vector, vectorNum) {
+  normalize(vector) {
     if (!vector) return null;
 
+    const unitLabel = vector.label.replace(/^v/, 'û'); // v₃ → û₃
     const result = vector.normalize();
-    result.label = vectorNum === 1 ? 'û₁' : 'û₂';
+    result.label = unitLabel;
     result.color = this.styleConstants.colors.result;  // Use green for normalized vectors
     result.lineWidth = 4;  // Thicker line for better visibility
 
     // Log operation
-    logAction(`Normalize operation: v${vectorNum} (${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}). Result: (${result.x.toFixed(3)}, ${result.y.toFixed(3)})`);
+    logAction(`Normalize operation: ${vector.label} (${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}). Result: (${result.x.toFixed(3)}, ${result.y.toFixed(3)})`);
 
     const mag = vector.magnitude();
-    const formula = `û${vectorNum} = v${vectorNum}/||v${vectorNum}||`;
-    const calculation = `= [${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}]/${mag.toFixed(2)}`;
-    const resultText = `= [${result.x.toFixed(3)}, ${result.y.toFixed(3)}] (magnitude = 1.0)`;
+    const exactMag = vector.exactMagnitude();
+    const formula = MathRender.render(MathRender.row(`${unitLabel} =`, MathRender.frac(vector.label, `‖${vector.label}‖`)));
+    const calculation = MathRender.render(MathRender.row('=', MathRender.frac(this.componentsNode(vector, 1), MathRender.num(exactMag || mag, 2))));
+    const resultText = `${this.resultLine(result, 3)} (magnitude = 1.0)`;
 
     return {
       resultVector: result,
       clearParallelogram: true,
       clearAngleArc: true,
-      resultLines: [formula, calculation, resultText]
+      resultLines: [formula, calculation, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        { text: `||${vector.label}|| = √((${vector.x.toFixed(1)})² + (${vector.y.toFixed(1)})²) = ${mag.toFixed(2)}`, visual: {} },
+        {
+          text: `Divide each component by ${mag.toFixed(2)}: [${vector.x.toFixed(1)}/${mag.toFixed(2)}, ${vector.y.toFixed(1)}/${mag.toFixed(2)}]`,
+          visual: {}
+        },
+        { text: resultText, visual: { result } }
+      ]
     };
   }
 
   /**
    * Get perpendicular vector
    * @param {Vector} vector - Vector to get perpendicular of
-   * @param {number} vectorNum - Vector number (1 or 2) for labeling
    * @returns {Object} Operation result with result vector and formatted strings
    */
-  perpendicular(vector, vectorNum) {
+  perpendicular(vector) {
     if (!vector) return null;
 
     const result = vector.perpendicular();
-    result.label = vectorNum === 1 ? 'v₁⊥' : 'v₂⊥';
-    result.color = vectorNum === 1 ? this.styleConstants.colors.vector1 : this.styleConstants.colors.vector2;
+    result.label = `${vector.label}⊥`;
+    result.color = vector.color;
 
     // Log operation
-    logAction(`Perpendicular operation: v${vectorNum} (${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}). Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
+    logAction(`Perpendicular operation: ${vector.label} (${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}). Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
 
-    const formula = `v${vectorNum}⊥ = [-y, x] (90° rotation)`;
+    const formula = `${vector.label}⊥ = [-y, x] (90° rotation)`;
     const calculation = `= [${-vector.y.toFixed(1)}, ${vector.x.toFixed(1)}]`;
-    const resultText = `= [${result.x.toFixed(1)}, ${result.y.toFixed(1)}]`;
+    const resultText = this.resultLine(result, 1);
 
     return {
       resultVector: result,
       clearParallelogram: true,
       clearAngleArc: true,
-      resultLines: [formula, resultText]
+      resultLines: [formula, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        { text: `Swap the components and negate the new x: ${calculation}`, visual: { result } },
+        {
+          text: `Check: ${vector.label} · ${vector.label}⊥ = (${vector.x.toFixed(1)})(${result.x.toFixed(1)}) + (${vector.y.toFixed(1)})(${result.y.toFixed(1)}) = 0`,
+          visual: { result, angleArc: this.angleArc(vector, result) }
+        }
+      ]
     };
   }
 
   /**
    * Reflect a vector
    * @param {Vector} vector - Vector to reflect
-   * @param {number} vectorNum - Vector number (1 or 2) for labeling
    * @param {string} reflectionType - 'x-axis', 'y-axis', or 'diagonal'
    * @returns {Object} Operation result with result vector and formatted strings
    */
-  reflect(vector, vectorNum, reflectionType) {
+  reflect(vector, reflectionType) {
     if (!vector) return null;
 
+    const label = vector.label;
     let result, axis, formula;
 
     // Perform the appropriate reflection
     switch(reflectionType) {
       case 'x-axis':
         result = vector.reflectX();
-        result.label = `v${vectorNum}_reflₓ`;
+        result.label = `${label}_reflₓ`;
         axis = 'X-axis';
-        formula = `Reflect v${vectorNum} across X-axis: (x, y) → (x, -y)`;
+        formula = `Reflect ${label} across X-axis: (x, y) → (x, -y)`;
         break;
       case 'y-axis':
         result = vector.reflectY();
-        result.label = `v${vectorNum}_refly`;
+        result.label = `${label}_refly`;
         axis = 'Y-axis';
-        formula = `Reflect v${vectorNum} across Y-axis: (x, y) → (-x, y)`;
+        formula = `Reflect ${label} across Y-axis: (x, y) → (-x, y)`;
         break;
       case 'diagonal':
         result = vector.reflectDiagonal();
-        result.label = `v${vectorNum}_reflᵈ`;
+        result.label = `${label}_reflᵈ`;
         axis = 'diagonal (y=x)';
-        formula = `Reflect v${vectorNum} across y=x: (x, y) → (y, x)`;
+        formula = `Reflect ${label} across y=x: (x, y) → (y, x)`;
         break;
       default:
         return null;
     }
 
     // Log operation
-    logAction(`Reflect ${axis}: v${vectorNum} (${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}). Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
+    logAction(`Reflect ${axis}: ${label} (${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}). Result: (${result.x.toFixed(1)}, ${result.y.toFixed(1)})`);
 
     const calculation = `[${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}] → [${result.x.toFixed(1)}, ${result.y.toFixed(1)}]`;
 
@@ -297,7 +419,11 @@ class VectorOperations {
       resultVector: result,
       clearParallelogram: true,
       clearAngleArc: true,
-      resultLines: [formula, calculation]
+      resultLines: [formula, calculation],
+      steps: [
+        { text: formula, visual: {} },
+        { text: calculation, visual: { result } }
+      ]
     };
   }
 
@@ -312,29 +438,33 @@ class VectorOperations {
   linearCombination(vector1, vector2, scalarA, scalarB) {
     if (!vector1 || !vector2 || isNaN(scalarA) || isNaN(scalarB)) return null;
 
-    // Calculate scaled vectors with proper labels
+    const a = vector1.label;
+    const b = vector2.label;
+
+    // Scaled vectors keep their operand's color (drawn dashed and translucent)
     const scaledV1 = vector1.scale(scalarA);
-    scaledV1.label = `${scalarA}v₁`;
-    scaledV1.color = this.styleConstants.parallelogram.v1CopyColor; // Use parallelogram v1 color for consistency
+    scaledV1.label = `${scalarA}${a}`;
+    scaledV1.color = vector1.color;
 
     const scaledV2 = vector2.scale(scalarB);
-    scaledV2.label = `${scalarB}v₂`;
-    scaledV2.color = this.styleConstants.parallelogram.v2CopyColor; // Use parallelogram v2 color for consistency
+    scaledV2.label = `${scalarB}${b}`;
+    scaledV2.color = vector2.color;
 
     // Calculate result: av₁ + bv₂
     const result = new Vector(
       scaledV1.x + scaledV2.x,
       scaledV1.y + scaledV2.y,
       this.styleConstants.colors.result,
-      `${scalarA}v₁ + ${scalarB}v₂`
+      `${scalarA}${a} + ${scalarB}${b}`
     );
 
     // Log operation
-    logAction(`Linear combination: ${scalarA}v1 + ${scalarB}v2. Result: (${result.x.toFixed(2)}, ${result.y.toFixed(2)})`);
+    logAction(`Linear combination: ${scalarA}${a} + ${scalarB}${b}. Result: (${result.x.toFixed(2)}, ${result.y.toFixed(2)})`);
 
-    const formula = `${scalarA}v₁ + ${scalarB}v₂`;
+    const formula = `${scalarA}${a} + ${scalarB}${b}`;
     const calculation = `= ${scalarA}[${vector1.x.toFixed(1)}, ${vector1.y.toFixed(1)}] + ${scalarB}[${vector2.x.toFixed(1)}, ${vector2.y.toFixed(1)}]`;
-    const resultText = `= [${result.x.toFixed(2)}, ${result.y.toFixed(2)}]`;
+    const resultText = this.resultLine(result, 2);
+    const closed = { v1Progress: 1, v2Progress: 1 };
 
     return {
       resultVector: result,
@@ -348,8 +478,60 @@ class VectorOperations {
         scalarA: scalarA,
         scalarB: scalarB
       },
-      resultLines: [formula, calculation, resultText]
+      resultLines: [formula, calculation, resultText],
+      steps: [
+        { text: formula, visual: {} },
+        {
+          text: `Scale each vector: ${scaledV1.label} = [${scaledV1.x.toFixed(2)}, ${scaledV1.y.toFixed(2)}], ${scaledV2.label} = [${scaledV2.x.toFixed(2)}, ${scaledV2.y.toFixed(2)}]`,
+          visual: { parallelogram: { v1Progress: 0, v2Progress: 0 } }
+        },
+        { text: `Place the tail of ${scaledV2.label} at the tip of ${scaledV1.label}`, visual: { parallelogram: { v1Progress: 0, v2Progress: 1 } } },
+        {
+          text: `Add matching components: [${scaledV1.x.toFixed(2)} + ${scaledV2.x.toFixed(2)}, ${scaledV1.y.toFixed(2)} + ${scaledV2.y.toFixed(2)}]`,
+          visual: { parallelogram: closed }
+        },
+        { text: resultText, visual: { parallelogram: closed, result } }
+      ]
     };
   }
-}
 
+  /**
+   * Angle arc state between two vectors, for a step visual
+   * @param {Vector} vector1 - First vector
+   * @param {Vector} vector2 - Second vector
+   * @returns {Object|null} { vector1, vector2, angleRadians, angleDegrees }, or null when either is zero
+   * @private
+   */
+  angleArc(vector1, vector2) {
+    if (vector1.magnitude() < 1e-10 || vector2.magnitude() < 1e-10) return null;
+
+    return {
+      vector1,
+      vector2,
+      angleRadians: vector1.angleBetween(vector2),
+      angleDegrees: vector1.angleBetweenDegrees(vector2)
+    };
+  }
+
+  /**
+   * Result line "= [x, y]"
+   * @param {Vector} vector - Result vector
+   * @param {number} precision - Decimal places
+   * @returns {string} HTML
+   * @private
+   */
+  resultLine(vector, precision) {
+    return MathRender.render(MathRender.row('=', this.componentsNode(vector, precision)));
+  }
+
+  /**
+   * Math node for a vector written as [x, y]
+   * @param {Vector} vector - Vector to write out
+   * @param {number} precision - Decimal places
+   * @returns {Object} MathRender node
+   * @private
+   */
+  componentsNode(vector, precision) {
+    return MathRender.fenced('[', MathRender.row(MathRender.num(vector.x, precision), ',', MathRender.num(vector.y, precision)));
+  }
+}
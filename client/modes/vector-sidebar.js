@@ -11,11 +11,9 @@ class VectorSidebar {
 
     // Cache all DOM element references once
     this.elements = {
-      // Vector info displays
-      v1Coords: this.root.querySelector('#v1-coords'),
-      v1Magnitude: this.root.querySelector('#v1-magnitude'),
-      v2Coords: this.root.querySelector('#v2-coords'),
-      v2Magnitude: this.root.querySelector('#v2-magnitude'),
+      // Vector list (cards are rendered by renderVectorList)
+      vectorList: this.root.querySelector('#vector-list'),
+      vectorCount: this.root.querySelector('#vector-count'),
 
       // Control buttons
       canvasReset: this.root.querySelector('#canvas-reset'),
@@ -29,8 +27,7 @@ class VectorSidebar {
       opAngle: this.root.querySelector('#op-angle'),
       opNormalize: this.root.querySelector('#op-normalize'),
       opPerpendicular: this.root.querySelector('#op-perpendicular'),
-      opReflectV1: this.root.querySelector('#op-reflect-v1'),
-      opReflectV2: this.root.querySelector('#op-reflect-v2'),
+      opReflect: this.root.querySelector('#op-reflect'),
       opLinearCombo: this.root.querySelector('#op-linear-combo'),
 
       // Inputs
@@ -39,9 +36,15 @@ class VectorSidebar {
       lcScalarB: this.root.querySelector('#lc-scalar-b'),
 
       // Other elements
-      vector2Control: this.root.querySelector('#vector2-control')
+      operandControl: this.root.querySelector('#operand-control')
     };
 
+    // Slot list the vector cards were last built for (cards are rebuilt only when it changes)
+    this.renderedSlotsKey = null;
+
+    // Labels of the vectors that exist, by slot (for operand dropdowns and button text)
+    this.vectorLabels = new Map();
+
     // Initialize ResultsPanel for result display
     const resultsElement = document.querySelector('#vector-results');
     if (resultsElement && this.parentMode) {
@@ -49,11 +52,17 @@ class VectorSidebar {
         emptyMessage: 'Perform an operation to see results',
         canvasContainer: document.querySelector('.canvas-container'),
         coordSystem: this.parentMode.coordSystem,
-        modeInstance: this.parentMode
+        modeInstance: this.parentMode,
+        onStepChange: (index) => this.parentMode.applyStep(index),
+        onStepModeChange: (enabled) => this.parentMode.handleStepModeChange(enabled),
+        historyMode: 'vector',
+        onHistoryRestore: (entry) => this.parentMode.restoreResult(entry)
       });
     } else {
       this.resultsPanel = resultsElement ? new ResultsPanel(resultsElement, {
-        emptyMessage: 'Perform an operation to see results'
+        emptyMessage: 'Perform an operation to see results',
+        historyMode: 'vector',
+        onHistoryRestore: (entry) => this.parentMode.restoreResult(entry)
       }) : null;
     }
 
@@ -87,23 +96,10 @@ class VectorSidebar {
       });
     }
 
-    // Reflection type dropdowns
-    const reflectTypeV1Container = this.root.querySelector('#reflect-type-v1-dropdown');
-    if (reflectTypeV1Container && window.Dropdown) {
-      this.dropdowns.reflectTypeV1 = new window.Dropdown(reflectTypeV1Container, {
-        items: [
-          { value: 'x-axis', label: 'X-axis' },
-          { value: 'y-axis', label: 'Y-axis' },
-          { value: 'diagonal', label: 'Diagonal (y=x)' }
-        ],
-        selectedValue: 'x-axis',
-        growToFit: true
-      });
-    }
-
-    const reflectTypeV2Container = this.root.querySelector('#reflect-type-v2-dropdown');
-    if (reflectTypeV2Container && window.Dropdown) {
-      this.dropdowns.reflectTypeV2 = new window.Dropdown(reflectTypeV2Container, {
+    // Reflection type dropdown
+    const reflectTypeContainer = this.root.querySelector('#reflect-type-dropdown');
+    if (reflectTypeContainer && window.Dropdown) {
+      this.dropdowns.reflectType = new window.Dropdown(reflectTypeContainer, {
         items: [
           { value: 'x-axis', label: 'X-axis' },
           { value: 'y-axis', label: 'Y-axis' },
@@ -114,42 +110,33 @@ class VectorSidebar {
       });
     }
 
-    // Vector selection dropdowns
-    const scaleVectorContainer = this.root.querySelector('#scale-vector-dropdown');
-    if (scaleVectorContainer && window.Dropdown) {
-      this.dropdowns.scaleVectorSelect = new window.Dropdown(scaleVectorContainer, {
-        items: [
-          { value: 'v1', label: 'v1' },
-          { value: 'v2', label: 'v2' }
-        ],
-        selectedValue: 'v1',
-        growToFit: true
-      });
-    }
+    // Vector selection dropdowns (items are replaced by updateVectorSelectDropdown as vectors come and go)
+    const vectorSelects = {
+      scaleVectorSelect: '#scale-vector-dropdown',
+      normalizeVectorSelect: '#normalize-vector-dropdown',
+      perpendicularVectorSelect: '#perpendicular-vector-dropdown',
+      reflectVectorSelect: '#reflect-vector-dropdown',
+      operandA: '#operand-a-dropdown',
+      operandB: '#operand-b-dropdown'
+    };
 
-    const normalizeVectorContainer = this.root.querySelector('#normalize-vector-dropdown');
-    if (normalizeVectorContainer && window.Dropdown) {
-      this.dropdowns.normalizeVectorSelect = new window.Dropdown(normalizeVectorContainer, {
-        items: [
-          { value: 'v1', label: 'v1' },
-          { value: 'v2', label: 'v2' }
-        ],
-        selectedValue: 'v1',
-        growToFit: true
-      });
-    }
+    Object.entries(vectorSelects).forEach(([key, selector]) => {
+      const container = this.root.querySelector(selector);
+      if (container && window.Dropdown) {
+        this.dropdowns[key] = new window.Dropdown(container, {
+          items: [{ value: 'v1', label: 'v₁' }],
+          selectedValue: 'v1',
+          growToFit: true
+        });
+      }
+    });
 
-    const perpendicularVectorContainer = this.root.querySelector('#perpendicular-vector-dropdown');
-    if (perpendicularVectorContainer && window.Dropdown) {
-      this.dropdowns.perpendicularVectorSelect = new window.Dropdown(perpendicularVectorContainer, {
-        items: [
-          { value: 'v1', label: 'v1' },
-          { value: 'v2', label: 'v2' }
-        ],
-        selectedValue: 'v1',
-        growToFit: true
-      });
-    }
+    // Two-vector button labels follow the chosen operands
+    ['operandA', 'operandB'].forEach(key => {
+      if (this.dropdowns[key]) {
+        this.dropdowns[key].config.onSelect = () => this.updateOperandLabels();
+      }
+    });
   }
 
   /**
@@ -207,6 +194,18 @@ class VectorSidebar {
       this.eventListeners.push({ element: this.elements.canvasReset, event: 'click', handler });
     }
 
+    // Per-vector delete buttons (delegated, since cards are rebuilt as vectors change)
+    if (this.elements.vectorList && handlers.onDeleteVector) {
+      const handler = (e) => {
+        const button = e.target.closest('[data-delete-slot]');
+        if (button) {
+          handlers.onDeleteVector(parseInt(button.getAttribute('data-delete-slot'), 10));
+        }
+      };
+      this.elements.vectorList.addEventListener('click', handler);
+      this.eventListeners.push({ element: this.elements.vectorList, event: 'click', handler });
+    }
+
     // Coordinate mode dropdown
     if (this.dropdowns.coordMode && handlers.onCoordModeChange) {
       // Store handler reference for later use
@@ -236,11 +235,7 @@ class VectorSidebar {
     }
 
     if (this.elements.opScale && handlers.onScale) {
-      const handler = () => {
-        const value = this.dropdowns.scaleVectorSelect ? this.dropdowns.scaleVectorSelect.getValue() : 'v1';
-        const vectorNum = value === 'v1' ? 1 : 2;
-        handlers.onScale(vectorNum);
-      };
+      const handler = () => handlers.onScale(this.getSelectedSlot('scaleVectorSelect'));
       this.elements.opScale.addEventListener('click', handler);
       this.eventListeners.push({ element: this.elements.opScale, event: 'click', handler });
     }
@@ -264,35 +259,21 @@ class VectorSidebar {
     }
 
     if (this.elements.opNormalize && handlers.onNormalize) {
-      const handler = () => {
-        const value = this.dropdowns.normalizeVectorSelect ? this.dropdowns.normalizeVectorSelect.getValue() : 'v1';
-        const vectorNum = value === 'v1' ? 1 : 2;
-        handlers.onNormalize(vectorNum);
-      };
+      const handler = () => handlers.onNormalize(this.getSelectedSlot('normalizeVectorSelect'));
       this.elements.opNormalize.addEventListener('click', handler);
       this.eventListeners.push({ element: this.elements.opNormalize, event: 'click', handler });
     }
 
     if (this.elements.opPerpendicular && handlers.onPerpendicular) {
-      const handler = () => {
-        const value = this.dropdowns.perpendicularVectorSelect ? this.dropdowns.perpendicularVectorSelect.getValue() : 'v1';
-        const vectorNum = value === 'v1' ? 1 : 2;
-        handlers.onPerpendicular(vectorNum);
-      };
+      const handler = () => handlers.onPerpendicular(this.getSelectedSlot('perpendicularVectorSelect'));
       this.elements.opPerpendicular.addEventListener('click', handler);
       this.eventListeners.push({ element: this.elements.opPerpendicular, event: 'click', handler });
     }
 
-    if (this.elements.opReflectV1 && handlers.onReflectV1) {
-      const handler = handlers.onReflectV1;
-      this.elements.opReflectV1.addEventListener('click', handler);
-      this.eventListeners.push({ element: this.elements.opReflectV1, event: 'click', handler });
-    }
-
-    if (this.elements.opReflectV2 && handlers.onReflectV2) {
-      const handler = handlers.onReflectV2;
-      this.elements.opReflectV2.addEventListener('click', handler);
-      this.eventListeners.push({ element: this.elements.opReflectV2, event: 'click', handler });
+    if (this.elements.opReflect && handlers.onReflect) {
+      const handler = () => handlers.onReflect(this.getSelectedSlot('reflectVectorSelect'));
+      this.elements.opReflect.addEventListener('click', handler);
+      this.eventListeners.push({ element: this.elements.opReflect, event: 'click', handler });
     }
 
     if (this.elements.opLinearCombo && handlers.onLinearCombo) {
@@ -310,91 +291,133 @@ class VectorSidebar {
 
   /**
    * Update vector information display
-   * @param {Vector|null} vector1 - First vector or null
-   * @param {Vector|null} vector2 - Second vector or null
+   * @param {Array<Vector>} vectors - User vectors (each with a numeric slot)
    * @param {string} coordinateMode - 'cartesian' or 'polar'
+   * @param {number} maxVectors - Maximum number of vectors allowed
    */
-  updateVectorInfo(vector1, vector2, coordinateMode) {
-    // Update Vector 1
-    if (this.elements.v1Coords && this.elements.v1Magnitude) {
-      if (vector1) {
-        this.elements.v1Coords.textContent = vector1.formatCoordinates(coordinateMode);
-        this.elements.v1Magnitude.textContent = vector1.magnitude().toFixed(2);
-      } else {
-        this.elements.v1Coords.textContent = 'Not created';
-        this.elements.v1Magnitude.textContent = '—';
-      }
+  updateVectorInfo(vectors, coordinateMode, maxVectors) {
+    this.vectorLabels = new Map(vectors.map(v => [v.slot, v.label]));
+
+    if (this.elements.vectorCount) {
+      this.elements.vectorCount.textContent = `${vectors.length} / ${maxVectors}`;
     }
 
-    // Update Vector 2
-    if (this.elements.v2Coords && this.elements.v2Magnitude) {
-      if (vector2) {
-        this.elements.v2Coords.textContent = vector2.formatCoordinates(coordinateMode);
-        this.elements.v2Magnitude.textContent = vector2.magnitude().toFixed(2);
-      } else {
-        this.elements.v2Coords.textContent = 'Not created';
-        this.elements.v2Magnitude.textContent = '—';
-      }
+    if (!this.elements.vectorList) return;
+
+    // Rebuild cards only when vectors are added or removed; dragging just updates text
+    const slotsKey = vectors.map(v => v.slot).join(',');
+    if (slotsKey !== this.renderedSlotsKey) {
+      this.renderVectorList(vectors);
+      this.renderedSlotsKey = slotsKey;
     }
+
+    vectors.forEach(vector => {
+      const card = this.elements.vectorList.querySelector(`[data-slot="${vector.slot}"]`);
+      if (!card) return;
+      card.querySelector('.vector-coords').textContent = vector.formatCoordinates(coordinateMode);
+      card.querySelector('.vector-magnitude').textContent = vector.magnitude().toFixed(2);
+    });
+  }
+
+  /**
+   * Build one info card per vector
+   * @param {Array<Vector>} vectors - User vectors
+   * @private
+   */
+  renderVectorList(vectors) {
+    const list = this.elements.vectorList;
+    list.innerHTML = '';
+
+    if (vectors.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'vector-list-empty body-xsmall';
+      empty.textContent = 'Click and drag on the grid to draw a vector.';
+      list.appendChild(empty);
+      return;
+    }
+
+    vectors.forEach(vector => {
+      const card = document.createElement('div');
+      card.className = 'vector-control';
+      card.setAttribute('data-slot', String(vector.slot));
+      card.innerHTML = `
+        <h3 class="body-medium">
+          Vector ${vector.slot} <span class="vector-label">${vector.label}</span>
+          <button type="button" class="button button-text button-small vector-delete" data-delete-slot="${vector.slot}" aria-label="Delete ${vector.label}" title="Delete ${vector.label}">✕</button>
+        </h3>
+        <div class="vector-info">
+          <div class="info-row body-xsmall">
+            <span class="label">Coordinates:</span>
+            <span class="value vector-coords"></span>
+          </div>
+          <div class="info-row body-xsmall">
+            <span class="label">Magnitude:</span>
+            <span class="value vector-magnitude"></span>
+          </div>
+        </div>`;
+      card.querySelector('.vector-label').style.color = vector.color;
+      list.appendChild(card);
+    });
   }
 
   /**
    * Update button states based on vector availability
-   * @param {Vector|null} vector1 - First vector or null
-   * @param {Vector|null} vector2 - Second vector or null
+   * @param {Array<Vector>} vectors - User vectors
    */
-  updateButtonStates(vector1, vector2) {
-    const bothExist = vector1 && vector2;
-    const v1Exists = !!vector1;
-    const v2Exists = !!vector2;
-    const anyVectorExists = v1Exists || v2Exists;
+  updateButtonStates(vectors) {
+    const hasTwo = vectors.length >= 2;
+    const hasAny = vectors.length > 0;
 
     // Two-vector operations
-    if (this.elements.opAdd) this.elements.opAdd.disabled = !bothExist;
-    if (this.elements.opSubtract) this.elements.opSubtract.disabled = !bothExist;
-    if (this.elements.opDot) this.elements.opDot.disabled = !bothExist;
-    if (this.elements.opProject) this.elements.opProject.disabled = !bothExist;
-    if (this.elements.opAngle) this.elements.opAngle.disabled = !bothExist;
-    if (this.elements.opLinearCombo) this.elements.opLinearCombo.disabled = !bothExist;
+    if (this.elements.opAdd) this.elements.opAdd.disabled = !hasTwo;
+    if (this.elements.opSubtract) this.elements.opSubtract.disabled = !hasTwo;
+    if (this.elements.opDot) this.elements.opDot.disabled = !hasTwo;
+    if (this.elements.opProject) this.elements.opProject.disabled = !hasTwo;
+    if (this.elements.opAngle) this.elements.opAngle.disabled = !hasTwo;
+    if (this.elements.opLinearCombo) this.elements.opLinearCombo.disabled = !hasTwo;
 
     // Single-vector operations
-    if (this.elements.opScale) this.elements.opScale.disabled = !anyVectorExists;
-    if (this.elements.opNormalize) this.elements.opNormalize.disabled = !anyVectorExists;
-    if (this.elements.opPerpendicular) this.elements.opPerpendicular.disabled = !anyVectorExists;
-
-    // Reflection operations
-    if (this.elements.opReflectV1) this.elements.opReflectV1.disabled = !v1Exists;
-    if (this.elements.opReflectV2) this.elements.opReflectV2.disabled = !v2Exists;
-
-    // Manage dropdowns for single-vector operations
-    // Recreate dropdowns with filtered items based on vector availability
-    this.updateVectorSelectDropdown('scaleVectorSelect', v1Exists, v2Exists);
-    this.updateVectorSelectDropdown('normalizeVectorSelect', v1Exists, v2Exists);
-    this.updateVectorSelectDropdown('perpendicularVectorSelect', v1Exists, v2Exists);
+    if (this.elements.opScale) this.elements.opScale.disabled = !hasAny;
+    if (this.elements.opNormalize) this.elements.opNormalize.disabled = !hasAny;
+    if (this.elements.opPerpendicular) this.elements.opPerpendicular.disabled = !hasAny;
+    if (this.elements.opReflect) this.elements.opReflect.disabled = !hasAny;
+
+    // Recreate dropdowns with the vectors that currently exist
+    const items = vectors.map(v => ({ value: `v${v.slot}`, label: v.label }));
+    this.updateVectorSelectDropdown('scaleVectorSelect', items);
+    this.updateVectorSelectDropdown('normalizeVectorSelect', items);
+    this.updateVectorSelectDropdown('perpendicularVectorSelect', items);
+    this.updateVectorSelectDropdown('reflectVectorSelect', items);
+    this.updateVectorSelectDropdown('operandA', items, 0);
+    this.updateVectorSelectDropdown('operandB', items, 1);
+
+    this.updateOperandLabels();
   }
 
   /**
    * Update a vector select dropdown based on vector availability
    * @param {string} dropdownKey - Key in this.dropdowns object
-   * @param {boolean} v1Exists - Whether vector 1 exists
-   * @param {boolean} v2Exists - Whether vector 2 exists
+   * @param {Array<{value: string, label: string}>} availableItems - One item per existing vector
+   * @param {number} [fallbackIndex=0] - Item to select when the current selection is gone
    */
-  updateVectorSelectDropdown(dropdownKey, v1Exists, v2Exists) {
+  updateVectorSelectDropdown(dropdownKey, availableItems, fallbackIndex = 0) {
     const dropdown = this.dropdowns[dropdownKey];
     if (!dropdown) return;
 
-    // Filter items based on availability
-    const availableItems = [];
-    if (v1Exists) availableItems.push({ value: 'v1', label: 'v1' });
-    if (v2Exists) availableItems.push({ value: 'v2', label: 'v2' });
-
     if (availableItems.length === 0) return;
 
-    // Preserve current selection if still valid
+    // Nothing to do if the items are unchanged (avoids rebuilding on every drag frame)
+    const itemsKey = availableItems.map(item => item.value).join(',');
+    if (dropdown.itemsKey === itemsKey) return;
+
+    // Preserve current selection if still valid, unless it was only a stand-in because the
+    // preferred item didn't exist yet (second operand defaults to v₂ once v₂ is drawn)
     const currentValue = dropdown.getValue();
-    const newValue = availableItems.some(item => item.value === currentValue)
-      ? currentValue
-      : availableItems[0].value;
+    const previousCount = dropdown.itemsKey ? dropdown.itemsKey.split(',').length : 0;
+    const fallback = availableItems[Math.min(fallbackIndex, availableItems.length - 1)].value;
+    const keepCurrent = previousCount > fallbackIndex &&
+      availableItems.some(item => item.value === currentValue);
+    const newValue = keepCurrent ? currentValue : fallback;
 
     // Get the container element
     const container = dropdown.container;
@@ -410,6 +433,46 @@ class VectorSidebar {
       growToFit: true,
       onSelect: onSelectHandler
     });
+    this.dropdowns[dropdownKey].itemsKey = itemsKey;
+  }
+
+  /**
+   * Get the slot chosen in a vector select dropdown
+   * @param {string} dropdownKey - Key in this.dropdowns object
+   * @returns {number} Vector slot (1-based)
+   */
+  getSelectedSlot(dropdownKey) {
+    const dropdown = this.dropdowns[dropdownKey];
+    const value = dropdown ? dropdown.getValue() : 'v1';
+    return parseInt(String(value).slice(1), 10);
+  }
+
+  /**
+   * Get the operands chosen for two-vector operations
+   * @returns {{first: number, second: number}} Vector slots
+   */
+  getOperandSlots() {
+    return {
+      first: this.getSelectedSlot('operandA'),
+      second: this.getSelectedSlot('operandB')
+    };
+  }
+
+  /**
+   * Rewrite two-vector button text with the chosen operand labels
+   */
+  updateOperandLabels() {
+    const { first, second } = this.getOperandSlots();
+    const a = this.vectorLabels.get(first) || 'v₁';
+    const b = this.vectorLabels.get(second) || 'v₂';
+
+    if (this.elements.opAdd) this.elements.opAdd.textContent = `Add ${a} + ${b}`;
+    if (this.elements.opSubtract) this.elements.opSubtract.textContent = `Subtract ${a} - ${b}`;
+    if (this.elements.opDot) this.elements.opDot.textContent = `${a} · ${b}`;
+    if (this.elements.opProject) this.elements.opProject.textContent = `Project ${a} onto ${b}`;
+    if (this.elements.opAngle) this.elements.opAngle.textContent = `Angle Between ${a} & ${b}`;
+
+    this.updateLinearComboButton();
   }
 
   /**
@@ -428,7 +491,7 @@ class VectorSidebar {
       }
 
       // Hide operations that require 2 vectors when maxVectors < 2
-      const twoVectorOperations = ['addition', 'dotProduct', 'projectionAngle'];
+      const twoVectorOperations = ['addition', 'dotProduct', 'projectionAngle', 'linearCombination'];
       if (twoVectorOperations.includes(groupName) && maxVectors < 2) {
         return false;
       }
@@ -447,13 +510,9 @@ class VectorSidebar {
       }
     });
 
-    // Show/hide vector panels based on maxVectors configuration
-    if (this.elements.vector2Control) {
-      if (maxVectors >= 2) {
-        this.elements.vector2Control.style.display = '';
-      } else {
-        this.elements.vector2Control.style.display = 'none';
-      }
+    // Operand pickers are only useful when two-vector operations are possible
+    if (this.elements.operandControl) {
+      this.elements.operandControl.style.display = maxVectors >= 2 ? '' : 'none';
     }
   }
 
@@ -476,7 +535,11 @@ class VectorSidebar {
     const aText = roundedA === 1 ? '' : roundedA === -1 ? '-' : roundedA;
     const bText = roundedB >= 0 ? ` + ${roundedB === 1 ? '' : roundedB}` : ` - ${Math.abs(roundedB) === 1 ? '' : Math.abs(roundedB)}`;
 
-    this.elements.opLinearCombo.textContent = `${aText}v₁${bText}v₂`;
+    const { first, second } = this.getOperandSlots();
+    const a = this.vectorLabels.get(first) || 'v₁';
+    const b = this.vectorLabels.get(second) || 'v₂';
+
+    this.elements.opLinearCombo.textContent = `${aText}${a}${bText}${b}`;
   }
 
   /**
@@ -498,6 +561,24 @@ class VectorSidebar {
     }
   }
 
+  /**
+   * Whether "Show steps" is on in the results panel
+   * @returns {boolean}
+   */
+  isStepMode() {
+    return this.resultsPanel ? this.resultsPanel.isStepMode() : false;
+  }
+
+  /**
+   * List the steps of a worked solution, starting at the first
+   * @param {string[]} lines - One line per step
+   */
+  showSteps(lines) {
+    if (this.resultsPanel) {
+      this.resultsPanel.showSteps(lines);
+    }
+  }
+
   /**
    * Get scalar input value
    * @returns {number} Scalar value or NaN
@@ -518,13 +599,11 @@ class VectorSidebar {
   }
 
   /**
-   * Get reflection type for a vector
-   * @param {number} vectorNum - 1 or 2
+   * Get the selected reflection type
    * @returns {string} Reflection type ('x-axis', 'y-axis', 'diagonal')
    */
-  getReflectionType(vectorNum) {
-    const dropdown = vectorNum === 1 ? this.dropdowns.reflectTypeV1 : this.dropdowns.reflectTypeV2;
-    return dropdown ? dropdown.getValue() : 'x-axis';
+  getReflectionType() {
+    return this.dropdowns.reflectType ? this.dropdowns.reflectType.getValue() : 'x-axis';
   }
 
   /**
@@ -535,10 +614,24 @@ class VectorSidebar {
     return this.dropdowns.coordMode ? this.dropdowns.coordMode.getValue() : 'cartesian';
   }
 
+  /**
+   * Set coordinate mode without triggering the change handler
+   * @param {string} mode - 'cartesian' or 'polar'
+   */
+  setCoordinateMode(mode) {
+    if (this.dropdowns.coordMode) {
+      this.dropdowns.coordMode.setValue(mode);
+    }
+  }
+
   /**
    * Clean up all event listeners
    */
   destroy() {
+    if (this.resultsPanel) {
+      this.resultsPanel.destroy();
+    }
+
     if (this.eventListeners) {
       this.eventListeners.forEach(({ element, event, handler }) => {
         if (element && typeof element.removeEventListener === 'function') {
@@ -0,0 +1,459 @@
+/**
+ * Vector3DMode Class
+ * 3D vector workspace: two vectors a and b, their cross product a × b, the
+ * parallelogram they span and the right-hand rule, drawn with TensorCanvas3D
+ */
+
+// Defaults chosen so a × b points straight up the z-axis
+const VECTOR3D_DEFAULTS = {
+  a: [2, 0, 0],
+  b: [1, 2, 0]
+};
+
+class Vector3DMode {
+  constructor(canvas, appConfig, styleConstants, coordSystem, rootElement) {
+    this.canvas = canvas;
+    this.appConfig = appConfig;
+    this.styleConstants = styleConstants;
+    this.coordSystem = coordSystem;
+    this.root = rootElement;
+
+    // State
+    this.vectorA = [...VECTOR3D_DEFAULTS.a];
+    this.vectorB = [...VECTOR3D_DEFAULTS.b];
+
+    // Display toggles (view settings, not part of the undoable state)
+    this.showParallelogram = true;
+    this.showRightHandRule = true;
+
+    // Cache frequently used DOM elements
+    this.elements = {
+      inputsA: ['x', 'y', 'z'].map(axis => this.root.querySelector(`#v3-a${axis}`)),
+      inputsB: ['x', 'y', 'z'].map(axis => this.root.querySelector(`#v3-b${axis}`)),
+      labelA: this.root.querySelector('#v3-label-a'),
+      labelB: this.root.querySelector('#v3-label-b'),
+      crossValue: this.root.querySelector('#v3-cross-value'),
+      areaValue: this.root.querySelector('#v3-area-value'),
+      reset: this.root.querySelector('#vector3d-reset'),
+      swap: this.root.querySelector('#v3-swap'),
+      showParallelogram: this.root.querySelector('#v3-show-parallelogram'),
+      showRightHand: this.root.querySelector('#v3-show-right-hand')
+    };
+
+    // Results overlay shows the component-wise computation
+    const resultsElement = document.querySelector('#vector3d-results');
+    this.resultsPanel = resultsElement ? new ResultsPanel(resultsElement, {
+      emptyMessage: 'Enter two vectors to see a × b',
+      historyMode: 'vector3d',
+      onHistoryRestore: (entry) => this.restoreResult(entry)
+    }) : null;
+
+    this.operations = new Vector3DOperations(appConfig, styleConstants);
+    this.lastResult = null;
+
+    // Colors
+    this.colors = {};
+    this.themeUnsubscribe = null;
+    this.loadColors();
+
+    // Event listener references for cleanup
+    this.eventListeners = [];
+
+    // Subscribe to theme changes
+    if (window.CanvasThemeService) {
+      this.themeUnsubscribe = window.CanvasThemeService.subscribe(() => {
+        this.loadColors();
+        this.render();
+      });
+    }
+
+    // Reuse the tensor renderer for camera, projection and drawing primitives;
+    // start from the isometric preset so the xy-plane is seen from above
+    this.canvas3D = new TensorCanvas3D(canvas, {
+      onRender: () => this.render()
+    }, this.colors, styleConstants, { defaultView: 'isometric' });
+
+    this.setupEventListeners();
+    this.applyLabelColors();
+    this.updateInputFields();
+    this.updateToggleButtons();
+    this.updateResults();
+    this.render();
+  }
+
+  loadColors() {
+    const themeColors = window.CanvasThemeService.getColors();
+    const domainColors = this.styleConstants.colors;
+    this.colors = {
+      ...themeColors,
+      vectorA: domainColors.vector1,
+      vectorB: domainColors.vector2,
+      cross: domainColors.result,
+      parallelogram: domainColors.crossParallelogram,
+      rightHandArc: domainColors.rightHandArc
+    };
+
+    if (this.coordSystem) {
+      this.coordSystem.updateColors(this.colors);
+    }
+
+    if (this.canvas3D) {
+      this.canvas3D.setColors(this.colors);
+    }
+  }
+
+  /**
+   * Color the a and b labels in the sidebar to match their arrows
+   * @private
+   */
+  applyLabelColors() {
+    if (this.elements.labelA) this.elements.labelA.style.color = this.colors.vectorA;
+    if (this.elements.labelB) this.elements.labelB.style.color = this.colors.vectorB;
+  }
+
+  /**
+   * Add an event listener and remember it for destroy()
+   * @private
+   */
+  listen(element, event, handler) {
+    if (!element) return;
+    element.addEventListener(event, handler);
+    this.eventListeners.push({ element, event, handler });
+  }
+
+  setupEventListeners() {
+    this.elements.inputsA.forEach(input => this.listen(input, 'input', () => this.handleVectorInput('a')));
+    this.elements.inputsB.forEach(input => this.listen(input, 'input', () => this.handleVectorInput('b')));
+
+    this.listen(this.elements.reset, 'click', () => this.handleReset());
+    this.listen(this.elements.swap, 'click', () => this.handleSwap());
+    this.listen(this.elements.showParallelogram, 'click', () => {
+      this.showParallelogram = !this.showParallelogram;
+      logAction(`Cross product parallelogram ${this.showParallelogram ? 'shown' : 'hidden'}`);
+      this.updateToggleButtons();
+      this.render();
+    });
+    this.listen(this.elements.showRightHand, 'click', () => {
+      this.showRightHandRule = !this.showRightHandRule;
+      logAction(`Right-hand rule arc ${this.showRightHandRule ? 'shown' : 'hidden'}`);
+      this.updateToggleButtons();
+      this.render();
+    });
+  }
+
+  // ============================================================================
+  // INPUT HANDLERS
+  // ============================================================================
+
+  /**
+   * Read one vector's inputs into state
+   * @param {string} name - 'a' or 'b'
+   */
+  handleVectorInput(name) {
+    const before = this.getState();
+    const inputs = name === 'a' ? this.elements.inputsA : this.elements.inputsB;
+    const components = inputs.map(input => parseFloat(input.value) || 0);
+
+    if (name === 'a') {
+      this.vectorA = components;
+    } else {
+      this.vectorB = components;
+    }
+
+    this.updateResults();
+    logAction(`3D vector ${name} changed to [${components.map(c => c.toFixed(1)).join(', ')}], a × b = ${this.lastResult.result.formatCoordinates(2)}`);
+    this.render();
+    this.recordHistory(`Edit ${name}`, before, `vector3d-${name}`);
+    this.recordResult(`vector3d-${name}`);
+  }
+
+  handleReset() {
+    const before = this.getState();
+    this.vectorA = [...VECTOR3D_DEFAULTS.a];
+    this.vectorB = [...VECTOR3D_DEFAULTS.b];
+    this.canvas3D.resetCamera();
+
+    logAction(`3D vectors reset: a = [${this.vectorA.join(', ')}], b = [${this.vectorB.join(', ')}]`);
+    this.updateInputFields();
+    this.updateResults();
+    this.render();
+    this.recordHistory('Reset 3D vectors', before);
+    this.recordResult();
+  }
+
+  /**
+   * Swap a and b, which flips a × b (anticommutativity: b × a = −(a × b))
+   */
+  handleSwap() {
+    const before = this.getState();
+    [this.vectorA, this.vectorB] = [this.vectorB, this.vectorA];
+
+    this.updateInputFields();
+    this.updateResults();
+    logAction(`3D vectors swapped, a × b = ${this.lastResult.result.formatCoordinates(2)}`);
+    this.render();
+    this.recordHistory('Swap a and b', before);
+    this.recordResult();
+  }
+
+  // ============================================================================
+  // UI UPDATES
+  // ============================================================================
+
+  updateInputFields() {
+    this.elements.inputsA.forEach((input, i) => { if (input) input.value = this.vectorA[i]; });
+    this.elements.inputsB.forEach((input, i) => { if (input) input.value = this.vectorB[i]; });
+  }
+
+  updateToggleButtons() {
+    if (this.elements.showParallelogram) {
+      this.elements.showParallelogram.textContent = this.showParallelogram ? 'Hide Parallelogram' : 'Show Parallelogram';
+    }
+    if (this.elements.showRightHand) {
+      this.elements.showRightHand.textContent = this.showRightHandRule ? 'Hide Right-Hand Rule' : 'Show Right-Hand Rule';
+    }
+  }
+
+  /**
+   * Recompute a × b and refresh the sidebar summary and results overlay
+   */
+  updateResults() {
+    this.lastResult = this.operations.cross(this.getVectorA(), this.getVectorB());
+    const { result, area, resultLines } = this.lastResult;
+
+    if (this.elements.crossValue) {
+      this.elements.crossValue.textContent = result.formatCoordinates(2);
+    }
+    if (this.elements.areaValue) {
+      this.elements.areaValue.textContent = area.toFixed(2);
+    }
+    if (this.resultsPanel) {
+      this.resultsPanel.show(...resultLines);
+    }
+  }
+
+  /**
+   * @returns {VectorN} - Vector a
+   */
+  getVectorA() {
+    return new VectorN(this.vectorA, this.colors.vectorA, 'a');
+  }
+
+  /**
+   * @returns {VectorN} - Vector b
+   */
+  getVectorB() {
+    return new VectorN(this.vectorB, this.colors.vectorB, 'b');
+  }
+
+  // ============================================================================
+  // RESULTS HISTORY
+  // ============================================================================
+
+  /**
+   * Add the current a × b to the results history
+   * @param {string} [mergeKey] - Merge the results of typing into one input into one entry
+   * @private
+   */
+  recordResult(mergeKey = null) {
+    if (!window.ResultsHistoryService || !this.lastResult) return;
+
+    const format = (components) => `[${components.map(c => c.toFixed(1)).join(', ')}]`;
+    window.ResultsHistoryService.record({
+      mode: 'vector3d',
+      label: 'a × b',
+      inputs: `a = ${format(this.vectorA)}, b = ${format(this.vectorB)}`,
+      state: this.getState(),
+      lines: this.lastResult.resultLines,
+      mergeKey
+    });
+  }
+
+  /**
+   * Put back the vectors a results-history entry was computed from
+   * (applyState() recomputes and shows a × b)
+   * @param {Object} entry - Entry from ResultsHistoryService
+   */
+  restoreResult(entry) {
+    const before = this.getState();
+    this.applyState(entry.state);
+
+    logAction(`Restored inputs of ${entry.label} from the results history`);
+    this.recordHistory(`Restore ${entry.label} inputs`, before);
+  }
+
+  // ============================================================================
+  // STATE SNAPSHOTS (undo/redo)
+  // ============================================================================
+
+  /**
+   * Serialize the user-editable state of this mode
+   * @returns {Object} Plain-object snapshot
+   */
+  getState() {
+    return {
+      a: [...this.vectorA],
+      b: [...this.vectorB]
+    };
+  }
+
+  /**
+   * Replace the current state with a snapshot from getState()
+   * @param {Object} state - Snapshot to apply
+   */
+  applyState(state) {
+    if (!state) return;
+
+    const isVector3 = (v) => Array.isArray(v) && v.length === 3 && v.every(c => typeof c === 'number' && isFinite(c));
+    if (isVector3(state.a)) this.vectorA = [...state.a];
+    if (isVector3(state.b)) this.vectorB = [...state.b];
+
+    this.updateInputFields();
+    this.updateResults();
+    this.render();
+  }
+
+  /**
+   * Record a change in the shared undo history
+   * @param {string} label - Description of the change
+   * @param {Object} before - Snapshot taken before the change
+   * @param {string} [mergeKey] - Merge rapid edits of the same input into one entry
+   * @private
+   */
+  recordHistory(label, before, mergeKey = null) {
+    if (window.HistoryService) {
+      window.HistoryService.record({ mode: 'vector3d', label, before, after: this.getState(), mergeKey });
+    }
+  }
+
+  // ============================================================================
+  // RENDERING
+  // ============================================================================
+
+  /**
+   * Map math coordinates to TensorCanvas3D scene coordinates
+   * The renderer is y-up with z pointing into the screen, which is left-handed;
+   * swapping y and z gives a right-handed, z-up scene so a × b visibly obeys
+   * the right-hand rule.
+   * @param {number[]} v - [x, y, z] in math coordinates
+   * @returns {{x: number, y: number, z: number}} - Scene point
+   */
+  toScene([x, y, z]) {
+    return { x, y: z, z: y };
+  }
+
+  render() {
+    const c3d = this.canvas3D;
+    if (!c3d || !this.lastResult) return;
+
+    c3d.clear();
+    c3d.drawGrid(5, 1); // Renderer's y = 0 plane is the math xy-plane
+    this.drawAxes(5);
+
+    const origin = this.toScene([0, 0, 0]);
+    const a = this.vectorA;
+    const b = this.vectorB;
+    const { result, isParallel, area } = this.lastResult;
+
+    if (this.showParallelogram && !isParallel) {
+      const sum = a.map((ai, i) => ai + b[i]);
+      const corners = [[0, 0, 0], a, sum, b].map(p => this.toScene(p));
+      c3d.drawPolygon(corners, this.colors.parallelogram, 0.25, this.colors.parallelogram);
+
+      // Translated copies of a and b close the parallelogram
+      c3d.drawLine(this.toScene(b), this.toScene(sum), this.colors.vectorA, 1.5, [6, 4]);
+      c3d.drawLine(this.toScene(a), this.toScene(sum), this.colors.vectorB, 1.5, [6, 4]);
+
+      const center = this.toScene(sum.map(s => s / 2));
+      c3d.drawText(`Area = ${area.toFixed(2)}`, center, this.colors.text);
+    }
+
+    if (this.showRightHandRule && !isParallel) {
+      this.drawRightHandArc();
+    }
+
+    const lineWidth = this.styleConstants.vectorLineWidth;
+    const headSize = this.styleConstants.arrowHeadSize;
+    const arrows = [
+      { v: a, color: this.colors.vectorA, label: 'a' },
+      { v: b, color: this.colors.vectorB, label: 'b' },
+      { v: result.components, color: this.colors.cross, label: 'a × b' }
+    ];
+    arrows.forEach(({ v, color, label }) => {
+      if (v.every(c => Math.abs(c) < 1e-10)) return;
+      const tip = this.toScene(v);
+      c3d.drawArrow(origin, tip, color, lineWidth, headSize);
+      c3d.drawText(label, { x: tip.x * 1.08, y: tip.y * 1.08, z: tip.z * 1.08 }, color);
+    });
+  }
+
+  /**
+   * Draw the math x, y and z axes with labels
+   * @param {number} length - Axis length in units
+   * @private
+   */
+  drawAxes(length) {
+    const c3d = this.canvas3D;
+    const origin = this.toScene([0, 0, 0]);
+    [[1, 0, 0, 'x'], [0, 1, 0, 'y'], [0, 0, 1, 'z']].forEach(([x, y, z, label]) => {
+      const end = this.toScene([x * length, y * length, z * length]);
+      c3d.drawLine(origin, end, this.colors.axis, 1.5);
+      c3d.drawText(label, end, this.colors.text);
+    });
+  }
+
+  /**
+   * Draw an arc from a toward b in their common plane, with an arrowhead at the b end
+   * Curling the right hand's fingers along it makes the thumb point along a × b.
+   * @private
+   */
+  drawRightHandArc() {
+    const a = this.getVectorA();
+    const b = this.getVectorB();
+    const angle = a.angleBetween(b);
+
+    // Orthonormal basis (u, w) of the plane spanned by a and b, with u along a
+    const u = a.normalize();
+    const w = b.subtract(u.scale(b.dot(u))).normalize();
+
+    const radius = Math.min(1.2, Math.max(0.3, 0.4 * Math.min(a.magnitude(), b.magnitude())));
+    const steps = 24;
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const t = (angle * i) / steps;
+      const point = u.scale(radius * Math.cos(t)).add(w.scale(radius * Math.sin(t)));
+      points.push(this.toScene(point.components));
+    }
+
+    this.canvas3D.drawPolyline(points, this.colors.rightHandArc, 2);
+    this.canvas3D.drawArrow(points[steps - 1], points[steps], this.colors.rightHandArc, 2, 8);
+  }
+
+  // ============================================================================
+  // LIFECYCLE HOOKS
+  // ============================================================================
+
+  destroy() {
+    // Remove all event listeners
+    this.eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventListeners = [];
+
+    // Unsubscribe from theme service
+    if (this.themeUnsubscribe) {
+      this.themeUnsubscribe();
+      this.themeUnsubscribe = null;
+    }
+
+    // Cleanup 3D canvas
+    if (this.canvas3D) {
+      this.canvas3D.destroy();
+      this.canvas3D = null;
+    }
+
+    if (this.resultsPanel) {
+      this.resultsPanel.destroy();
+    }
+  }
+}
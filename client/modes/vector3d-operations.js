@@ -0,0 +1,56 @@
+/**
+ * Vector3DOperations Class
+ * Cross product math and result formatting for the 3D vector workspace
+ * Returns operation results without side effects
+ */
+
+class Vector3DOperations {
+  constructor(appConfig, styleConstants) {
+    this.appConfig = appConfig; // Runtime configuration
+    this.styleConstants = styleConstants; // Styling constants (colors, etc.)
+  }
+
+  /**
+   * Compute a × b and show the component-wise work
+   * @param {VectorN} a - First 3D vector
+   * @param {VectorN} b - Second 3D vector
+   * @returns {Object} Operation result with the cross product, parallelogram area and formatted strings
+   */
+  cross(a, b) {
+    if (!a || !b) return null;
+
+    const result = a.cross(b);
+    const area = result.magnitude();
+    const angleDegrees = a.angleBetweenDegrees(b);
+    const isParallel = area < 1e-10;
+
+    const [a1, a2, a3] = a.components;
+    const [b1, b2, b3] = b.components;
+    const p = (value) => `(${value.toFixed(1)})`;
+
+    const definition = MathRender.render(MathRender.row('a × b =', MathRender.column(['a₂b₃ − a₃b₂', 'a₃b₁ − a₁b₃', 'a₁b₂ − a₂b₁'])));
+    const substituted = MathRender.render(MathRender.row('=', MathRender.column([
+      `${p(a2)}${p(b3)} − ${p(a3)}${p(b2)}`,
+      `${p(a3)}${p(b1)} − ${p(a1)}${p(b3)}`,
+      `${p(a1)}${p(b2)} − ${p(a2)}${p(b1)}`
+    ])));
+    const resultText = MathRender.render(MathRender.row('=', FormatUtils.vectorNode(result, 2)));
+
+    const [c1, c2, c3] = result.components;
+    const areaText = `|a × b| = √(${p(c1)}² + ${p(c2)}² + ${p(c3)}²) = ${area.toFixed(2)} = parallelogram area`;
+    const sineText = `|a| |b| sin θ = ${a.magnitude().toFixed(2)} × ${b.magnitude().toFixed(2)} × sin ${angleDegrees.toFixed(1)}° = ${(a.magnitude() * b.magnitude() * Math.sin(angleDegrees * Math.PI / 180)).toFixed(2)}`;
+
+    const orientationText = isParallel
+      ? 'a and b are parallel (or one is zero): a × b = 0 and the parallelogram has no area'
+      : 'Right-hand rule: curl your fingers from a toward b (the arc); your thumb points along a × b, perpendicular to both';
+    const perpendicularText = `(a × b) · a = ${result.dot(a).toFixed(2)}, (a × b) · b = ${result.dot(b).toFixed(2)}`;
+
+    return {
+      result,
+      area,
+      angleDegrees,
+      isParallel,
+      resultLines: [definition, substituted, resultText, areaText, sineText, perpendicularText, orientationText]
+    };
+  }
+}